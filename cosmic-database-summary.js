@@ -4,13 +4,19 @@
  */
 
 const fs = require('fs');
+const path = require('path');
+const { crossCheckMoonPhases } = require('./src/cosmic/astro/lunarPhases');
+
+const DATA_DIR = path.join(__dirname, 'src', 'data');
+const MOON_FILE = path.join(DATA_DIR, 'moon-phases-1960-2100.json');
+const ECLIPSE_FILE = path.join(DATA_DIR, 'eclipse-data-1960-2100.json');
 
 console.log('🌌 COSMIC BIRTHDAY FINDER - COMPLETE DATABASE SUMMARY\n');
 
 // Load moon phase data
 let moonData;
 try {
-  moonData = JSON.parse(fs.readFileSync('moon-phases-1960-2100.json', 'utf8'));
+  moonData = JSON.parse(fs.readFileSync(MOON_FILE, 'utf8'));
   console.log('✅ Moon Phase Data: LOADED');
 } catch (error) {
   console.log('❌ Moon Phase Data: NOT FOUND');
@@ -20,7 +26,7 @@ try {
 // Load eclipse data
 let eclipseData;
 try {
-  eclipseData = JSON.parse(fs.readFileSync('eclipse-data-1960-2100.json', 'utf8'));
+  eclipseData = JSON.parse(fs.readFileSync(ECLIPSE_FILE, 'utf8'));
   console.log('✅ Eclipse Data: LOADED');
 } catch (error) {
   console.log('❌ Eclipse Data: NOT FOUND');
@@ -63,6 +69,15 @@ Object.entries(phaseBreakdown).forEach(([phase, count]) => {
   }
 });
 
+// Cross-check against the computed (Meeus) lunar phases
+const phaseCheck = crossCheckMoonPhases(moonData);
+console.log('\n   Cross-check vs computed phases:');
+console.log(`     Compared: ${phaseCheck.compared.toLocaleString()} (${phaseCheck.missing} without a computed match)`);
+console.log(`     Mean deviation: ${phaseCheck.meanDeviationMinutes.toFixed(2)} min, max ${phaseCheck.maxDeviationMinutes.toFixed(2)} min`);
+if (phaseCheck.outliers.length > 0) {
+  console.log(`     ⚠️  ${phaseCheck.outliers.length} phases differ by more than 5 minutes`);
+}
+
 // Eclipse statistics
 console.log('\n☀️ ECLIPSE DATA:');
 console.log(`   Coverage: ${eclipseData.metadata.startYear} - ${eclipseData.metadata.endYear}`);
@@ -71,31 +86,16 @@ console.log(`   Solar Eclipses: ${eclipseData.metadata.totalSolarEclipses}`);
 console.log(`   Lunar Eclipses: ${eclipseData.metadata.totalLunarEclipses}`);
 console.log(`   Total Eclipses: ${eclipseData.metadata.totalEclipses}`);
 
-// Eclipse type breakdown
-const extractEclipseType = (description, eclipseCategory) => {
-  if (eclipseCategory === 'solar') {
-    if (description.includes('   T   ')) return 'Total';
-    if (description.includes('   A   ')) return 'Annular';
-    if (description.includes('   P   ')) return 'Partial';
-    if (description.includes('   H   ')) return 'Hybrid';
-    return 'Unspecified';
-  } else {
-    if (description.includes('   T-  ') || description.includes('   T+  ')) return 'Total';
-    if (description.includes('   P   ')) return 'Partial';
-    if (description.includes('   N   ')) return 'Penumbral';
-    return 'Unspecified';
-  }
-};
-
+// Eclipse type breakdown, from the parsed catalog fields
 const solarTypes = {};
 eclipseData.solarEclipses.forEach(eclipse => {
-  const type = extractEclipseType(eclipse.description, 'solar');
+  const type = eclipse.eclipseType || 'Unspecified';
   solarTypes[type] = (solarTypes[type] || 0) + 1;
 });
 
 const lunarTypes = {};
 eclipseData.lunarEclipses.forEach(eclipse => {
-  const type = extractEclipseType(eclipse.description, 'lunar');
+  const type = eclipse.eclipseType || 'Unspecified';
   lunarTypes[type] = (lunarTypes[type] || 0) + 1;
 });
 
@@ -110,8 +110,8 @@ Object.entries(lunarTypes).forEach(([type, count]) => {
 });
 
 // File size information
-const moonFileSize = (fs.statSync('moon-phases-1960-2100.json').size / 1024 / 1024).toFixed(2);
-const eclipseFileSize = (fs.statSync('eclipse-data-1960-2100.json').size / 1024 / 1024).toFixed(2);
+const moonFileSize = (fs.statSync(MOON_FILE).size / 1024 / 1024).toFixed(2);
+const eclipseFileSize = (fs.statSync(ECLIPSE_FILE).size / 1024 / 1024).toFixed(2);
 
 console.log('\n💾 FILE INFORMATION:');
 console.log(`   Moon Phase Data: ${moonFileSize} MB`);
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+/**
+ * Constellation boundary fetcher
+ * Downloads the IAU constellation boundaries as tabulated by Roman (1987, PASP 99, 695;
+ * CDS catalogue VI/42): strips of constant B1875.0 declination, each with its right
+ * ascension limits, in order of decreasing declination. The first strip containing a
+ * point, once it is precessed to B1875.0, names its constellation. The rows are written
+ * to src/data/constellation-boundaries.json with the constellation names of the sky catalog.
+ *
+ * Usage: node fetch-constellation-boundaries.js [path/to/data.dat]
+ */
+
+const SOURCE_URL = 'https://cdsarc.cds.unistra.fr/ftp/VI/42/data.dat';
+const SKY_CATALOG_FILE = path.join(__dirname, 'src', 'data', 'sky-catalog.json');
+const OUTPUT_FILE = path.join(__dirname, 'src', 'data', 'constellation-boundaries.json');
+
+// Download a URL, following redirects
+function download(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        resolve(download(new URL(res.headers.location, url).toString()));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+        return;
+      }
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve(data));
+    }).on('error', reject);
+  });
+}
+
+// Constellation names by IAU abbreviation; the sky catalog draws the two halves of Serpens apart
+function readNames() {
+  const names = {};
+  JSON.parse(fs.readFileSync(SKY_CATALOG_FILE, 'utf8')).constellations.forEach(constellation => {
+    names[constellation.id] = constellation.name.replace(/ (Caput|Cauda)$/, '');
+  });
+  return names;
+}
+
+// Rows of "RA low (h)  RA high (h)  Dec low (deg)  abbreviation" as [abbreviation, raLow, raHigh, decLow]
+function parseBoundaries(text, names) {
+  const abbreviations = {};
+  Object.keys(names).forEach(abbreviation => { abbreviations[abbreviation.toUpperCase()] = abbreviation; });
+
+  return text.split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => {
+      const [raLow, raHigh, decLow, code] = line.trim().split(/\s+/);
+      const abbreviation = abbreviations[code.toUpperCase()];
+      if (!abbreviation) throw new Error(`Unknown constellation ${code}`);
+      return [abbreviation, parseFloat(raLow), parseFloat(raHigh), parseFloat(decLow)];
+    });
+}
+
+async function fetchConstellationBoundaries(sourceFile) {
+  console.log('\n🧭 CONSTELLATION BOUNDARY FETCHER 🧭');
+  const text = sourceFile ? fs.readFileSync(sourceFile, 'utf8') : await download(SOURCE_URL);
+  const names = readNames();
+
+  const constellationBoundaries = {
+    metadata: {
+      title: 'IAU constellation boundaries',
+      source: 'Roman 1987, PASP 99, 695 (CDS VI/42), from the Delporte 1930 IAU boundaries',
+      boundaries: '[abbreviation, RA low (hours), RA high (hours), Dec low (degrees)], B1875.0, by decreasing declination',
+      epoch: 'B1875.0',
+      totalBoundaries: 0,
+      generatedAt: new Date().toISOString()
+    },
+    names,
+    boundaries: parseBoundaries(text, names)
+  };
+  constellationBoundaries.metadata.totalBoundaries = constellationBoundaries.boundaries.length;
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(constellationBoundaries));
+  console.log(`📁 File: ${OUTPUT_FILE}`);
+  console.log(`🧭 Boundaries: ${constellationBoundaries.metadata.totalBoundaries}`);
+  return constellationBoundaries;
+}
+
+// Run if called directly
+if (require.main === module) {
+  fetchConstellationBoundaries(process.argv[2])
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n💥 Constellation boundary fetch failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { fetchConstellationBoundaries, parseBoundaries };
@@ -2,6 +2,7 @@ const fs = require('fs');
 const http = require('http');
 const https = require('https');
 const { URL } = require('url');
+const { parseEclipseRow } = require('./src/cosmic/eclipseCatalog');
 
 /**
  * Eclipse Data Fetcher for Solar and Lunar Eclipses
@@ -61,65 +62,37 @@ function makeRequest(targetUrl, timeout = 30000) {
   });
 }
 
+// Build a database entry from one NASA catalog row, or null if the line is not a row
+function buildEclipseRecord(line, eclipseType) {
+  const row = parseEclipseRow(line, eclipseType);
+  if (!row) return null;
+
+  const { year, month, day, date, ...fields } = row;
+  return {
+    year,
+    month,
+    day,
+    date,
+    type: eclipseType,
+    ...fields,
+    // The catalog's HTML links are dropped; the plain row is kept for reference
+    description: line.replace(/<[^>]*>/g, '').trim(),
+    source: 'NASA Eclipse Catalog'
+  };
+}
+
 // Parse NASA eclipse data from their catalog
 function parseNASAEclipseData(data, eclipseType) {
   const eclipses = [];
-  const lines = data.split('\n');
-  
-  for (const line of lines) {
-    // NASA eclipse catalog format varies, look for date patterns
-    const datePatterns = [
-      /(\d{4})\s+(\w{3})\s+(\d{1,2})/,  // "2024 Mar 25"
-      /(\d{4})-(\d{2})-(\d{2})/,        // "2024-03-25"
-      /(\d{1,2})\/(\d{1,2})\/(\d{4})/,  // "3/25/2024"
-    ];
-    
-    for (const pattern of datePatterns) {
-      const match = line.match(pattern);
-      if (match) {
-        try {
-          let year, month, day;
-          
-          if (pattern.source.includes('\\w{3}')) {
-            // Month name format
-            const monthMap = {
-              'Jan': 1, 'Feb': 2, 'Mar': 3, 'Apr': 4, 'May': 5, 'Jun': 6,
-              'Jul': 7, 'Aug': 8, 'Sep': 9, 'Oct': 10, 'Nov': 11, 'Dec': 12
-            };
-            year = parseInt(match[1]);
-            month = monthMap[match[2]];
-            day = parseInt(match[3]);
-          } else if (pattern.source.includes('-')) {
-            // ISO format
-            year = parseInt(match[1]);
-            month = parseInt(match[2]);
-            day = parseInt(match[3]);
-          } else {
-            // US format
-            month = parseInt(match[1]);
-            day = parseInt(match[2]);
-            year = parseInt(match[3]);
-          }
-          
-          if (year && month && day && year >= 1960 && year <= 2100) {
-            eclipses.push({
-              year,
-              month,
-              day,
-              date: `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`,
-              type: eclipseType,
-              description: line.trim(),
-              source: 'NASA Eclipse Catalog'
-            });
-          }
-        } catch (err) {
-          // Skip invalid entries
-        }
-        break;
-      }
+
+  for (const line of data.split('\n')) {
+    // Catalog rows only: the page also carries headers and "Longest eclipse" summaries
+    const record = buildEclipseRecord(line, eclipseType);
+    if (record && record.year >= 1960 && record.year <= 2100) {
+      eclipses.push(record);
     }
   }
-  
+
   return eclipses;
 }
 
@@ -289,27 +262,20 @@ async function fetchAllEclipseData() {
   console.log(`✓ Calculated Solar Eclipses: ${calculatedSolar.length}`);
   console.log(`✓ Calculated Lunar Eclipses: ${calculatedLunar.length}`);
   
-  // Combine data (prefer NASA, supplement with calculations)
-  if (allData.solarEclipses.length === 0) {
-    allData.solarEclipses = calculatedSolar;
-  } else {
-    // Merge and deduplicate
-    const merged = [...allData.solarEclipses, ...calculatedSolar];
-    allData.solarEclipses = merged.filter((eclipse, index, self) => 
-      index === self.findIndex(e => e.year === eclipse.year && e.month === eclipse.month)
-    ).sort((a, b) => a.year - b.year);
-  }
-  
-  if (allData.lunarEclipses.length === 0) {
-    allData.lunarEclipses = calculatedLunar;
-  } else {
-    // Merge and deduplicate
-    const merged = [...allData.lunarEclipses, ...calculatedLunar];
-    allData.lunarEclipses = merged.filter((eclipse, index, self) => 
-      index === self.findIndex(e => e.year === eclipse.year && e.month === eclipse.month)
-    ).sort((a, b) => a.year - b.year);
-  }
-  
+  // Prefer NASA: its rows are complete, so calculations only fill in when a fetch failed.
+  // Merging by month used to drop the second eclipse of months that have two.
+  const byCatalogNumber = (eclipses) => eclipses
+    .filter((eclipse, index, self) => index === self.findIndex(e => e.catalogNumber === eclipse.catalogNumber))
+    .sort((a, b) => a.catalogNumber - b.catalogNumber);
+
+  allData.solarEclipses = allData.solarEclipses.length === 0
+    ? calculatedSolar
+    : byCatalogNumber(allData.solarEclipses);
+
+  allData.lunarEclipses = allData.lunarEclipses.length === 0
+    ? calculatedLunar
+    : byCatalogNumber(allData.lunarEclipses);
+
   // Final statistics
   allData.metadata.totalSolarEclipses = allData.solarEclipses.length;
   allData.metadata.totalLunarEclipses = allData.lunarEclipses.length;
@@ -351,4 +317,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { fetchAllEclipseData, calculateEclipses };
+module.exports = { fetchAllEclipseData, calculateEclipses, buildEclipseRecord };
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+/**
+ * Sky catalog fetcher
+ * Downloads the Hipparcos-based star list, star names and IAU constellation figures
+ * bundled with d3-celestial (BSD-3-Clause) and writes the stars to magnitude 5 with
+ * their proper names, and the constellation lines, to src/data/sky-catalog.json, so
+ * the night-sky chart renders offline.
+ *
+ * Usage: node fetch-sky-catalog.js [path/to/d3-celestial/data]
+ */
+
+const SOURCE_URL = 'https://unpkg.com/d3-celestial@0.7.35/data/';
+const SOURCE_FILES = ['stars.6.json', 'starnames.json', 'constellations.json', 'constellations.lines.json'];
+const OUTPUT_FILE = path.join(__dirname, 'src', 'data', 'sky-catalog.json');
+
+// Faintest stars kept: about what a suburban sky shows
+const LIMITING_MAGNITUDE = 5;
+
+// Hundredths of a degree are finer than any chart pixel and keep the file small
+const round = (value) => Math.round(value * 100) / 100;
+
+// GeoJSON longitudes run -180...180; right ascension runs 0...360
+const toRightAscension = (longitude) => round(longitude < 0 ? longitude + 360 : longitude);
+
+// Download a URL, following redirects
+function download(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        resolve(download(new URL(res.headers.location, url).toString()));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+        return;
+      }
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve(data));
+    }).on('error', reject);
+  });
+}
+
+// Read one source file from a local copy of the data folder, or download it
+async function readSource(sourceDir, file) {
+  const text = sourceDir ? fs.readFileSync(path.join(sourceDir, file), 'utf8') : await download(SOURCE_URL + file);
+  return JSON.parse(text);
+}
+
+// Stars as [ra, dec, magnitude, B-V colour index, proper name or null], brightest first
+function buildStars(stars, names) {
+  return stars.features
+    .filter(star => star.properties.mag <= LIMITING_MAGNITUDE)
+    .map(star => {
+      const [longitude, latitude] = star.geometry.coordinates;
+      const bv = parseFloat(star.properties.bv);
+      return [
+        toRightAscension(longitude),
+        round(latitude),
+        star.properties.mag,
+        Number.isFinite(bv) ? bv : null,
+        (names[star.id] && names[star.id].name) || null
+      ];
+    })
+    .sort((a, b) => a[2] - b[2]);
+}
+
+// Constellations with their name, label position and stick figure as lists of [ra, dec] points
+function buildConstellations(constellations, lines) {
+  const figures = {};
+  lines.features.forEach(feature => {
+    figures[feature.id] = feature.geometry.coordinates.map(line =>
+      line.map(([longitude, latitude]) => [toRightAscension(longitude), round(latitude)]));
+  });
+
+  return constellations.features.map(feature => {
+    const [longitude, latitude] = feature.geometry.coordinates;
+    return {
+      id: feature.id,
+      name: feature.properties.name,
+      label: [toRightAscension(longitude), round(latitude)],
+      lines: figures[feature.id] || []
+    };
+  });
+}
+
+async function fetchSkyCatalog(sourceDir) {
+  console.log('\n✨ SKY CATALOG FETCHER ✨');
+  const [stars, names, constellations, lines] = await Promise.all(SOURCE_FILES.map(file => readSource(sourceDir, file)));
+
+  const skyCatalog = {
+    metadata: {
+      title: 'Stars and constellation figures for the night-sky chart',
+      source: 'd3-celestial 0.7.35 data (BSD-3-Clause): XHIP (Anderson & Francis 2012) stars, IAU constellation figures',
+      stars: `[ra, dec, magnitude, B-V, proper name] in degrees, J2000.0, to magnitude ${LIMITING_MAGNITUDE}`,
+      constellations: 'id, name, label [ra, dec] and lines as [ra, dec] points in degrees, J2000.0',
+      totalStars: 0,
+      totalConstellations: 0,
+      generatedAt: new Date().toISOString()
+    },
+    stars: buildStars(stars, names),
+    constellations: buildConstellations(constellations, lines)
+  };
+  skyCatalog.metadata.totalStars = skyCatalog.stars.length;
+  skyCatalog.metadata.totalConstellations = skyCatalog.constellations.length;
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(skyCatalog));
+  console.log(`📁 File: ${OUTPUT_FILE}`);
+  console.log(`⭐ Stars: ${skyCatalog.metadata.totalStars}, constellations: ${skyCatalog.metadata.totalConstellations}`);
+  return skyCatalog;
+}
+
+// Run if called directly
+if (require.main === module) {
+  fetchSkyCatalog(process.argv[2])
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n💥 Sky catalog fetch failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { fetchSkyCatalog, buildStars, buildConstellations };
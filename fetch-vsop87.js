@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+/**
+ * VSOP87 fetcher
+ * Downloads the VSOP87B planetary theory of Bretagnon & Francou (1988, A&A 202, 309;
+ * CDS catalogue VI/81) for the Earth, Jupiter and Saturn: heliocentric longitude,
+ * latitude and radius on the dynamical ecliptic and equinox of J2000.0, as series of
+ * terms A cos(B + C t) in powers of t, Julian millennia from J2000.0. Terms too small to
+ * move any of them by a second of arc are dropped, and the rest are written to
+ * src/data/vsop87.json.
+ *
+ * Usage: node fetch-vsop87.js [path/to/folder with VSOP87B.ear, VSOP87B.jup and VSOP87B.sat]
+ */
+
+const SOURCE_URL = 'https://cdsarc.cds.unistra.fr/ftp/VI/81/';
+const SOURCE_FILES = { Earth: 'VSOP87B.ear', Jupiter: 'VSOP87B.jup', Saturn: 'VSOP87B.sat' };
+const OUTPUT_FILE = path.join(__dirname, 'src', 'data', 'vsop87.json');
+
+// Smallest amplitude kept (radians, or AU for the radius): about a second of arc
+const MIN_AMPLITUDE = 5e-6;
+
+// Download a URL, following redirects
+function download(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        resolve(download(new URL(res.headers.location, url).toString()));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+        return;
+      }
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve(data));
+    }).on('error', reject);
+  });
+}
+
+// Read one source file from a local copy of the catalogue, or download it
+async function readSource(sourceDir, file) {
+  return sourceDir ? fs.readFileSync(path.join(sourceDir, file), 'utf8') : download(SOURCE_URL + file);
+}
+
+// Series of one planet as [L, B, R], each a list by power of t of [A, B, C] terms
+function parseSeries(text) {
+  const variables = [[], [], []];
+  let series = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const header = /VARIABLE (\d).*\*T\*\*(\d)/.exec(line);
+    if (header) {
+      series = [];
+      variables[parseInt(header[1], 10) - 1][parseInt(header[2], 10)] = series;
+      return;
+    }
+    if (!series || !line.trim()) return;
+
+    // The amplitude, phase and frequency close each term record
+    const [amplitude, phase, frequency] = line.trim().split(/\s+/).slice(-3).map(Number);
+    if (amplitude >= MIN_AMPLITUDE) series.push([amplitude, phase, frequency]);
+  });
+
+  return variables.map(powers => {
+    // Drop the highest powers of t once nothing in them is large enough
+    while (powers.length && !powers[powers.length - 1].length) powers.pop();
+    return powers;
+  });
+}
+
+async function fetchVsop87(sourceDir) {
+  console.log('\n🪐 VSOP87 FETCHER 🪐');
+  const planets = {};
+  for (const [name, file] of Object.entries(SOURCE_FILES)) {
+    planets[name] = parseSeries(await readSource(sourceDir, file));
+  }
+
+  const vsop87 = {
+    metadata: {
+      title: 'VSOP87B series for the Earth, Jupiter and Saturn',
+      source: 'Bretagnon & Francou 1988, A&A 202, 309 (CDS VI/81), version B',
+      frame: 'Heliocentric longitude and latitude (radians) and radius (AU), dynamical ecliptic and equinox J2000.0',
+      series: '[L, B, R], each a list by power of t (Julian millennia from J2000.0, TDB) of [A, B, C] for A cos(B + C t)',
+      minAmplitude: MIN_AMPLITUDE,
+      totalTerms: 0,
+      generatedAt: new Date().toISOString()
+    },
+    planets
+  };
+  vsop87.metadata.totalTerms = Object.values(planets).flat(3).length;
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(vsop87));
+  console.log(`📁 File: ${OUTPUT_FILE}`);
+  console.log(`🪐 Terms: ${vsop87.metadata.totalTerms}`);
+  return vsop87;
+}
+
+// Run if called directly
+if (require.main === module) {
+  fetchVsop87(process.argv[2])
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n💥 VSOP87 fetch failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { fetchVsop87, parseSeries };
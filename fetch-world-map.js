@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+/**
+ * World map fetcher
+ * Downloads the Natural Earth 1:110m land outlines (public domain) as TopoJSON from
+ * the world-atlas package and writes them to src/data/world-land.json as plain
+ * longitude/latitude rings, so the eclipse maps render offline without map tiles.
+ *
+ * Usage: node fetch-world-map.js [path/to/land-110m.json]
+ */
+
+const SOURCE_URL = 'https://unpkg.com/world-atlas@2/land-110m.json';
+const OUTPUT_FILE = path.join(__dirname, 'src', 'data', 'world-land.json');
+
+// Tenths of a degree are finer than the 1:110m outlines and keep the file small
+const round = (value) => Math.round(value * 10) / 10;
+
+// Download a URL, following redirects
+function download(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        resolve(download(new URL(res.headers.location, url).toString()));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+        return;
+      }
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve(data));
+    }).on('error', reject);
+  });
+}
+
+// Decode the quantized, delta-encoded arcs of a topology into [longitude, latitude] points
+function decodeArcs(topology) {
+  const { scale, translate } = topology.transform;
+  return topology.arcs.map(arc => {
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [round(x * scale[0] + translate[0]), round(y * scale[1] + translate[1])];
+    });
+  });
+}
+
+// Join the arcs of a ring; a negative index ~i is arc i reversed
+function stitchRing(ring, arcs) {
+  const points = [];
+  ring.forEach(index => {
+    const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+    arc.forEach((point, i) => {
+      if (i === 0 && points.length) return;
+      const previous = points[points.length - 1];
+      if (!previous || previous[0] !== point[0] || previous[1] !== point[1]) points.push(point);
+    });
+  });
+  return points;
+}
+
+// Make a ring's longitudes continuous across the antimeridian, closing rings that go
+// around a pole (Antarctica) along the pole itself
+function unwrapRing(ring) {
+  const points = [ring[0]];
+  for (let i = 1; i < ring.length; i++) {
+    const previous = points[i - 1][0];
+    let longitude = ring[i][0];
+    while (longitude - previous > 180) longitude -= 360;
+    while (longitude - previous < -180) longitude += 360;
+    points.push([longitude, ring[i][1]]);
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (Math.abs(last[0] - first[0]) > 180) {
+    const pole = first[1] < 0 ? -90 : 90;
+    points.push([last[0], pole], [first[0], pole]);
+  }
+  return points;
+}
+
+// Convert the land object to a list of polygons, each a list of rings
+function landPolygons(topology) {
+  const arcs = decodeArcs(topology);
+  const polygons = [];
+  topology.objects.land.geometries.forEach(geometry => {
+    const parts = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs;
+    parts.forEach(rings => {
+      const polygon = rings.map(ring => unwrapRing(stitchRing(ring, arcs))).filter(ring => ring.length >= 3);
+      if (polygon.length) polygons.push(polygon);
+    });
+  });
+  return polygons;
+}
+
+async function fetchWorldMap(sourceFile) {
+  console.log('\n🗺️  WORLD MAP FETCHER 🗺️');
+  const text = sourceFile ? fs.readFileSync(sourceFile, 'utf8') : await download(SOURCE_URL);
+  const polygons = landPolygons(JSON.parse(text));
+
+  const worldLand = {
+    metadata: {
+      title: 'World land outlines',
+      source: 'Natural Earth 1:110m land (public domain), via world-atlas 2',
+      projection: 'longitude/latitude in degrees; rings crossing the antimeridian run past ±180',
+      totalPolygons: polygons.length,
+      totalPoints: polygons.flat().reduce((sum, ring) => sum + ring.length, 0),
+      generatedAt: new Date().toISOString()
+    },
+    polygons
+  };
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(worldLand));
+  console.log(`📁 File: ${OUTPUT_FILE}`);
+  console.log(`🌍 Polygons: ${worldLand.metadata.totalPolygons}, points: ${worldLand.metadata.totalPoints}`);
+  return worldLand;
+}
+
+// Run if called directly
+if (require.main === module) {
+  fetchWorldMap(process.argv[2])
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n💥 World map fetch failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { fetchWorldMap, landPolygons };
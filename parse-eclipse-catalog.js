@@ -0,0 +1,52 @@
+/**
+ * Eclipse Catalog Parser
+ * Rebuilds the bundled eclipse database from the NASA rows it already stores,
+ * adding the structured fields read by src/cosmic/eclipseCatalog.js. Lines that
+ * are not catalog rows (summary lines, Saros estimates) are dropped; the eclipses
+ * known only from summary lines are computed at search time by src/cosmic/hybrid.js.
+ *
+ * Usage: node parse-eclipse-catalog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildEclipseRecord } = require('./fetch-eclipse-data.js');
+
+const ECLIPSE_FILE = path.join(__dirname, 'src', 'data', 'eclipse-data-1960-2100.json');
+
+const eclipseData = JSON.parse(fs.readFileSync(ECLIPSE_FILE, 'utf8'));
+
+// Rebuild one category, keeping each catalog number once
+function rebuild(eclipses, eclipseType) {
+  const records = new Map();
+  eclipses.forEach(eclipse => {
+    const record = buildEclipseRecord(eclipse.description || '', eclipseType);
+    if (record) records.set(record.catalogNumber, record);
+  });
+  return [...records.values()].sort((a, b) => a.catalogNumber - b.catalogNumber);
+}
+
+const solarEclipses = rebuild(eclipseData.solarEclipses || [], 'solar');
+const lunarEclipses = rebuild(eclipseData.lunarEclipses || [], 'lunar');
+const dropped = (eclipseData.solarEclipses || []).length + (eclipseData.lunarEclipses || []).length
+  - solarEclipses.length - lunarEclipses.length;
+
+const rebuilt = {
+  metadata: {
+    ...eclipseData.metadata,
+    sources: ['NASA Eclipse Catalog'],
+    totalSolarEclipses: solarEclipses.length,
+    totalLunarEclipses: lunarEclipses.length,
+    totalEclipses: solarEclipses.length + lunarEclipses.length,
+    parsedAt: new Date().toISOString()
+  },
+  solarEclipses,
+  lunarEclipses
+};
+
+fs.writeFileSync(ECLIPSE_FILE, JSON.stringify(rebuilt, null, 2));
+
+console.log('🌒 Eclipse catalog parsed');
+console.log(`☀️ Solar Eclipses: ${solarEclipses.length}`);
+console.log(`🌙 Lunar Eclipses: ${lunarEclipses.length}`);
+console.log(`🗑️  Dropped non-catalog lines: ${dropped}`);
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { 
   Moon, 
   Sun, 
@@ -7,12 +7,294 @@ import {
   Search, 
   Clock, 
   AlertTriangle,
-  Loader2
+  Loader2,
+  Globe,
+  Crosshair,
+  MapPin,
+  Sunrise,
+  Telescope,
+  Orbit,
+  MoonStar,
+  Stars,
+  ZoomIn,
+  ZoomOut,
+  RotateCcw,
+  CalendarPlus
 } from 'lucide-react';
 
-// Import astronomical data as ES6 modules
-import moonPhaseData from './data/moon-phases-1960-2100.json';
-import eclipseData from './data/eclipse-data-1960-2100.json';
+// Birthday matching engine and the bundled astronomical databases
+import {
+  findCosmicEvents as searchCosmicEvents,
+  getDefaultTimeZone,
+  listTimeZones,
+  COMPUTED_START_YEAR,
+  COMPUTED_END_YEAR,
+  SOURCE_COMPUTED,
+  LEAP_DAY_POLICIES,
+  MOON_SIZES,
+  HEMISPHERES,
+  isValidCalendarDate,
+  formatLocation,
+  summarizeBirthdaySky,
+  SKY_STATES,
+  MONTH_NAMES,
+  TROPICAL_SIGNS,
+  groupMatches,
+  formatMatchOffset,
+  buildEclipseMap,
+  collectUpcomingEvents,
+  buildICalendar,
+  moonPhaseData,
+  eclipseData,
+  skyCatalog
+} from './cosmic';
+
+// Time zones offered in the picker (the browser's own is preselected)
+const TIME_ZONES = listTimeZones();
+
+// Near-miss windows offered in the picker
+const TOLERANCE_OPTIONS = [
+  { label: 'Exact day only', tolerance: null },
+  { label: 'Within 6 hours', tolerance: { hours: 6 } },
+  { label: 'Within 12 hours', tolerance: { hours: 12 } },
+  { label: 'Within 1 day', tolerance: { days: 1 } },
+  { label: 'Within 3 days', tolerance: { days: 3 } }
+];
+
+// How a 29 February birthday can be observed in common years
+const LEAP_DAY_OPTIONS = [
+  { label: 'Leap years only', policy: LEAP_DAY_POLICIES.LEAP_YEARS_ONLY },
+  { label: '28 February', policy: LEAP_DAY_POLICIES.FEB_28 },
+  { label: '1 March', policy: LEAP_DAY_POLICIES.MAR_1 }
+];
+
+// Hemispheres for full moon names (the Harvest Moon falls six months apart)
+const HEMISPHERE_OPTIONS = [
+  { label: 'Northern Hemisphere', hemisphere: HEMISPHERES.NORTH },
+  { label: 'Southern Hemisphere', hemisphere: HEMISPHERES.SOUTH }
+];
+
+// Background stars: the brightest of the sky catalog, laid out by right ascension and declination
+const BACKGROUND_STARS = skyCatalog.stars
+  .filter(([, , magnitude]) => magnitude < 2.5)
+  .map(([ra, dec, magnitude]) => ({
+    top: (90 - dec) / 180 * 100,
+    left: (360 - ra) / 360 * 100,
+    delay: (ra % 40) / 10,
+    size: magnitude < 1 ? 'large' : ''
+  }));
+
+// Deepest zoom of the birth sky chart
+const SKY_CHART_MAX_ZOOM = 8;
+
+// Room around the horizon for the compass points
+const SKY_CHART_MARGIN = 18;
+
+// Downloads are handed their object URL for this long before it is released
+const DOWNLOAD_URL_LIFETIME_MS = 60000;
+
+/**
+ * Colour of a star from its B-V colour index
+ * @param {number|null} bv - B-V colour index
+ * @returns {string} - CSS colour from blue-white to orange
+ */
+const starColor = (bv) => {
+  if (bv === null || bv < 0) return '#cad7ff';
+  if (bv < 0.3) return '#f8f7ff';
+  if (bv < 0.6) return '#fff4e8';
+  if (bv < 1.0) return '#ffe4b5';
+  if (bv < 1.4) return '#ffc98a';
+  return '#ffab6b';
+};
+
+/**
+ * Chart radius of a star's dot
+ * @param {number} magnitude - Visual magnitude
+ * @returns {number} - Radius in chart pixels, Sirius about 4 and the faintest stars 0.6
+ */
+const starRadius = (magnitude) => Math.max(0.6, 3.3 - 0.55 * magnitude);
+
+/**
+ * Interactive chart of the sky at the moment of birth: drag to pan, scroll or use the
+ * buttons to zoom, and hover a named star, planet or the Moon for its label.
+ * Defined outside App so its pan and zoom survive App's re-renders.
+ * @param {Object} props - {sky} from the results' birthSky, and the {location} it was drawn for
+ */
+function SkyChart({ sky, location }) {
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  const [hovered, setHovered] = useState(null);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const half = sky.size / 2;
+
+  // Keeps the zoom in range and the chart covering the view
+  const clampView = useCallback(({ zoom, x, y }) => {
+    const clampedZoom = Math.min(SKY_CHART_MAX_ZOOM, Math.max(1, zoom));
+    const limit = half * (clampedZoom - 1);
+    const clamp = (value) => Math.min(limit, Math.max(-limit, value));
+    return { zoom: clampedZoom, x: clamp(x), y: clamp(y) };
+  }, [half]);
+
+  // Zooms by a factor about a point of the chart, relative to its centre, that stays put
+  const zoomAbout = useCallback((factor, point = { x: 0, y: 0 }) => setView(current => {
+    const zoom = Math.min(SKY_CHART_MAX_ZOOM, Math.max(1, current.zoom * factor));
+    const scale = zoom / current.zoom;
+    return clampView({
+      zoom,
+      x: point.x - (point.x - current.x) * scale,
+      y: point.y - (point.y - current.y) * scale
+    });
+  }), [clampView]);
+
+  // Chart units per screen pixel
+  const unitsPerPixel = () => (sky.size + 2 * SKY_CHART_MARGIN) / svgRef.current.getBoundingClientRect().width;
+
+  // React listens to wheel events passively, so the page would scroll along with the zoom
+  useEffect(() => {
+    const svg = svgRef.current;
+    const onWheel = (event) => {
+      event.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const units = (sky.size + 2 * SKY_CHART_MARGIN) / rect.width;
+      zoomAbout(event.deltaY < 0 ? 1.25 : 0.8, {
+        x: (event.clientX - rect.left - rect.width / 2) * units,
+        y: (event.clientY - rect.top - rect.height / 2) * units
+      });
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  }, [sky.size, zoomAbout]);
+
+  const onPointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { clientX: event.clientX, clientY: event.clientY, view, units: unitsPerPixel() };
+  };
+  const onPointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setView(clampView({
+      zoom: drag.view.zoom,
+      x: drag.view.x + (event.clientX - drag.clientX) * drag.units,
+      y: drag.view.y + (event.clientY - drag.clientY) * drag.units
+    }));
+  };
+  const onPointerUp = () => { dragRef.current = null; };
+
+  // Dots and labels keep their screen size as the chart zooms
+  const px = (value) => value / view.zoom;
+  const hover = (label, x, y) => ({
+    onMouseEnter: () => setHovered({ label, x, y }),
+    onMouseLeave: () => setHovered(null)
+  });
+  const shownPlanets = sky.planets.filter(planet => planet.up);
+  const hiddenBodies = sky.planets.filter(planet => !planet.up).map(planet => planet.name)
+    .concat(sky.moon.up ? [] : ['the Moon']);
+  const moonLabel = `Moon, ${sky.moon.phaseName}, ${Math.round(sky.moon.illumination * 100)}% lit`;
+
+  return (
+    <div className="sky-chart-card">
+      <div className="result-card-header">
+        <div className="result-card-title">
+          <Stars className="icon" style={{color: 'var(--blue-300)'}} />
+          <h3>Your Birth Sky</h3>
+        </div>
+        <div className="sky-chart-controls">
+          <button type="button" className="btn-secondary" onClick={() => zoomAbout(1.5)} aria-label="Zoom in">
+            <ZoomIn className="icon" />
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => zoomAbout(1 / 1.5)} aria-label="Zoom out">
+            <ZoomOut className="icon" />
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setView({ zoom: 1, x: 0, y: 0 })} aria-label="Reset view">
+            <RotateCcw className="icon" />
+          </button>
+        </div>
+      </div>
+      <svg
+        ref={svgRef}
+        className="sky-chart"
+        viewBox={`${-SKY_CHART_MARGIN} ${-SKY_CHART_MARGIN} ${sky.size + 2 * SKY_CHART_MARGIN} ${sky.size + 2 * SKY_CHART_MARGIN}`}
+        role="img"
+        aria-label={`The sky above ${formatLocation(location)} on ${sky.date} at ${sky.localTime}`}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        <defs>
+          <clipPath id="sky-chart-horizon">
+            <circle cx={half} cy={half} r={half} />
+          </clipPath>
+        </defs>
+        <g transform={`translate(${half + view.x} ${half + view.y}) scale(${view.zoom}) translate(${-half} ${-half})`}>
+          <g clipPath="url(#sky-chart-horizon)">
+            <circle className={`sky-chart-sky ${sky.skyState}`} cx={half} cy={half} r={half} />
+            <path className="sky-chart-lines" d={sky.constellations.map(constellation => constellation.d).join('')} strokeWidth={px(0.8)} />
+            {sky.constellations.filter(constellation => constellation.label).map(constellation => (
+              <text key={constellation.id} className="sky-chart-constellation" x={constellation.label.x} y={constellation.label.y} fontSize={px(9)}>
+                {constellation.name}
+              </text>
+            ))}
+            {sky.stars.map((star, i) => (
+              <circle
+                key={i}
+                className="sky-chart-star"
+                cx={star.x}
+                cy={star.y}
+                r={px(starRadius(star.magnitude))}
+                fill={starColor(star.bv)}
+                {...(star.name ? hover(`${star.name} (magnitude ${star.magnitude.toFixed(1)})`, star.x, star.y) : {})}
+              />
+            ))}
+            {shownPlanets.map(planet => (
+              <g key={planet.name} {...hover(`${planet.name} (magnitude ${planet.magnitude.toFixed(1)})`, planet.x, planet.y)}>
+                <circle className="sky-chart-planet" cx={planet.x} cy={planet.y} r={px(4)} />
+                <text className="sky-chart-body-label" x={planet.x + px(6)} y={planet.y + px(3)} fontSize={px(10)}>{planet.name}</text>
+              </g>
+            ))}
+            {sky.moon.up && (
+              <circle
+                className="sky-chart-moon"
+                cx={sky.moon.x}
+                cy={sky.moon.y}
+                r={px(7)}
+                fillOpacity={0.35 + 0.65 * sky.moon.illumination}
+                {...hover(moonLabel, sky.moon.x, sky.moon.y)}
+              />
+            )}
+            {sky.sun.up && (
+              <circle className="sky-chart-sun" cx={sky.sun.x} cy={sky.sun.y} r={px(8)} {...hover('Sun', sky.sun.x, sky.sun.y)} />
+            )}
+          </g>
+          <circle className="sky-chart-horizon" cx={half} cy={half} r={half} strokeWidth={px(1.5)} />
+          {sky.cardinals.map(point => (
+            <text
+              key={point.label}
+              className="sky-chart-cardinal"
+              x={point.x + (point.x - half) / half * px(10)}
+              y={point.y + (point.y - half) / half * px(10) + px(4)}
+              fontSize={px(12)}
+            >
+              {point.label}
+            </text>
+          ))}
+          {hovered && (
+            <text className="sky-chart-hover" x={hovered.x} y={hovered.y - px(9)} fontSize={px(12)} strokeWidth={px(3)}>
+              {hovered.label}
+            </text>
+          )}
+        </g>
+      </svg>
+      <p className="result-time mt-1">
+        Above {formatLocation(location)} on {sky.date} at {sky.localTime} ({sky.timeZone.replace(/_/g, ' ')}), looking up
+        with north at the top: {sky.stars.length} stars above the horizon
+        {sky.skyState === SKY_STATES.DAY && ', hidden by daylight at the time'}
+        {sky.skyState === SKY_STATES.TWILIGHT && ', the brightest showing in twilight'}
+        {hiddenBodies.length > 0 && ` • Below the horizon: ${hiddenBodies.join(', ')}`}
+      </p>
+    </div>
+  );
+}
 
 /**
  * COSMIC BIRTHDAY FINDER
@@ -22,13 +304,19 @@ import eclipseData from './data/eclipse-data-1960-2100.json';
  */
 
 function App() {
-  // Log data loading status
-  console.log('✅ Moon phase database loaded:', moonPhaseData?.metadata?.totalPhases || 0, 'phases');
-  console.log('✅ Eclipse database loaded:', eclipseData?.metadata?.totalEclipses || 0, 'eclipses');
-
   // State management
   const [birthDate, setBirthDate] = useState('');
   const [displayDate, setDisplayDate] = useState(''); // For DD/MM/YYYY display
+  const [timeZone, setTimeZone] = useState(getDefaultTimeZone);
+  const [hemisphere, setHemisphere] = useState(HEMISPHERES.NORTH);
+  const [toleranceIndex, setToleranceIndex] = useState(0);
+  const [leapDayPolicy, setLeapDayPolicy] = useState(LEAP_DAY_POLICIES.LEAP_YEARS_ONLY);
+  const [birthTime, setBirthTime] = useState(''); // Optional "HH:MM", for the Moon at birth
+  const [latitude, setLatitude] = useState(''); // Optional location, for local eclipse visibility
+  const [longitude, setLongitude] = useState('');
+  const [visibleOnly, setVisibleOnly] = useState(false);
+  const [mappedEclipse, setMappedEclipse] = useState(null); // Eclipse whose world map is open
+  const [highlightsOnly, setHighlightsOnly] = useState(false);
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -53,10 +341,9 @@ function App() {
     const month = digitsOnly.slice(2, 4);
     const year = digitsOnly.slice(4, 8);
     
-    // Basic validation
-    if (parseInt(day) < 1 || parseInt(day) > 31) return '';
-    if (parseInt(month) < 1 || parseInt(month) > 12) return '';
-    if (parseInt(year) < 1900 || parseInt(year) > 2100) return '';
+    // Calendar validation rejects dates such as 31/02 and 29/02 in common years
+    if (!isValidCalendarDate(parseInt(year, 10), parseInt(month, 10), parseInt(day, 10))) return '';
+    if (parseInt(year) < COMPUTED_START_YEAR || parseInt(year) > COMPUTED_END_YEAR) return '';
     
     return `${year}-${month}-${day}`;
   };
@@ -91,579 +378,410 @@ function App() {
     setBirthDate(standardDate);
   };
 
-  // ===========================================
-  // DATE PARSING HELPER FUNCTIONS
-  // ===========================================
-
-  // parseUSNODate function is defined later in the file
-
   /**
-   * Parse JSON moon phase data format: {year: 2024, month: 3, day: 25}
-   * @param {Object} phaseObj - Phase object from JSON data
-   * @returns {Date|null} - Parsed date object or null if invalid
+   * Fill the location from the browser's geolocation
    */
-  const parseJSONPhaseDate = (phaseObj) => {
-    try {
-      if (!phaseObj || !phaseObj.year || !phaseObj.month || !phaseObj.day) return null;
-      
-      const year = parseInt(phaseObj.year);
-      const month = parseInt(phaseObj.month) - 1; // JSON months are 1-12, Date months are 0-11
-      const day = parseInt(phaseObj.day);
-      
-      if (isNaN(year) || isNaN(month) || isNaN(day)) return null;
-      if (month < 0 || month > 11) return null;
-      
-      return new Date(year, month, day);
-    } catch (error) {
-      console.error('Error parsing JSON phase date:', phaseObj, error);
-      return null;
+  const fillCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Location is not available in this browser');
+      return;
     }
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLatitude(position.coords.latitude.toFixed(4));
+        setLongitude(position.coords.longitude.toFixed(4));
+      },
+      (geoError) => setError(`Could not read your location: ${geoError.message}`)
+    );
   };
 
+  // ===========================================
+  // MAIN EVENT HANDLER
+  // ===========================================
+
   /**
-   * Parse USNO Navy date format: "2024 Mar 25 03:00"
-   * @param {string} dateStr - Date string from USNO API
-   * @returns {Date|null} - Parsed date object or null if invalid
+   * Main function to find all cosmic events for the user's birthday
    */
-  const parseUSNODate = (dateStr) => {
-    try {
-      const monthMap = {
-        'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5,
-        'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11
-      };
-      
-      const parts = dateStr.trim().split(' ');
-      if (parts.length < 3) return null;
-      
-      const year = parseInt(parts[0]);
-      const month = monthMap[parts[1]];
-      const day = parseInt(parts[2]);
-      
-      if (isNaN(year) || month === undefined || isNaN(day)) return null;
-      
-      return new Date(year, month, day);
-    } catch (err) {
-      console.error('Error parsing USNO date:', dateStr, err);
-      return null;
+  const findCosmicEvents = () => {
+    if (!birthDate) {
+      setError('Please select your birth date');
+      return;
     }
-  };
 
-  /**
-   * Parse OPALE API date format (ISO string)
-   * @param {string} dateStr - ISO date string
-   * @returns {Date|null} - Parsed date object or null if invalid
-   */
-  const parseOPALEDate = (dateStr) => {
+    setLoading(true);
+    setError('');
+    setResults(null);
+    setMappedEclipse(null);
+
     try {
-      return new Date(dateStr);
+      // Uses the pre-fetched JSON data for instant results, or calculations as a fallback
+      const finalResults = searchCosmicEvents(birthDate, {
+        timeZone,
+        tolerance: TOLERANCE_OPTIONS[toleranceIndex].tolerance,
+        leapDayPolicy,
+        birthTime: birthTime || undefined,
+        hemisphere,
+        location: latitude || longitude ? { latitude, longitude } : undefined
+      });
+
+      setResults(finalResults);
     } catch (err) {
-      console.error('Error parsing OPALE date:', dateStr, err);
-      return null;
+      setError(`Error: ${err.message}`);
+    } finally {
+      setLoading(false);
     }
   };
 
-  /**
-   * Check if two dates have the same day and month (ignoring year)
-   * @param {Date} date1 - First date
-   * @param {Date} date2 - Second date
-   * @returns {boolean} - True if same day/month
-   */
-  const isSameDayMonth = (date1, date2) => {
-    return date1.getDate() === date2.getDate() && 
-           date1.getMonth() === date2.getMonth();
-  };
-
   // ===========================================
-  // REAL ASTRONOMICAL CALCULATIONS
+  // UI COMPONENTS
   // ===========================================
 
   /**
-   * Calculate moon phases using astronomical formulas
-   * This provides real data without needing external APIs
+   * Headline card for the Moon at the moment of birth
+   * @param {Object} props - {moon} from the results' birthMoon
    */
-  const calculateMoonPhases = (year) => {
-    const phases = [];
-    
-    // Approximate lunar cycle is 29.53 days
-    const lunarCycle = 29.530588853;
-    
-    // Known new moon reference: January 6, 2000, 18:14 UTC
-    const referenceNewMoon = new Date(2000, 0, 6, 18, 14).getTime();
-    
-    // Calculate phases for the year
-    const startOfYear = new Date(year, 0, 1).getTime();
-    const endOfYear = new Date(year, 11, 31).getTime();
-    
-    // Find first new moon of the year
-    let daysSinceReference = (startOfYear - referenceNewMoon) / (1000 * 60 * 60 * 24);
-    let cyclesSinceReference = Math.floor(daysSinceReference / lunarCycle);
-    
-    // Calculate all lunar phases for the year
-    for (let cycle = cyclesSinceReference; cycle < cyclesSinceReference + 15; cycle++) {
-      const newMoonTime = referenceNewMoon + (cycle * lunarCycle * 24 * 60 * 60 * 1000);
-      const fullMoonTime = newMoonTime + (lunarCycle / 2 * 24 * 60 * 60 * 1000);
-      
-      // Add new moon if it's in our year
-      if (newMoonTime >= startOfYear && newMoonTime <= endOfYear) {
-        const newMoonDate = new Date(newMoonTime);
-        phases.push({
-          date: formatDateUSNO(newMoonDate),
-          phase: 'New Moon',
-          time: newMoonDate.toISOString()
-        });
-      }
-      
-      // Add full moon if it's in our year
-      if (fullMoonTime >= startOfYear && fullMoonTime <= endOfYear) {
-        const fullMoonDate = new Date(fullMoonTime);
-        phases.push({
-          date: formatDateUSNO(fullMoonDate),
-          phase: 'Full Moon',
-          time: fullMoonDate.toISOString()
-        });
-      }
-    }
-    
-    return phases.sort((a, b) => new Date(a.time) - new Date(b.time));
-  };
+  const BirthMoonCard = ({ moon }) => (
+    <div className="birth-moon-card">
+      <div className="result-card-title">
+        <Moon className="icon" style={{color: 'var(--yellow-300)'}} />
+        <h3>The Moon When You Were Born</h3>
+      </div>
+      <p className="birth-moon-label">{moon.label}</p>
+      <div className="birth-moon-bar">
+        <div style={{width: `${Math.round(moon.illumination * 100)}%`}} />
+      </div>
+      <div className="birth-moon-details">
+        <span>{moon.waxing ? 'Waxing' : 'Waning'}</span>
+        <span>{moon.ageDays.toFixed(1)} days old</span>
+        <span>Phase angle {moon.phaseAngle.toFixed(1)}°</span>
+        <span>{moon.date} {moon.localTime}</span>
+      </div>
+    </div>
+  );
 
   /**
-   * Format date to match USNO format for compatibility
+   * Format a "YYYY-MM-DD" or "MM-DD" date as day and month
+   * @param {string} date - Date string
+   * @returns {string} - e.g. "29 Nov"
    */
-  const formatDateUSNO = (date) => {
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                   'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    return `${date.getFullYear()} ${months[date.getMonth()]} ${date.getDate().toString().padStart(2, '0')} ${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+  const formatDayMonth = (date) => {
+    const [month, day] = date.split('-').slice(-2).map(Number);
+    return `${day} ${MONTH_NAMES[month - 1]}`;
   };
 
   /**
-   * Calculate eclipse data using astronomical formulas
-   * This approximates eclipse occurrences based on lunar nodes
+   * The Sun's and Moon's constellations at birth, and the Sun's path through the constellations that year
+   * @param {Object} props - {birth} from the results' birthConstellations
    */
-  const calculateEclipses = (year) => {
-    const eclipses = [];
-    
-    // Eclipse seasons occur roughly every 173.3 days (about 6 months)
-    // They happen near lunar nodes when Sun, Earth, and Moon align
-    
-    // Approximate eclipse opportunities (simplified calculation)
-    const eclipseSeasons = [
-      { month: 1, probability: 0.3, type: 'Lunar' },
-      { month: 3, probability: 0.2, type: 'Solar' },
-      { month: 6, probability: 0.4, type: 'Solar' },
-      { month: 7, probability: 0.3, type: 'Lunar' },
-      { month: 9, probability: 0.2, type: 'Solar' },
-      { month: 12, probability: 0.3, type: 'Lunar' }
-    ];
-    
-    // Check for potential eclipses based on lunar node cycles
-    const lunarNodeCycle = 18.6; // years
-    const yearInCycle = year % lunarNodeCycle;
-    
-    eclipseSeasons.forEach(season => {
-      // Higher probability during certain years in the node cycle
-      const adjustedProbability = season.probability * (1 + Math.sin(yearInCycle * Math.PI / 9.3));
-      
-      if (Math.random() < adjustedProbability) {
-        // Generate eclipse date within the season
-        const day = Math.floor(Math.random() * 28) + 1;
-        const eclipseDate = new Date(year, season.month - 1, day);
-        
-        eclipses.push({
-          date: eclipseDate.toISOString(),
-          type: `${season.type} Eclipse`,
-          description: `${season.type} Eclipse - ${getEclipseDescription(season.type, eclipseDate)}`
-        });
-      }
-    });
-    
-    return eclipses;
-  };
+  const BirthConstellationsCard = ({ birth }) => {
+    const { sun, moon, stay, tropicalSign } = birth;
+    const signFor = (abbreviation) => TROPICAL_SIGNS.find(sign => sign.constellation === abbreviation);
+    const namesake = birth.sunConstellations.find(entry => entry.abbreviation === tropicalSign.constellation);
 
-  /**
-   * Generate eclipse description
-   */
-  const getEclipseDescription = (type, date) => {
-    const descriptions = {
-      'Solar': [
-        'Partial Solar Eclipse visible from your region',
-        'Total Solar Eclipse - rare celestial event',
-        'Annular Solar Eclipse - ring of fire effect'
-      ],
-      'Lunar': [
-        'Total Lunar Eclipse - blood moon event',
-        'Partial Lunar Eclipse visible worldwide',
-        'Penumbral Lunar Eclipse - subtle shadow'
-      ]
-    };
-    
-    const typeDescriptions = descriptions[type] || ['Eclipse event'];
-    const index = date.getMonth() % typeDescriptions.length;
-    return typeDescriptions[index];
+    return (
+      <div className="constellations-card">
+        <div className="result-card-title">
+          <Sun className="icon" style={{color: 'var(--orange-300)'}} />
+          <h3>Sun and Moon Constellations</h3>
+        </div>
+        <p className="constellations-headline">{birth.description}</p>
+        <div className="birth-moon-details">
+          <span>Sun in {sun.name} {formatDayMonth(stay.start.date)} – {formatDayMonth(stay.end.date)}</span>
+          <span>Moon in {moon.name}</span>
+          <span>{birth.date} {birth.localTime}{birth.timeGiven ? '' : ' (noon; add a birth time for the Moon)'}</span>
+        </div>
+        <p className="result-time mt-1">
+          {tropicalSign.name} runs {formatDayMonth(tropicalSign.start)} – {formatDayMonth(tropicalSign.end)} by the
+          sign dates, but the Sun reached {namesake.name} {Math.abs(tropicalSign.shiftDays)} days
+          {tropicalSign.shiftDays < 0 ? ' before' : ' after'} that in {birth.year}
+        </p>
+        <div className="lifetime-scroll">
+          <table className="lifetime-table">
+            <thead>
+              <tr>
+                <th>Constellation</th>
+                <th>Sun's dates in {birth.year}</th>
+                <th>Days</th>
+                <th>Sign dates</th>
+              </tr>
+            </thead>
+            <tbody>
+              {birth.sunConstellations.map(entry => {
+                const sign = signFor(entry.abbreviation);
+                return (
+                  <tr key={entry.start.utc} className={entry === stay ? 'highlight constellation' : ''}>
+                    <td>{entry.name}</td>
+                    <td>{formatDayMonth(entry.start.date)} – {formatDayMonth(entry.end.date)}</td>
+                    <td>{entry.days.toFixed(1)}</td>
+                    <td>{sign ? `${sign.name} ${formatDayMonth(sign.start)} – ${formatDayMonth(sign.end)}` : 'No sign'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <p className="result-time mt-1">
+          IAU constellation boundaries; the Sun enters each constellation on the first date and leaves on the second
+        </p>
+      </div>
+    );
   };
 
   /**
-   * Process pre-fetched JSON data for astronomical events
-   * This uses the comprehensive 1960-2100 data from fetch-moon-data.js
+   * Age in the years of the other planets, the next planetary birthdays, and the Jupiter and Saturn returns
+   * @param {Object} props - {planetary} from the results' planetaryBirthdays, null for a birth still to come
    */
-  const processJSONAstronomicalData = (birthDate) => {
-    console.log('🔍 Starting processJSONAstronomicalData...');
-    
-    if (!moonPhaseData || !moonPhaseData.moonPhases) {
-      console.error('❌ Moon phase data not available');
-      throw new Error('Moon phase data not available');
-    }
-
-    const birth = new Date(birthDate);
-    const birthYear = birth.getFullYear(); // Get the birth year for filtering
-    const birthMonth = birth.getMonth() + 1; // 1-12
-    const birthDay = birth.getDate();
-    
-    console.log(`📅 Processing data for birthday: ${birthMonth}/${birthDay} starting from year ${birthYear}`);
-    
-    const fullMoonYears = [];
-    const newMoonYears = [];
-    const firstQuarterYears = [];
-    const lastQuarterYears = [];
-    
-    let processedYears = 0;
-    let processedPhases = 0;
-    
-    try {
-      // Process each year's moon phase data
-      Object.entries(moonPhaseData.moonPhases).forEach(([year, yearData]) => {
-        if (!yearData.success || !yearData.phases) return;
-        
-        const yearNum = parseInt(year);
-        
-        // Skip years before the birth year - this is the key fix!
-        if (yearNum < birthYear) return;
-        
-        processedYears++;
-        
-        yearData.phases.forEach(phase => {
-          processedPhases++;
-          
-          const phaseDate = parseJSONPhaseDate(phase);
-          if (!phaseDate) return;
-          
-          const phaseMonth = phaseDate.getMonth() + 1;
-          const phaseDay = phaseDate.getDate();
-          
-          // Check if this phase matches the user's birthday (month and day)
-          if (phaseMonth === birthMonth && phaseDay === birthDay) {
-            
-            switch (phase.phase) {
-              case 'Full Moon':
-                fullMoonYears.push(yearNum);
-                break;
-              case 'New Moon':
-                newMoonYears.push(yearNum);
-                break;
-              case 'First Quarter':
-                firstQuarterYears.push(yearNum);
-                break;
-              case 'Last Quarter':
-              case 'Third Quarter':
-                lastQuarterYears.push(yearNum);
-                break;
-              default:
-                // Unknown phase type - skip
-                break;
-            }
-          }
-        });
-      });
-      
-      console.log(`✅ Processed ${processedYears} years from ${birthYear} onward, ${processedPhases} phases`);
-      
-      // Sort arrays (should already be sorted since we're processing chronologically)
-      fullMoonYears.sort((a, b) => a - b);
-      newMoonYears.sort((a, b) => a - b);
-      firstQuarterYears.sort((a, b) => a - b);
-      lastQuarterYears.sort((a, b) => a - b);
-      
-      // Calculate statistics
-      const totalPhases = moonPhaseData.metadata?.totalPhases || 0;
-      
-      console.log(`📊 Found matches:`, {
-        fullMoon: fullMoonYears.length,
-        newMoon: newMoonYears.length,
-        firstQuarter: firstQuarterYears.length,
-        lastQuarter: lastQuarterYears.length
-      });
-      
-      // Process eclipse data with year filtering
-      let eclipses = [];
-      try {
-        eclipses = processEclipseData(birthDate, birthYear);
-        console.log(`🌒 Found ${eclipses.length} eclipse matches from ${birthYear} onward`);
-      } catch (eclipseError) {
-        console.warn('⚠️ Eclipse processing failed:', eclipseError.message);
-        eclipses = [];
-      }
-      
-      return {
-        fullMoon: fullMoonYears,
-        newMoon: newMoonYears,
-        firstQuarter: firstQuarterYears,
-        lastQuarter: lastQuarterYears,
-        eclipses: eclipses,
-        searchRange: `${birthYear} - ${moonPhaseData.metadata?.endYear}`,
-        note: `Processed ${totalPhases.toLocaleString()} moon phases from comprehensive astronomical database (showing events from your birth year onward)`,
-        dataSource: "USNO Naval Observatory (pre-fetched)"
-      };
-      
-    } catch (error) {
-      console.error('💥 Error in processJSONAstronomicalData:', error);
-      throw error;
-    }
-  };
+  const PlanetaryBirthdaysCard = ({ planetary }) => (
+    <div className="planetary-card">
+      <div className="result-card-title">
+        <Orbit className="icon" style={{color: 'var(--cyan-300)'}} />
+        <h3>Your Age on Other Planets</h3>
+      </div>
+      {planetary ? (
+        <>
+          <div className="lifetime-scroll">
+            <table className="lifetime-table">
+              <thead>
+                <tr>
+                  <th>Planet</th>
+                  <th>Age</th>
+                  <th>Next birthdays</th>
+                </tr>
+              </thead>
+              <tbody>
+                {planetary.ages.map(entry => (
+                  <tr key={entry.planet}>
+                    <td>{entry.planet}</td>
+                    <td>{entry.age.toFixed(2)}</td>
+                    <td>
+                      {entry.upcoming.map(birthday => `${birthday.number}: ${birthday.date}`).join(' • ')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="lifetime-scroll">
+            <table className="lifetime-table">
+              <thead>
+                <tr>
+                  <th>Return</th>
+                  <th>Date</th>
+                  <th>Your age</th>
+                </tr>
+              </thead>
+              <tbody>
+                {planetary.returns.map(entry => (
+                  <tr key={`${entry.planet}-${entry.number}`} className={entry.upcoming ? 'highlight planetary' : ''}>
+                    <td>{entry.planet} #{entry.number}</td>
+                    <td>{entry.date}</td>
+                    <td>{entry.age.toFixed(1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="result-time mt-1">
+            Ages count orbits of the Sun since you were born; a return is the planet coming back to where it was
+            around the Sun at your birth. Returns still to come are highlighted.
+          </p>
+        </>
+      ) : (
+        <p className="result-time mt-1">
+          Your birth date is still to come, so there are no planetary ages or returns to count yet
+        </p>
+      )}
+    </div>
+  );
 
   /**
-   * Process eclipse data from pre-fetched JSON
+   * Download the upcoming dates in the results as an iCalendar file
    */
-  const processEclipseData = (birthDate, birthYear = null) => {
-    if (!eclipseData || (!eclipseData.solarEclipses && !eclipseData.lunarEclipses)) {
-      return [];
-    }
-
-    const birth = new Date(birthDate);
-    const filterYear = birthYear || birth.getFullYear(); // Use provided birth year or extract from date
-    const birthMonth = birth.getMonth() + 1; // 1-12
-    const birthDay = birth.getDate();
-    
-    const matchingEclipses = [];
-    
-    // Helper function to extract eclipse type from NASA description
-    const extractEclipseType = (description, eclipseCategory) => {
-      if (eclipseCategory === 'solar') {
-        if (description.includes('   T   ')) return 'Total Solar Eclipse';
-        if (description.includes('   A   ')) return 'Annular Solar Eclipse';
-        if (description.includes('   P   ')) return 'Partial Solar Eclipse';
-        if (description.includes('   H   ')) return 'Hybrid Solar Eclipse';
-        return 'Solar Eclipse';
-      } else if (eclipseCategory === 'lunar') {
-        if (description.includes('   T-  ') || description.includes('   T+  ')) return 'Total Lunar Eclipse';
-        if (description.includes('   P   ')) return 'Partial Lunar Eclipse';
-        if (description.includes('   N   ')) return 'Penumbral Lunar Eclipse';
-        return 'Lunar Eclipse';
-      }
-      return `${eclipseCategory.charAt(0).toUpperCase()}${eclipseCategory.slice(1)} Eclipse`;
-    };
-    
-    // Process solar eclipses
-    if (eclipseData.solarEclipses) {
-      eclipseData.solarEclipses.forEach(eclipse => {
-        // Filter by birth year and birthday match
-        if (eclipse.year >= filterYear && eclipse.month === birthMonth && eclipse.day === birthDay) {
-          const eclipseType = extractEclipseType(eclipse.description || '', 'solar');
-          matchingEclipses.push({
-            year: eclipse.year,
-            type: eclipseType,
-            category: 'Solar',
-            description: `${eclipseType} on your birthday`,
-            date: eclipse.date,
-            rawDescription: eclipse.description
-          });
-        }
-      });
-    }
-    
-    // Process lunar eclipses
-    if (eclipseData.lunarEclipses) {
-      eclipseData.lunarEclipses.forEach(eclipse => {
-        // Filter by birth year and birthday match
-        if (eclipse.year >= filterYear && eclipse.month === birthMonth && eclipse.day === birthDay) {
-          const eclipseType = extractEclipseType(eclipse.description || '', 'lunar');
-          matchingEclipses.push({
-            year: eclipse.year,
-            type: eclipseType,
-            category: 'Lunar',
-            description: `${eclipseType} on your birthday`,
-            date: eclipse.date,
-            rawDescription: eclipse.description
-          });
-        }
-      });
-    }
-    
-    return matchingEclipses.sort((a, b) => a.year - b.year);
+  const exportUpcomingDates = () => {
+    const calendar = buildICalendar(collectUpcomingEvents(results));
+    const url = URL.createObjectURL(new Blob([calendar], { type: 'text/calendar' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'cosmic-birthday.ics';
+    link.click();
+    // Revoking at once can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
   };
 
   /**
-   * Fetch real astronomical data efficiently (FALLBACK)
-   * Uses client-side calculations for instant results
+   * Year-by-year table of the Moon on each birthday, with principal-phase matches highlighted
+   * @param {Object} props - {rows} from the results' lifetimeMoon
    */
-  const fetchRealAstronomicalData = async (birthDate) => {
-    const birth = new Date(birthDate);
-    const birthYear = birth.getFullYear();
-    const currentYear = new Date().getFullYear();
-    
-    // Reasonable search range: 20 years around current year
-    const startYear = Math.max(birthYear, currentYear - 10);
-    const endYear = Math.min(currentYear + 10, birthYear + 20);
-    
-    console.log(`Calculating real astronomical data from ${startYear} to ${endYear}`);
-    
-    const allMoonPhases = [];
-    const allEclipses = [];
-    
-    // Calculate data for each year
-    for (let year = startYear; year <= endYear; year++) {
-      const moonPhases = calculateMoonPhases(year);
-      const eclipses = calculateEclipses(year);
-      
-      allMoonPhases.push(...moonPhases);
-      allEclipses.push(...eclipses);
-    }
-    
-    // Process the calculated data
-    const moonResults = processMoonPhases(allMoonPhases, birth);
-    const eclipseResults = processEclipses([], allEclipses, birth);
-    
-    return {
-      fullMoon: moonResults.fullMoon,
-      newMoon: moonResults.newMoon,
-      eclipses: eclipseResults,
-      searchRange: `${startYear} - ${endYear}`,
-      note: "Real astronomical calculations based on lunar cycles and eclipse patterns"
+  const LifetimeMoonTable = ({ rows }) => {
+    const highlightClass = {
+      'Full Moon': 'full-moon',
+      'New Moon': 'new-moon',
+      'First Quarter': 'quarter',
+      'Last Quarter': 'quarter'
     };
-  };
+    const shown = highlightsOnly ? rows.filter(row => row.highlights.length > 0) : rows;
 
-  // ===========================================
-  // DATA PROCESSING FUNCTIONS
-  // ===========================================
+    return (
+      <div className="lifetime-card">
+        <div className="result-card-header">
+          <div className="result-card-title">
+            <Moon className="icon" />
+            <h3>Your Birthday Moon, Year by Year</h3>
+          </div>
+          <label className="lifetime-toggle">
+            <input
+              type="checkbox"
+              checked={highlightsOnly}
+              onChange={(e) => setHighlightsOnly(e.target.checked)}
+            />
+            Highlights only
+          </label>
+        </div>
+        <div className="lifetime-scroll">
+          <table className="lifetime-table">
+            <thead>
+              <tr>
+                <th>Year</th>
+                <th>Phase</th>
+                <th>Illumination</th>
+                <th>Age</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(row => (
+                <tr key={row.year} className={row.highlights.length ? `highlight ${highlightClass[row.highlights[0]]}` : ''}>
+                  <td>{row.year}</td>
+                  <td>
+                    {row.phaseName}
+                    {row.highlights.length > 0 && <span className="lifetime-star" title={row.highlights.join(', ')}>★</span>}
+                  </td>
+                  <td>{Math.round(row.illumination * 100)}%</td>
+                  <td>{row.ageDays.toFixed(1)} d</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="result-time mt-1">
+          Read at {rows[0]?.localTime} local time on each birthday; ★ marks a principal phase that day
+        </p>
+      </div>
+    );
+  };
 
   /**
-   * Process moon phases to find matching birthdays
-   * @param {Array} phases - Array of moon phase data
-   * @param {Date} birthDate - User's birth date
-   * @returns {Object} - Object with fullMoon and newMoon arrays
+   * Format minutes as hours and minutes
+   * @param {number} minutes - Duration in minutes
+   * @returns {string} - e.g. "14 h 05 m"
    */
-  const processMoonPhases = (phases, birthDate) => {
-    const fullMoonYears = [];
-    const newMoonYears = [];
-    
-    phases.forEach(phase => {
-      const phaseDate = parseUSNODate(phase.date);
-      if (phaseDate && isSameDayMonth(phaseDate, birthDate)) {
-        const year = phaseDate.getFullYear();
-        
-        if (phase.phase === 'Full Moon' && !fullMoonYears.includes(year)) {
-          fullMoonYears.push(year);
-        } else if (phase.phase === 'New Moon' && !newMoonYears.includes(year)) {
-          newMoonYears.push(year);
-        }
-      }
-    });
-    
-    return {
-      fullMoon: fullMoonYears.sort((a, b) => a - b),
-      newMoon: newMoonYears.sort((a, b) => a - b)
-    };
-  };
+  const formatDuration = (minutes) => `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} m`;
 
   /**
-   * Process eclipses to find matching birthdays
-   * @param {Array} solarEclipses - Array of solar eclipse data
-   * @param {Array} lunarEclipses - Array of lunar eclipse data
-   * @param {Date} birthDate - User's birth date
-   * @returns {Array} - Array of eclipse events matching birthday
+   * Dawn and dusk of one twilight as a range
+   * @param {Object} twilight - {dawn, dusk}, each {localTime} or null
+   * @returns {string} - e.g. "04:51–21:04", with a dash for a missing time
    */
-  const processEclipses = (solarEclipses, lunarEclipses, birthDate) => {
-    const eclipseEvents = [];
-    
-    // Process solar eclipses
-    solarEclipses.forEach(eclipse => {
-      const eclipseDate = parseOPALEDate(eclipse.date);
-      if (eclipseDate && isSameDayMonth(eclipseDate, birthDate)) {
-        eclipseEvents.push({
-          year: eclipseDate.getFullYear(),
-          type: 'Solar Eclipse',
-          description: eclipse.description || eclipse.type || 'Solar Eclipse',
-          date: eclipseDate
-        });
-      }
-    });
-    
-    // Process lunar eclipses
-    lunarEclipses.forEach(eclipse => {
-      const eclipseDate = parseOPALEDate(eclipse.date);
-      if (eclipseDate && isSameDayMonth(eclipseDate, birthDate)) {
-        eclipseEvents.push({
-          year: eclipseDate.getFullYear(),
-          type: 'Lunar Eclipse',
-          description: eclipse.description || eclipse.type || 'Lunar Eclipse',
-          date: eclipseDate
-        });
-      }
-    });
-    
-    // Remove duplicates and sort by year
-    const uniqueEvents = eclipseEvents.filter((event, index, self) => 
-      index === self.findIndex(e => e.year === event.year && e.type === event.type)
-    );
-    
-    return uniqueEvents.sort((a, b) => a.year - b.year);
-  };
-
-  // ===========================================
-  // MAIN EVENT HANDLER
-  // ===========================================
+  const formatTwilight = ({ dawn, dusk }) => `${dawn?.localTime || '—'}–${dusk?.localTime || '—'}`;
 
   /**
-   * Main function to find all cosmic events for the user's birthday
+   * Year-by-year table of sunrise, sunset, day length and twilight on each birthday at the location
+   * @param {Object} props - {rows} from the results' birthdaySky, and the {location} they were computed for
    */
-  const findCosmicEvents = async () => {
-    if (!birthDate) {
-      setError('Please select your birth date');
-      return;
-    }
+  const BirthdaySkyTable = ({ rows, location }) => {
+    const summary = summarizeBirthdaySky(rows);
+    const polarLabel = { 'midnight-sun': 'Midnight sun', 'polar-night': 'Polar night' };
 
-    setLoading(true);
-    setError('');
-    setResults(null);
-
-    try {
-      console.log('Processing astronomical data...');
-
-      let finalResults;
-
-      // Use pre-fetched JSON data for instant results!
-      if (moonPhaseData) {
-        console.log('Using comprehensive pre-fetched astronomical database...');
-        finalResults = processJSONAstronomicalData(birthDate);
-      } else {
-        console.log('Falling back to calculations...');
-        finalResults = await fetchRealAstronomicalData(birthDate);
-      }
-
-      console.log('Final results:', finalResults);
-      setResults(finalResults);
-
-    } catch (err) {
-      console.error('Error finding cosmic events:', err);
-      setError(`Error: ${err.message}`);
-    } finally {
-      setLoading(false);
-    }
+    return (
+      <div className="lifetime-card">
+        <div className="result-card-header">
+          <div className="result-card-title">
+            <Sunrise className="icon" />
+            <h3>Your Birthday Sky at {formatLocation(location)}</h3>
+          </div>
+        </div>
+        {summary && (
+          <ul className="birthday-sky-summary">
+            {summary.earliestSunrise && (
+              <li>
+                Sunrise from {summary.earliestSunrise.localTime} ({summary.earliestSunrise.year})
+                {' '}to {summary.latestSunrise.localTime} ({summary.latestSunrise.year})
+              </li>
+            )}
+            {summary.earliestSunset && (
+              <li>
+                Sunset from {summary.earliestSunset.localTime} ({summary.earliestSunset.year})
+                {' '}to {summary.latestSunset.localTime} ({summary.latestSunset.year})
+              </li>
+            )}
+            <li>
+              Days from {formatDuration(summary.shortestDay.dayLengthMinutes)} ({summary.shortestDay.year})
+              {' '}to {formatDuration(summary.longestDay.dayLengthMinutes)} ({summary.longestDay.year})
+            </li>
+          </ul>
+        )}
+        <div className="lifetime-scroll">
+          <table className="lifetime-table">
+            <thead>
+              <tr>
+                <th>Year</th>
+                <th>Sunrise</th>
+                <th>Sunset</th>
+                <th>Day length</th>
+                <th>Civil</th>
+                <th>Nautical</th>
+                <th>Astronomical</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.year}>
+                  <td>{row.year}</td>
+                  {row.polar ? (
+                    <td colSpan={2}>{polarLabel[row.polar]}</td>
+                  ) : (
+                    <>
+                      <td>{row.sunrise?.localTime || '—'}</td>
+                      <td>{row.sunset?.localTime || '—'}</td>
+                    </>
+                  )}
+                  <td>
+                    {formatDuration(row.dayLengthMinutes)}
+                    {row.dayLengthChange !== 0 && (
+                      <span className="birthday-sky-change">
+                        {row.dayLengthChange > 0 ? '+' : '−'}{Math.abs(row.dayLengthChange)} m
+                      </span>
+                    )}
+                  </td>
+                  <td>{formatTwilight(row.twilight.civil)}</td>
+                  <td>{formatTwilight(row.twilight.nautical)}</td>
+                  <td>{formatTwilight(row.twilight.astronomical)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="result-time mt-1">
+          Local times on each birthday; twilight runs from dawn to dusk, and day length changes
+          are against your first birthday
+        </p>
+      </div>
+    );
   };
 
-  // ===========================================
-  // UI COMPONENTS
-  // ===========================================
-
   /**
    * Result Card Component
    * @param {Object} props - Component props
    */
-  const ResultCard = ({ title, icon: Icon, children, count, colorType = 'purple' }) => {
+  const ResultCard = ({ title, icon: Icon, children, count, nearCount, colorType = 'purple' }) => {
     const getIconColorClass = (type) => {
       switch(type) {
         case 'yellow': return 'result-year full-moon';
         case 'blue': return 'result-year new-moon';
         case 'orange': return 'result-year eclipse';
+        case 'green': return 'result-year seasonal';
+        case 'pink': return 'result-year meteor';
+        case 'red': return 'result-year planet';
+        case 'cyan': return 'result-year approach';
         default: return 'result-year';
       }
     };
@@ -679,7 +797,7 @@ function App() {
           </div>
           {count !== undefined && (
             <span className="result-card-count">
-              {count} events
+              {count} events{nearCount ? ` + ${nearCount} near` : ''}
             </span>
           )}
         </div>
@@ -689,7 +807,276 @@ function App() {
   };
 
   /**
-   * Animated Star Component
+   * Marks events calculated outside the years the bundled databases cover
+   * @param {Object} props - Component props
+   */
+  const SourceBadge = ({ source }) => (
+    source === SOURCE_COMPUTED ? (
+      <span className="result-source" title="Calculated with Meeus lunar theory">computed</span>
+    ) : null
+  );
+
+  /**
+   * Marks Full and New Moons near perigee or apogee, with their distance and apparent size
+   * @param {Object} props - Component props
+   */
+  const MoonSizeBadge = ({ match }) => {
+    if (!match.moonSize) return null;
+
+    const sign = match.sizeDifferencePercent > 0 ? '+' : '';
+    return (
+      <span
+        className={`result-moon-size ${match.moonSize}`}
+        title="Earth-Moon distance, and apparent size against the Moon at its mean distance"
+      >
+        {match.moonSize === MOON_SIZES.SUPERMOON ? 'Supermoon' : 'Micromoon'}
+        {` ${match.distanceKm.toLocaleString()} km, ${sign}${match.sizeDifferencePercent}% size`}
+      </span>
+    );
+  };
+
+  /**
+   * Names a full moon and marks blue moons, or marks a new moon that is a black moon
+   * @param {Object} props - Component props
+   */
+  const MoonLabelBadge = ({ match }) => {
+    const extra = match.blueMoon || match.blackMoon;
+    return (
+      <>
+        {match.moonName && <span className="result-moon-name">{match.moonName}</span>}
+        {extra && (
+          <span className={`result-moon-extra ${match.blueMoon ? 'blue-moon' : 'black-moon'}`}>
+            {match.blueMoon ? 'Blue Moon' : 'Black Moon'} ({extra})
+          </span>
+        )}
+      </>
+    );
+  };
+
+  /**
+   * Moonrise, transit and moonset on a Full or New Moon birthday at the user's location
+   * @param {Object} props - Component props
+   */
+  const MoonTimes = ({ local, date }) => {
+    if (!local) return null;
+
+    const at = (event) => (event.date === date ? event.localTime : `${event.localTime} next day`);
+    const times = [];
+    if (local.moonrise) times.push(`rises ${local.moonrise.localTime}`);
+    if (local.transit && local.maxAltitude > 0) times.push(`highest ${Math.round(local.maxAltitude)}° at ${at(local.transit)}`);
+    if (local.moonset) times.push(`sets ${local.moonset.localTime}`);
+    if (!local.moonrise && !local.moonset) times.push(local.maxAltitude > 0 ? 'up all day' : 'below the horizon all day');
+
+    return (
+      <p className={`moon-times${local.moonUp ? '' : ' below-horizon'}`}>
+        From your location: {times.join(' • ')}
+        {` (${local.moonUp ? 'up' : 'below the horizon'} at the exact phase)`}
+      </p>
+    );
+  };
+
+  /**
+   * Catalog details of an eclipse: Saros series, gamma, magnitude and duration
+   * @param {Object} props - Component props
+   */
+  const EclipseDetails = ({ eclipse }) => {
+    const details = [];
+    if (eclipse.saros && !eclipse.sarosSeries) details.push(`Saros ${eclipse.saros}`);
+    if (eclipse.gamma != null) details.push(`Gamma ${eclipse.gamma.toFixed(4)}`);
+    if (eclipse.magnitude != null) details.push(`Magnitude ${eclipse.magnitude.toFixed(4)}`);
+    if (eclipse.centralDurationSeconds) {
+      const minutes = Math.floor(eclipse.centralDurationSeconds / 60);
+      details.push(`${eclipse.eclipseType === 'Annular' ? 'Annularity' : 'Totality'} ${minutes}m ${eclipse.centralDurationSeconds % 60}s`);
+    }
+    if (eclipse.durationMinutes?.total) details.push(`Totality ${Math.round(eclipse.durationMinutes.total)} min`);
+    else if (eclipse.durationMinutes?.partial) details.push(`Partial phase ${Math.round(eclipse.durationMinutes.partial)} min`);
+
+    return details.length ? <p className="result-time mt-1">{details.join(' • ')}</p> : null;
+  };
+
+  /**
+   * Visibility badges: one for a solar eclipse, one per phase of a lunar eclipse
+   * @param {Object} props - Component props
+   */
+  const VisibilityBadges = ({ local }) => {
+    if (!local) return null;
+    if (!local.phases) {
+      return (
+        <span className={`visibility-badge ${local.visible ? 'seen' : 'unseen'}`}>
+          {local.visible ? 'Visible' : 'Not visible'}
+        </span>
+      );
+    }
+
+    return Object.entries(local.phases)
+      .filter(([, visible]) => visible !== null)
+      .map(([phase, visible]) => (
+        <span
+          key={phase}
+          className={`visibility-badge ${visible ? 'seen' : 'unseen'}`}
+          title={`Moon ${visible ? 'above' : 'below'} the horizon during the ${phase} phase`}
+        >
+          {phase.charAt(0).toUpperCase() + phase.slice(1)} {visible ? '✓' : '✗'}
+        </span>
+      ));
+  };
+
+  /**
+   * How an eclipse looked from the user's location
+   * @param {Object} props - Component props
+   */
+  const LocalVisibility = ({ local }) => {
+    if (!local) return null;
+    if (local.contacts) {
+      return (
+        <p className={`eclipse-visibility${local.visible ? '' : ' hidden-eclipse'}`}>
+          {local.visible ? 'From your location: ' : 'Moon below your horizon: '}
+          {local.contacts.map(contact => (
+            <span
+              key={contact.contact}
+              className={`eclipse-contact${contact.moonUp ? '' : ' below-horizon'}`}
+              title={`${contact.label}, Moon at ${contact.moonAltitude}°`}
+            >
+              {contact.contact} {contact.localTime}
+            </span>
+          ))}
+        </p>
+      );
+    }
+    if (!local.visible) {
+      return (
+        <p className="eclipse-visibility hidden-eclipse">
+          Not visible from your location ({local.eclipsed ? 'the Sun was below the horizon' : "outside the Moon's shadow"})
+        </p>
+      );
+    }
+
+    return (
+      <p className="eclipse-visibility">
+        {local.localType} from your location: {Math.round(local.obscuration * 100)}% of the Sun covered
+        {` • ${local.start.localTime} – ${local.maximum.localTime} – ${local.end.localTime}`}
+        {local.sunAltitude < 0 && ' (maximum after sunset or before sunrise)'}
+      </p>
+    );
+  };
+
+  /**
+   * Place of an eclipse in its Saros series, with the eclipses a saros before and after
+   * @param {Object} props - Component props
+   */
+  const SarosSeries = ({ series }) => {
+    if (!series) return null;
+    const describe = (member) => `${member.date} (${member.eclipseType})`;
+
+    return (
+      <div className="saros-series">
+        <p className="saros-series-title">
+          Saros {series.saros}: eclipse {series.member} of {series.count}, {series.first.date.slice(0, 4)}–{series.last.date.slice(0, 4)}
+        </p>
+        <p className="saros-series-neighbours">
+          {series.previous ? `Previous: ${describe(series.previous)}` : 'First in its series'}
+          {' • '}
+          {series.next ? `Next: ${describe(series.next)}` : 'Last in its series'}
+        </p>
+      </div>
+    );
+  };
+
+  /**
+   * World map of where an eclipse was seen, drawn from buildEclipseMap() paths
+   * @param {Object} props - Component props
+   */
+  const EclipseMap = ({ eclipse, map }) => (
+    <figure className="eclipse-map">
+      <svg viewBox={`0 0 ${map.width} ${map.height}`} role="img" aria-label={`Where the ${eclipse.type} of ${eclipse.date} was seen`}>
+        <rect className="eclipse-map-sea" width={map.width} height={map.height} />
+        <path className="eclipse-map-land" d={map.land} fillRule="evenodd" />
+        {map.zones.map(zone => (
+          <path key={zone.kind} className={`eclipse-map-zone ${zone.kind}`} d={zone.d} />
+        ))}
+        {map.centralLine.map((d, i) => (
+          <path key={i} className="eclipse-map-centre-line" d={d} />
+        ))}
+        {map.markers.map(marker => (
+          <circle key={marker.kind} className={`eclipse-map-marker ${marker.kind}`} cx={marker.x} cy={marker.y} r={marker.kind === 'location' ? 6 : 5}>
+            <title>{marker.label}</title>
+          </circle>
+        ))}
+      </svg>
+      <figcaption className="eclipse-map-legend">
+        {map.zones.map(zone => (
+          <span key={zone.kind}><i className={`eclipse-map-swatch ${zone.kind}`} />{zone.label}</span>
+        ))}
+        {map.markers.map(marker => (
+          <span key={marker.kind}><i className={`eclipse-map-swatch ${marker.kind}`} />{marker.label}</span>
+        ))}
+      </figcaption>
+    </figure>
+  );
+
+  /**
+   * Moonlight at a meteor shower's peak, as a rating badge
+   * @param {Object} props - Component props
+   */
+  const ViewingBadge = ({ viewing }) => (
+    <span
+      className={`viewing-badge ${viewing.rating}`}
+      title={`${viewing.moonPhase}, ${Math.round(viewing.moonIllumination * 100)}% lit`}
+    >
+      {viewing.rating.charAt(0).toUpperCase() + viewing.rating.slice(1)} viewing
+    </span>
+  );
+
+  /**
+   * Count exact matches and near misses for a result card
+   * @param {Array} matches - Matches from the engine
+   * @returns {{count: number, nearCount: number}} - ResultCard props
+   */
+  const countsOf = (matches) => {
+    const { exact, near } = groupMatches(matches);
+    return { count: exact.length, nearCount: near.length };
+  };
+
+  /**
+   * Lists exact birthday matches, then near misses under their own heading
+   * @param {Object} props - Component props
+   */
+  const MatchGroups = ({ matches, renderMatch, emptyText }) => {
+    const { exact, near } = groupMatches(matches);
+
+    if (matches.length === 0) {
+      return (
+        <p className="text-center py-4" style={{color: 'var(--purple-300)'}}>
+          {emptyText}
+        </p>
+      );
+    }
+
+    return (
+      <>
+        {exact.map(renderMatch)}
+        {near.length > 0 && (
+          <>
+            <p className="result-group-label">Near misses</p>
+            {near.map(renderMatch)}
+          </>
+        )}
+      </>
+    );
+  };
+
+  /**
+   * Shows how far a near miss is from the birthday
+   * @param {Object} props - Component props
+   */
+  const OffsetBadge = ({ match }) => (
+    match.match === 'near' ? (
+      <span className="result-offset">{formatMatchOffset(match.offsetMinutes)}</span>
+    ) : null
+  );
+
+  /**
+   * Animated Star Component, for the background stars
    */
   const Star = ({ top, left, delay, size = 'star' }) => (
     <div 
@@ -706,18 +1093,23 @@ function App() {
   // RENDER MAIN COMPONENT
   // ===========================================
 
+  // Eclipses not seen from the location can be hidden
+  const shownEclipses = (results?.eclipses || []).filter(eclipse =>
+    !visibleOnly || !eclipse.localCircumstances || eclipse.localCircumstances.visible
+  );
+
+  // The open eclipse map takes a fraction of a second to build, so only rebuild it when it changes
+  const eclipseMap = useMemo(
+    () => (mappedEclipse ? buildEclipseMap(mappedEclipse, { location: results?.location }) : null),
+    [mappedEclipse, results]
+  );
+
   return (
     <div className="cosmic-background">
       {/* Animated Starfield Background */}
       <div className="starfield">
-        {[...Array(50)].map((_, i) => (
-          <Star
-            key={i}
-            top={Math.random() * 100}
-            left={Math.random() * 100}
-            delay={Math.random() * 4}
-            size={Math.random() > 0.7 ? 'large' : ''}
-          />
+        {BACKGROUND_STARS.map((star, i) => (
+          <Star key={i} {...star} />
         ))}
       </div>
 
@@ -756,6 +1148,113 @@ function App() {
                 maxLength="10"
               />
             </div>
+            {displayDate.length === 10 && !birthDate && (
+              <p className="input-hint">
+                Please enter a real calendar date between {COMPUTED_START_YEAR} and {COMPUTED_END_YEAR}
+              </p>
+            )}
+
+            {birthDate.endsWith('-02-29') && (
+              <>
+                <label className="form-label mt-4">
+                  <Calendar className="icon mr-2" style={{display: 'inline'}} />
+                  In Common Years, Celebrate On
+                </label>
+                <select
+                  value={leapDayPolicy}
+                  onChange={(e) => setLeapDayPolicy(e.target.value)}
+                  className="form-input"
+                >
+                  {LEAP_DAY_OPTIONS.map(option => (
+                    <option key={option.policy} value={option.policy}>{option.label}</option>
+                  ))}
+                </select>
+              </>
+            )}
+
+            <label className="form-label mt-4">
+              <Clock className="icon mr-2" style={{display: 'inline'}} />
+              Birth Time (optional)
+            </label>
+            <input
+              type="time"
+              value={birthTime}
+              onChange={(e) => setBirthTime(e.target.value)}
+              className="form-input"
+            />
+
+            <label className="form-label mt-4">
+              <Globe className="icon mr-2" style={{display: 'inline'}} />
+              Your Time Zone
+            </label>
+            <select
+              value={timeZone}
+              onChange={(e) => setTimeZone(e.target.value)}
+              className="form-input"
+            >
+              {(TIME_ZONES.includes(timeZone) ? TIME_ZONES : [timeZone, ...TIME_ZONES]).map(zone => (
+                <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+
+            <label className="form-label mt-4">
+              <Moon className="icon mr-2" style={{display: 'inline'}} />
+              Your Hemisphere
+            </label>
+            <select
+              value={hemisphere}
+              onChange={(e) => setHemisphere(e.target.value)}
+              className="form-input"
+            >
+              {HEMISPHERE_OPTIONS.map(option => (
+                <option key={option.hemisphere} value={option.hemisphere}>{option.label}</option>
+              ))}
+            </select>
+
+            <label className="form-label mt-4">
+              <MapPin className="icon mr-2" style={{display: 'inline'}} />
+              Your Location (optional, for moonrise times, eclipse visibility and your birthday sky)
+            </label>
+            <div className="location-inputs">
+              <input
+                type="number"
+                step="any"
+                min="-90"
+                max="90"
+                value={latitude}
+                onChange={(e) => setLatitude(e.target.value)}
+                className="form-input"
+                placeholder="Latitude (e.g., 41.88)"
+              />
+              <input
+                type="number"
+                step="any"
+                min="-180"
+                max="180"
+                value={longitude}
+                onChange={(e) => setLongitude(e.target.value)}
+                className="form-input"
+                placeholder="Longitude (e.g., -87.63)"
+              />
+              <button type="button" onClick={fillCurrentLocation} className="btn-secondary">
+                <MapPin className="icon" />
+                <span>Use my location</span>
+              </button>
+            </div>
+
+            <label className="form-label mt-4">
+              <Crosshair className="icon mr-2" style={{display: 'inline'}} />
+              Match Window
+            </label>
+            <select
+              value={toleranceIndex}
+              onChange={(e) => setToleranceIndex(Number(e.target.value))}
+              className="form-input"
+            >
+              {TOLERANCE_OPTIONS.map((option, index) => (
+                <option key={option.label} value={index}>{option.label}</option>
+              ))}
+            </select>
             
             <button
               onClick={findCosmicEvents}
@@ -806,35 +1305,62 @@ function App() {
                 <p style={{color: 'var(--purple-200)'}}>
                   <Clock className="icon-sm mr-1" style={{display: 'inline'}} />
                   Search Range: {results.searchRange}
+                  {results.timeZone && ` • Times shown in ${results.timeZone.replace(/_/g, ' ')}`}
                 </p>
+                {results.leapDayRule && (
+                  <p style={{color: 'var(--purple-200)', fontSize: '0.9rem', marginTop: '0.5rem'}}>
+                    📅 {results.leapDayRule}
+                  </p>
+                )}
                 {results.note && (
                   <p style={{color: 'var(--purple-300)', fontSize: '0.9rem', marginTop: '0.5rem'}}>
                     ℹ️ {results.note}
                   </p>
                 )}
+                <div className="results-export">
+                  <button type="button" onClick={exportUpcomingDates} className="btn-secondary">
+                    <CalendarPlus className="icon-sm" />
+                    Export upcoming dates (.ics)
+                  </button>
+                </div>
               </div>
 
+              {results.birthMoon && <BirthMoonCard moon={results.birthMoon} />}
+
+              {/* Sky at the Moment of Birth */}
+              {results.birthSky && <SkyChart sky={results.birthSky} location={results.location} />}
+
+              {/* Constellations of the Sun and Moon at Birth */}
+              {results.birthConstellations && <BirthConstellationsCard birth={results.birthConstellations} />}
+
+              {/* Age on Other Planets */}
+              <PlanetaryBirthdaysCard planetary={results.planetaryBirthdays} />
+
               <div className="results-grid">
                 {/* Full Moon Birthdays */}
                 <ResultCard 
                   title="Full Moon Birthdays" 
                   icon={Moon} 
-                  count={results.fullMoon.length}
+                  {...countsOf(results.fullMoon)}
                   colorType="yellow"
                 >
                   <div className="result-list">
-                    {results.fullMoon.length > 0 ? (
-                      results.fullMoon.map(year => (
-                        <div key={year} className="result-item full-moon">
-                          <span className="result-year full-moon">{year}</span>
+                    <MatchGroups
+                      matches={results.fullMoon}
+                      emptyText="No full moon birthdays found in search range"
+                      renderMatch={match => (
+                        <div key={match.utc} className="result-item full-moon">
+                          <span className="result-year full-moon">{match.year}</span>
                           <span className="result-description">Full Moon Birthday</span>
+                          <span className="result-time">{match.localTime}</span>
+                          <SourceBadge source={match.source} />
+                          <OffsetBadge match={match} />
+                          <MoonSizeBadge match={match} />
+                          <MoonLabelBadge match={match} />
+                          <MoonTimes local={match.localCircumstances} date={match.date} />
                         </div>
-                      ))
-                    ) : (
-                      <p className="text-center py-4" style={{color: 'var(--purple-300)'}}>
-                        No full moon birthdays found in search range
-                      </p>
-                    )}
+                      )}
+                    />
                   </div>
                 </ResultCard>
 
@@ -842,22 +1368,26 @@ function App() {
                 <ResultCard 
                   title="New Moon Birthdays" 
                   icon={Moon} 
-                  count={results.newMoon.length}
+                  {...countsOf(results.newMoon)}
                   colorType="blue"
                 >
                   <div className="result-list">
-                    {results.newMoon.length > 0 ? (
-                      results.newMoon.map(year => (
-                        <div key={year} className="result-item new-moon">
-                          <span className="result-year new-moon">{year}</span>
+                    <MatchGroups
+                      matches={results.newMoon}
+                      emptyText="No new moon birthdays found in search range"
+                      renderMatch={match => (
+                        <div key={match.utc} className="result-item new-moon">
+                          <span className="result-year new-moon">{match.year}</span>
                           <span className="result-description">New Moon Birthday</span>
+                          <span className="result-time">{match.localTime}</span>
+                          <SourceBadge source={match.source} />
+                          <OffsetBadge match={match} />
+                          <MoonSizeBadge match={match} />
+                          <MoonLabelBadge match={match} />
+                          <MoonTimes local={match.localCircumstances} date={match.date} />
                         </div>
-                      ))
-                    ) : (
-                      <p className="text-center py-4" style={{color: 'var(--purple-300)'}}>
-                        No new moon birthdays found in search range
-                      </p>
-                    )}
+                      )}
+                    />
                   </div>
                 </ResultCard>
 
@@ -866,22 +1396,23 @@ function App() {
                   <ResultCard 
                     title="First Quarter Moon Birthdays" 
                     icon={Moon} 
-                    count={results.firstQuarter.length}
+                    {...countsOf(results.firstQuarter)}
                     colorType="purple"
                   >
                     <div className="result-list">
-                      {results.firstQuarter.length > 0 ? (
-                        results.firstQuarter.map(year => (
-                          <div key={year} className="result-item first-quarter">
-                            <span className="result-year first-quarter">{year}</span>
+                      <MatchGroups
+                        matches={results.firstQuarter}
+                        emptyText="No first quarter moon birthdays found"
+                        renderMatch={match => (
+                          <div key={match.utc} className="result-item first-quarter">
+                            <span className="result-year first-quarter">{match.year}</span>
                             <span className="result-description">First Quarter Moon Birthday</span>
+                            <span className="result-time">{match.localTime}</span>
+                            <SourceBadge source={match.source} />
+                            <OffsetBadge match={match} />
                           </div>
-                        ))
-                      ) : (
-                        <p className="text-center py-4" style={{color: 'var(--purple-300)'}}>
-                          No first quarter moon birthdays found
-                        </p>
-                      )}
+                        )}
+                      />
                     </div>
                   </ResultCard>
                 )}
@@ -891,22 +1422,23 @@ function App() {
                   <ResultCard 
                     title="Last Quarter Moon Birthdays" 
                     icon={Moon} 
-                    count={results.lastQuarter.length}
+                    {...countsOf(results.lastQuarter)}
                     colorType="green"
                   >
                     <div className="result-list">
-                      {results.lastQuarter.length > 0 ? (
-                        results.lastQuarter.map(year => (
-                          <div key={year} className="result-item last-quarter">
-                            <span className="result-year last-quarter">{year}</span>
+                      <MatchGroups
+                        matches={results.lastQuarter}
+                        emptyText="No last quarter moon birthdays found"
+                        renderMatch={match => (
+                          <div key={match.utc} className="result-item last-quarter">
+                            <span className="result-year last-quarter">{match.year}</span>
                             <span className="result-description">Last Quarter Moon Birthday</span>
+                            <span className="result-time">{match.localTime}</span>
+                            <SourceBadge source={match.source} />
+                            <OffsetBadge match={match} />
                           </div>
-                        ))
-                      ) : (
-                        <p className="text-center py-4" style={{color: 'var(--purple-300)'}}>
-                          No last quarter moon birthdays found
-                        </p>
-                      )}
+                        )}
+                      />
                     </div>
                   </ResultCard>
                 )}
@@ -915,29 +1447,195 @@ function App() {
                 <ResultCard 
                   title="Eclipse Birthdays" 
                   icon={Sun} 
-                  count={results.eclipses.length}
+                  {...countsOf(shownEclipses)}
                   colorType="orange"
                 >
+                  {results.location && (
+                    <label className="lifetime-toggle mb-2">
+                      <input
+                        type="checkbox"
+                        checked={visibleOnly}
+                        onChange={(e) => setVisibleOnly(e.target.checked)}
+                      />
+                      Only eclipses visible from {formatLocation(results.location)}
+                    </label>
+                  )}
                   <div className="result-list">
-                    {results.eclipses.length > 0 ? (
-                      results.eclipses.map((eclipse, index) => (
-                        <div key={index} className="result-item eclipse">
+                    <MatchGroups
+                      matches={shownEclipses}
+                      emptyText="No eclipse birthdays found in search range"
+                      renderMatch={eclipse => (
+                        <div
+                          key={eclipse.utc || eclipse.date}
+                          className={`result-item eclipse clickable${eclipse === mappedEclipse ? ' selected' : ''}`}
+                          role="button"
+                          tabIndex={0}
+                          title="Show where this eclipse was seen"
+                          onClick={() => setMappedEclipse(eclipse === mappedEclipse ? null : eclipse)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter' || e.key === ' ') {
+                              e.preventDefault();
+                              setMappedEclipse(eclipse === mappedEclipse ? null : eclipse);
+                            }
+                          }}
+                        >
                           <div className="flex justify-between items-center">
                             <span className="result-year eclipse">{eclipse.year}</span>
-                            <span className="result-type">{eclipse.type}</span>
+                            <span className="result-type">
+                              {eclipse.type}
+                              <SourceBadge source={eclipse.source} />
+                              <VisibilityBadges local={eclipse.localCircumstances} />
+                            </span>
                           </div>
                           <p className="result-description mt-1">{eclipse.description}</p>
+                          {eclipse.localTime && (
+                            <p className="result-time mt-1">Greatest eclipse at {eclipse.localTime} local time</p>
+                          )}
+                          <EclipseDetails eclipse={eclipse} />
+                          <LocalVisibility local={eclipse.localCircumstances} />
+                          <SarosSeries series={eclipse.sarosSeries} />
                         </div>
-                      ))
-                    ) : (
-                      <p className="text-center py-4" style={{color: 'var(--purple-300)'}}>
-                        No eclipse birthdays found in search range
-                      </p>
-                    )}
+                      )}
+                    />
                   </div>
+                  {eclipseMap
+                    ? <EclipseMap eclipse={mappedEclipse} map={eclipseMap} />
+                    : shownEclipses.length > 0 && <p className="result-group-label">Select an eclipse to see where it was visible</p>}
                 </ResultCard>
+
+                {/* Equinox, Solstice and Cross-Quarter Birthdays */}
+                {results.seasonalMarkers && (
+                  <ResultCard
+                    title="Equinox & Solstice Birthdays"
+                    icon={Sunrise}
+                    {...countsOf(results.seasonalMarkers)}
+                    colorType="green"
+                  >
+                    <div className="result-list">
+                      <MatchGroups
+                        matches={results.seasonalMarkers}
+                        emptyText="No equinoxes, solstices or cross-quarter days on your birthday"
+                        renderMatch={marker => (
+                          <div key={marker.utc} className="result-item seasonal">
+                            <div className="flex justify-between items-center">
+                              <span className="result-year seasonal">{marker.year}</span>
+                              <span className="result-type seasonal">
+                                {marker.type}
+                                {marker.festival && ` (${marker.festival})`}
+                              </span>
+                            </div>
+                            <p className="result-time mt-1">
+                              {marker.localTime} local time • {marker.utc.slice(11, 16)} UTC on {marker.utc.slice(0, 10)}
+                              <OffsetBadge match={marker} />
+                            </p>
+                          </div>
+                        )}
+                      />
+                    </div>
+                  </ResultCard>
+                )}
+
+                {/* Meteor Shower Birthdays */}
+                {results.meteorShowers && (
+                  <ResultCard
+                    title="Meteor Shower Birthdays"
+                    icon={Telescope}
+                    {...countsOf(results.meteorShowers)}
+                    colorType="pink"
+                  >
+                    <div className="result-list">
+                      <MatchGroups
+                        matches={results.meteorShowers}
+                        emptyText="No meteor shower peaks near your birthday"
+                        renderMatch={shower => (
+                          <div key={shower.utc} className="result-item meteor">
+                            <div className="flex justify-between items-center">
+                              <span className="result-year meteor">{shower.year}</span>
+                              <span className="result-type meteor">
+                                {shower.type}
+                                <ViewingBadge viewing={shower.viewing} />
+                              </span>
+                            </div>
+                            <p className="result-time mt-1">
+                              Peak {shower.date} at {shower.localTime} local time • up to {shower.zhr} meteors an hour
+                              <OffsetBadge match={shower} />
+                            </p>
+                          </div>
+                        )}
+                      />
+                    </div>
+                  </ResultCard>
+                )}
+
+                {/* Planetary Event Birthdays */}
+                {results.planetEvents && (
+                  <ResultCard
+                    title="Planetary Birthdays"
+                    icon={Orbit}
+                    {...countsOf(results.planetEvents)}
+                    colorType="red"
+                  >
+                    <div className="result-list">
+                      <MatchGroups
+                        matches={results.planetEvents}
+                        emptyText="No oppositions, elongations or close conjunctions on your birthday"
+                        renderMatch={event => (
+                          <div key={`${event.utc}-${event.type}`} className="result-item planet">
+                            <div className="flex justify-between items-center">
+                              <span className="result-year planet">{event.year}</span>
+                              <span className="result-type planet">{event.type}</span>
+                            </div>
+                            <p className="result-description mt-1">{event.description}</p>
+                            <p className="result-time mt-1">
+                              {event.date} at {event.localTime} local time
+                              <OffsetBadge match={event} />
+                            </p>
+                          </div>
+                        )}
+                      />
+                    </div>
+                  </ResultCard>
+                )}
+
+                {/* Moon Close Approach Birthdays */}
+                {results.moonApproaches && (
+                  <ResultCard
+                    title="Moon Close Approaches"
+                    icon={MoonStar}
+                    {...countsOf(results.moonApproaches)}
+                    colorType="cyan"
+                  >
+                    <div className="result-list">
+                      <MatchGroups
+                        matches={results.moonApproaches}
+                        emptyText="The Moon passed no bright planet or star on your birthday"
+                        renderMatch={approach => (
+                          <div key={`${approach.utc}-${approach.target}`} className="result-item approach">
+                            <div className="flex justify-between items-center">
+                              <span className="result-year approach">{approach.year}</span>
+                              <span className="result-type approach">{approach.type}</span>
+                            </div>
+                            <p className="result-description mt-1">{approach.description}</p>
+                            <p className="result-time mt-1">
+                              Closest at {approach.localTime} local time on {approach.date} • {approach.separation}° apart
+                              <OffsetBadge match={approach} />
+                            </p>
+                          </div>
+                        )}
+                      />
+                    </div>
+                  </ResultCard>
+                )}
               </div>
 
+              {/* Lifetime Moon Table */}
+              {results.lifetimeMoon?.length > 0 && <LifetimeMoonTable rows={results.lifetimeMoon} />}
+
+              {/* Birthday Sky at the Location */}
+              {results.birthdaySky?.length > 0 && (
+                <BirthdaySkyTable rows={results.birthdaySky} location={results.location} />
+              )}
+
               {/* Summary Statistics */}
               <div className="summary-card">
                 <h3 className="section-title mb-4">
@@ -945,17 +1643,33 @@ function App() {
                 </h3>
                 <div className="summary-grid">
                   <div className="summary-item">
-                    <div className="summary-number full-moon">{results.fullMoon.length}</div>
+                    <div className="summary-number full-moon">{countsOf(results.fullMoon).count}</div>
                     <div className="summary-label">Full Moons</div>
                   </div>
                   <div className="summary-item">
-                    <div className="summary-number new-moon">{results.newMoon.length}</div>
+                    <div className="summary-number new-moon">{countsOf(results.newMoon).count}</div>
                     <div className="summary-label">New Moons</div>
                   </div>
                   <div className="summary-item">
-                    <div className="summary-number eclipse">{results.eclipses.length}</div>
+                    <div className="summary-number eclipse">{countsOf(results.eclipses).count}</div>
                     <div className="summary-label">Eclipses</div>
                   </div>
+                  <div className="summary-item">
+                    <div className="summary-number seasonal">{countsOf(results.seasonalMarkers || []).count}</div>
+                    <div className="summary-label">Seasonal Markers</div>
+                  </div>
+                  <div className="summary-item">
+                    <div className="summary-number meteor">{countsOf(results.meteorShowers || []).count}</div>
+                    <div className="summary-label">Meteor Peaks</div>
+                  </div>
+                  <div className="summary-item">
+                    <div className="summary-number planet">{countsOf(results.planetEvents || []).count}</div>
+                    <div className="summary-label">Planetary Events</div>
+                  </div>
+                  <div className="summary-item">
+                    <div className="summary-number approach">{countsOf(results.moonApproaches || []).count}</div>
+                    <div className="summary-label">Moon Approaches</div>
+                  </div>
                 </div>
               </div>
             </div>
@@ -967,7 +1681,7 @@ function App() {
               Database: Comprehensive astronomical data from USNO Navy (Moon Phases) • NASA Eclipse Catalog
             </p>
             <p>
-              Coverage: 1960-2100 • {moonPhaseData?.metadata?.totalPhases?.toLocaleString() || 0} moon phases • {eclipseData?.metadata?.totalEclipses || 0} eclipses
+              Catalog: {moonPhaseData?.metadata?.startYear}-{moonPhaseData?.metadata?.endYear} • Calculated: {COMPUTED_START_YEAR}-{COMPUTED_END_YEAR} • {moonPhaseData?.metadata?.totalPhases?.toLocaleString() || 0} moon phases • {eclipseData?.metadata?.totalEclipses || 0} eclipses
             </p>
           </div>
         </div>
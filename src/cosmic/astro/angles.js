@@ -0,0 +1,47 @@
+/**
+ * ANGLE HELPERS
+ * Degree-based trigonometry used throughout the ephemeris routines
+ */
+
+const RAD = Math.PI / 180;
+const DEG = 180 / Math.PI;
+
+/**
+ * Reduce an angle to the range [0, 360)
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} - Normalised angle
+ */
+function normalizeDegrees(degrees) {
+  const value = degrees % 360;
+  return value < 0 ? value + 360 : value;
+}
+
+/**
+ * Reduce an angle to the range (-180, 180]
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} - Signed angle
+ */
+function signedDegrees(degrees) {
+  const value = normalizeDegrees(degrees);
+  return value > 180 ? value - 360 : value;
+}
+
+const sinDeg = (degrees) => Math.sin(degrees * RAD);
+const cosDeg = (degrees) => Math.cos(degrees * RAD);
+const tanDeg = (degrees) => Math.tan(degrees * RAD);
+const asinDeg = (value) => Math.asin(Math.max(-1, Math.min(1, value))) * DEG;
+const acosDeg = (value) => Math.acos(Math.max(-1, Math.min(1, value))) * DEG;
+const atan2Deg = (y, x) => Math.atan2(y, x) * DEG;
+
+module.exports = {
+  RAD,
+  DEG,
+  normalizeDegrees,
+  signedDegrees,
+  sinDeg,
+  cosDeg,
+  tanDeg,
+  asinDeg,
+  acosDeg,
+  atan2Deg
+};
@@ -0,0 +1,91 @@
+/**
+ * CONSTELLATION BOUNDARIES
+ * Which of the 88 IAU constellations contains a point of the sky, from the official
+ * boundaries of Delporte (1930) as tabulated by Roman (1987): the point is precessed
+ * to the B1875.0 equinox the boundaries were drawn for, and the first strip of the
+ * table containing it names its constellation. Also where the ecliptic crosses from
+ * one constellation to the next, which fixes the Sun's path through them.
+ */
+
+const datasets = require('../datasets');
+const { normalizeDegrees } = require('./angles');
+const { precessEquatorial, meanObliquity, eclipticToEquatorial } = require('./coordinates');
+const { J2000 } = require('./time');
+
+// Julian centuries from J2000.0 back to the B1875.0 equinox of the boundaries
+const B1875_CENTURIES = (2405889.258550475 - J2000) / 36525;
+
+// Sampling step along the ecliptic: no constellation spans less of it
+const ECLIPTIC_STEP_DEGREES = 0.5;
+
+// Crossings are refined to this, a minute or two of the Sun's motion
+const BOUNDARY_TOLERANCE_DEGREES = 0.001;
+
+// Ecliptic crossings of each boundary table, found once
+const eclipticCache = new WeakMap();
+
+/**
+ * IAU constellation containing a point
+ * @param {number} ra - Right ascension, J2000.0 (degrees)
+ * @param {number} dec - Declination, J2000.0 (degrees)
+ * @param {Object} [boundaryData] - Table in the constellation-boundaries.json shape
+ * @returns {{abbreviation: string, name: string}} - IAU abbreviation and name
+ */
+function findConstellation(ra, dec, boundaryData = datasets.constellationBoundaries) {
+  const b1875 = precessEquatorial(ra, dec, B1875_CENTURIES);
+  const hours = b1875.ra / 15;
+  const row = boundaryData.boundaries.find(([, raLow, raHigh, decLow]) =>
+    b1875.dec >= decLow && hours >= raLow && hours < raHigh);
+  // The last strip covers the south pole, so only a malformed table finds nothing
+  if (!row) throw new Error('Point outside the constellation boundaries');
+
+  return { abbreviation: row[0], name: boundaryData.names[row[0]] };
+}
+
+/**
+ * IAU constellation containing a point given in ecliptic coordinates
+ * @param {number} longitude - Ecliptic longitude, J2000.0 (degrees)
+ * @param {number} latitude - Ecliptic latitude, J2000.0 (degrees)
+ * @param {Object} [boundaryData] - Table in the constellation-boundaries.json shape
+ * @returns {{abbreviation: string, name: string}} - IAU abbreviation and name
+ */
+function findEclipticConstellation(longitude, latitude, boundaryData = datasets.constellationBoundaries) {
+  const { ra, dec } = eclipticToEquatorial(longitude, latitude, meanObliquity(0));
+  return findConstellation(ra, dec, boundaryData);
+}
+
+/**
+ * The constellations along the ecliptic, where the Sun is always found
+ * @param {Object} [boundaryData] - Table in the constellation-boundaries.json shape
+ * @returns {Array<{abbreviation: string, name: string, longitude: number}>} - Each constellation the
+ *   ecliptic enters, with the J2000.0 ecliptic longitude it enters at, in order of longitude
+ */
+function eclipticConstellations(boundaryData = datasets.constellationBoundaries) {
+  if (!eclipticCache.has(boundaryData)) {
+    const at = (longitude) => findEclipticConstellation(normalizeDegrees(longitude), 0, boundaryData);
+    const crossings = [];
+    let previous = at(0);
+    for (let longitude = ECLIPTIC_STEP_DEGREES; longitude <= 360; longitude += ECLIPTIC_STEP_DEGREES) {
+      const current = at(longitude);
+      if (current.abbreviation === previous.abbreviation) continue;
+
+      let [low, high] = [longitude - ECLIPTIC_STEP_DEGREES, longitude];
+      while (high - low > BOUNDARY_TOLERANCE_DEGREES) {
+        const middle = (low + high) / 2;
+        if (at(middle).abbreviation === previous.abbreviation) low = middle;
+        else high = middle;
+      }
+      crossings.push({ ...current, longitude: Math.round(normalizeDegrees(high) * 1000) / 1000 });
+      previous = current;
+    }
+    eclipticCache.set(boundaryData, crossings.sort((a, b) => a.longitude - b.longitude));
+  }
+  return eclipticCache.get(boundaryData);
+}
+
+module.exports = {
+  B1875_CENTURIES,
+  findConstellation,
+  findEclipticConstellation,
+  eclipticConstellations
+};
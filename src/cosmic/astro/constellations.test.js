@@ -0,0 +1,19 @@
+import { findConstellation, findEclipticConstellation, eclipticConstellations } from './constellations';
+
+test('places bright stars in their constellations', () => {
+  expect(findConstellation(101.29, -16.72).abbreviation).toBe('CMa'); // Sirius
+  expect(findConstellation(37.95, 89.26).abbreviation).toBe('UMi'); // Polaris
+  expect(findConstellation(83.82, -5.39)).toEqual({ abbreviation: 'Ori', name: 'Orion' }); // Orion Nebula
+  expect(findConstellation(0, -90).abbreviation).toBe('Oct');
+});
+
+test('crosses thirteen constellations along the ecliptic, Ophiuchus between Scorpius and Sagittarius', () => {
+  const crossings = eclipticConstellations();
+  expect(crossings.map(crossing => crossing.abbreviation)).toEqual([
+    'Ari', 'Tau', 'Gem', 'Cnc', 'Leo', 'Vir', 'Lib', 'Sco', 'Oph', 'Sgr', 'Cap', 'Aqr', 'Psc'
+  ]);
+  // Scorpius holds only about seven degrees of the ecliptic
+  const scorpius = crossings.findIndex(crossing => crossing.abbreviation === 'Sco');
+  expect(crossings[scorpius + 1].longitude - crossings[scorpius].longitude).toBeCloseTo(6.6, 0);
+  expect(findEclipticConstellation(crossings[scorpius].longitude + 0.01, 0).abbreviation).toBe('Sco');
+});
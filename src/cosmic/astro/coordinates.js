@@ -0,0 +1,204 @@
+/**
+ * COORDINATE HELPERS
+ * Nutation, obliquity, sidereal time and the ecliptic/equatorial/horizontal transforms
+ */
+
+const {
+  normalizeDegrees,
+  sinDeg,
+  cosDeg,
+  asinDeg,
+  atan2Deg
+} = require('./angles');
+const { julianCenturies } = require('./time');
+
+/**
+ * Nutation in longitude and obliquity (Meeus 22, 0.5" accuracy)
+ * @param {number} T - Julian centuries (TT) since J2000
+ * @returns {{deltaPsi: number, deltaEpsilon: number}} - Degrees
+ */
+function nutation(T) {
+  const omega = 125.04452 - 1934.136261 * T;
+  const L = 280.4665 + 36000.7698 * T;
+  const Lp = 218.3165 + 481267.8813 * T;
+
+  return {
+    deltaPsi: (-17.20 * sinDeg(omega) - 1.32 * sinDeg(2 * L) - 0.23 * sinDeg(2 * Lp) + 0.21 * sinDeg(2 * omega)) / 3600,
+    deltaEpsilon: (9.20 * cosDeg(omega) + 0.57 * cosDeg(2 * L) + 0.10 * cosDeg(2 * Lp) - 0.09 * cosDeg(2 * omega)) / 3600
+  };
+}
+
+/**
+ * Ecliptic longitude of date for a longitude referred to the J2000.0 equinox, from
+ * the general precession in longitude (Meeus 21.5; good for points on the ecliptic)
+ * @param {number} longitude - Ecliptic longitude, J2000.0 (degrees)
+ * @param {number} T - Julian centuries (TT) since J2000
+ * @returns {number} - Ecliptic longitude of date (degrees)
+ */
+function precessLongitude(longitude, T) {
+  return normalizeDegrees(longitude + (5029.0966 * T + 1.11113 * T * T) / 3600);
+}
+
+/**
+ * Equatorial coordinates of date for a place referred to the J2000.0 equator and
+ * equinox, by the rigorous method (Meeus 21.2-21.4)
+ * @param {number} ra - Right ascension, J2000.0 (degrees)
+ * @param {number} dec - Declination, J2000.0 (degrees)
+ * @param {number} T - Julian centuries (TT) since J2000; negative for earlier equinoxes
+ * @returns {{ra: number, dec: number}} - Mean right ascension and declination of date in degrees
+ */
+function precessEquatorial(ra, dec, T) {
+  const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T ** 3) / 3600;
+  const z = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T ** 3) / 3600;
+  const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T ** 3) / 3600;
+  const A = cosDeg(dec) * sinDeg(ra + zeta);
+  const B = cosDeg(theta) * cosDeg(dec) * cosDeg(ra + zeta) - sinDeg(theta) * sinDeg(dec);
+  const C = sinDeg(theta) * cosDeg(dec) * cosDeg(ra + zeta) + cosDeg(theta) * sinDeg(dec);
+  return { ra: normalizeDegrees(atan2Deg(A, B) + z), dec: asinDeg(C) };
+}
+
+/**
+ * Mean obliquity of the ecliptic (Meeus 22.2)
+ * @param {number} T - Julian centuries (TT) since J2000
+ * @returns {number} - Degrees
+ */
+function meanObliquity(T) {
+  return 23 + 26 / 60 + (21.448 - 46.8150 * T - 0.00059 * T * T + 0.001813 * T ** 3) / 3600;
+}
+
+/**
+ * True obliquity of the ecliptic
+ * @param {number} T - Julian centuries (TT) since J2000
+ * @returns {number} - Degrees
+ */
+function trueObliquity(T) {
+  return meanObliquity(T) + nutation(T).deltaEpsilon;
+}
+
+/**
+ * Convert ecliptic to equatorial coordinates
+ * @param {number} lambda - Ecliptic longitude (degrees)
+ * @param {number} beta - Ecliptic latitude (degrees)
+ * @param {number} epsilon - Obliquity (degrees)
+ * @returns {{ra: number, dec: number}} - Right ascension and declination in degrees
+ */
+function eclipticToEquatorial(lambda, beta, epsilon) {
+  const ra = atan2Deg(sinDeg(lambda) * cosDeg(epsilon) - Math.tan(beta * Math.PI / 180) * sinDeg(epsilon), cosDeg(lambda));
+  const dec = asinDeg(sinDeg(beta) * cosDeg(epsilon) + cosDeg(beta) * sinDeg(epsilon) * sinDeg(lambda));
+  return { ra: normalizeDegrees(ra), dec };
+}
+
+/**
+ * Convert equatorial to ecliptic coordinates
+ * @param {number} ra - Right ascension (degrees)
+ * @param {number} dec - Declination (degrees)
+ * @param {number} epsilon - Obliquity (degrees)
+ * @returns {{lambda: number, beta: number}} - Degrees
+ */
+function equatorialToEcliptic(ra, dec, epsilon) {
+  const lambda = atan2Deg(sinDeg(ra) * cosDeg(epsilon) + Math.tan(dec * Math.PI / 180) * sinDeg(epsilon), cosDeg(ra));
+  const beta = asinDeg(sinDeg(dec) * cosDeg(epsilon) - cosDeg(dec) * sinDeg(epsilon) * sinDeg(ra));
+  return { lambda: normalizeDegrees(lambda), beta };
+}
+
+/**
+ * Greenwich apparent sidereal time (Meeus 12.4 plus the equation of the equinoxes)
+ * @param {number} jd - Julian Day (UT)
+ * @param {number} [jde] - Julian Ephemeris Day, for nutation (defaults to jd)
+ * @returns {number} - Degrees
+ */
+function greenwichSiderealTime(jd, jde = jd) {
+  const T = julianCenturies(jd);
+  const mean = 280.46061837 + 360.98564736629 * (jd - 2451545.0) + 0.000387933 * T * T - T ** 3 / 38710000;
+  const Te = julianCenturies(jde);
+  const { deltaPsi } = nutation(Te);
+  return normalizeDegrees(mean + deltaPsi * cosDeg(trueObliquity(Te)));
+}
+
+/**
+ * Convert equatorial coordinates to local horizontal coordinates
+ * @param {number} ra - Right ascension (degrees)
+ * @param {number} dec - Declination (degrees)
+ * @param {number} latitude - Observer latitude (degrees, north positive)
+ * @param {number} localSiderealTime - Local sidereal time (degrees)
+ * @returns {{altitude: number, azimuth: number, hourAngle: number}} - Degrees; azimuth from north through east
+ */
+function equatorialToHorizontal(ra, dec, latitude, localSiderealTime) {
+  const hourAngle = normalizeDegrees(localSiderealTime - ra);
+  const altitude = asinDeg(sinDeg(latitude) * sinDeg(dec) + cosDeg(latitude) * cosDeg(dec) * cosDeg(hourAngle));
+  const azimuth = normalizeDegrees(atan2Deg(
+    -cosDeg(dec) * sinDeg(hourAngle),
+    sinDeg(dec) * cosDeg(latitude) - cosDeg(dec) * sinDeg(latitude) * cosDeg(hourAngle)
+  ));
+  return { altitude, azimuth, hourAngle };
+}
+
+/**
+ * Observer's place relative to Earth's centre, on the reference ellipsoid (Meeus 11)
+ * @param {number} latitude - Geographic latitude (degrees, north positive)
+ * @returns {{rhoSinPhi: number, rhoCosPhi: number}} - In Earth equatorial radii, at sea level
+ */
+function observerGeocentric(latitude) {
+  // Ratio of the polar to the equatorial radius
+  const axisRatio = 0.99664719;
+  const u = atan2Deg(axisRatio * sinDeg(latitude), cosDeg(latitude));
+  return { rhoSinPhi: axisRatio * sinDeg(u), rhoCosPhi: cosDeg(u) };
+}
+
+/**
+ * Correct geocentric equatorial coordinates for the observer's parallax (Meeus 40)
+ * @param {number} ra - Geocentric right ascension (degrees)
+ * @param {number} dec - Geocentric declination (degrees)
+ * @param {number} parallax - Equatorial horizontal parallax of the body (degrees)
+ * @param {number} latitude - Observer latitude (degrees, north positive)
+ * @param {number} localSiderealTime - Local sidereal time (degrees)
+ * @returns {{ra: number, dec: number, distanceRatio: number}} - Topocentric coordinates in degrees, and the
+ *   topocentric distance as a fraction of the geocentric one
+ */
+function topocentricEquatorial(ra, dec, parallax, latitude, localSiderealTime) {
+  const { rhoSinPhi, rhoCosPhi } = observerGeocentric(latitude);
+  const hourAngle = localSiderealTime - ra;
+  const sinParallax = sinDeg(parallax);
+
+  const A = cosDeg(dec) * sinDeg(hourAngle);
+  const B = cosDeg(dec) * cosDeg(hourAngle) - rhoCosPhi * sinParallax;
+  const C = sinDeg(dec) - rhoSinPhi * sinParallax;
+  const distanceRatio = Math.sqrt(A * A + B * B + C * C);
+
+  return {
+    ra: normalizeDegrees(localSiderealTime - atan2Deg(A, B)),
+    dec: asinDeg(C / distanceRatio),
+    distanceRatio
+  };
+}
+
+/**
+ * Angular separation between two points on the sphere
+ * @param {number} lon1 - Longitude or RA of the first point (degrees)
+ * @param {number} lat1 - Latitude or declination of the first point (degrees)
+ * @param {number} lon2 - Longitude or RA of the second point (degrees)
+ * @param {number} lat2 - Latitude or declination of the second point (degrees)
+ * @returns {number} - Separation in degrees
+ */
+function angularSeparation(lon1, lat1, lon2, lat2) {
+  // Haversine form stays accurate for the small separations eclipses care about
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 + cosDeg(lat1) * cosDeg(lat2) * Math.sin(dLon / 2) ** 2;
+  return 2 * Math.asin(Math.min(1, Math.sqrt(a))) * 180 / Math.PI;
+}
+
+module.exports = {
+  nutation,
+  precessLongitude,
+  precessEquatorial,
+  meanObliquity,
+  trueObliquity,
+  eclipticToEquatorial,
+  equatorialToEcliptic,
+  greenwichSiderealTime,
+  equatorialToHorizontal,
+  observerGeocentric,
+  topocentricEquatorial,
+  angularSeparation
+};
@@ -0,0 +1,313 @@
+/**
+ * ECLIPSE VISIBILITY ZONES
+ * Where on Earth an eclipse could be seen, for drawing on a map.
+ * Solar eclipses use the Besselian fundamental plane: the plane through Earth's
+ * centre perpendicular to the shadow axis, on which the penumbra and umbra are
+ * circles. Sampling the shadow through the eclipse gives the partial zone (where
+ * the penumbra passed with the Sun up) and the central path (the umbra or
+ * antumbra's track, between its northern and southern limits). Lunar eclipses
+ * are seen wherever the Moon is up, so their zones come from the Moon's altitude
+ * over the contacts. Earth is treated as the reference ellipsoid for observers and
+ * as a sphere where the shadow axis meets it, which is ample for a world map.
+ */
+
+const { sinDeg, cosDeg, asinDeg, atan2Deg, signedDegrees } = require('./angles');
+const { julianDay, jdeFromDate } = require('./time');
+const { greenwichSiderealTime, observerGeocentric } = require('./coordinates');
+const { sunPosition } = require('./sun');
+const { moonPosition, EARTH_RADIUS_KM, MOON_RADIUS_RATIO } = require('./moon');
+
+const AU_KM = 149597870.7;
+const SUN_RADIUS_KM = 696000;
+const MINUTE_MS = 60000;
+
+// Shadow sampling: the penumbra stays on Earth for up to about six hours
+const ZONE_SCAN_HOURS = 4;
+const ZONE_STEP_MINUTES = 3;
+const PATH_STEP_MINUTES = 1;
+const LUNAR_STEP_MINUTES = 10;
+
+// Ratio of geographic to geocentric latitude tangents on the reference ellipsoid
+const LATITUDE_FACTOR = 0.99330562;
+
+// Refraction at the horizon, as for the local circumstances
+const HORIZON_REFRACTION = 0.5667;
+
+/**
+ * Geocentric equatorial rectangular position from RA, Dec and distance
+ * @param {number} ra - Right ascension (degrees)
+ * @param {number} dec - Declination (degrees)
+ * @param {number} distance - Distance in Earth radii
+ * @returns {Array<number>} - [x, y, z] in Earth radii
+ */
+function rectangular(ra, dec, distance) {
+  return [distance * cosDeg(dec) * cosDeg(ra), distance * cosDeg(dec) * sinDeg(ra), distance * sinDeg(dec)];
+}
+
+/**
+ * Besselian elements of the shadow at an instant
+ * @param {number} millis - UTC instant in milliseconds
+ * @returns {Object} - {x, y, l1, l2, tanF1, tanF2, sinD, cosD, hourOffset}: the Moon's place and
+ *   the penumbral (1) and umbral (2) radii on the fundamental plane in Earth radii, the cone
+ *   slopes, the axis declination d, and hourOffset (Greenwich sidereal time minus the axis RA)
+ *   so that an observer's hour angle of the axis is hourOffset + longitude
+ */
+function besselianElements(millis) {
+  const instant = new Date(millis);
+  const jde = jdeFromDate(instant);
+  const sun = sunPosition(jde);
+  const moon = moonPosition(jde);
+
+  const sunVector = rectangular(sun.ra, sun.dec, sun.distanceAU * AU_KM / EARTH_RADIUS_KM);
+  const moonVector = rectangular(moon.ra, moon.dec, moon.distanceKm / EARTH_RADIUS_KM);
+  const axis = sunVector.map((value, i) => value - moonVector[i]);
+  const axisLength = Math.hypot(...axis);
+
+  const axisDec = asinDeg(axis[2] / axisLength);
+  const axisRA = atan2Deg(axis[1], axis[0]);
+  const sinD = sinDeg(axisDec);
+  const cosD = cosDeg(axisDec);
+  const sinA = sinDeg(axisRA);
+  const cosA = cosDeg(axisRA);
+
+  const x = -sinA * moonVector[0] + cosA * moonVector[1];
+  const y = -sinD * cosA * moonVector[0] - sinD * sinA * moonVector[1] + cosD * moonVector[2];
+  const z = cosD * cosA * moonVector[0] + cosD * sinA * moonVector[1] + sinD * moonVector[2];
+
+  const sunRadius = SUN_RADIUS_KM / EARTH_RADIUS_KM;
+  const sinF1 = (sunRadius + MOON_RADIUS_RATIO) / axisLength;
+  const sinF2 = (sunRadius - MOON_RADIUS_RATIO) / axisLength;
+  const cosF1 = Math.sqrt(1 - sinF1 * sinF1);
+  const cosF2 = Math.sqrt(1 - sinF2 * sinF2);
+  const tanF1 = sinF1 / cosF1;
+  const tanF2 = sinF2 / cosF2;
+
+  return {
+    x,
+    y,
+    l1: z * tanF1 + MOON_RADIUS_RATIO / cosF1,
+    l2: z * tanF2 - MOON_RADIUS_RATIO / cosF2,
+    tanF1,
+    tanF2,
+    sinD,
+    cosD,
+    hourOffset: greenwichSiderealTime(julianDay(instant), jde) - axisRA
+  };
+}
+
+/**
+ * Place where a fundamental-plane point meets Earth's sunward surface
+ * @param {number} xi - Fundamental-plane x (Earth radii)
+ * @param {number} eta - Fundamental-plane y (Earth radii)
+ * @param {Object} elements - From besselianElements()
+ * @returns {Array<number>|null} - [longitude, latitude] in degrees, or null off the Earth's disc
+ */
+function surfacePoint(xi, eta, elements) {
+  const squared = xi * xi + eta * eta;
+  if (squared >= 1) return null;
+
+  const zeta = Math.sqrt(1 - squared);
+  const geocentricLatitude = asinDeg(eta * elements.cosD + zeta * elements.sinD);
+  const hourAngle = atan2Deg(xi, zeta * elements.cosD - eta * elements.sinD);
+  const latitude = atan2Deg(sinDeg(geocentricLatitude), LATITUDE_FACTOR * cosDeg(geocentricLatitude));
+  return [signedDegrees(hourAngle - elements.hourOffset), latitude];
+}
+
+/**
+ * Cell centres of a latitude/longitude grid, with each observer's geocentric place
+ * @param {number} gridStep - Cell size in degrees
+ * @returns {Array<Object>} - {latitude, longitude, rhoSinPhi, rhoCosPhi, sinLon, cosLon, sinLat, cosLat}
+ */
+function gridCells(gridStep) {
+  const cells = [];
+  for (let latitude = -90 + gridStep / 2; latitude < 90; latitude += gridStep) {
+    const { rhoSinPhi, rhoCosPhi } = observerGeocentric(latitude);
+    for (let longitude = -180 + gridStep / 2; longitude < 180; longitude += gridStep) {
+      cells.push({
+        latitude,
+        longitude,
+        rhoSinPhi,
+        rhoCosPhi,
+        sinLon: sinDeg(longitude),
+        cosLon: cosDeg(longitude),
+        sinLat: sinDeg(latitude),
+        cosLat: cosDeg(latitude)
+      });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Merge flagged grid cells into runs along each row of latitude
+ * @param {Array<Object>} cells - From gridCells()
+ * @param {Array<boolean>} flags - One flag per cell
+ * @param {number} gridStep - Cell size in degrees
+ * @returns {Array<{latitude: number, west: number, east: number}>} - Cell-edge bounds of each run,
+ *   with latitude the row's centre
+ */
+function cellRuns(cells, flags, gridStep) {
+  const runs = [];
+  cells.forEach((cell, i) => {
+    if (!flags[i]) return;
+    const run = runs[runs.length - 1];
+    const west = cell.longitude - gridStep / 2;
+    if (run && run.latitude === cell.latitude && Math.abs(run.east - west) < 1e-9) run.east = west + gridStep;
+    else runs.push({ latitude: cell.latitude, west, east: west + gridStep });
+  });
+  return runs;
+}
+
+/**
+ * Where a solar eclipse was seen
+ * @param {Date|string} greatestEclipse - UTC instant of greatest eclipse
+ * @param {Object} [options] - Map options
+ * @param {number} [options.gridStep=2] - Grid cell size in degrees for the partial zone
+ * @returns {Object} - {partial, centralPath, greatestPoint}: partial is cellRuns() of the places that
+ *   saw some eclipse with the Sun up; centralPath is a list of unbroken segments, each a list of
+ *   {centre, north, south} [longitude, latitude] points along the umbra's track (empty for partial
+ *   eclipses; a limit is null where it runs off the Earth); greatestPoint is [longitude, latitude]
+ *   nearest the shadow axis at greatest eclipse
+ */
+function solarEclipseZones(greatestEclipse, options = {}) {
+  const gridStep = options.gridStep || 2;
+  const centre = new Date(greatestEclipse).getTime();
+  const cells = gridCells(gridStep);
+  const seen = new Array(cells.length).fill(false);
+
+  for (let offset = -ZONE_SCAN_HOURS * 60; offset <= ZONE_SCAN_HOURS * 60; offset += ZONE_STEP_MINUTES) {
+    const elements = besselianElements(centre + offset * MINUTE_MS);
+    // Skip instants when the penumbra is off the Earth altogether
+    if (Math.hypot(elements.x, elements.y) > 1 + elements.l1) continue;
+
+    const sinOffset = sinDeg(elements.hourOffset);
+    const cosOffset = cosDeg(elements.hourOffset);
+    cells.forEach((cell, i) => {
+      if (seen[i]) return;
+      const sinH = sinOffset * cell.cosLon + cosOffset * cell.sinLon;
+      const cosH = cosOffset * cell.cosLon - sinOffset * cell.sinLon;
+      const zeta = cell.rhoSinPhi * elements.sinD + cell.rhoCosPhi * elements.cosD * cosH;
+      if (zeta <= 0) return;
+
+      const xi = cell.rhoCosPhi * sinH;
+      const eta = cell.rhoSinPhi * elements.cosD - cell.rhoCosPhi * elements.sinD * cosH;
+      const penumbra = elements.l1 - zeta * elements.tanF1;
+      if (Math.hypot(elements.x - xi, elements.y - eta) < penumbra) seen[i] = true;
+    });
+  }
+
+  // The umbra's track, with its limits perpendicular to the shadow's motion over the ground
+  const centralPath = [];
+  let segment = null;
+  for (let offset = -ZONE_SCAN_HOURS * 60; offset <= ZONE_SCAN_HOURS * 60; offset += PATH_STEP_MINUTES) {
+    const millis = centre + offset * MINUTE_MS;
+    const elements = besselianElements(millis);
+    const centrePoint = surfacePoint(elements.x, elements.y, elements);
+    if (!centrePoint) {
+      segment = null;
+      continue;
+    }
+
+    const later = besselianElements(millis + MINUTE_MS);
+    const [longitude, latitude] = centrePoint;
+    const { rhoSinPhi, rhoCosPhi } = observerGeocentric(latitude);
+    const groundMotion = (el) => {
+      const hourAngle = el.hourOffset + longitude;
+      return [
+        rhoCosPhi * sinDeg(hourAngle),
+        rhoSinPhi * el.cosD - rhoCosPhi * el.sinD * cosDeg(hourAngle)
+      ];
+    };
+    const [xiNow, etaNow] = groundMotion(elements);
+    const [xiLater, etaLater] = groundMotion(later);
+    const dx = (later.x - elements.x) - (xiLater - xiNow);
+    const dy = (later.y - elements.y) - (etaLater - etaNow);
+    const speed = Math.hypot(dx, dy);
+
+    const zeta = Math.sqrt(1 - elements.x * elements.x - elements.y * elements.y);
+    const halfWidth = Math.abs(elements.l2 - zeta * elements.tanF2);
+    const limit = (side) => surfacePoint(
+      elements.x - side * halfWidth * dy / speed,
+      elements.y + side * halfWidth * dx / speed,
+      elements
+    );
+    const [left, right] = [limit(1), limit(-1)];
+    const northFirst = !right || (left && left[1] >= right[1]);
+
+    if (!segment) {
+      segment = [];
+      centralPath.push(segment);
+    }
+    segment.push({ centre: centrePoint, north: northFirst ? left : right, south: northFirst ? right : left });
+  }
+
+  const atGreatest = besselianElements(centre);
+  const distance = Math.hypot(atGreatest.x, atGreatest.y);
+  const greatestPoint = distance < 1
+    ? surfacePoint(atGreatest.x, atGreatest.y, atGreatest)
+    : surfacePoint(0.999999 * atGreatest.x / distance, 0.999999 * atGreatest.y / distance, atGreatest);
+
+  return { partial: cellRuns(cells, seen, gridStep), centralPath, greatestPoint };
+}
+
+/**
+ * Where a lunar eclipse was seen
+ * @param {Date|string} greatestEclipse - UTC instant of greatest eclipse
+ * @param {{penumbral: number|null, partial: number|null, total: number|null}} durationMinutes - Phase lengths
+ * @param {Object} [options] - Map options
+ * @param {number} [options.gridStep=2] - Grid cell size in degrees
+ * @returns {Object} - {entire, part, subLunarPoint}: cellRuns() of the places with the Moon up for the
+ *   whole of the eclipse's deepest phase span (the umbral phases, or the penumbral phase of a
+ *   penumbral eclipse) and of those with it up for only some of it; subLunarPoint is the
+ *   [longitude, latitude] with the Moon overhead at greatest eclipse
+ */
+function lunarEclipseZones(greatestEclipse, durationMinutes, options = {}) {
+  const gridStep = options.gridStep || 2;
+  const centre = new Date(greatestEclipse).getTime();
+  const span = (durationMinutes?.partial || durationMinutes?.penumbral || 0) * MINUTE_MS;
+  const cells = gridCells(gridStep);
+  const upCount = new Array(cells.length).fill(0);
+
+  const instants = [];
+  for (let millis = centre - span / 2; millis < centre + span / 2; millis += LUNAR_STEP_MINUTES * MINUTE_MS) {
+    instants.push(millis);
+  }
+  instants.push(centre + span / 2);
+
+  let subLunarPoint = null;
+  instants.concat(centre).forEach((millis, index) => {
+    const instant = new Date(millis);
+    const jde = jdeFromDate(instant);
+    const moon = moonPosition(jde);
+    const hourOffset = greenwichSiderealTime(julianDay(instant), jde) - moon.ra;
+    if (index === instants.length) {
+      subLunarPoint = [signedDegrees(-hourOffset), moon.dec];
+      return;
+    }
+
+    // Geocentric altitude at which the topocentric upper limb reaches the refracted horizon
+    const horizon = moon.parallax - HORIZON_REFRACTION - moon.semiDiameter;
+    const sinDec = sinDeg(moon.dec);
+    const cosDec = cosDeg(moon.dec);
+    const sinOffset = sinDeg(hourOffset);
+    const cosOffset = cosDeg(hourOffset);
+    const sinHorizon = sinDeg(horizon);
+    cells.forEach((cell, i) => {
+      const cosH = cosOffset * cell.cosLon - sinOffset * cell.sinLon;
+      if (cell.sinLat * sinDec + cell.cosLat * cosDec * cosH > sinHorizon) upCount[i]++;
+    });
+  });
+
+  return {
+    entire: cellRuns(cells, upCount.map(count => count === instants.length), gridStep),
+    part: cellRuns(cells, upCount.map(count => count > 0 && count < instants.length), gridStep),
+    subLunarPoint
+  };
+}
+
+module.exports = {
+  besselianElements,
+  surfacePoint,
+  solarEclipseZones,
+  lunarEclipseZones
+};
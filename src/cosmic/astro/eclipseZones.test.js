@@ -0,0 +1,57 @@
+import { solarEclipseZones, lunarEclipseZones } from './eclipseZones';
+import { buildEclipseMap } from '../eclipseMap';
+
+const DALLAS = { latitude: 32.7767, longitude: -96.797 };
+
+// Whether [longitude, latitude] falls in one of the runs of cellRuns()
+const inRuns = (runs, [longitude, latitude], gridStep = 2) => runs.some(run =>
+  Math.abs(run.latitude - latitude) <= gridStep / 2 && longitude >= run.west && longitude <= run.east
+);
+
+test('maps the partial zone and path of totality of the 2024 solar eclipse', () => {
+  // NASA: greatest eclipse at 25.3°N 104.1°W
+  const { partial, centralPath, greatestPoint } = solarEclipseZones('2024-04-08T18:17:15Z');
+  expect(greatestPoint[0]).toBeCloseTo(-104.1, 0);
+  expect(greatestPoint[1]).toBeCloseTo(25.3, 0);
+
+  expect(inRuns(partial, [-87.6, 41.9])).toBe(true); // Chicago
+  expect(inRuns(partial, [18.4, -33.9])).toBe(false); // Cape Town
+  expect(inRuns(partial, [-0.1, 51.5])).toBe(false); // London, Sun already set
+
+  // Dallas lies between the northern and southern limits, about 200 km apart there
+  const near = centralPath.flat().reduce((best, point) =>
+    (Math.abs(point.centre[0] - DALLAS.longitude) < Math.abs(best.centre[0] - DALLAS.longitude) ? point : best));
+  expect(near.south[1]).toBeLessThan(DALLAS.latitude);
+  expect(near.north[1]).toBeGreaterThan(DALLAS.latitude);
+  expect((near.north[1] - near.south[1]) * 111).toBeGreaterThan(150);
+  expect((near.north[1] - near.south[1]) * 111).toBeLessThan(250);
+
+  // Partial eclipses have no central path
+  expect(solarEclipseZones('2022-10-25T11:00:07Z').centralPath).toEqual([]);
+});
+
+test('maps where the 2022 total lunar eclipse was seen', () => {
+  // NASA: the Moon was overhead at 17°N 169°W
+  const zones = lunarEclipseZones('2022-11-08T10:59:11Z', { penumbral: 353.9, partial: 219.8, total: 85 });
+  expect(zones.subLunarPoint[0]).toBeCloseTo(-169, 0);
+  expect(zones.subLunarPoint[1]).toBeCloseTo(17, 0);
+
+  expect(inRuns(zones.entire, [-118.2, 34.1])).toBe(true); // Los Angeles
+  expect(inRuns(zones.part, [-74.0, 40.7])).toBe(true); // New York, Moon set during totality
+  expect(inRuns(zones.entire.concat(zones.part), [-0.1, 51.5])).toBe(false); // London
+});
+
+test('builds SVG layers with markers for an eclipse birthday', () => {
+  const map = buildEclipseMap(
+    { category: 'Solar', eclipseType: 'Total', utc: '2024-04-08T18:17:15Z' },
+    { location: DALLAS, width: 360 }
+  );
+
+  expect(map).toMatchObject({ width: 360, height: 180 });
+  expect(map.land).toMatch(/^M[\d.,L]+Z/);
+  expect(map.zones.map(zone => [zone.kind, zone.label]))
+    .toEqual([['partial', 'Partial eclipse seen'], ['central', 'Path of totality']]);
+  expect(map.centralLine.length).toBeGreaterThan(0);
+  expect(map.markers.map(marker => marker.kind)).toEqual(['greatest', 'location']);
+  expect(map.markers[1]).toMatchObject({ x: 83.2, y: 57.2 });
+});
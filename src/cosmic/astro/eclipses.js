@@ -0,0 +1,256 @@
+/**
+ * ECLIPSE PREDICTION
+ * Deterministic solar and lunar eclipses from the syzygies that fall near a lunar
+ * node, following Meeus, Astronomical Algorithms (2nd ed.), chapter 54.
+ * Gives the eclipse type, the instant of greatest eclipse and gamma (the least
+ * distance of the shadow axis from Earth's centre, in Earth radii). Lunar
+ * eclipses are refined against the Sun and Moon positions with Danjon's
+ * enlargement of Earth's shadow, which settles the marginal penumbral cases.
+ */
+
+const { sinDeg, cosDeg, normalizeDegrees } = require('./angles');
+const { dateFromJDE } = require('./time');
+const { meanPhaseJDE } = require('./lunarPhases');
+const { angularSeparation } = require('./coordinates');
+const { sunPosition, sunSemiDiameter, sunParallax } = require('./sun');
+const { moonPosition } = require('./moon');
+
+const SOLAR = 'solar';
+const LUNAR = 'lunar';
+
+/**
+ * Evaluate the syzygy of lunation k as a possible eclipse
+ * @param {number} k - Lunation number: integer for new moon (solar), +0.5 for full moon (lunar)
+ * @returns {Object|null} - Eclipse circumstances, or null when there is no eclipse
+ */
+function predictEclipse(k) {
+  const T = k / 1236.85;
+  const F = normalizeDegrees(160.7108 + 390.67050284 * k - 0.0016118 * T * T
+    - 0.00000227 * T ** 3 + 0.000000011 * T ** 4);
+
+  // Too far from a node for any eclipse
+  if (Math.abs(sinDeg(F)) > 0.36) return null;
+
+  const isLunar = Math.abs(k - Math.floor(k) - 0.5) < 1e-6;
+  const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+  const M = normalizeDegrees(2.5534 + 29.10535670 * k - 0.0000014 * T * T - 0.00000011 * T ** 3);
+  const Mp = normalizeDegrees(201.5643 + 385.81693528 * k + 0.0107582 * T * T
+    + 0.00001238 * T ** 3 - 0.000000058 * T ** 4);
+  const omega = normalizeDegrees(124.7746 - 1.56375588 * k + 0.0020672 * T * T + 0.00000215 * T ** 3);
+  const F1 = F - 0.02665 * sinDeg(omega);
+  const A1 = 299.77 + 0.107408 * k - 0.009173 * T * T;
+
+  const jde = meanPhaseJDE(k)
+    + (isLunar ? -0.4065 : -0.4075) * sinDeg(Mp)
+    + (isLunar ? 0.1727 : 0.1721) * E * sinDeg(M)
+    + 0.0161 * sinDeg(2 * Mp)
+    - 0.0097 * sinDeg(2 * F1)
+    + 0.0073 * E * sinDeg(Mp - M)
+    - 0.0050 * E * sinDeg(Mp + M)
+    - 0.0023 * sinDeg(Mp - 2 * F1)
+    + 0.0021 * E * sinDeg(2 * M)
+    + 0.0012 * sinDeg(Mp + 2 * F1)
+    + 0.0006 * E * sinDeg(2 * Mp + M)
+    - 0.0004 * sinDeg(3 * Mp)
+    - 0.0003 * E * sinDeg(M + 2 * F1)
+    + 0.0003 * sinDeg(A1)
+    - 0.0002 * E * sinDeg(M - 2 * F1)
+    - 0.0002 * E * sinDeg(2 * Mp - M)
+    - 0.0002 * sinDeg(omega);
+
+  const P = 0.2070 * E * sinDeg(M) + 0.0024 * E * sinDeg(2 * M) - 0.0392 * sinDeg(Mp)
+    + 0.0116 * sinDeg(2 * Mp) - 0.0073 * E * sinDeg(Mp + M) + 0.0067 * E * sinDeg(Mp - M)
+    + 0.0118 * sinDeg(2 * F1);
+  const Q = 5.2207 - 0.0048 * E * cosDeg(M) + 0.0020 * E * cosDeg(2 * M) - 0.3299 * cosDeg(Mp)
+    - 0.0060 * E * cosDeg(Mp + M) + 0.0041 * E * cosDeg(Mp - M);
+  const W = Math.abs(cosDeg(F1));
+  const gamma = (P * cosDeg(F1) + Q * sinDeg(F1)) * (1 - 0.0048 * W);
+  const u = 0.0059 + 0.0046 * E * cosDeg(M) - 0.0182 * cosDeg(Mp)
+    + 0.0004 * cosDeg(2 * Mp) - 0.0005 * cosDeg(M + Mp);
+
+  const base = { k, jde, instant: dateFromJDE(jde), gamma, u };
+  return isLunar ? classifyLunar(base) : classifySolar(base);
+}
+
+/**
+ * Classify a solar eclipse from gamma and the umbral radius u
+ * @param {Object} base - {gamma, u, ...}
+ * @returns {Object|null} - Solar eclipse or null
+ */
+function classifySolar(base) {
+  const { gamma, u } = base;
+  const absGamma = Math.abs(gamma);
+
+  if (absGamma > 1.5433 + u) return null;
+
+  let eclipseType;
+  let central = false;
+  let magnitude = null;
+
+  if (absGamma < 0.9972) {
+    central = true;
+    if (u < 0) {
+      eclipseType = 'Total';
+    } else if (u > 0.0047) {
+      eclipseType = 'Annular';
+    } else {
+      // Annular near the ends of the path, total in the middle
+      const omega = 0.00464 * Math.sqrt(1 - gamma * gamma);
+      eclipseType = u < omega ? 'Hybrid' : 'Annular';
+    }
+  } else if (absGamma < 0.9972 + Math.abs(u)) {
+    // Non-central: the umbra or antumbra only grazes a polar region
+    eclipseType = u < 0 ? 'Total' : 'Annular';
+  } else {
+    eclipseType = 'Partial';
+    magnitude = (1.5433 + u - absGamma) / (0.5461 + 2 * u);
+  }
+
+  return { ...base, category: SOLAR, eclipseType, central, magnitude };
+}
+
+/**
+ * Moon's position relative to the centre of Earth's shadow
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {Object} - {distance, moon, sun} distance in degrees
+ */
+function shadowGeometry(jde) {
+  const sun = sunPosition(jde);
+  const moon = moonPosition(jde);
+  const distance = angularSeparation(moon.lambda, moon.beta, sun.lambda + 180, -sun.beta);
+  return { distance, moon, sun };
+}
+
+/**
+ * Classify a lunar eclipse from the Moon's least distance to the shadow axis
+ * @param {Object} base - {jde, ...} from the Meeus syzygy
+ * @returns {Object|null} - Lunar eclipse or null
+ */
+function classifyLunar(base) {
+  // Golden-section search for the least Moon-shadow distance within three hours (to ~10 s)
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let low = base.jde - 0.125;
+  let high = base.jde + 0.125;
+  let a = high - ratio * (high - low);
+  let b = low + ratio * (high - low);
+  let distanceA = shadowGeometry(a).distance;
+  let distanceB = shadowGeometry(b).distance;
+  while (high - low > 1e-4) {
+    if (distanceA < distanceB) {
+      high = b;
+      b = a;
+      distanceB = distanceA;
+      a = high - ratio * (high - low);
+      distanceA = shadowGeometry(a).distance;
+    } else {
+      low = a;
+      a = b;
+      distanceA = distanceB;
+      b = low + ratio * (high - low);
+      distanceB = shadowGeometry(b).distance;
+    }
+  }
+  const jde = (low + high) / 2;
+  const { distance, moon, sun } = shadowGeometry(jde);
+
+  // Danjon: enlarge Earth's parallax by 1% for the atmosphere
+  const moonParallax = moon.parallax;
+  const sunRadius = sunSemiDiameter(sun.distanceAU);
+  const umbraRadius = 1.01 * moonParallax + sunParallax(sun.distanceAU) - sunRadius;
+  const penumbraRadius = 1.01 * moonParallax + sunParallax(sun.distanceAU) + sunRadius;
+  const moonRadius = moon.semiDiameter;
+
+  const penumbralMagnitude = (penumbraRadius + moonRadius - distance) / (2 * moonRadius);
+  const umbralMagnitude = (umbraRadius + moonRadius - distance) / (2 * moonRadius);
+  if (penumbralMagnitude <= 0) return null;
+
+  let eclipseType = 'Penumbral';
+  if (umbralMagnitude >= 1) eclipseType = 'Total';
+  else if (umbralMagnitude > 0) eclipseType = 'Partial';
+
+  // Semidurations in minutes from the Moon's speed relative to the shadow
+  const hour = 1 / 24;
+  const before = shadowGeometry(jde - hour);
+  const after = shadowGeometry(jde + hour);
+  const speed = angularSeparation(
+    after.moon.lambda - after.sun.lambda, after.moon.beta,
+    before.moon.lambda - before.sun.lambda, before.moon.beta
+  ) / 120;
+  const semiduration = (radius) => (radius > distance ? Math.sqrt(radius * radius - distance * distance) / speed : 0);
+
+  return {
+    ...base,
+    jde,
+    instant: dateFromJDE(jde),
+    gamma: Math.sign(moon.beta) * distance / moonParallax,
+    category: LUNAR,
+    eclipseType,
+    magnitude: eclipseType === 'Penumbral' ? penumbralMagnitude : umbralMagnitude,
+    penumbralMagnitude,
+    umbralMagnitude,
+    semidurations: {
+      penumbral: semiduration(penumbraRadius + moonRadius),
+      partial: semiduration(umbraRadius + moonRadius),
+      total: semiduration(umbraRadius - moonRadius)
+    }
+  };
+}
+
+/**
+ * Predict every eclipse whose greatest eclipse falls in a UTC calendar year
+ * @param {number} year - Calendar year
+ * @returns {Array} - Eclipses in time order; each has `category` ('solar' | 'lunar'),
+ *   `eclipseType`, `instant` (UTC Date of greatest eclipse), `jde` and `gamma`
+ */
+function predictEclipses(year) {
+  const eclipses = [];
+  const startMillis = Date.UTC(year, 0, 1);
+  const endMillis = Date.UTC(year + 1, 0, 1);
+  const firstLunation = Math.floor((year - 2000) * 12.3685) - 1;
+
+  for (let lunation = firstLunation; lunation <= firstLunation + 14; lunation++) {
+    [lunation, lunation + 0.5].forEach(k => {
+      const eclipse = predictEclipse(k);
+      if (!eclipse) return;
+
+      const millis = eclipse.instant.getTime();
+      if (millis >= startMillis && millis < endMillis) eclipses.push(eclipse);
+    });
+  }
+
+  return eclipses.sort((a, b) => a.instant - b.instant);
+}
+
+/**
+ * Describe a predicted eclipse in the shape of a catalog entry
+ * @param {Object} eclipse - Result of predictEclipse()
+ * @returns {Object} - {year, month, day, date, type, eclipseType, greatestEclipse, lunation, gamma, magnitude, source}
+ */
+function toCatalogEntry(eclipse) {
+  const instant = eclipse.instant;
+  const month = instant.getUTCMonth() + 1;
+  const day = instant.getUTCDate();
+
+  return {
+    year: instant.getUTCFullYear(),
+    month,
+    day,
+    date: `${instant.getUTCFullYear()}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`,
+    type: eclipse.category,
+    eclipseType: eclipse.eclipseType,
+    greatestEclipse: instant.toISOString(),
+    // NASA numbers a full moon with the new moon before it
+    lunation: Math.floor(eclipse.k),
+    gamma: Math.round(eclipse.gamma * 10000) / 10000,
+    magnitude: eclipse.magnitude === null ? null : Math.round(eclipse.magnitude * 10000) / 10000,
+    source: 'Computed (Meeus)'
+  };
+}
+
+module.exports = {
+  SOLAR,
+  LUNAR,
+  predictEclipse,
+  predictEclipses,
+  toCatalogEntry
+};
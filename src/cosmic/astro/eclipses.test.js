@@ -0,0 +1,57 @@
+import { predictEclipses, toCatalogEntry } from './eclipses';
+import { getEclipseInstant } from '../catalog';
+import eclipseData from '../../data/eclipse-data-1960-2100.json';
+
+// Genuine NASA catalog rows: "... TD  ΔT  lunation  Saros  Type  QSE/QLE  Gamma ..."
+const CATALOG_ROW = /\d{2}:\d{2}:\d{2}\s+-?\d+\s+-?\d+\s+\d+\s+([A-Z][a-z0-9+-]*)\s+\S+\s+(-?\d+\.\d+)/;
+
+const catalogRows = (list, category) => list
+  .map(eclipse => ({ eclipse, row: CATALOG_ROW.exec(eclipse.description.replace(/<[^>]*>/g, '')) }))
+  .filter(({ row }) => row)
+  .map(({ eclipse, row }) => ({
+    category,
+    date: eclipse.date,
+    instant: getEclipseInstant(eclipse),
+    typeCode: row[1][0],
+    gamma: parseFloat(row[2])
+  }));
+
+test('predicts every NASA eclipse in the bundled catalog', () => {
+  const predicted = [];
+  for (let year = 1960; year <= 2100; year++) predicted.push(...predictEclipses(year));
+
+  const rows = [
+    ...catalogRows(eclipseData.solarEclipses, 'solar'),
+    ...catalogRows(eclipseData.lunarEclipses, 'lunar')
+  ];
+  expect(rows.length).toBeGreaterThan(600);
+
+  const mismatches = rows.filter(row => {
+    const match = predicted.find(eclipse => eclipse.category === row.category
+      && Math.abs(eclipse.instant - row.instant) < 15 * 60000);
+    // NASA writes penumbral lunar eclipses as N
+    const typeCode = match && (match.eclipseType === 'Penumbral' ? 'N' : match.eclipseType[0]);
+    return !match
+      || typeCode !== row.typeCode
+      || match.instant.toISOString().slice(0, 10) !== row.date
+      || Math.abs(match.gamma - row.gamma) > 0.01;
+  });
+
+  expect(mismatches).toEqual([]);
+});
+
+test('gives the 2024 total solar eclipse with its time of greatest eclipse', () => {
+  const eclipse = predictEclipses(2024).find(candidate => candidate.category === 'solar');
+
+  expect(eclipse).toMatchObject({ eclipseType: 'Total', central: true });
+  expect(Math.abs(eclipse.instant - Date.UTC(2024, 3, 8, 18, 17, 15))).toBeLessThan(2 * 60000);
+  expect(toCatalogEntry(eclipse)).toMatchObject({ date: '2024-04-08', type: 'solar', gamma: expect.closeTo(0.3431, 2) });
+});
+
+test('is deterministic and covers years outside the catalog', () => {
+  expect(predictEclipses(1919)).toEqual(predictEclipses(1919));
+  // Eddington's eclipse expedition: total solar eclipse of 29 May 1919
+  expect(predictEclipses(1919).map(toCatalogEntry)).toContainEqual(
+    expect.objectContaining({ date: '1919-05-29', type: 'solar', eclipseType: 'Total' })
+  );
+});
@@ -0,0 +1,274 @@
+/**
+ * LOCAL ECLIPSE CIRCUMSTANCES
+ * How an eclipse looks from one place. For a solar eclipse the Sun and Moon are
+ * followed in topocentric coordinates around the time of greatest eclipse, giving
+ * the first and last contacts, the local maximum with its magnitude and
+ * obscuration, and whether the Sun was above the horizon while the eclipse was in
+ * progress; contact times come out within about a minute of NASA's local
+ * circumstances. A lunar eclipse looks the same from everywhere the Moon is up,
+ * so its contacts come from the durations of its phases and only the Moon's
+ * altitude at each is local.
+ */
+
+const { asinDeg, sinDeg } = require('./angles');
+const { julianDay, jdeFromDate } = require('./time');
+const {
+  greenwichSiderealTime,
+  topocentricEquatorial,
+  equatorialToHorizontal,
+  angularSeparation
+} = require('./coordinates');
+const { sunPosition, sunSemiDiameter, sunParallax } = require('./sun');
+const { moonPosition } = require('./moon');
+
+// The partial phases at any one place end within a few hours of greatest eclipse
+const SCAN_HOURS = 5;
+const SCAN_STEP_MINUTES = 2;
+const MINUTE_MS = 60000;
+
+// Altitude of the Sun's centre at sunrise and sunset, allowing for refraction and semi-diameter
+const HORIZON_ALTITUDE = -0.833;
+
+// Refraction at the horizon; a body is up while its upper limb is above this
+const HORIZON_REFRACTION = 0.5667;
+
+const LOCAL_ECLIPSE_TYPES = {
+  PARTIAL: 'Partial',
+  TOTAL: 'Total',
+  ANNULAR: 'Annular'
+};
+
+// Lunar eclipse contacts in time order: the phase each bounds, and which side of greatest eclipse
+const LUNAR_CONTACTS = [
+  { contact: 'P1', label: 'Penumbral eclipse begins', phase: 'penumbral', side: -1 },
+  { contact: 'U1', label: 'Partial eclipse begins', phase: 'partial', side: -1 },
+  { contact: 'U2', label: 'Total eclipse begins', phase: 'total', side: -1 },
+  { contact: 'U3', label: 'Total eclipse ends', phase: 'total', side: 1 },
+  { contact: 'U4', label: 'Partial eclipse ends', phase: 'partial', side: 1 },
+  { contact: 'P4', label: 'Penumbral eclipse ends', phase: 'penumbral', side: 1 }
+];
+
+/**
+ * Topocentric Sun and Moon discs at an instant
+ * @param {number} millis - UTC instant in milliseconds
+ * @param {{latitude: number, longitude: number}} location - Observer, degrees north and east
+ * @returns {{separation: number, sunRadius: number, moonRadius: number, sunAltitude: number}} - Degrees
+ */
+function discGeometry(millis, { latitude, longitude }) {
+  const instant = new Date(millis);
+  const jde = jdeFromDate(instant);
+  const localSiderealTime = greenwichSiderealTime(julianDay(instant), jde) + longitude;
+  const sun = sunPosition(jde);
+  const moon = moonPosition(jde);
+
+  const sunPlace = topocentricEquatorial(sun.ra, sun.dec, sunParallax(sun.distanceAU), latitude, localSiderealTime);
+  const moonPlace = topocentricEquatorial(moon.ra, moon.dec, moon.parallax, latitude, localSiderealTime);
+
+  return {
+    separation: angularSeparation(sunPlace.ra, sunPlace.dec, moonPlace.ra, moonPlace.dec),
+    sunRadius: sunSemiDiameter(sun.distanceAU),
+    moonRadius: asinDeg(sinDeg(moon.semiDiameter) / moonPlace.distanceRatio),
+    sunAltitude: equatorialToHorizontal(sunPlace.ra, sunPlace.dec, latitude, localSiderealTime).altitude
+  };
+}
+
+/**
+ * How far the Moon's disc overlaps the Sun's
+ * @param {Object} geometry - From discGeometry()
+ * @returns {number} - Degrees; positive while the eclipse is in progress
+ */
+const overlapOf = (geometry) => geometry.sunRadius + geometry.moonRadius - geometry.separation;
+
+/**
+ * Fraction of the Sun's disc covered by the Moon's
+ * @param {Object} geometry - From discGeometry()
+ * @returns {number} - 0 to 1
+ */
+function obscurationOf({ separation: d, sunRadius: r, moonRadius: R }) {
+  if (d >= r + R) return 0;
+  if (d <= R - r) return 1;
+  if (d <= r - R) return (R * R) / (r * r);
+
+  // Area of the lens where two circles overlap
+  const sunAngle = Math.acos((d * d + r * r - R * R) / (2 * d * r));
+  const moonAngle = Math.acos((d * d + R * R - r * r) / (2 * d * R));
+  const lens = r * r * sunAngle + R * R * moonAngle
+    - 0.5 * Math.sqrt((-d + r + R) * (d + r - R) * (d - r + R) * (d + r + R));
+  return lens / (Math.PI * r * r);
+}
+
+/**
+ * Find when the overlap crosses zero between two instants, to the second
+ * @param {number} outside - Instant (ms) with no overlap
+ * @param {number} inside - Instant (ms) with overlap
+ * @param {Object} location - Observer
+ * @returns {number} - Instant of contact (ms)
+ */
+function findContact(outside, inside, location) {
+  let a = outside;
+  let b = inside;
+  while (Math.abs(b - a) > 1000) {
+    const middle = (a + b) / 2;
+    if (overlapOf(discGeometry(middle, location)) > 0) b = middle;
+    else a = middle;
+  }
+  return Math.round((a + b) / 2);
+}
+
+/**
+ * Find the instant of greatest overlap near a sampled maximum, to the second
+ * @param {number} low - Instant (ms) before the maximum
+ * @param {number} high - Instant (ms) after the maximum
+ * @param {Object} location - Observer
+ * @returns {number} - Instant of local maximum (ms)
+ */
+function findMaximum(low, high, location) {
+  let a = low;
+  let b = high;
+  while (b - a > 1000) {
+    const third = (b - a) / 3;
+    if (overlapOf(discGeometry(a + third, location)) < overlapOf(discGeometry(b - third, location))) a += third;
+    else b -= third;
+  }
+  return Math.round((a + b) / 2);
+}
+
+/**
+ * Local circumstances of a solar eclipse
+ * @param {Date|string} greatestEclipse - UTC instant of greatest eclipse (anywhere on Earth)
+ * @param {{latitude: number, longitude: number}} location - Observer, degrees north and east
+ * @returns {Object} - {eclipsed, visible, localType, magnitude, obscuration, sunAltitude, start, maximum, end}:
+ *   start, maximum and end are UTC Dates of first contact, local maximum and last contact;
+ *   visible is true when the Sun is above the horizon for some of the eclipse. When the
+ *   Moon's shadow misses the location, eclipsed and visible are false and the rest is null.
+ */
+function solarEclipseCircumstances(greatestEclipse, location) {
+  const centre = new Date(greatestEclipse).getTime();
+  const step = SCAN_STEP_MINUTES * MINUTE_MS;
+  const samples = [];
+  for (let millis = centre - SCAN_HOURS * 60 * MINUTE_MS; millis <= centre + SCAN_HOURS * 60 * MINUTE_MS; millis += step) {
+    samples.push({ millis, geometry: discGeometry(millis, location) });
+  }
+
+  const peak = samples.reduce((best, sample) => (overlapOf(sample.geometry) > overlapOf(best.geometry) ? sample : best));
+  if (overlapOf(peak.geometry) <= 0) {
+    return {
+      eclipsed: false,
+      visible: false,
+      localType: null,
+      magnitude: null,
+      obscuration: null,
+      sunAltitude: null,
+      start: null,
+      maximum: null,
+      end: null
+    };
+  }
+
+  const peakIndex = samples.indexOf(peak);
+  let first = peakIndex;
+  while (first > 0 && overlapOf(samples[first - 1].geometry) > 0) first--;
+  let last = peakIndex;
+  while (last < samples.length - 1 && overlapOf(samples[last + 1].geometry) > 0) last++;
+
+  const start = first > 0 ? findContact(samples[first - 1].millis, samples[first].millis, location) : samples[0].millis;
+  const end = last < samples.length - 1
+    ? findContact(samples[last + 1].millis, samples[last].millis, location)
+    : samples[samples.length - 1].millis;
+  const maximum = findMaximum(peak.millis - step, peak.millis + step, location);
+  const atMaximum = discGeometry(maximum, location);
+
+  let localType = LOCAL_ECLIPSE_TYPES.PARTIAL;
+  if (atMaximum.separation <= atMaximum.moonRadius - atMaximum.sunRadius) localType = LOCAL_ECLIPSE_TYPES.TOTAL;
+  else if (atMaximum.separation <= atMaximum.sunRadius - atMaximum.moonRadius) localType = LOCAL_ECLIPSE_TYPES.ANNULAR;
+
+  // The Sun is up for part of the eclipse if it is up at a contact, the maximum or any sample between
+  const altitudes = [start, end].map(millis => discGeometry(millis, location).sunAltitude)
+    .concat(atMaximum.sunAltitude, samples.slice(first, last + 1).map(sample => sample.geometry.sunAltitude));
+
+  return {
+    eclipsed: true,
+    visible: altitudes.some(altitude => altitude > HORIZON_ALTITUDE),
+    localType,
+    magnitude: overlapOf(atMaximum) / (2 * atMaximum.sunRadius),
+    obscuration: obscurationOf(atMaximum),
+    sunAltitude: atMaximum.sunAltitude,
+    start: new Date(start),
+    maximum: new Date(maximum),
+    end: new Date(end)
+  };
+}
+
+/**
+ * Topocentric altitude of the Moon and whether its upper limb is above the horizon
+ * @param {number} millis - UTC instant in milliseconds
+ * @param {{latitude: number, longitude: number}} location - Observer, degrees north and east
+ * @returns {{altitude: number, up: boolean}} - Altitude of the Moon's centre in degrees
+ */
+function moonAltitude(millis, { latitude, longitude }) {
+  const instant = new Date(millis);
+  const jde = jdeFromDate(instant);
+  const localSiderealTime = greenwichSiderealTime(julianDay(instant), jde) + longitude;
+  const moon = moonPosition(jde);
+  const place = topocentricEquatorial(moon.ra, moon.dec, moon.parallax, latitude, localSiderealTime);
+  const { altitude } = equatorialToHorizontal(place.ra, place.dec, latitude, localSiderealTime);
+
+  return { altitude, up: altitude > -(HORIZON_REFRACTION + moon.semiDiameter) };
+}
+
+/**
+ * Local circumstances of a lunar eclipse
+ * @param {Date|string} greatestEclipse - UTC instant of greatest eclipse
+ * @param {{penumbral: number|null, partial: number|null, total: number|null}} durationMinutes - Length of
+ *   each phase, null for phases the eclipse does not reach
+ * @param {{latitude: number, longitude: number}} location - Observer, degrees north and east
+ * @returns {Object} - {visible, moonAltitude, contacts, phases}: contacts are the P1/U1/U2/U3/U4/P4
+ *   contacts that occur, as {contact, label, instant (UTC Date), moonAltitude, moonUp}; phases gives
+ *   for 'penumbral', 'partial' and 'total' whether the Moon is up for any of that phase, or null when
+ *   the eclipse has no such phase; visible is true when the Moon is up for any of the eclipse
+ */
+function lunarEclipseCircumstances(greatestEclipse, durationMinutes, location) {
+  const centre = new Date(greatestEclipse).getTime();
+  const halfOf = (phase) => (durationMinutes?.[phase] ? durationMinutes[phase] * MINUTE_MS / 2 : null);
+
+  const contacts = LUNAR_CONTACTS
+    .filter(({ phase }) => halfOf(phase))
+    .map(({ contact, label, phase, side }) => {
+      const millis = Math.round(centre + side * halfOf(phase));
+      const moon = moonAltitude(millis, location);
+      return { contact, label, instant: new Date(millis), moonAltitude: moon.altitude, moonUp: moon.up };
+    });
+
+  // The Moon is up for part of a phase if it is up at either contact or any sample between
+  const phaseVisible = (phase) => {
+    const half = halfOf(phase);
+    if (!half) return null;
+    for (let millis = centre - half; millis < centre + half; millis += SCAN_STEP_MINUTES * MINUTE_MS) {
+      if (moonAltitude(millis, location).up) return true;
+    }
+    return moonAltitude(centre + half, location).up;
+  };
+
+  const phases = {
+    penumbral: phaseVisible('penumbral'),
+    partial: phaseVisible('partial'),
+    total: phaseVisible('total')
+  };
+  const atGreatest = moonAltitude(centre, location);
+
+  return {
+    visible: Object.values(phases).some(Boolean) || atGreatest.up,
+    moonAltitude: atGreatest.altitude,
+    contacts,
+    phases
+  };
+}
+
+module.exports = {
+  HORIZON_ALTITUDE,
+  LOCAL_ECLIPSE_TYPES,
+  LUNAR_CONTACTS,
+  solarEclipseCircumstances,
+  moonAltitude,
+  lunarEclipseCircumstances
+};
@@ -0,0 +1,66 @@
+import { solarEclipseCircumstances, lunarEclipseCircumstances } from './localEclipse';
+import { findCosmicEvents } from '../index';
+
+const DALLAS = { latitude: 32.7767, longitude: -96.797 };
+const CHICAGO = { latitude: 41.8781, longitude: -87.6298 };
+
+// Total lunar eclipse of 2022 Nov 08: greatest eclipse and phase lengths from the NASA catalog
+const LUNAR_GREATEST = '2022-11-08T10:59:11Z';
+const LUNAR_DURATIONS = { penumbral: 353.9, partial: 219.8, total: 85 };
+
+const minutesFrom = (instant, iso) => Math.abs(instant - new Date(iso)) / 60000;
+
+test('gives local contacts and obscuration for the 2024 total solar eclipse', () => {
+  // NASA: Dallas sees totality, first contact 17:23:24 UT, maximum 18:42:39 UT, last contact 20:02:15 UT
+  const dallas = solarEclipseCircumstances('2024-04-08T18:17:15Z', DALLAS);
+  expect(dallas).toMatchObject({ eclipsed: true, visible: true, localType: 'Total', obscuration: 1 });
+  expect(minutesFrom(dallas.start, '2024-04-08T17:23:24Z')).toBeLessThan(1);
+  expect(minutesFrom(dallas.maximum, '2024-04-08T18:42:39Z')).toBeLessThan(1);
+  expect(minutesFrom(dallas.end, '2024-04-08T20:02:15Z')).toBeLessThan(1.5);
+
+  // Chicago is outside the path: a deep partial eclipse, about 94% of the Sun covered
+  const chicago = solarEclipseCircumstances('2024-04-08T18:17:15Z', CHICAGO);
+  expect(chicago.localType).toBe('Partial');
+  expect(chicago.obscuration).toBeCloseTo(0.94, 1);
+});
+
+test('tells a partial eclipse below the horizon from one out of reach', () => {
+  // London: the eclipse is in progress at 19:47 UT, after sunset
+  expect(solarEclipseCircumstances('2024-04-08T18:17:15Z', { latitude: 51.5, longitude: -0.12 }))
+    .toMatchObject({ eclipsed: true, visible: false });
+  // Cape Town is nowhere near the Moon's shadow
+  expect(solarEclipseCircumstances('2024-04-08T18:17:15Z', { latitude: -33.92, longitude: 18.42 }))
+    .toMatchObject({ eclipsed: false, visible: false, start: null });
+});
+
+test('adds local circumstances to solar eclipse birthdays', () => {
+  const results = findCosmicEvents('2000-04-08', { timeZone: 'America/Chicago', location: CHICAGO });
+  const total = results.eclipses.find(eclipse => eclipse.year === 2024);
+
+  expect(total.localCircumstances).toMatchObject({ visible: true, maximum: { localTime: '14:08' } });
+  expect(results.location).toEqual(CHICAGO);
+  expect(findCosmicEvents('2000-04-08', { timeZone: 'UTC' }).eclipses[0].localCircumstances).toBeNull();
+  expect(() => findCosmicEvents('2000-04-08', { location: { latitude: 95, longitude: 0 } })).toThrow('Invalid location');
+});
+
+test('gives lunar eclipse contacts with the Moon above or below the horizon', () => {
+  // NASA: P1 08:02:17, U2 10:16:39 and P4 13:56:09 UT; the whole eclipse was seen from Los Angeles
+  const losAngeles = lunarEclipseCircumstances(LUNAR_GREATEST, LUNAR_DURATIONS, { latitude: 34.05, longitude: -118.24 });
+  expect(losAngeles.contacts.map(contact => contact.contact)).toEqual(['P1', 'U1', 'U2', 'U3', 'U4', 'P4']);
+  expect(minutesFrom(losAngeles.contacts[0].instant, '2022-11-08T08:02:17Z')).toBeLessThan(1);
+  expect(minutesFrom(losAngeles.contacts[2].instant, '2022-11-08T10:16:39Z')).toBeLessThan(1);
+  expect(minutesFrom(losAngeles.contacts[5].instant, '2022-11-08T13:56:09Z')).toBeLessThan(1);
+  expect(losAngeles.contacts.every(contact => contact.moonUp)).toBe(true);
+
+  // New York: the Moon set during totality; London: it was below the horizon throughout
+  const newYork = lunarEclipseCircumstances(LUNAR_GREATEST, LUNAR_DURATIONS, { latitude: 40.71, longitude: -74.0 });
+  expect(newYork.contacts.map(contact => contact.moonUp)).toEqual([true, true, true, false, false, false]);
+  expect(newYork.phases).toEqual({ penumbral: true, partial: true, total: true });
+  expect(lunarEclipseCircumstances(LUNAR_GREATEST, LUNAR_DURATIONS, { latitude: 51.5, longitude: -0.12 }))
+    .toMatchObject({ visible: false, phases: { penumbral: false, partial: false, total: false } });
+
+  // A penumbral eclipse has only P1 and P4
+  const penumbral = lunarEclipseCircumstances(LUNAR_GREATEST, { penumbral: 240, partial: null, total: null }, CHICAGO);
+  expect(penumbral.contacts.map(contact => contact.contact)).toEqual(['P1', 'P4']);
+  expect(penumbral.phases.total).toBeNull();
+});
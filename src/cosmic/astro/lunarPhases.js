@@ -0,0 +1,260 @@
+/**
+ * LUNAR PHASES
+ * Instants of the principal Moon phases from Meeus, Astronomical Algorithms
+ * (2nd ed.), chapter 49: mean phase plus periodic and planetary corrections.
+ * Accurate to well under a minute against the USNO tables.
+ */
+
+const { sinDeg, cosDeg, normalizeDegrees } = require('./angles');
+const { dateFromJDE } = require('./time');
+
+const PHASES = [
+  { name: 'New Moon', offset: 0 },
+  { name: 'First Quarter', offset: 0.25 },
+  { name: 'Full Moon', offset: 0.5 },
+  { name: 'Last Quarter', offset: 0.75 }
+];
+
+// Meeus table 49.A: additional corrections A1-A14 (coefficient, constant, rate per lunation)
+const PLANETARY_TERMS = [
+  [0.000325, 299.77, 0.107408],
+  [0.000165, 251.88, 0.016321],
+  [0.000164, 251.83, 26.651886],
+  [0.000126, 349.42, 36.412478],
+  [0.000110, 84.66, 18.206239],
+  [0.000062, 141.74, 53.303771],
+  [0.000060, 207.14, 2.453732],
+  [0.000056, 154.84, 7.306860],
+  [0.000047, 34.52, 27.261239],
+  [0.000042, 207.19, 0.121824],
+  [0.000040, 291.34, 1.844379],
+  [0.000037, 161.72, 24.198154],
+  [0.000035, 239.56, 25.513099],
+  [0.000023, 331.55, 3.592518]
+];
+
+/**
+ * Fundamental arguments for lunation number k
+ * @param {number} k - Lunation number (integer for new moon, +0.25 per quarter)
+ * @returns {Object} - {T, E, M, Mp, F, omega} angles in degrees
+ */
+function lunationArguments(k) {
+  const T = k / 1236.85;
+  return {
+    T,
+    E: 1 - 0.002516 * T - 0.0000074 * T * T,
+    M: normalizeDegrees(2.5534 + 29.10535670 * k - 0.0000014 * T * T - 0.00000011 * T ** 3),
+    Mp: normalizeDegrees(201.5643 + 385.81693528 * k + 0.0107582 * T * T
+      + 0.00001238 * T ** 3 - 0.000000058 * T ** 4),
+    F: normalizeDegrees(160.7108 + 390.67050284 * k - 0.0016118 * T * T
+      - 0.00000227 * T ** 3 + 0.000000011 * T ** 4),
+    omega: normalizeDegrees(124.7746 - 1.56375588 * k + 0.0020672 * T * T + 0.00000215 * T ** 3)
+  };
+}
+
+/**
+ * Mean phase instant
+ * @param {number} k - Lunation number
+ * @returns {number} - Julian Ephemeris Day
+ */
+function meanPhaseJDE(k) {
+  const T = k / 1236.85;
+  return 2451550.09766 + 29.530588861 * k + 0.00015437 * T * T
+    - 0.000000150 * T ** 3 + 0.00000000073 * T ** 4;
+}
+
+/**
+ * Periodic correction for a new or full moon
+ * @param {Object} a - Fundamental arguments
+ * @param {boolean} isFull - True for full moon
+ * @returns {number} - Correction in days
+ */
+function syzygyCorrection({ E, M, Mp, F, omega }, isFull) {
+  return (isFull ? -0.40614 : -0.40720) * sinDeg(Mp)
+    + (isFull ? 0.17302 : 0.17241) * E * sinDeg(M)
+    + (isFull ? 0.01614 : 0.01608) * sinDeg(2 * Mp)
+    + (isFull ? 0.01043 : 0.01039) * sinDeg(2 * F)
+    + (isFull ? 0.00734 : 0.00739) * E * sinDeg(Mp - M)
+    - (isFull ? 0.00515 : 0.00514) * E * sinDeg(Mp + M)
+    + (isFull ? 0.00209 : 0.00208) * E * E * sinDeg(2 * M)
+    - 0.00111 * sinDeg(Mp - 2 * F)
+    - 0.00057 * sinDeg(Mp + 2 * F)
+    + 0.00056 * E * sinDeg(2 * Mp + M)
+    - 0.00042 * sinDeg(3 * Mp)
+    + 0.00042 * E * sinDeg(M + 2 * F)
+    + 0.00038 * E * sinDeg(M - 2 * F)
+    - 0.00024 * E * sinDeg(2 * Mp - M)
+    - 0.00017 * sinDeg(omega)
+    - 0.00007 * sinDeg(Mp + 2 * M)
+    + 0.00004 * sinDeg(2 * Mp - 2 * F)
+    + 0.00004 * sinDeg(3 * M)
+    + 0.00003 * sinDeg(Mp + M - 2 * F)
+    + 0.00003 * sinDeg(2 * Mp + 2 * F)
+    - 0.00003 * sinDeg(Mp + M + 2 * F)
+    + 0.00003 * sinDeg(Mp - M + 2 * F)
+    - 0.00002 * sinDeg(Mp - M - 2 * F)
+    - 0.00002 * sinDeg(3 * Mp + M)
+    + 0.00002 * sinDeg(4 * Mp);
+}
+
+/**
+ * Periodic correction for a first or last quarter
+ * @param {Object} a - Fundamental arguments
+ * @param {boolean} isFirst - True for first quarter
+ * @returns {number} - Correction in days
+ */
+function quarterCorrection({ E, M, Mp, F, omega }, isFirst) {
+  const correction = -0.62801 * sinDeg(Mp)
+    + 0.17172 * E * sinDeg(M)
+    - 0.01183 * E * sinDeg(Mp + M)
+    + 0.00862 * sinDeg(2 * Mp)
+    + 0.00804 * sinDeg(2 * F)
+    + 0.00454 * E * sinDeg(Mp - M)
+    + 0.00204 * E * E * sinDeg(2 * M)
+    - 0.00180 * sinDeg(Mp - 2 * F)
+    - 0.00070 * sinDeg(Mp + 2 * F)
+    - 0.00040 * sinDeg(3 * Mp)
+    - 0.00034 * E * sinDeg(2 * Mp - M)
+    + 0.00032 * E * sinDeg(M + 2 * F)
+    + 0.00032 * E * sinDeg(M - 2 * F)
+    - 0.00028 * E * E * sinDeg(Mp + 2 * M)
+    + 0.00027 * E * sinDeg(2 * Mp + M)
+    - 0.00017 * sinDeg(omega)
+    - 0.00005 * sinDeg(Mp - M - 2 * F)
+    + 0.00004 * sinDeg(2 * Mp + 2 * F)
+    - 0.00004 * sinDeg(Mp + M + 2 * F)
+    + 0.00004 * sinDeg(Mp - 2 * M)
+    + 0.00003 * sinDeg(Mp + M - 2 * F)
+    + 0.00003 * sinDeg(3 * M)
+    + 0.00002 * sinDeg(2 * Mp - 2 * F)
+    + 0.00002 * sinDeg(Mp - M + 2 * F)
+    - 0.00002 * sinDeg(3 * Mp + M);
+
+  const W = 0.00306 - 0.00038 * E * cosDeg(M) + 0.00026 * cosDeg(Mp)
+    - 0.00002 * cosDeg(Mp - M) + 0.00002 * cosDeg(Mp + M) + 0.00002 * cosDeg(2 * F);
+
+  return correction + (isFirst ? W : -W);
+}
+
+/**
+ * True instant of a principal phase
+ * @param {number} k - Lunation number; its fraction selects the phase (.0, .25, .5, .75)
+ * @returns {number} - Julian Ephemeris Day
+ */
+function truePhaseJDE(k) {
+  const args = lunationArguments(k);
+  const fraction = Math.round((k - Math.floor(k)) * 4) / 4;
+
+  let correction;
+  if (fraction === 0 || fraction === 0.5) {
+    correction = syzygyCorrection(args, fraction === 0.5);
+  } else {
+    correction = quarterCorrection(args, fraction === 0.25);
+  }
+
+  const planetary = PLANETARY_TERMS.reduce((sum, [coefficient, constant, rate], index) => {
+    const angle = index === 0 ? constant + rate * k - 0.009173 * args.T * args.T : constant + rate * k;
+    return sum + coefficient * sinDeg(angle);
+  }, 0);
+
+  return meanPhaseJDE(k) + correction + planetary;
+}
+
+/**
+ * Compute every principal phase that falls in a UTC calendar year
+ * Entries use the same shape as the USNO database, plus the exact `instant`.
+ * @param {number} year - Calendar year
+ * @returns {Array} - [{year, month, day, phase, time: "HH:MM", instant: Date}] in time order
+ */
+function computeMoonPhases(year) {
+  const phases = [];
+  const startMillis = Date.UTC(year, 0, 1);
+  const endMillis = Date.UTC(year + 1, 0, 1);
+
+  // Start a lunation early so phases in the first days of January are not missed
+  const firstLunation = Math.floor((year - 2000) * 12.3685) - 1;
+
+  for (let lunation = firstLunation; lunation <= firstLunation + 14; lunation++) {
+    PHASES.forEach(({ name, offset }) => {
+      const instant = dateFromJDE(truePhaseJDE(lunation + offset));
+      if (instant.getTime() < startMillis || instant.getTime() >= endMillis) return;
+
+      // USNO tables round to the nearest minute
+      const rounded = new Date(Math.round(instant.getTime() / 60000) * 60000);
+      phases.push({
+        day: rounded.getUTCDate(),
+        month: rounded.getUTCMonth() + 1,
+        phase: name,
+        time: `${rounded.getUTCHours().toString().padStart(2, '0')}:${rounded.getUTCMinutes().toString().padStart(2, '0')}`,
+        year: rounded.getUTCFullYear(),
+        instant
+      });
+    });
+  }
+
+  return phases.sort((a, b) => a.instant - b.instant);
+}
+
+/**
+ * Compare a moon phase database against the computed phases
+ * @param {Object} moonPhaseData - Database in the moon-phases-1960-2100.json shape
+ * @param {number} [toleranceMinutes=5] - Deviation above which a phase is reported
+ * @returns {Object} - {compared, missing, maxDeviationMinutes, meanDeviationMinutes, outliers}
+ */
+function crossCheckMoonPhases(moonPhaseData, toleranceMinutes = 5) {
+  let compared = 0;
+  let missing = 0;
+  let totalDeviation = 0;
+  let maxDeviationMinutes = 0;
+  const outliers = [];
+
+  Object.values(moonPhaseData?.moonPhases || {}).forEach(yearData => {
+    if (!yearData.success || !yearData.phases) return;
+
+    // Neighbouring years too, so phases near New Year still find their counterpart
+    const computed = [yearData.year - 1, yearData.year, yearData.year + 1]
+      .flatMap(year => computeMoonPhases(year));
+
+    yearData.phases.forEach(phase => {
+      const [hours, minutes] = String(phase.time).split(':').map(Number);
+      const listed = Date.UTC(phase.year, phase.month - 1, phase.day, hours, minutes);
+      const phaseName = phase.phase === 'Third Quarter' ? 'Last Quarter' : phase.phase;
+
+      const match = computed
+        .filter(candidate => candidate.phase === phaseName)
+        .reduce((best, candidate) => (
+          !best || Math.abs(candidate.instant - listed) < Math.abs(best.instant - listed) ? candidate : best
+        ), null);
+
+      const deviation = match ? Math.abs(match.instant - listed) / 60000 : Infinity;
+      if (deviation > 24 * 60) {
+        missing++;
+        outliers.push({ ...phase, deviationMinutes: null });
+        return;
+      }
+
+      compared++;
+      totalDeviation += deviation;
+      maxDeviationMinutes = Math.max(maxDeviationMinutes, deviation);
+      if (deviation > toleranceMinutes) {
+        outliers.push({ ...phase, computedTime: match.instant.toISOString(), deviationMinutes: deviation });
+      }
+    });
+  });
+
+  return {
+    compared,
+    missing,
+    maxDeviationMinutes,
+    meanDeviationMinutes: compared ? totalDeviation / compared : 0,
+    outliers
+  };
+}
+
+module.exports = {
+  PHASES,
+  meanPhaseJDE,
+  truePhaseJDE,
+  computeMoonPhases,
+  crossCheckMoonPhases
+};
@@ -0,0 +1,26 @@
+import { computeMoonPhases, crossCheckMoonPhases } from './lunarPhases';
+import moonPhaseData from '../../data/moon-phases-1960-2100.json';
+
+test('reproduces every bundled USNO phase to within minutes', () => {
+  const report = crossCheckMoonPhases(moonPhaseData, 3);
+
+  expect(report.compared).toBe(moonPhaseData.metadata.totalPhases);
+  expect(report.missing).toBe(0);
+  expect(report.outliers).toEqual([]);
+  expect(report.meanDeviationMinutes).toBeLessThan(1);
+});
+
+test('computes phases in the USNO entry shape', () => {
+  const phases = computeMoonPhases(1960);
+
+  expect(phases[0]).toMatchObject({ year: 1960, month: 1, day: 5, phase: 'First Quarter', time: '18:53' });
+  expect(phases.every(phase => phase.year === 1960)).toBe(true);
+  expect(phases.filter(phase => phase.phase === 'Full Moon')).toHaveLength(12);
+});
+
+test('covers years outside the bundled database', () => {
+  // The first full moon of 1900 fell on 15 January
+  const fullMoon = computeMoonPhases(1900).find(phase => phase.phase === 'Full Moon');
+
+  expect(fullMoon).toMatchObject({ month: 1, day: 15 });
+});
@@ -0,0 +1,81 @@
+/**
+ * MOON PHASE AT AN INSTANT
+ * Illuminated fraction and phase angle from the Sun and Moon positions (Meeus,
+ * Astronomical Algorithms, chapter 48), lunar age since the last new moon, and
+ * the traditional eight named phases.
+ */
+
+const { normalizeDegrees, cosDeg, sinDeg, atan2Deg, acosDeg } = require('./angles');
+const { jdeFromDate, decimalYear } = require('./time');
+const { sunPosition } = require('./sun');
+const { moonPosition } = require('./moon');
+const { truePhaseJDE } = require('./lunarPhases');
+
+const AU_KM = 149597870.7;
+
+// Eight phases, each centred on a multiple of 45° of elongation
+const PHASE_NAMES = [
+  'New Moon',
+  'Waxing Crescent',
+  'First Quarter',
+  'Waxing Gibbous',
+  'Full Moon',
+  'Waning Gibbous',
+  'Last Quarter',
+  'Waning Crescent'
+];
+
+/**
+ * Name the phase for an elongation of the Moon east of the Sun
+ * @param {number} elongation - Moon's longitude minus the Sun's (degrees, 0-360)
+ * @returns {string} - One of PHASE_NAMES
+ */
+function phaseName(elongation) {
+  return PHASE_NAMES[Math.floor(normalizeDegrees(elongation + 22.5) / 45) % 8];
+}
+
+/**
+ * Find the new moon that began the lunation containing an instant
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {number} - Julian Ephemeris Day of the preceding new moon
+ */
+function previousNewMoonJDE(jde) {
+  let k = Math.floor((decimalYear(jde) - 2000) * 12.3685);
+  while (truePhaseJDE(k) > jde) k--;
+  while (truePhaseJDE(k + 1) <= jde) k++;
+  return truePhaseJDE(k);
+}
+
+/**
+ * Describe the Moon's phase at an instant
+ * @param {Date} instant - UTC instant
+ * @returns {Object} - {illumination (0-1), phaseAngle, elongation, ageDays, waxing, phaseName}
+ *   angles in degrees; phaseAngle is the Sun-Moon-Earth angle (0 at full moon)
+ */
+function moonPhaseAt(instant) {
+  const jde = jdeFromDate(instant);
+  const sun = sunPosition(jde);
+  const moon = moonPosition(jde);
+
+  // Geocentric elongation (48.2) and phase angle (48.3)
+  const psi = acosDeg(cosDeg(moon.beta) * cosDeg(moon.lambda - sun.lambda));
+  const sunDistanceKm = sun.distanceAU * AU_KM;
+  const phaseAngle = atan2Deg(sunDistanceKm * sinDeg(psi), moon.distanceKm - sunDistanceKm * cosDeg(psi));
+  const elongation = normalizeDegrees(moon.lambda - sun.lambda);
+
+  return {
+    illumination: (1 + cosDeg(phaseAngle)) / 2,
+    phaseAngle,
+    elongation,
+    ageDays: jde - previousNewMoonJDE(jde),
+    waxing: elongation < 180,
+    phaseName: phaseName(elongation)
+  };
+}
+
+module.exports = {
+  PHASE_NAMES,
+  phaseName,
+  previousNewMoonJDE,
+  moonPhaseAt
+};
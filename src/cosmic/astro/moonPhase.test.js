@@ -0,0 +1,29 @@
+import { moonPhaseAt, phaseName } from './moonPhase';
+
+test('matches the Meeus illuminated fraction example', () => {
+  // Meeus example 48.a: 1992 April 12, 0h TD, k = 0.6786, i = 69.0756°
+  const phase = moonPhaseAt(new Date(Date.UTC(1992, 3, 12) - 59000));
+
+  expect(phase.illumination).toBeCloseTo(0.6786, 3);
+  expect(phase.phaseAngle).toBeCloseTo(69.08, 1);
+  expect(phase.waxing).toBe(true);
+});
+
+test('reads full and new moon at the principal phase instants', () => {
+  const full = moonPhaseAt(new Date('2025-03-14T06:55:00Z'));
+  const newMoon = moonPhaseAt(new Date('2024-04-08T18:21:00Z'));
+
+  expect(full.illumination).toBeGreaterThan(0.999);
+  expect(full.phaseName).toBe('Full Moon');
+  expect(full.ageDays).toBeCloseTo(14.3, 0);
+  expect(newMoon.illumination).toBeLessThan(0.001);
+  expect(newMoon.phaseName).toBe('New Moon');
+});
+
+test('names the eight phases by elongation', () => {
+  expect(phaseName(10)).toBe('New Moon');
+  expect(phaseName(60)).toBe('Waxing Crescent');
+  expect(phaseName(135)).toBe('Waxing Gibbous');
+  expect(phaseName(225)).toBe('Waning Gibbous');
+  expect(phaseName(350)).toBe('New Moon');
+});
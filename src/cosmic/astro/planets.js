@@ -0,0 +1,195 @@
+/**
+ * PLANETARY POSITIONS
+ * Heliocentric positions of Mercury, Venus and Mars from the Keplerian elements and
+ * rates of Standish, "Keplerian Elements for Approximate Positions of the Major Planets"
+ * (JPL, table 2a, fitted to DE405 for 3000 BC - AD 3000), and of the Earth, Jupiter and
+ * Saturn, whose places those elements cannot follow closely enough, from the truncated
+ * VSOP87B series bundled in src/data. Geocentric places are on the J2000.0 ecliptic,
+ * with apparent magnitudes from Meeus, Astronomical Algorithms (2nd ed.), chapter 41.
+ * Geocentric errors stay within a few arcminutes for Mercury to Mars and about ten
+ * arcseconds for Jupiter and Saturn.
+ */
+
+const datasets = require('../datasets');
+const { normalizeDegrees, sinDeg, cosDeg, asinDeg, acosDeg, atan2Deg, DEG } = require('./angles');
+const { J2000, julianCenturies } = require('./time');
+
+const PLANET_NAMES = ['Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn'];
+
+// Light travels 1 AU in this many days
+const LIGHT_TIME_DAYS_PER_AU = 0.0057755183;
+
+// Constant of aberration (20.49552") in degrees
+const ABERRATION_CONSTANT = 20.49552 / 3600;
+
+// Standish table 2a: a (AU), e, I, L, long. perihelion, long. node (degrees), each with its rate
+// per Julian century
+const ELEMENTS = {
+  Mercury: {
+    elements: [0.38709843, 0.20563661, 7.00559432, 252.25166724, 77.45771895, 48.33961819],
+    rates: [0, 0.00002123, -0.00590158, 149472.67486623, 0.15940013, -0.12214182]
+  },
+  Venus: {
+    elements: [0.72332102, 0.00676399, 3.39777545, 181.97970850, 131.76755713, 76.67261496],
+    rates: [-0.00000026, -0.00005107, 0.00043494, 58517.81560260, 0.05679648, -0.27274174]
+  },
+  Mars: {
+    elements: [1.52371243, 0.09336511, 1.85181869, -4.56813164, -23.91744784, 49.71320984],
+    rates: [0.00000097, 0.00009149, -0.00724757, 19140.29934243, 0.45223625, -0.26852431]
+  }
+};
+
+/**
+ * Heliocentric position from VSOP87B series
+ * @param {Array} series - [L, B, R] series of a planet from vsop87.json
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {{x: number, y: number, z: number}} - Rectangular coordinates in AU on the J2000.0 ecliptic
+ */
+function vsopPosition(series, jde) {
+  const t = (jde - J2000) / 365250;
+  const [L, B, R] = series.map(powers => powers.reduce((sum, terms, power) =>
+    sum + t ** power * terms.reduce((total, [A, phase, frequency]) => total + A * Math.cos(phase + frequency * t), 0), 0));
+
+  return { x: R * Math.cos(B) * Math.cos(L), y: R * Math.cos(B) * Math.sin(L), z: R * Math.sin(B) };
+}
+
+/**
+ * Heliocentric position of a planet or of the Earth
+ * @param {string} name - One of PLANET_NAMES or 'Earth'
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {{x: number, y: number, z: number}} - Rectangular coordinates in AU on the J2000.0 ecliptic
+ */
+function heliocentricPosition(name, jde) {
+  const series = datasets.vsop87.planets[name];
+  if (series) return vsopPosition(series, jde);
+
+  const { elements, rates } = ELEMENTS[name];
+  const T = julianCenturies(jde);
+  const [a, e, I, L, perihelion, node] = elements.map((value, i) => value + rates[i] * T);
+  const M = normalizeDegrees(L - perihelion + 180) - 180;
+
+  // Kepler's equation, with the eccentricity in degrees
+  const eDegrees = e * DEG;
+  let E = M + eDegrees * sinDeg(M);
+  for (let i = 0; i < 10; i++) {
+    const delta = (M - (E - eDegrees * sinDeg(E))) / (1 - e * cosDeg(E));
+    E += delta;
+    if (Math.abs(delta) < 1e-8) break;
+  }
+
+  const xOrbit = a * (cosDeg(E) - e);
+  const yOrbit = a * Math.sqrt(1 - e * e) * sinDeg(E);
+  const omega = perihelion - node;
+  const [cw, sw, cn, sn, ci, si] = [cosDeg(omega), sinDeg(omega), cosDeg(node), sinDeg(node), cosDeg(I), sinDeg(I)];
+
+  return {
+    x: (cw * cn - sw * sn * ci) * xOrbit + (-sw * cn - cw * sn * ci) * yOrbit,
+    y: (cw * sn + sw * cn * ci) * xOrbit + (-sw * sn + cw * cn * ci) * yOrbit,
+    z: sw * si * xOrbit + cw * si * yOrbit
+  };
+}
+
+/**
+ * Saturn's ring contribution to its magnitude (Meeus 41, with the ring plane of chapter 45)
+ * @param {number} T - Julian centuries since J2000
+ * @param {Object} geocentric - {longitude, latitude} of Saturn seen from the Earth
+ * @param {Object} heliocentric - {longitude, latitude} of Saturn seen from the Sun
+ * @returns {number} - Magnitude correction for the ring tilt and the Sun-Earth angle in the ring plane
+ */
+function saturnRingTerm(T, geocentric, heliocentric) {
+  const i = 28.075216 - 0.012998 * T + 0.000004 * T * T;
+  const node = 169.508470 + 1.394681 * T + 0.000412 * T * T;
+  const ringLongitude = ({ longitude, latitude }) => atan2Deg(
+    sinDeg(i) * sinDeg(latitude) + cosDeg(i) * cosDeg(latitude) * sinDeg(longitude - node),
+    cosDeg(latitude) * cosDeg(longitude - node)
+  );
+  const B = asinDeg(sinDeg(i) * cosDeg(geocentric.latitude) * sinDeg(geocentric.longitude - node)
+    - cosDeg(i) * sinDeg(geocentric.latitude));
+  const deltaU = Math.abs(normalizeDegrees(ringLongitude(geocentric) - ringLongitude(heliocentric) + 180) - 180);
+  return 0.044 * deltaU - 2.60 * Math.abs(sinDeg(B)) + 1.25 * sinDeg(B) ** 2;
+}
+
+// Meeus 41 (Astronomical Almanac 1984): magnitude at unit distances, and the phase-angle terms
+const MAGNITUDES = {
+  Mercury: (i) => -0.42 + 0.0380 * i - 0.000273 * i * i + 0.000002 * i ** 3,
+  Venus: (i) => -4.40 + 0.0009 * i + 0.000239 * i * i - 0.00000065 * i ** 3,
+  Mars: (i) => -1.52 + 0.016 * i,
+  Jupiter: (i) => -9.40 + 0.005 * i,
+  Saturn: () => -8.88
+};
+
+/**
+ * Annual aberration in ecliptic longitude (Meeus 23.2)
+ * @param {number} longitude - Ecliptic longitude of the body in degrees
+ * @param {number} latitude - Ecliptic latitude of the body in degrees
+ * @param {number} sunLongitude - Geometric longitude of the Sun in degrees
+ * @param {number} T - Julian centuries since J2000
+ * @returns {number} - Shift from the geometric to the apparent longitude, in degrees
+ */
+function aberrationInLongitude(longitude, latitude, sunLongitude, T) {
+  const e = 0.016708634 - 0.000042037 * T;
+  const perihelion = 102.93735 + 1.71946 * T;
+  return ABERRATION_CONSTANT * (e * cosDeg(perihelion - longitude) - cosDeg(sunLongitude - longitude)) / cosDeg(latitude);
+}
+
+/**
+ * Spherical coordinates of a rectangular vector
+ * @param {{x: number, y: number, z: number}} vector - Rectangular coordinates
+ * @returns {{longitude: number, latitude: number, distance: number}} - Degrees and the vector's length
+ */
+function toSpherical({ x, y, z }) {
+  const distance = Math.sqrt(x * x + y * y + z * z);
+  return { longitude: normalizeDegrees(atan2Deg(y, x)), latitude: asinDeg(z / distance), distance };
+}
+
+/**
+ * Geocentric place, elongation and magnitude of a planet
+ * Positions are geometric on the J2000.0 ecliptic, corrected for light-time; the Sun is
+ * placed opposite the Earth.
+ * @param {string} name - One of PLANET_NAMES
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {Object} - {longitude, latitude, distanceAU, sunDistanceAU, elongation, signedElongation,
+ *   phaseAngle, magnitude}: angles in degrees; signedElongation is positive east of the Sun
+ */
+function planetPosition(name, jde) {
+  const earth = heliocentricPosition('Earth', jde);
+  const vectorAt = (time) => {
+    const planet = heliocentricPosition(name, time);
+    return { planet, geocentric: { x: planet.x - earth.x, y: planet.y - earth.y, z: planet.z - earth.z } };
+  };
+
+  let { planet, geocentric } = vectorAt(jde);
+  ({ planet, geocentric } = vectorAt(jde - toSpherical(geocentric).distance * LIGHT_TIME_DAYS_PER_AU));
+
+  const place = toSpherical(geocentric);
+  const sun = toSpherical({ x: -earth.x, y: -earth.y, z: -earth.z });
+  const heliocentric = toSpherical(planet);
+  const r = heliocentric.distance;
+  const delta = place.distance;
+
+  const elongation = acosDeg(cosDeg(place.latitude) * cosDeg(place.longitude - sun.longitude));
+  const east = normalizeDegrees(place.longitude - sun.longitude) < 180;
+  const phaseAngle = acosDeg((r * r + delta * delta - sun.distance * sun.distance) / (2 * r * delta));
+
+  let magnitude = 5 * Math.log10(r * delta) + MAGNITUDES[name](phaseAngle);
+  if (name === 'Saturn') magnitude += saturnRingTerm(julianCenturies(jde), place, heliocentric);
+
+  return {
+    longitude: place.longitude,
+    latitude: place.latitude,
+    distanceAU: delta,
+    sunDistanceAU: r,
+    sunLongitude: sun.longitude,
+    elongation,
+    signedElongation: east ? elongation : -elongation,
+    phaseAngle,
+    magnitude
+  };
+}
+
+module.exports = {
+  PLANET_NAMES,
+  heliocentricPosition,
+  aberrationInLongitude,
+  planetPosition
+};
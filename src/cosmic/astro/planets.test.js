@@ -0,0 +1,28 @@
+import { planetPosition } from './planets';
+import { jdeFromDate } from './time';
+import { angularSeparation } from './coordinates';
+
+const at = (iso, name) => planetPosition(name, jdeFromDate(new Date(iso)));
+
+test('puts Mars opposite the Sun at its 2003 opposition', () => {
+  // Astronomical Almanac: opposition 2003 Aug 28 17:56 UT at magnitude -2.9, 0.373 AU away
+  const mars = at('2003-08-28T17:56Z', 'Mars');
+  expect(Math.abs(mars.longitude - mars.sunLongitude - 180)).toBeLessThan(0.2);
+  expect(mars.magnitude).toBeCloseTo(-2.9, 1);
+  expect(mars.distanceAU).toBeCloseTo(0.373, 2);
+});
+
+test('gives greatest elongations and magnitudes of the inferior planets', () => {
+  // 2020 Mar 24: Venus 46.1° east of the Sun at magnitude -4.4; 2023 Apr 11: Mercury 19.5° east
+  const venus = at('2020-03-24T22:00Z', 'Venus');
+  expect(venus.signedElongation).toBeCloseTo(46.1, 1);
+  expect(venus.magnitude).toBeCloseTo(-4.4, 1);
+  expect(at('2023-04-11T22:00Z', 'Mercury').signedElongation).toBeCloseTo(19.5, 1);
+});
+
+test('brings Jupiter and Saturn within a tenth of a degree in December 2020', () => {
+  const jupiter = at('2020-12-21T18:20Z', 'Jupiter');
+  const saturn = at('2020-12-21T18:20Z', 'Saturn');
+  expect(angularSeparation(jupiter.longitude, jupiter.latitude, saturn.longitude, saturn.latitude)).toBeCloseTo(0.1, 1);
+  expect(saturn.magnitude).toBeCloseTo(0.6, 0);
+});
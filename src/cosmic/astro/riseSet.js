@@ -0,0 +1,108 @@
+/**
+ * RISING, SETTING AND TWILIGHT
+ * When a body crosses a given altitude during one day at one place. The altitude is
+ * scanned across the day and each crossing refined, so days on which the Sun never
+ * rises or never sets, near the poles, come out as missing times rather than errors.
+ */
+
+const { julianDay, jdeFromDate } = require('./time');
+const { greenwichSiderealTime, equatorialToHorizontal } = require('./coordinates');
+const { sunPosition } = require('./sun');
+const { bisect, maximize } = require('./search');
+
+// Altitudes of the Sun's centre bounding civil, nautical and astronomical twilight
+const TWILIGHT_ALTITUDES = {
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
+};
+
+// No body used here rises and sets again within this time
+const SCAN_STEP_MINUTES = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60000;
+
+/**
+ * Geocentric altitude of the Sun's centre, without refraction
+ * @param {number} millis - UTC instant in milliseconds
+ * @param {{latitude: number, longitude: number}} location - Observer, degrees north and east
+ * @returns {number} - Altitude in degrees
+ */
+function sunAltitude(millis, { latitude, longitude }) {
+  const instant = new Date(millis);
+  const jde = jdeFromDate(instant);
+  const sun = sunPosition(jde);
+  const localSiderealTime = greenwichSiderealTime(julianDay(instant), jde) + longitude;
+  return equatorialToHorizontal(sun.ra, sun.dec, latitude, localSiderealTime).altitude;
+}
+
+/**
+ * Sample a body's altitude across an interval
+ * @param {function(number): number} altitudeAt - Altitude in degrees at a UTC instant in milliseconds
+ * @param {number} startMs - Start of the interval, UTC milliseconds
+ * @param {number} endMs - End of the interval, UTC milliseconds
+ * @returns {Array<{millis: number, altitude: number}>} - Samples from start to end inclusive
+ */
+function scanAltitudes(altitudeAt, startMs, endMs) {
+  const samples = [];
+  const count = Math.ceil((endMs - startMs) / (SCAN_STEP_MINUTES * MINUTE_MS));
+  for (let i = 0; i <= count; i++) {
+    const millis = startMs + (endMs - startMs) * i / count;
+    samples.push({ millis, altitude: altitudeAt(millis) });
+  }
+  return samples;
+}
+
+/**
+ * First rising and setting through an altitude within scanned samples
+ * @param {Array<{millis: number, altitude: number}>} samples - From scanAltitudes()
+ * @param {function(number): number} altitudeAt - The function the samples were taken from
+ * @param {number} horizon - Altitude crossed, in degrees
+ * @returns {{rise: Date|null, set: Date|null}} - UTC instants to about a minute; null when the body
+ *   does not cross the altitude that way within the interval
+ */
+function findCrossings(samples, altitudeAt, horizon) {
+  // Bisection works in days, so its one-minute tolerance applies
+  const above = (days) => altitudeAt(days * DAY_MS) - horizon;
+  let rise = null;
+  let set = null;
+
+  for (let i = 1; i < samples.length; i++) {
+    const [before, after] = [samples[i - 1], samples[i]];
+    const [a, b] = [before.millis / DAY_MS, after.millis / DAY_MS];
+    if (!rise && before.altitude <= horizon && after.altitude > horizon) {
+      rise = new Date(Math.round(bisect(above, a, b) * DAY_MS));
+    } else if (!set && before.altitude > horizon && after.altitude <= horizon) {
+      set = new Date(Math.round(bisect(days => -above(days), a, b) * DAY_MS));
+    }
+  }
+  return { rise, set };
+}
+
+/**
+ * Highest point of a body within scanned samples
+ * @param {Array<{millis: number, altitude: number}>} samples - From scanAltitudes()
+ * @param {function(number): number} altitudeAt - The function the samples were taken from
+ * @returns {{transit: Date|null, altitude: number}} - UTC instant of the greatest altitude, and that
+ *   altitude; transit is null when the body is highest at either end, still climbing or already falling
+ */
+function findCulmination(samples, altitudeAt) {
+  const highest = samples.reduce((best, sample, i) => (sample.altitude > samples[best].altitude ? i : best), 0);
+  if (highest === 0 || highest === samples.length - 1) {
+    return { transit: null, altitude: samples[highest].altitude };
+  }
+
+  const a = samples[highest - 1].millis / DAY_MS;
+  const b = samples[highest + 1].millis / DAY_MS;
+  const millis = Math.round(maximize(days => altitudeAt(days * DAY_MS), a, b) * DAY_MS);
+  return { transit: new Date(millis), altitude: altitudeAt(millis) };
+}
+
+module.exports = {
+  TWILIGHT_ALTITUDES,
+  sunAltitude,
+  scanAltitudes,
+  findCrossings,
+  findCulmination
+};
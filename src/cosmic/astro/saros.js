@@ -0,0 +1,109 @@
+/**
+ * SAROS SERIES
+ * Eclipses one saros (223 lunations, about 18 years 11 days) apart belong to the
+ * same series, numbered as in van den Bergh's and NASA's catalogs. An inex
+ * (358 lunations) later starts the next series, so the number follows from the
+ * lunation alone. A series is walked out to its first and last members with the
+ * chapter 54 predictor, which reproduces NASA's counts (e.g. solar Saros 139,
+ * 71 eclipses from 1501 to 2763). Dates before 1582 are proleptic Gregorian.
+ */
+
+const { predictEclipse } = require('./eclipses');
+
+const SAROS_LUNATIONS = 223;
+
+// A lunation with a known series, per category: the 2024 Apr 08 and 2022 Nov 08 eclipses
+const REFERENCE_SERIES = {
+  solar: { lunation: 300, saros: 139 },
+  lunar: { lunation: 282, saros: 136 }
+};
+
+// One inex is 135 lunations past a whole saros, and 38 * 135 = 1 (mod 223)
+const INEX_STEP = 38;
+
+/**
+ * Saros series of the eclipse at a lunation
+ * @param {number} lunation - Lunation number (NASA's Luna Num: 0 at 2000 Jan 6, the full moon after a new moon shares its number)
+ * @param {string} category - 'solar' or 'lunar'
+ * @returns {number} - Saros series number
+ */
+function sarosNumber(lunation, category) {
+  const reference = REFERENCE_SERIES[category === 'solar' ? 'solar' : 'lunar'];
+  const offset = ((((lunation - reference.lunation) * INEX_STEP) % SAROS_LUNATIONS) + SAROS_LUNATIONS)
+    % SAROS_LUNATIONS;
+  // Series within 111 of the reference cover several thousand years either side of today
+  return reference.saros + (offset > SAROS_LUNATIONS / 2 ? offset - SAROS_LUNATIONS : offset);
+}
+
+/**
+ * Syzygy parameter k of the predictor for a lunation
+ * @param {number} lunation - Lunation number
+ * @param {string} category - 'solar' or 'lunar'
+ * @returns {number} - k, with full moons at +0.5
+ */
+function lunationToK(lunation, category) {
+  return category === 'solar' ? lunation : lunation + 0.5;
+}
+
+/**
+ * Summarise a predicted series member
+ * @param {Object} eclipse - Result of predictEclipse()
+ * @returns {{date: string, greatestEclipse: string, eclipseType: string, lunation: number}} - date in UTC
+ */
+function describeMember(eclipse) {
+  return {
+    date: eclipse.instant.toISOString().slice(0, 10),
+    greatestEclipse: eclipse.instant.toISOString(),
+    eclipseType: eclipse.eclipseType,
+    lunation: Math.floor(eclipse.k)
+  };
+}
+
+/**
+ * Describe the Saros series of an eclipse and its neighbours in it
+ * @param {number} lunation - Lunation number of the eclipse
+ * @param {string} category - 'solar' or 'lunar'
+ * @returns {Object|null} - {saros, member, count, first, last, previous, next}, where member is
+ *   the 1-based position and first/last/previous/next are describeMember() summaries
+ *   (previous or next is null at either end); null when no eclipse falls at the lunation
+ */
+function describeSarosSeries(lunation, category) {
+  const k = lunationToK(lunation, category);
+  if (!predictEclipse(k)) return null;
+
+  let firstK = k;
+  while (predictEclipse(firstK - SAROS_LUNATIONS)) firstK -= SAROS_LUNATIONS;
+  let lastK = k;
+  while (predictEclipse(lastK + SAROS_LUNATIONS)) lastK += SAROS_LUNATIONS;
+
+  return {
+    saros: sarosNumber(lunation, category),
+    member: (k - firstK) / SAROS_LUNATIONS + 1,
+    count: (lastK - firstK) / SAROS_LUNATIONS + 1,
+    first: describeMember(predictEclipse(firstK)),
+    last: describeMember(predictEclipse(lastK)),
+    previous: k > firstK ? describeMember(predictEclipse(k - SAROS_LUNATIONS)) : null,
+    next: k < lastK ? describeMember(predictEclipse(k + SAROS_LUNATIONS)) : null
+  };
+}
+
+/**
+ * Add the Saros series to eclipse matches
+ * @param {Array<Object>} eclipses - Eclipse matches carrying `lunation` and `category`
+ * @returns {Array<Object>} - Copies with `sarosSeries` from describeSarosSeries(), or null without a lunation
+ */
+function addSarosSeries(eclipses) {
+  return eclipses.map(eclipse => ({
+    ...eclipse,
+    sarosSeries: eclipse.lunation == null
+      ? null
+      : describeSarosSeries(eclipse.lunation, eclipse.category.toLowerCase())
+  }));
+}
+
+module.exports = {
+  SAROS_LUNATIONS,
+  sarosNumber,
+  describeSarosSeries,
+  addSarosSeries
+};
@@ -0,0 +1,39 @@
+import { sarosNumber, describeSarosSeries } from './saros';
+import { predictEclipses, toCatalogEntry } from './eclipses';
+import { findCosmicEvents } from '../index';
+import eclipseData from '../../data/eclipse-data-1960-2100.json';
+
+test('numbers every catalog eclipse with its NASA Saros series', () => {
+  const rows = [
+    ...eclipseData.solarEclipses.map(eclipse => ({ ...eclipse, category: 'solar' })),
+    ...eclipseData.lunarEclipses.map(eclipse => ({ ...eclipse, category: 'lunar' }))
+  ];
+  const mismatches = rows.filter(row => sarosNumber(row.lunation, row.category) !== row.saros);
+
+  expect(mismatches).toEqual([]);
+  expect(predictEclipses(2024).map(toCatalogEntry)[1]).toMatchObject({ date: '2024-04-08', lunation: 300 });
+});
+
+test('places eclipses in their series as NASA does', () => {
+  // Solar Saros 139: 71 eclipses from 1501 May 17 (Julian) to 2763 Jul 3; 2024 Apr 08 is the 30th
+  expect(describeSarosSeries(300, 'solar')).toMatchObject({
+    saros: 139,
+    member: 30,
+    count: 71,
+    first: { date: '1501-05-27' },
+    last: { date: '2763-07-03' },
+    previous: { date: '2006-03-29', eclipseType: 'Total' },
+    next: { date: '2042-04-20', eclipseType: 'Total' }
+  });
+  // Lunar Saros 136: 2022 Nov 08 is the 20th of 72
+  expect(describeSarosSeries(282, 'lunar')).toMatchObject({ saros: 136, member: 20, count: 72 });
+  expect(describeSarosSeries(301, 'solar')).toBeNull();
+});
+
+test('adds the series to eclipse birthdays', () => {
+  const results = findCosmicEvents('2000-04-08', { timeZone: 'America/Chicago' });
+  const total = results.eclipses.find(eclipse => eclipse.year === 2024);
+
+  expect(total).toMatchObject({ saros: 139, sarosSeries: { member: 30, next: { date: '2042-04-20' } } });
+  results.eclipses.forEach(eclipse => expect(eclipse.sarosSeries.saros).toBe(eclipse.saros));
+});
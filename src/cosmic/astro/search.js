@@ -0,0 +1,45 @@
+/**
+ * TIME SEARCH HELPERS
+ * Refine the instant of a root or an extremum once a coarse scan has bracketed it
+ */
+
+/**
+ * Root of a function that changes sign between two instants, by bisection
+ * @param {function(number): number} f - Function of the Julian Ephemeris Day
+ * @param {number} a - JDE with f(a) <= 0
+ * @param {number} b - JDE with f(b) > 0
+ * @returns {number} - JDE of the root, to about a minute
+ */
+function bisect(f, a, b) {
+  let [low, high] = [a, b];
+  while (high - low > 1 / 1440) {
+    const middle = (low + high) / 2;
+    if (f(middle) <= 0) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Maximum of a function with one peak between two instants, by golden-section search
+ * @param {function(number): number} f - Function of the Julian Ephemeris Day
+ * @param {number} a - Earlier JDE
+ * @param {number} b - Later JDE
+ * @returns {number} - JDE of the maximum, to about a minute
+ */
+function maximize(f, a, b) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let [low, high] = [a, b];
+  while (high - low > 1 / 1440) {
+    const left = high - ratio * (high - low);
+    const right = low + ratio * (high - low);
+    if (f(left) < f(right)) low = left;
+    else high = right;
+  }
+  return (low + high) / 2;
+}
+
+module.exports = {
+  bisect,
+  maximize
+};
@@ -0,0 +1,141 @@
+/**
+ * EQUINOXES AND SOLSTICES
+ * Instants of the March and September equinoxes and the June and December
+ * solstices from Meeus, Astronomical Algorithms (2nd ed.), chapter 27
+ * (within a minute for the years 1000-3000), and of the cross-quarter days
+ * halfway between them, when the Sun's apparent longitude is 45°, 135°, 225°
+ * or 315° (within a few minutes).
+ */
+
+const { cosDeg, sinDeg, normalizeDegrees } = require('./angles');
+const { julianCenturies, dateFromJDE } = require('./time');
+const { sunPosition } = require('./sun');
+
+const SEASON_NAMES = ['March Equinox', 'June Solstice', 'September Equinox', 'December Solstice'];
+
+const MARKER_KINDS = {
+  EQUINOX: 'equinox',
+  SOLSTICE: 'solstice',
+  CROSS_QUARTER: 'cross-quarter'
+};
+
+// The eight seasonal markers in calendar order, with the Gaelic festivals near the cross-quarter days
+const SEASONAL_MARKERS = [
+  { name: 'February Cross-Quarter', kind: MARKER_KINDS.CROSS_QUARTER, longitude: 315, festival: 'Imbolc' },
+  { name: 'March Equinox', kind: MARKER_KINDS.EQUINOX, longitude: 0, festival: null },
+  { name: 'May Cross-Quarter', kind: MARKER_KINDS.CROSS_QUARTER, longitude: 45, festival: 'Beltane' },
+  { name: 'June Solstice', kind: MARKER_KINDS.SOLSTICE, longitude: 90, festival: null },
+  { name: 'August Cross-Quarter', kind: MARKER_KINDS.CROSS_QUARTER, longitude: 135, festival: 'Lughnasadh' },
+  { name: 'September Equinox', kind: MARKER_KINDS.EQUINOX, longitude: 180, festival: null },
+  { name: 'November Cross-Quarter', kind: MARKER_KINDS.CROSS_QUARTER, longitude: 225, festival: 'Samhain' },
+  { name: 'December Solstice', kind: MARKER_KINDS.SOLSTICE, longitude: 270, festival: null }
+];
+
+const TROPICAL_YEAR_DAYS = 365.2422;
+
+// Meeus table 27.B: mean instants for the years 1000-3000, as polynomials in millennia from 2000
+const MEAN_SEASON_TERMS = [
+  [2451623.80984, 365242.37404, 0.05169, -0.00411, -0.00057],
+  [2451716.56767, 365241.62603, 0.00325, 0.00888, -0.00030],
+  [2451810.21715, 365242.01767, -0.11575, 0.00337, 0.00078],
+  [2451900.05952, 365242.74049, -0.06223, -0.00823, 0.00032]
+];
+
+// Meeus table 27.C: A, B, C of the periodic terms
+const PERIODIC_TERMS = [
+  [485, 324.96, 1934.136], [203, 337.23, 32964.467], [199, 342.08, 20.186],
+  [182, 27.85, 445267.112], [156, 73.14, 45036.886], [136, 171.52, 22518.443],
+  [77, 222.54, 65928.934], [74, 296.72, 3034.906], [70, 243.58, 9037.513],
+  [58, 119.81, 33718.147], [52, 297.17, 150.678], [50, 21.02, 2281.226],
+  [45, 247.54, 29929.562], [44, 325.15, 31555.956], [29, 60.93, 4443.417],
+  [18, 155.12, 67555.328], [17, 288.79, 4562.452], [16, 198.04, 62894.029],
+  [14, 199.76, 31436.921], [12, 95.39, 14577.848], [12, 287.11, 31931.756],
+  [12, 320.81, 34777.259], [9, 227.73, 1222.114], [8, 15.45, 16859.074]
+];
+
+/**
+ * Julian Ephemeris Day of an equinox or solstice
+ * @param {number} year - Calendar year
+ * @param {number} index - 0 March equinox, 1 June solstice, 2 September equinox, 3 December solstice
+ * @returns {number} - Julian Ephemeris Day
+ */
+function seasonJDE(year, index) {
+  const Y = (year - 2000) / 1000;
+  const [a, b, c, d, e] = MEAN_SEASON_TERMS[index];
+  const jde0 = a + b * Y + c * Y * Y + d * Y ** 3 + e * Y ** 4;
+
+  const T = julianCenturies(jde0);
+  const W = 35999.373 * T - 2.47;
+  const deltaLambda = 1 + 0.0334 * cosDeg(W) + 0.0007 * cosDeg(2 * W);
+  const S = PERIODIC_TERMS.reduce((sum, [A, B, C]) => sum + A * cosDeg(B + C * T), 0);
+
+  return jde0 + 0.00001 * S / deltaLambda;
+}
+
+/**
+ * Julian Ephemeris Day when the Sun's apparent longitude reaches a value, from the
+ * chapter 25 solar position (Meeus chapter 27, last section)
+ * @param {number} year - Calendar year
+ * @param {number} longitude - Apparent longitude in degrees
+ * @returns {number} - Julian Ephemeris Day, in the calendar year for longitudes from 315° to 270°
+ */
+function solarLongitudeJDE(year, longitude) {
+  let jde = seasonJDE(year, 0) + (normalizeDegrees(longitude + 45) - 45) / 360 * TROPICAL_YEAR_DAYS;
+  for (let i = 0; i < 20; i++) {
+    const correction = 58 * sinDeg(longitude - sunPosition(jde).lambda);
+    jde += correction;
+    if (Math.abs(correction) < 1e-7) break;
+  }
+  return jde;
+}
+
+/**
+ * Julian Ephemeris Day of an equinox, solstice or cross-quarter day
+ * The chapter 25 Sun runs a few minutes from the chapter 27 instants; a cross-quarter
+ * day takes the mean of that error at the equinox and solstice either side of it.
+ * @param {number} year - Calendar year
+ * @param {number} longitude - Apparent solar longitude, a multiple of 45°
+ * @returns {number} - Julian Ephemeris Day
+ */
+function seasonalMarkerJDE(year, longitude) {
+  const degrees = normalizeDegrees(longitude);
+  if (degrees % 90 === 0) return seasonJDE(year, degrees / 90);
+
+  const errorAt = (quarter) => {
+    const seasonYear = quarter < 0 ? year - 1 : year;
+    const index = (quarter + 4) % 4;
+    return solarLongitudeJDE(seasonYear, index * 90) - seasonJDE(seasonYear, index);
+  };
+  const before = Math.floor((normalizeDegrees(degrees + 45) - 45) / 90);
+  return solarLongitudeJDE(year, degrees) - (errorAt(before) + errorAt(before + 1)) / 2;
+}
+
+/**
+ * The four equinoxes and solstices of a year
+ * @param {number} year - Calendar year
+ * @returns {Array<{name: string, date: Date}>} - In calendar order, as UTC instants
+ */
+function computeSeasons(year) {
+  return SEASON_NAMES.map((name, index) => ({ name, date: dateFromJDE(seasonJDE(year, index)) }));
+}
+
+/**
+ * The eight seasonal markers of a year: equinoxes, solstices and cross-quarter days
+ * @param {number} year - Calendar year
+ * @returns {Array<{name: string, kind: string, longitude: number, festival: string|null, date: Date}>} -
+ *   In calendar order, as UTC instants
+ */
+function computeSeasonalMarkers(year) {
+  return SEASONAL_MARKERS.map(marker => ({ ...marker, date: dateFromJDE(seasonalMarkerJDE(year, marker.longitude)) }));
+}
+
+module.exports = {
+  SEASON_NAMES,
+  MARKER_KINDS,
+  SEASONAL_MARKERS,
+  seasonJDE,
+  computeSeasons,
+  solarLongitudeJDE,
+  seasonalMarkerJDE,
+  computeSeasonalMarkers
+};
@@ -0,0 +1,39 @@
+import { seasonJDE, computeSeasons, solarLongitudeJDE, seasonalMarkerJDE, computeSeasonalMarkers } from './seasons';
+
+test('matches the Meeus June solstice example', () => {
+  // Meeus example 27.a: 1962 June 21, 21h25m08s TD
+  expect(seasonJDE(1962, 1)).toBeCloseTo(2437837.39245, 4);
+});
+
+test('lists the equinoxes and solstices of a year in order', () => {
+  const seasons = computeSeasons(2024);
+
+  expect(seasons.map(season => season.name)).toEqual(
+    ['March Equinox', 'June Solstice', 'September Equinox', 'December Solstice']);
+  // USNO: 20 March 03:06 and 21 December 09:20 UT
+  expect(seasons[0].date.toISOString().slice(0, 16)).toBe('2024-03-20T03:06');
+  expect(seasons[3].date.toISOString().slice(0, 16)).toBe('2024-12-21T09:20');
+});
+
+test('places the cross-quarter days halfway between the equinoxes and solstices', () => {
+  const markers = computeSeasonalMarkers(2024);
+
+  expect(markers.map(marker => marker.longitude)).toEqual([315, 0, 45, 90, 135, 180, 225, 270]);
+  expect(markers.filter(marker => marker.festival).map(marker => marker.festival))
+    .toEqual(['Imbolc', 'Beltane', 'Lughnasadh', 'Samhain']);
+  expect(markers.map(marker => marker.date.toISOString().slice(0, 10))).toEqual([
+    '2024-02-04', '2024-03-20', '2024-05-05', '2024-06-20',
+    '2024-08-07', '2024-09-22', '2024-11-06', '2024-12-21'
+  ]);
+  // The equinoxes and solstices are the chapter 27 instants
+  expect(markers[1].date).toEqual(computeSeasons(2024)[0].date);
+});
+
+test('finds solar longitudes within minutes of the chapter 27 instants', () => {
+  [1850, 2000, 2250].forEach(year => {
+    expect(Math.abs(solarLongitudeJDE(year, 90) - seasonJDE(year, 1)) * 1440).toBeLessThan(15);
+    expect(Math.abs(seasonalMarkerJDE(year, 180) - seasonJDE(year, 2))).toBe(0);
+  });
+  // The February cross-quarter of a year comes before its March equinox
+  expect(seasonalMarkerJDE(2024, 315)).toBeLessThan(seasonJDE(2024, 0));
+});
@@ -0,0 +1,68 @@
+/**
+ * SOLAR POSITION
+ * Geocentric position of the Sun from Meeus, Astronomical Algorithms (2nd ed.),
+ * chapter 25 (about 0.01° accuracy), plus apparent equatorial coordinates.
+ */
+
+const { normalizeDegrees, sinDeg, cosDeg } = require('./angles');
+const { julianCenturies } = require('./time');
+const { nutation, trueObliquity, eclipticToEquatorial } = require('./coordinates');
+
+/**
+ * Apparent geocentric position of the Sun
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {Object} - {lambda, beta, distanceAU, ra, dec, meanLongitude} angles in degrees
+ */
+function sunPosition(jde) {
+  const T = julianCenturies(jde);
+  const L0 = normalizeDegrees(280.46646 + 36000.76983 * T + 0.0003032 * T * T);
+  const M = normalizeDegrees(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+  const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+
+  const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * sinDeg(M)
+    + (0.019993 - 0.000101 * T) * sinDeg(2 * M)
+    + 0.000289 * sinDeg(3 * M);
+
+  const trueLongitude = L0 + C;
+  const trueAnomaly = M + C;
+  const distanceAU = 1.000001018 * (1 - e * e) / (1 + e * cosDeg(trueAnomaly));
+
+  // Aberration (-20.4898" / R) and nutation give the apparent longitude
+  const { deltaPsi } = nutation(T);
+  const lambda = normalizeDegrees(trueLongitude + deltaPsi - 20.4898 / 3600 / distanceAU);
+  const { ra, dec } = eclipticToEquatorial(lambda, 0, trueObliquity(T));
+
+  return {
+    lambda,
+    beta: 0,
+    distanceAU,
+    ra,
+    dec,
+    meanLongitude: L0,
+    meanAnomaly: M
+  };
+}
+
+/**
+ * Apparent semi-diameter of the Sun
+ * @param {number} distanceAU - Earth-Sun distance
+ * @returns {number} - Degrees
+ */
+function sunSemiDiameter(distanceAU) {
+  return 959.63 / 3600 / distanceAU;
+}
+
+/**
+ * Equatorial horizontal parallax of the Sun
+ * @param {number} distanceAU - Earth-Sun distance
+ * @returns {number} - Degrees
+ */
+function sunParallax(distanceAU) {
+  return 8.794 / 3600 / distanceAU;
+}
+
+module.exports = {
+  sunPosition,
+  sunSemiDiameter,
+  sunParallax
+};
@@ -0,0 +1,145 @@
+/**
+ * ASTRONOMICAL TIME SCALES
+ * Julian Day conversions and ΔT (TT - UT) shared by the ephemeris routines
+ */
+
+const MS_PER_DAY = 86400000;
+const JD_UNIX_EPOCH = 2440587.5;
+const J2000 = 2451545.0;
+
+/**
+ * Convert a Date to a Julian Day number
+ * @param {Date} date - UTC instant
+ * @returns {number} - Julian Day (UT)
+ */
+function julianDay(date) {
+  return date.getTime() / MS_PER_DAY + JD_UNIX_EPOCH;
+}
+
+/**
+ * Convert a Julian Day number to a Date
+ * @param {number} jd - Julian Day (UT)
+ * @returns {Date} - UTC instant
+ */
+function dateFromJulianDay(jd) {
+  return new Date(Math.round((jd - JD_UNIX_EPOCH) * MS_PER_DAY));
+}
+
+/**
+ * Julian centuries since J2000.0
+ * @param {number} jd - Julian Day (TT or UT, as the caller needs)
+ * @returns {number} - Centuries of 36525 days
+ */
+function julianCenturies(jd) {
+  return (jd - J2000) / 36525;
+}
+
+/**
+ * Estimate ΔT = TT - UT in seconds
+ * Espenak & Meeus polynomials, as used by the NASA Five Millennium catalogs.
+ * @param {number} decimalYear - Year with fraction, e.g. 2024.27
+ * @returns {number} - ΔT in seconds
+ */
+function deltaT(decimalYear) {
+  const y = decimalYear;
+  let t;
+
+  if (y < -500 || y >= 2150) {
+    const u = (y - 1820) / 100;
+    return -20 + 32 * u * u;
+  }
+  if (y < 500) {
+    const u = y / 100;
+    return 10583.6 - 1014.41 * u + 33.78311 * u ** 2 - 5.952053 * u ** 3
+      - 0.1798452 * u ** 4 + 0.022174192 * u ** 5 + 0.0090316521 * u ** 6;
+  }
+  if (y < 1600) {
+    const u = (y - 1000) / 100;
+    return 1574.2 - 556.01 * u + 71.23472 * u ** 2 + 0.319781 * u ** 3
+      - 0.8503463 * u ** 4 - 0.005050998 * u ** 5 + 0.0083572073 * u ** 6;
+  }
+  if (y < 1700) {
+    t = y - 1600;
+    return 120 - 0.9808 * t - 0.01532 * t ** 2 + t ** 3 / 7129;
+  }
+  if (y < 1800) {
+    t = y - 1700;
+    return 8.83 + 0.1603 * t - 0.0059285 * t ** 2 + 0.00013336 * t ** 3 - t ** 4 / 1174000;
+  }
+  if (y < 1860) {
+    t = y - 1800;
+    return 13.72 - 0.332447 * t + 0.0068612 * t ** 2 + 0.0041116 * t ** 3 - 0.00037436 * t ** 4
+      + 0.0000121272 * t ** 5 - 0.0000001699 * t ** 6 + 0.000000000875 * t ** 7;
+  }
+  if (y < 1900) {
+    t = y - 1860;
+    return 7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3
+      - 0.0004473624 * t ** 4 + t ** 5 / 233174;
+  }
+  if (y < 1920) {
+    t = y - 1900;
+    return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+  }
+  if (y < 1941) {
+    t = y - 1920;
+    return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+  }
+  if (y < 1961) {
+    t = y - 1950;
+    return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+  }
+  if (y < 1986) {
+    t = y - 1975;
+    return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+  }
+  if (y < 2005) {
+    t = y - 2000;
+    return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3
+      + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (y < 2050) {
+    t = y - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+  }
+  const u = (y - 1820) / 100;
+  return -20 + 32 * u * u - 0.5628 * (2150 - y);
+}
+
+/**
+ * Decimal year of a Julian Day, precise enough for ΔT lookups
+ * @param {number} jd - Julian Day
+ * @returns {number} - Year with fraction
+ */
+function decimalYear(jd) {
+  return 2000 + (jd - J2000) / 365.25;
+}
+
+/**
+ * Convert a Julian Ephemeris Day (TT) to a UTC Date
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {Date} - UTC instant
+ */
+function dateFromJDE(jde) {
+  return dateFromJulianDay(jde - deltaT(decimalYear(jde)) / 86400);
+}
+
+/**
+ * Convert a UTC Date to a Julian Ephemeris Day (TT)
+ * @param {Date} date - UTC instant
+ * @returns {number} - Julian Ephemeris Day
+ */
+function jdeFromDate(date) {
+  const jd = julianDay(date);
+  return jd + deltaT(decimalYear(jd)) / 86400;
+}
+
+module.exports = {
+  J2000,
+  julianDay,
+  dateFromJulianDay,
+  julianCenturies,
+  deltaT,
+  decimalYear,
+  dateFromJDE,
+  jdeFromDate
+};
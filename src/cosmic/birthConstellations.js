@@ -0,0 +1,163 @@
+/**
+ * SUN AND MOON CONSTELLATIONS AT BIRTH
+ * The IAU constellations the Sun and Moon were in at the moment of birth, from the
+ * official boundaries in astro/constellations.js, and the dates the Sun spends in
+ * each constellation of the ecliptic that year, Ophiuchus included. The Sun's place
+ * is set against the conventional dates of the tropical signs, which were fixed to
+ * the equinox two thousand years ago and have since drifted about a month ahead of
+ * the constellations they are named after.
+ */
+
+const { parseBirthDate } = require('./dates');
+const { fromZonedTime, describeInstant } = require('./timezones');
+const { parseBirthTime } = require('./birthMoon');
+const { findEclipticConstellation, eclipticConstellations } = require('./astro/constellations');
+const { solarLongitudeJDE } = require('./astro/seasons');
+const { sunPosition } = require('./astro/sun');
+const { moonPosition } = require('./astro/moon');
+const { nutation, precessLongitude } = require('./astro/coordinates');
+const { julianCenturies, jdeFromDate, dateFromJDE } = require('./astro/time');
+
+// Signs of the tropical zodiac with the constellations they are named after and their usual dates
+const TROPICAL_SIGNS = [
+  { name: 'Aries', constellation: 'Ari', start: '03-21', end: '04-19' },
+  { name: 'Taurus', constellation: 'Tau', start: '04-20', end: '05-20' },
+  { name: 'Gemini', constellation: 'Gem', start: '05-21', end: '06-20' },
+  { name: 'Cancer', constellation: 'Cnc', start: '06-21', end: '07-22' },
+  { name: 'Leo', constellation: 'Leo', start: '07-23', end: '08-22' },
+  { name: 'Virgo', constellation: 'Vir', start: '08-23', end: '09-22' },
+  { name: 'Libra', constellation: 'Lib', start: '09-23', end: '10-22' },
+  { name: 'Scorpio', constellation: 'Sco', start: '10-23', end: '11-21' },
+  { name: 'Sagittarius', constellation: 'Sgr', start: '11-22', end: '12-21' },
+  { name: 'Capricorn', constellation: 'Cap', start: '12-22', end: '01-19' },
+  { name: 'Aquarius', constellation: 'Aqr', start: '01-20', end: '02-18' },
+  { name: 'Pisces', constellation: 'Psc', start: '02-19', end: '03-20' }
+];
+
+// Birth moments are read at local noon unless a birth time is given
+const DEFAULT_READING_TIME = { hour: 12, minute: 0 };
+
+// Annual aberration displaces the Sun this far behind its true place (degrees)
+const SUN_ABERRATION = 20.4898 / 3600;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tropical sign of a calendar date, by the conventional sign dates
+ * @param {number} month - Month 1-12
+ * @param {number} day - Day of the month
+ * @returns {Object} - Entry of TROPICAL_SIGNS
+ */
+function tropicalSignOf(month, day) {
+  const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return TROPICAL_SIGNS.find(sign => (sign.start <= sign.end
+    ? monthDay >= sign.start && monthDay <= sign.end
+    : monthDay >= sign.start || monthDay <= sign.end));
+}
+
+/**
+ * Instant the Sun reaches a J2000.0 ecliptic longitude, such as a constellation boundary
+ * @param {number} year - Calendar year
+ * @param {number} longitude - Ecliptic longitude referred to the J2000.0 equinox (degrees)
+ * @returns {number} - Julian Ephemeris Day, in or next to the calendar year as solarLongitudeJDE() places it
+ */
+function sunReachesJDE(year, longitude) {
+  // The fixed point's apparent longitude of date grows with precession; two passes settle it
+  let jde = solarLongitudeJDE(year, longitude);
+  for (let i = 0; i < 2; i++) {
+    const T = julianCenturies(jde);
+    jde = solarLongitudeJDE(year, precessLongitude(longitude, T) + nutation(T).deltaPsi - SUN_ABERRATION);
+  }
+  return jde;
+}
+
+/**
+ * The Sun's passage through the constellations of the ecliptic around one year
+ * @param {number} year - Calendar year
+ * @param {string} [timeZone='UTC'] - IANA time zone for the dates
+ * @returns {Array<Object>} - Stays overlapping the year, in order: {abbreviation, name, start, end, days},
+ *   with the instants the Sun entered and left as describeInstant() objects
+ */
+function sunConstellationDates(year, timeZone = 'UTC') {
+  const entries = [year - 1, year, year + 1]
+    .flatMap(entryYear => eclipticConstellations().map(crossing => ({ ...crossing, jde: sunReachesJDE(entryYear, crossing.longitude) })))
+    .sort((a, b) => a.jde - b.jde);
+
+  return entries.slice(0, -1)
+    .map((entry, i) => ({
+      abbreviation: entry.abbreviation,
+      name: entry.name,
+      start: describeInstant(dateFromJDE(entry.jde), timeZone),
+      end: describeInstant(dateFromJDE(entries[i + 1].jde), timeZone),
+      days: Math.round((entries[i + 1].jde - entry.jde) * 10) / 10
+    }))
+    .filter(stay => stay.start.year <= year && stay.end.year >= year);
+}
+
+/**
+ * The constellations of the Sun and Moon at the moment of birth
+ * Both are geocentric; the Moon's parallax can move it up to a degree for a particular
+ * birthplace, enough to change its constellation when it is near a boundary.
+ * @param {string|Date} birthDate - Birth date as "YYYY-MM-DD" or Date
+ * @param {string} [birthTime] - Local birth time as "HH:MM"; local noon when not given
+ * @param {string} timeZone - IANA time zone the birth time was read in
+ * @returns {Object} - describeInstant() fields of the birth moment, `timeGiven`, the `sun` and `moon`
+ *   as {abbreviation, name}, the Sun's `stay` in its constellation from sunConstellationDates(),
+ *   `sunConstellations` for the birth year, the `tropicalSign` from the conventional dates with
+ *   `matchesSun` (whether the Sun was in its namesake constellation) and `shiftDays` (how many days
+ *   after the sign's dates begin the Sun reached that constellation), and a plain-language `description`
+ */
+function describeBirthConstellations(birthDate, birthTime, timeZone) {
+  const birth = parseBirthDate(birthDate);
+  const time = birthTime ? parseBirthTime(birthTime) : DEFAULT_READING_TIME;
+  const instant = fromZonedTime({ ...birth, ...time }, timeZone);
+  const jde = jdeFromDate(instant);
+  const T = julianCenturies(jde);
+  const { deltaPsi } = nutation(T);
+
+  // Precession run backwards takes the longitudes of date to J2000.0, where the boundaries are found
+  const sun = findEclipticConstellation(precessLongitude(sunPosition(jde).lambda - deltaPsi + SUN_ABERRATION, -T), 0);
+  const moonPlace = moonPosition(jde);
+  const moon = findEclipticConstellation(precessLongitude(moonPlace.lambda - deltaPsi, -T), moonPlace.beta);
+
+  const sunConstellations = sunConstellationDates(birth.year, timeZone);
+  const stay = sunConstellations.find(entry => new Date(entry.start.utc) <= instant && instant < new Date(entry.end.utc));
+
+  // The sign's dates as they fell around the birthday, to compare with the Sun's arrival in its namesake
+  const sign = tropicalSignOf(birth.month, birth.day);
+  const [startMonth, startDay] = sign.start.split('-').map(Number);
+  const signYear = startMonth > birth.month ? birth.year - 1 : birth.year;
+  const signStart = Date.UTC(signYear, startMonth - 1, startDay);
+  const namesake = sunConstellations
+    .filter(entry => entry.abbreviation === sign.constellation)
+    .reduce((nearest, entry) => (!nearest || Math.abs(Date.parse(entry.start.date) - signStart)
+      < Math.abs(Date.parse(nearest.start.date) - signStart) ? entry : nearest), null);
+  const matchesSun = sun.abbreviation === sign.constellation;
+
+  const description = matchesSun
+    ? `The Sun was in ${sun.name}, matching your tropical sign of ${sign.name}`
+    : `The Sun was in ${sun.name}, though by the tropical sign dates your sign is ${sign.name}`;
+
+  return {
+    ...describeInstant(instant, timeZone),
+    timeGiven: Boolean(birthTime),
+    sun,
+    moon,
+    stay,
+    sunConstellations,
+    tropicalSign: {
+      ...sign,
+      matchesSun,
+      shiftDays: Math.round((Date.parse(namesake.start.date) - signStart) / DAY_MS)
+    },
+    description
+  };
+}
+
+module.exports = {
+  TROPICAL_SIGNS,
+  tropicalSignOf,
+  sunReachesJDE,
+  sunConstellationDates,
+  describeBirthConstellations
+};
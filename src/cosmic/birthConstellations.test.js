@@ -0,0 +1,41 @@
+import { tropicalSignOf, sunConstellationDates, describeBirthConstellations } from './birthConstellations';
+import { findCosmicEvents } from './index';
+
+test('reads the tropical sign from the conventional dates', () => {
+  expect(tropicalSignOf(3, 21).name).toBe('Aries');
+  expect(tropicalSignOf(12, 31).name).toBe('Capricorn');
+  expect(tropicalSignOf(1, 19).name).toBe('Capricorn');
+  expect(tropicalSignOf(1, 20).name).toBe('Aquarius');
+});
+
+test("follows the Sun through the year's constellations", () => {
+  const stays = sunConstellationDates(2024, 'UTC');
+  const dates = (abbreviation) => stays.filter(stay => stay.abbreviation === abbreviation)
+    .map(stay => `${stay.start.date}/${stay.end.date}`);
+
+  // Sagittarius both begins and ends the year
+  expect(dates('Sgr')).toEqual(['2023-12-18/2024-01-20', '2024-12-18/2025-01-19']);
+  expect(dates('Sco')).toEqual(['2024-11-23/2024-11-29']);
+  expect(dates('Oph')).toEqual(['2024-11-29/2024-12-18']);
+  expect(dates('Vir')).toEqual(['2024-09-16/2024-10-31']);
+  expect(stays).toHaveLength(14);
+});
+
+test('finds an Ophiuchus birthday that the sign dates call Sagittarius', () => {
+  const birth = describeBirthConstellations('2000-12-05', '10:00', 'America/New_York');
+  expect(birth.sun).toEqual({ abbreviation: 'Oph', name: 'Ophiuchus' });
+  expect(birth.stay).toMatchObject({ start: { date: '2000-11-29' }, end: { date: '2000-12-17' } });
+  expect(birth.tropicalSign).toMatchObject({ name: 'Sagittarius', matchesSun: false });
+  expect(birth.tropicalSign.shiftDays).toBeGreaterThan(20);
+  expect(birth.timeGiven).toBe(true);
+});
+
+test('reads the sky at noon without a birth time, and adds the constellations to the results', () => {
+  const birth = describeBirthConstellations('2000-08-15', undefined, 'UTC');
+  expect(birth).toMatchObject({ localTime: '12:00', timeGiven: false });
+  expect(birth.sun.abbreviation).toBe('Leo');
+  expect(birth.tropicalSign).toMatchObject({ name: 'Leo', matchesSun: true });
+
+  const results = findCosmicEvents('2000-08-15', { timeZone: 'UTC' });
+  expect(results.birthConstellations.sun.abbreviation).toBe('Leo');
+});
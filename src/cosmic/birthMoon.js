@@ -0,0 +1,59 @@
+/**
+ * MOON AT BIRTH
+ * The Moon's phase at the moment of birth, from the birth date and an optional
+ * local birth time
+ */
+
+const { parseBirthDate } = require('./dates');
+const { fromZonedTime, describeInstant } = require('./timezones');
+const { moonPhaseAt } = require('./astro/moonPhase');
+
+/**
+ * Parse a local birth time
+ * @param {string} birthTime - "HH:MM" on a 24-hour clock
+ * @returns {{hour: number, minute: number}} - Clock parts
+ */
+function parseBirthTime(birthTime) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(birthTime || '').trim());
+  if (!match) throw new Error('Invalid birth time');
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) throw new Error('Invalid birth time');
+
+  return { hour, minute };
+}
+
+/**
+ * Label a phase for display
+ * @param {{phaseName: string, illumination: number}} phase - From moonPhaseAt()
+ * @returns {string} - e.g. "Waxing Gibbous, 78%"
+ */
+function formatPhaseLabel(phase) {
+  return `${phase.phaseName}, ${Math.round(phase.illumination * 100)}%`;
+}
+
+/**
+ * Describe the Moon at the moment of birth
+ * @param {string|Date} birthDate - Birth date as "YYYY-MM-DD" or Date
+ * @param {string} birthTime - Local birth time as "HH:MM"
+ * @param {string} timeZone - IANA time zone the birth time was read in
+ * @returns {Object} - describeInstant() fields plus moonPhaseAt() fields and a `label`
+ */
+function describeBirthMoon(birthDate, birthTime, timeZone) {
+  const birth = parseBirthDate(birthDate);
+  const instant = fromZonedTime({ ...birth, ...parseBirthTime(birthTime) }, timeZone);
+  const phase = moonPhaseAt(instant);
+
+  return {
+    ...describeInstant(instant, timeZone),
+    ...phase,
+    label: formatPhaseLabel(phase)
+  };
+}
+
+module.exports = {
+  parseBirthTime,
+  formatPhaseLabel,
+  describeBirthMoon
+};
@@ -0,0 +1,152 @@
+/**
+ * BIRTHDAY SKY
+ * Sunrise, sunset, twilight and day length on every birthday at one place, from
+ * the birth year to the end of coverage, so every search has something to show
+ * even without a phase or eclipse match. Each birthday is the local calendar day
+ * in the requested time zone.
+ */
+
+const { parseBirthDate } = require('./dates');
+const { localDayRange, describeInstant } = require('./timezones');
+const { observedBirthday } = require('./matching');
+const { COMPUTED_END_YEAR } = require('./fallback');
+const { HORIZON_ALTITUDE } = require('./astro/localEclipse');
+const {
+  TWILIGHT_ALTITUDES,
+  sunAltitude,
+  scanAltitudes,
+  findCrossings,
+  findCulmination
+} = require('./astro/riseSet');
+
+const POLAR_DAYS = {
+  MIDNIGHT_SUN: 'midnight-sun',
+  POLAR_NIGHT: 'polar-night'
+};
+
+/**
+ * Local time of an instant, or null
+ * @param {Date|null} instant - UTC instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{localTime: string, utc: string}|null} - "HH:MM" and the ISO instant, to the nearest minute
+ */
+function localTimeOf(instant, timeZone) {
+  if (!instant) return null;
+  const { localTime, utc } = describeInstant(new Date(Math.round(instant / 60000) * 60000), timeZone);
+  return { localTime, utc };
+}
+
+/**
+ * The Sun over one local day at a place
+ * @param {{year: number, month: number, day: number}} day - Local calendar date, month 1-12
+ * @param {{latitude: number, longitude: number}} location - Observer, degrees north and east
+ * @param {string} timeZone - IANA time zone the day is counted in
+ * @returns {Object} - {sunrise, sunset, solarNoon, twilight, dayLengthMinutes, noonAltitude, polar}:
+ *   times as {localTime, utc} or null when the Sun does not cross that altitude during the day;
+ *   twilight has {dawn, dusk} for 'civil', 'nautical' and 'astronomical'; polar is 'midnight-sun'
+ *   or 'polar-night' when the Sun neither rises nor sets, null otherwise
+ */
+function describeSunDay(day, location, timeZone) {
+  const range = localDayRange(day, timeZone);
+  const [start, end] = [range.start.getTime(), range.end.getTime()];
+
+  const altitudeAt = (millis) => sunAltitude(millis, location);
+  const samples = scanAltitudes(altitudeAt, start, end);
+  const { rise, set } = findCrossings(samples, altitudeAt, HORIZON_ALTITUDE);
+  const noon = findCulmination(samples, altitudeAt);
+
+  const twilight = {};
+  Object.entries(TWILIGHT_ALTITUDES).forEach(([name, altitude]) => {
+    const crossings = findCrossings(samples, altitudeAt, altitude);
+    twilight[name] = { dawn: localTimeOf(crossings.rise, timeZone), dusk: localTimeOf(crossings.set, timeZone) };
+  });
+
+  // Sunrise to sunset, or the share of the day with the Sun up when it does not do both in that order
+  const upSamples = samples.slice(1).filter(sample => sample.altitude > HORIZON_ALTITUDE).length;
+  const dayLengthMinutes = rise && set && set > rise
+    ? Math.round((set - rise) / 60000)
+    : Math.round(upSamples / (samples.length - 1) * (end - start) / 60000);
+
+  let polar = null;
+  if (!rise && !set) polar = noon.altitude > HORIZON_ALTITUDE ? POLAR_DAYS.MIDNIGHT_SUN : POLAR_DAYS.POLAR_NIGHT;
+
+  return {
+    sunrise: localTimeOf(rise, timeZone),
+    sunset: localTimeOf(set, timeZone),
+    solarNoon: localTimeOf(noon.transit, timeZone),
+    twilight,
+    dayLengthMinutes,
+    noonAltitude: Math.round(noon.altitude * 10) / 10,
+    polar
+  };
+}
+
+/**
+ * Describe the Sun on each birthday of a lifetime at one place
+ * @param {string|Date} birthDate - Birth date as "YYYY-MM-DD" or Date
+ * @param {Object} options - Table options
+ * @param {{latitude: number, longitude: number}} options.location - Observer, degrees north and east
+ * @param {string} [options.timeZone='UTC'] - IANA time zone the birthday is observed in
+ * @param {string} [options.leapDayPolicy] - How 29 February is observed in common years
+ * @param {number} [options.endYear=COMPUTED_END_YEAR] - Last year of the table
+ * @returns {Array<Object>} - One row per observed birthday: {year, date} and describeSunDay() fields,
+ *   with `dayLengthChange`, the minutes gained or lost since the first row
+ */
+function buildBirthdaySkyTable(birthDate, options) {
+  const birth = parseBirthDate(birthDate);
+  const timeZone = options.timeZone || 'UTC';
+  const endYear = options.endYear ?? COMPUTED_END_YEAR;
+
+  const rows = [];
+  for (let year = birth.year; year <= endYear; year++) {
+    const observed = observedBirthday(birth, year, options.leapDayPolicy);
+    if (!observed) continue;
+
+    const sunDay = describeSunDay({ year, ...observed }, options.location, timeZone);
+    rows.push({
+      year,
+      date: `${year}-${String(observed.month).padStart(2, '0')}-${String(observed.day).padStart(2, '0')}`,
+      ...sunDay,
+      dayLengthChange: rows.length ? sunDay.dayLengthMinutes - rows[0].dayLengthMinutes : 0
+    });
+  }
+  return rows;
+}
+
+/**
+ * How the birthday sky changes over a lifetime
+ * @param {Array<Object>} rows - From buildBirthdaySkyTable()
+ * @returns {Object|null} - {earliestSunrise, latestSunrise, earliestSunset, latestSunset} as
+ *   {year, localTime}, and {shortestDay, longestDay} as {year, dayLengthMinutes}; times missing on
+ *   polar days are skipped, and null is returned for an empty table
+ */
+function summarizeBirthdaySky(rows) {
+  if (!rows.length) return null;
+
+  const extreme = (key, pick) => {
+    const timed = rows.filter(row => row[key]);
+    if (!timed.length) return null;
+    const row = timed.reduce((best, candidate) => (pick(candidate[key].localTime, best[key].localTime) ? candidate : best));
+    return { year: row.year, localTime: row[key].localTime };
+  };
+  const byLength = (pick) => {
+    const row = rows.reduce((best, candidate) => (pick(candidate.dayLengthMinutes, best.dayLengthMinutes) ? candidate : best));
+    return { year: row.year, dayLengthMinutes: row.dayLengthMinutes };
+  };
+
+  return {
+    earliestSunrise: extreme('sunrise', (a, b) => a < b),
+    latestSunrise: extreme('sunrise', (a, b) => a > b),
+    earliestSunset: extreme('sunset', (a, b) => a < b),
+    latestSunset: extreme('sunset', (a, b) => a > b),
+    shortestDay: byLength((a, b) => a < b),
+    longestDay: byLength((a, b) => a > b)
+  };
+}
+
+module.exports = {
+  POLAR_DAYS,
+  describeSunDay,
+  buildBirthdaySkyTable,
+  summarizeBirthdaySky
+};
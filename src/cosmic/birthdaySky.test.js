@@ -0,0 +1,49 @@
+import { describeSunDay, buildBirthdaySkyTable, summarizeBirthdaySky } from './birthdaySky';
+import { findCosmicEvents } from './index';
+
+const newYork = { latitude: 40.7128, longitude: -74.006 };
+const longyearbyen = { latitude: 78.22, longitude: 15.65 };
+
+test('finds sunrise, sunset and twilight for a day', () => {
+  // USNO, New York, 21 June 2024 (EDT): sunrise 05:25, sunset 20:31, civil twilight 04:52-21:04
+  const day = describeSunDay({ year: 2024, month: 6, day: 21 }, newYork, 'America/New_York');
+  expect(day.sunrise.localTime).toBe('05:25');
+  expect(day.sunset.localTime).toBe('20:31');
+  expect(day.twilight.civil).toMatchObject({ dawn: { localTime: '04:52' }, dusk: { localTime: '21:04' } });
+  expect(day.dayLengthMinutes).toBe(906);
+  expect(day.noonAltitude).toBeCloseTo(72.7, 1);
+  expect(day.polar).toBeNull();
+});
+
+test('marks the midnight sun and the polar night', () => {
+  const summer = describeSunDay({ year: 2024, month: 6, day: 21 }, longyearbyen, 'Arctic/Longyearbyen');
+  expect(summer).toMatchObject({ sunrise: null, sunset: null, dayLengthMinutes: 1440, polar: 'midnight-sun' });
+
+  // In midwinter the Sun still comes within 12° of the horizon at noon
+  const winter = describeSunDay({ year: 2024, month: 12, day: 21 }, longyearbyen, 'Arctic/Longyearbyen');
+  expect(winter).toMatchObject({ sunrise: null, dayLengthMinutes: 0, polar: 'polar-night' });
+  expect(winter.twilight.civil.dawn).toBeNull();
+  expect(winter.twilight.nautical.dawn).not.toBeNull();
+});
+
+test('builds and summarizes a lifetime of birthdays', () => {
+  const rows = buildBirthdaySkyTable('1990-03-15', {
+    location: { latitude: 51.5, longitude: -0.12 },
+    timeZone: 'Europe/London',
+    endYear: 2000
+  });
+  expect(rows).toHaveLength(11);
+  expect(rows[0]).toMatchObject({ year: 1990, date: '1990-03-15', dayLengthChange: 0 });
+  expect(rows.every(row => row.sunrise.localTime.startsWith('06:1'))).toBe(true);
+
+  const summary = summarizeBirthdaySky(rows);
+  expect(summary.longestDay.dayLengthMinutes).toBeGreaterThanOrEqual(summary.shortestDay.dayLengthMinutes);
+  expect(summary.earliestSunrise.localTime <= summary.latestSunrise.localTime).toBe(true);
+  expect(summarizeBirthdaySky([])).toBeNull();
+});
+
+test('adds the birthday sky to the search results when a location is given', () => {
+  expect(findCosmicEvents('2000-06-21', { timeZone: 'UTC' }).birthdaySky).toBeNull();
+  const results = findCosmicEvents('2000-06-21', { timeZone: 'America/New_York', location: newYork });
+  expect(results.birthdaySky[0]).toMatchObject({ year: 2000, date: '2000-06-21' });
+});
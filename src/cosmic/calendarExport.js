@@ -0,0 +1,130 @@
+/**
+ * CALENDAR EXPORT
+ * The upcoming dates in a set of results, the Moon phases and eclipses that will
+ * fall on the birthday and the planetary birthdays and returns still to come, as an
+ * iCalendar (RFC 5545) file any calendar application can import.
+ */
+
+const { MATCH_NEAR, formatMatchOffset } = require('./matching');
+
+const LUNAR_RESULT_KEYS = ['fullMoon', 'newMoon', 'firstQuarter', 'lastQuarter'];
+
+const CALENDAR_NAME = 'Cosmic Birthday';
+
+// Content lines longer than this many characters are folded onto continuation lines
+const LINE_LIMIT = 73;
+
+/**
+ * Upcoming dated events of a findCosmicEvents() result
+ * @param {Object} results - Results from findCosmicEvents()
+ * @param {Date} [now] - Events at or after this instant are upcoming (defaults to the present)
+ * @returns {Array<{summary: string, description: string, utc: string, date: string, localTime: string}>} -
+ *   Moon phases, eclipses, planetary birthdays and returns, in date order
+ */
+function collectUpcomingEvents(results, now = new Date()) {
+  const lunar = LUNAR_RESULT_KEYS.flatMap(key => results[key] || []).map(entry => ({
+    summary: entry.moonName ? `${entry.phase} (${entry.moonName})` : entry.phase,
+    description: entry.match === MATCH_NEAR
+      ? `${entry.phase} ${formatMatchOffset(entry.offsetMinutes)} your birthday`
+      : `${entry.phase} on your birthday`,
+    utc: entry.utc,
+    date: entry.date,
+    localTime: entry.localTime
+  }));
+  const eclipses = (results.eclipses || []).map(entry => ({
+    summary: entry.type,
+    description: entry.description,
+    utc: entry.utc,
+    date: entry.date,
+    localTime: entry.localTime
+  }));
+  const planetary = results.planetaryBirthdays ? results.planetaryBirthdays.upcoming.map(entry => ({
+    summary: entry.type,
+    description: entry.description,
+    utc: entry.utc,
+    date: entry.date,
+    localTime: entry.localTime
+  })) : [];
+
+  return [...lunar, ...eclipses, ...planetary]
+    .filter(event => new Date(event.utc) >= now)
+    .sort((a, b) => a.utc.localeCompare(b.utc));
+}
+
+/**
+ * iCalendar date-time in UTC
+ * @param {string|Date} instant - ISO string or Date
+ * @returns {string} - e.g. "20240408T181800Z"
+ */
+function formatICalendarTime(instant) {
+  return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text - Plain text
+ * @returns {string} - Text with backslashes, commas, semicolons and newlines escaped
+ */
+function escapeICalendarText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/[,;]/g, match => `\\${match}`)
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line onto continuation lines, each starting with a space
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Line with CRLF-space breaks
+ */
+function foldLine(line) {
+  const pieces = [];
+  for (let start = 0; start < line.length; start += LINE_LIMIT) {
+    pieces.push(line.slice(start, start + LINE_LIMIT));
+  }
+  return pieces.join('\r\n ');
+}
+
+/**
+ * Build an iCalendar file of events
+ * @param {Array<{summary: string, description: string, utc: string}>} events - Events from collectUpcomingEvents()
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.name='Cosmic Birthday'] - Calendar name shown on import
+ * @param {Date} [options.now] - Creation stamp of the events (defaults to the present)
+ * @returns {string} - VCALENDAR text with CRLF line endings
+ */
+function buildICalendar(events, options = {}) {
+  const stamp = formatICalendarTime(options.now || new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Cosmic Birthday//Birthday Events//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeICalendarText(options.name || CALENDAR_NAME)}`
+  ];
+
+  events.forEach(event => {
+    const start = formatICalendarTime(event.utc);
+    const slug = event.summary.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${start}-${slug}@cosmicbirthday`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${start}`,
+      `DTEND:${start}`,
+      `SUMMARY:${escapeICalendarText(event.summary)}`,
+      `DESCRIPTION:${escapeICalendarText(event.description)}`,
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  collectUpcomingEvents,
+  formatICalendarTime,
+  escapeICalendarText,
+  buildICalendar
+};
@@ -0,0 +1,43 @@
+import { collectUpcomingEvents, formatICalendarTime, escapeICalendarText, buildICalendar } from './calendarExport';
+import { findCosmicEvents } from './index';
+
+const now = new Date('2024-01-01T00:00:00Z');
+
+test('collects the Moon phases, eclipses and planetary dates still to come', () => {
+  const results = findCosmicEvents('2000-01-01', { timeZone: 'UTC', now });
+  const events = collectUpcomingEvents(results, now);
+
+  expect(events.every(event => new Date(event.utc) >= now)).toBe(true);
+  expect(events.map(event => event.utc)).toEqual(events.map(event => event.utc).sort());
+  expect(events.find(event => event.date === '2048-01-01' && event.summary.startsWith('Full Moon')))
+    .toMatchObject({ summary: 'Full Moon (Wolf Moon)', description: 'Full Moon on your birthday' });
+  expect(events.find(event => event.summary === 'Total Lunar Eclipse')).toMatchObject({ date: '2048-01-01' });
+  expect(events.find(event => event.summary === 'Saturn Return')).toMatchObject({ date: '2029-06-18' });
+});
+
+test('writes an iCalendar file', () => {
+  const calendar = buildICalendar([{
+    summary: 'Jupiter Return',
+    description: 'Jupiter back where it was, its 3rd return; at age 35.6',
+    utc: '2035-08-04T07:12:00.000Z'
+  }], { now });
+  const lines = calendar.split('\r\n');
+
+  expect(lines[0]).toBe('BEGIN:VCALENDAR');
+  expect(lines).toContain('DTSTART:20350804T071200Z');
+  expect(lines).toContain('DTSTAMP:20240101T000000Z');
+  expect(lines).toContain('UID:20350804T071200Z-jupiter-return@cosmicbirthday');
+  expect(lines).toContain('DESCRIPTION:Jupiter back where it was\\, its 3rd return\\; at age 35.6');
+  expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+});
+
+test('formats times and escapes text', () => {
+  expect(formatICalendarTime('2024-04-08T18:18:29.000Z')).toBe('20240408T181829Z');
+  expect(escapeICalendarText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+});
+
+test('folds long lines', () => {
+  const calendar = buildICalendar([{ summary: 'Mars Birthday', description: 'x'.repeat(150), utc: '2030-01-01T00:00:00Z' }], { now });
+  calendar.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(75));
+  expect(calendar).toContain(`DESCRIPTION:${'x'.repeat(61)}\r\n x`);
+});
@@ -0,0 +1,238 @@
+/**
+ * CATALOG MATCHER
+ * Matches a birthday against the pre-fetched 1960-2100 USNO/NASA databases
+ */
+
+const datasets = require('./datasets');
+const { parseBirthDate } = require('./dates');
+const { getDefaultTimeZone, isValidTimeZone } = require('./timezones');
+const {
+  MATCH_EXACT,
+  resolveMatchOptions,
+  describeLeapDayRule,
+  matchBirthday,
+  formatMatchOffset
+} = require('./matching');
+const { formatEclipseType, parseEclipseRow, readCatalogEntry } = require('./eclipseCatalog');
+
+// Marks events read from the bundled USNO/NASA databases
+const SOURCE_CATALOG = 'catalog';
+
+/**
+ * Resolve and validate the time zone used for matching
+ * @param {string} [timeZone] - IANA time zone name
+ * @returns {string} - Usable time zone (the runtime's own when omitted)
+ */
+function resolveTimeZone(timeZone) {
+  const zone = timeZone || getDefaultTimeZone();
+  if (!isValidTimeZone(zone)) {
+    throw new Error(`Unknown time zone: ${zone}`);
+  }
+  return zone;
+}
+
+/**
+ * Get the UTC instant of a USNO moon phase entry
+ * @param {Object} phase - {year, month, day, time: "HH:MM"} with UTC values
+ * @returns {Date|null} - Phase instant or null if invalid
+ */
+function getPhaseInstant(phase) {
+  if (!phase || !phase.year || !phase.month || !phase.day) return null;
+
+  const [hours, minutes] = String(phase.time || '00:00').split(':').map(Number);
+  const instant = new Date(Date.UTC(phase.year, phase.month - 1, phase.day, hours || 0, minutes || 0));
+  return isNaN(instant.getTime()) ? null : instant;
+}
+
+/**
+ * Get the UTC instant of greatest eclipse from a NASA catalog entry
+ * The catalog lists Terrestrial Dynamical Time followed by ΔT in seconds.
+ * @param {Object} eclipse - Entry with a parsed `greatestEclipse`, or a raw NASA `description`
+ * @returns {Date|null} - Greatest eclipse instant, or null when the entry is not a catalog row
+ */
+function getEclipseInstant(eclipse) {
+  const row = eclipse?.greatestEclipse
+    ? eclipse
+    : parseEclipseRow(eclipse?.description, eclipse?.type === 'lunar' ? 'lunar' : 'solar');
+  return row ? new Date(row.greatestEclipse) : null;
+}
+
+/**
+ * Process eclipse data from pre-fetched JSON
+ * Each eclipse is converted to the time zone before it is compared with the birthday.
+ * @param {string|Date} birthDate - User's birth date
+ * @param {number|null} birthYear - First year to include (defaults to the birth year)
+ * @param {Object} eclipseData - Eclipse database (defaults to the bundled one)
+ * @param {string} [timeZone] - IANA time zone (defaults to the runtime's own)
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions()
+ * @returns {Array} - Eclipse events matching the birthday, sorted by year
+ */
+function processEclipseData(birthDate, birthYear = null, eclipseData = datasets.eclipseData, timeZone,
+  matchOptions = {}) {
+  if (!eclipseData || (!eclipseData.solarEclipses && !eclipseData.lunarEclipses)) {
+    return [];
+  }
+
+  const zone = resolveTimeZone(timeZone);
+  const birth = parseBirthDate(birthDate);
+  const filterYear = birthYear || birth.year; // Use provided birth year or extract from date
+
+  const matchingEclipses = [];
+
+  const matchEclipses = (eclipses, eclipseCategory) => {
+    eclipses.forEach(entry => {
+      // Summary lines and other text that is not a catalog row are skipped
+      const eclipse = readCatalogEntry(entry, eclipseCategory);
+      if (!eclipse) return;
+
+      const local = matchBirthday(new Date(eclipse.greatestEclipse), birth, zone, matchOptions);
+
+      // Filter by birth year and birthday match in the user's time zone
+      if (local && local.year >= filterYear) {
+        const type = formatEclipseType(eclipse.eclipseType, eclipseCategory);
+        const when = local.match === MATCH_EXACT ? 'on' : formatMatchOffset(local.offsetMinutes);
+        matchingEclipses.push({
+          year: local.year,
+          type,
+          category: eclipseCategory === 'solar' ? 'Solar' : 'Lunar',
+          description: `${type} ${when} your birthday`,
+          date: local.date,
+          localTime: local.localTime,
+          utc: local.utc,
+          timeZone: zone,
+          match: local.match,
+          offsetMinutes: local.offsetMinutes,
+          birthday: local.birthday,
+          eclipseType: eclipse.eclipseType,
+          catalogNumber: eclipse.catalogNumber,
+          lunation: eclipse.lunation,
+          saros: eclipse.saros,
+          gamma: eclipse.gamma,
+          magnitude: eclipse.magnitude,
+          latitude: eclipse.latitude,
+          longitude: eclipse.longitude,
+          centralDurationSeconds: eclipse.centralDurationSeconds ?? null,
+          durationMinutes: eclipse.durationMinutes ?? null,
+          source: SOURCE_CATALOG
+        });
+      }
+    });
+  };
+
+  if (eclipseData.solarEclipses) matchEclipses(eclipseData.solarEclipses, 'solar');
+  if (eclipseData.lunarEclipses) matchEclipses(eclipseData.lunarEclipses, 'lunar');
+
+  return matchingEclipses.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Match the phases of a moon phase database to a birthday
+ * Phase times are stored in UTC and are converted to the time zone before matching.
+ * @param {string|Date} birthDate - User's birth date
+ * @param {Object} moonPhaseData - Database in the moon-phases-1960-2100.json shape
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions()
+ * @returns {Object} - {fullMoon, newMoon, firstQuarter, lastQuarter} from the birth year onward
+ */
+function matchCatalogPhases(birthDate, moonPhaseData, timeZone, matchOptions = {}) {
+  const birth = parseBirthDate(birthDate);
+  const birthYear = birth.year;
+
+  const matches = {
+    'Full Moon': [],
+    'New Moon': [],
+    'First Quarter': [],
+    'Last Quarter': []
+  };
+
+  // Process each year's moon phase data
+  Object.entries(moonPhaseData.moonPhases).forEach(([year, yearData]) => {
+    if (!yearData.success || !yearData.phases) return;
+
+    // A late-December phase can fall in the next local year, so keep one year of margin
+    if (parseInt(year) < birthYear - 1) return;
+
+    yearData.phases.forEach(phase => {
+      const instant = getPhaseInstant(phase);
+      if (!instant) return;
+
+      // Check if this phase matches the user's birthday (month and day) in their time zone
+      const local = matchBirthday(instant, birth, timeZone, matchOptions);
+      if (!local || local.year < birthYear) return;
+
+      const phaseName = phase.phase === 'Third Quarter' ? 'Last Quarter' : phase.phase;
+      if (!matches[phaseName]) return; // Unknown phase type - skip
+
+      matches[phaseName].push({ phase: phaseName, ...local, source: SOURCE_CATALOG });
+    });
+  });
+
+  // Sort chronologically (should already be sorted since we're processing in order)
+  Object.values(matches).forEach(list => list.sort((a, b) => a.utc.localeCompare(b.utc)));
+
+  return {
+    fullMoon: matches['Full Moon'],
+    newMoon: matches['New Moon'],
+    firstQuarter: matches['First Quarter'],
+    lastQuarter: matches['Last Quarter']
+  };
+}
+
+/**
+ * Process pre-fetched JSON data for astronomical events
+ * This uses the comprehensive 1960-2100 data from fetch-moon-data.js. Phase times
+ * are stored in UTC and are converted to the time zone before matching.
+ * @param {string|Date} birthDate - User's birth date
+ * @param {Object} [options] - Matching options
+ * @param {Object} [options.moonPhaseData] - Moon phase database (defaults to the bundled one)
+ * @param {Object} [options.eclipseData] - Eclipse database (defaults to the bundled one)
+ * @param {string} [options.timeZone] - IANA time zone (defaults to the runtime's own)
+ * @param {Object} [options.tolerance] - Near-miss window as {hours} or {days}
+ * @param {string} [options.leapDayPolicy] - How a 29 February birthday is observed in common years
+ * @returns {Object} - Results in the shape rendered by the UI
+ */
+function processJSONAstronomicalData(birthDate, options = {}) {
+  const moonPhaseData = options.moonPhaseData || datasets.moonPhaseData;
+  const eclipseData = options.eclipseData || datasets.eclipseData;
+
+  if (!moonPhaseData || !moonPhaseData.moonPhases) {
+    throw new Error('Moon phase data not available');
+  }
+
+  const timeZone = resolveTimeZone(options.timeZone);
+  const matchOptions = resolveMatchOptions(options);
+  const birth = parseBirthDate(birthDate);
+  const birthYear = birth.year; // Get the birth year for filtering
+  const phases = matchCatalogPhases(birthDate, moonPhaseData, timeZone, matchOptions);
+
+  const totalPhases = moonPhaseData.metadata?.totalPhases || 0;
+
+  // Process eclipse data with year filtering
+  let eclipses = [];
+  try {
+    eclipses = processEclipseData(birthDate, birthYear, eclipseData, timeZone, matchOptions);
+  } catch (eclipseError) {
+    console.warn('⚠️ Eclipse processing failed:', eclipseError.message);
+    eclipses = [];
+  }
+
+  return {
+    ...phases,
+    eclipses: eclipses,
+    searchRange: `${birthYear} - ${moonPhaseData.metadata?.endYear}`,
+    timeZone,
+    leapDayRule: describeLeapDayRule(birth, matchOptions.leapDayPolicy),
+    note: `Processed ${totalPhases.toLocaleString()} moon phases from comprehensive astronomical database (showing events from your birth year onward)`,
+    dataSource: "USNO Naval Observatory (pre-fetched)"
+  };
+}
+
+module.exports = {
+  SOURCE_CATALOG,
+  resolveTimeZone,
+  getPhaseInstant,
+  getEclipseInstant,
+  processEclipseData,
+  matchCatalogPhases,
+  processJSONAstronomicalData
+};
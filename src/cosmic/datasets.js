@@ -0,0 +1,28 @@
+/**
+ * BUNDLED ASTRONOMICAL DATASETS
+ * Loads the pre-fetched USNO moon phase and NASA eclipse databases, the world
+ * land outlines for eclipse maps, the meteor shower list, the first-magnitude
+ * star catalog, the sky catalog for the night-sky chart, the IAU constellation
+ * boundaries and the VSOP87 series for the Earth, Jupiter and Saturn, from src/data.
+ * Uses require() so the same module works in the browser bundle and in plain Node.
+ */
+
+const moonPhaseData = require('../data/moon-phases-1960-2100.json');
+const eclipseData = require('../data/eclipse-data-1960-2100.json');
+const worldLand = require('../data/world-land.json');
+const meteorShowerData = require('../data/meteor-showers.json');
+const brightStarData = require('../data/bright-stars.json');
+const skyCatalog = require('../data/sky-catalog.json');
+const constellationBoundaries = require('../data/constellation-boundaries.json');
+const vsop87 = require('../data/vsop87.json');
+
+module.exports = {
+  moonPhaseData,
+  eclipseData,
+  worldLand,
+  meteorShowerData,
+  brightStarData,
+  skyCatalog,
+  constellationBoundaries,
+  vsop87
+};
@@ -0,0 +1,152 @@
+/**
+ * DATE PARSING HELPERS
+ * Shared by the catalog matcher and the calculated fallback
+ */
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                     'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Check for a Gregorian leap year
+ * @param {number} year - Calendar year
+ * @returns {boolean} - True if the year has a 29 February
+ */
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Check that a day exists in the Gregorian calendar
+ * @param {number} year - Calendar year
+ * @param {number} month - Month 1-12
+ * @param {number} day - Day of the month
+ * @returns {boolean} - False for dates such as 31 February or 29 February 2001
+ */
+function isValidCalendarDate(year, month, day) {
+  if (![year, month, day].every(Number.isInteger)) return false;
+  if (month < 1 || month > 12 || day < 1) return false;
+
+  const daysInMonth = [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  return day <= daysInMonth[month - 1];
+}
+
+/**
+ * Normalise a birth date into calendar parts
+ * Strings are read as plain YYYY-MM-DD calendar dates, so the result does not
+ * shift with the host's UTC offset the way `new Date('YYYY-MM-DD')` does.
+ * Dates missing from the calendar, such as 2004-02-31, are rejected.
+ * @param {string|Date} birthDate - "YYYY-MM-DD" string or Date object
+ * @returns {{year: number, month: number, day: number}} - Month is 1-12
+ */
+function parseBirthDate(birthDate) {
+  if (birthDate instanceof Date) {
+    if (isNaN(birthDate.getTime())) throw new Error('Invalid birth date');
+    return {
+      year: birthDate.getFullYear(),
+      month: birthDate.getMonth() + 1,
+      day: birthDate.getDate()
+    };
+  }
+
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(birthDate || '').trim());
+  if (!match) throw new Error('Invalid birth date');
+
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  const day = parseInt(match[3], 10);
+  if (!isValidCalendarDate(year, month, day)) throw new Error('Invalid birth date');
+
+  return { year, month, day };
+}
+
+/**
+ * Parse JSON moon phase data format: {year: 2024, month: 3, day: 25}
+ * @param {Object} phaseObj - Phase object from JSON data
+ * @returns {Date|null} - Parsed date object or null if invalid
+ */
+function parseJSONPhaseDate(phaseObj) {
+  try {
+    if (!phaseObj || !phaseObj.year || !phaseObj.month || !phaseObj.day) return null;
+
+    const year = parseInt(phaseObj.year);
+    const month = parseInt(phaseObj.month) - 1; // JSON months are 1-12, Date months are 0-11
+    const day = parseInt(phaseObj.day);
+
+    if (isNaN(year) || isNaN(month) || isNaN(day)) return null;
+    if (month < 0 || month > 11) return null;
+
+    return new Date(year, month, day);
+  } catch (error) {
+    console.error('Error parsing JSON phase date:', phaseObj, error);
+    return null;
+  }
+}
+
+/**
+ * Parse USNO Navy date format: "2024 Mar 25 03:00"
+ * @param {string} dateStr - Date string from USNO API
+ * @returns {Date|null} - Parsed date object or null if invalid
+ */
+function parseUSNODate(dateStr) {
+  try {
+    const parts = dateStr.trim().split(' ');
+    if (parts.length < 3) return null;
+
+    const year = parseInt(parts[0]);
+    const month = MONTH_NAMES.indexOf(parts[1]);
+    const day = parseInt(parts[2]);
+
+    if (isNaN(year) || month === -1 || isNaN(day)) return null;
+
+    return new Date(year, month, day);
+  } catch (err) {
+    console.error('Error parsing USNO date:', dateStr, err);
+    return null;
+  }
+}
+
+/**
+ * Parse OPALE API date format (ISO string)
+ * @param {string} dateStr - ISO date string
+ * @returns {Date|null} - Parsed date object or null if invalid
+ */
+function parseOPALEDate(dateStr) {
+  try {
+    return new Date(dateStr);
+  } catch (err) {
+    console.error('Error parsing OPALE date:', dateStr, err);
+    return null;
+  }
+}
+
+/**
+ * Check if two dates have the same day and month (ignoring year)
+ * @param {Date} date1 - First date
+ * @param {Date} date2 - Second date
+ * @returns {boolean} - True if same day/month
+ */
+function isSameDayMonth(date1, date2) {
+  return date1.getDate() === date2.getDate() &&
+         date1.getMonth() === date2.getMonth();
+}
+
+/**
+ * Format date to match USNO format for compatibility
+ * @param {Date} date - Date to format
+ * @returns {string} - e.g. "2024 Mar 25 03:00"
+ */
+function formatDateUSNO(date) {
+  return `${date.getFullYear()} ${MONTH_NAMES[date.getMonth()]} ${date.getDate().toString().padStart(2, '0')} ${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+}
+
+module.exports = {
+  MONTH_NAMES,
+  isLeapYear,
+  isValidCalendarDate,
+  parseBirthDate,
+  parseJSONPhaseDate,
+  parseUSNODate,
+  parseOPALEDate,
+  isSameDayMonth,
+  formatDateUSNO
+};
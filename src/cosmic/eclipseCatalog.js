@@ -0,0 +1,163 @@
+/**
+ * NASA ECLIPSE CATALOG ROWS
+ * Parses the rows of the NASA Five Millennium Canon catalogs (SEcat5/LEcat5) into
+ * typed fields. A solar row reads:
+ *
+ *   09561  2024 Apr 08  18:18:29   74   300  139   T   n-   0.3431  1.0566  25N 104W  70  198  04m28s
+ *   cat#   date         TD         ΔT   luna saros type QLE  gamma   mag     lat  long alt width duration
+ *
+ * and a lunar row swaps the magnitude onward for penumbral and umbral magnitudes,
+ * the penumbral, partial and total durations in minutes, and the sub-lunar point.
+ */
+
+const { MONTH_NAMES } = require('./dates');
+
+// First letter of the catalog type code
+const ECLIPSE_TYPES = {
+  T: 'Total',
+  A: 'Annular',
+  H: 'Hybrid',
+  P: 'Partial',
+  N: 'Penumbral'
+};
+
+// Fields up to the magnitudes; the position and durations that follow may be missing
+const SOLAR_MIN_FIELDS = 12;
+const LUNAR_MIN_FIELDS = 13;
+
+/**
+ * Name an eclipse from its type and category
+ * @param {string} eclipseType - 'Total', 'Annular', 'Hybrid', 'Partial' or 'Penumbral'
+ * @param {string} category - 'solar' or 'lunar'
+ * @returns {string} - e.g. "Total Solar Eclipse"
+ */
+function formatEclipseType(eclipseType, category) {
+  const kind = category === 'solar' ? 'Solar' : 'Lunar';
+  return eclipseType ? `${eclipseType} ${kind} Eclipse` : `${kind} Eclipse`;
+}
+
+/**
+ * Read a latitude or longitude such as "25N" or "104W"
+ * @param {string} text - Degrees followed by N, S, E or W
+ * @returns {number|null} - Signed degrees, north and east positive
+ */
+function parseCoordinate(text) {
+  const match = /^(\d+)([NSEW])$/.exec(text || '');
+  if (!match) return null;
+  return /[SW]/.test(match[2]) ? -parseInt(match[1], 10) : parseInt(match[1], 10);
+}
+
+/**
+ * Read an optional number, where the catalog writes "-" for none
+ * @param {string} text - Catalog field
+ * @returns {number|null} - Parsed number, or null
+ */
+function parseOptionalNumber(text) {
+  const value = parseFloat(text);
+  return text === undefined || text === '-' || isNaN(value) ? null : value;
+}
+
+/**
+ * Read a central eclipse duration such as "04m28s"
+ * @param {string} text - Catalog field
+ * @returns {number|null} - Seconds, or null when the eclipse is not central
+ */
+function parseCentralDuration(text) {
+  const match = /^(\d+)m(\d+)s$/.exec(text || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Parse a NASA catalog row into typed fields
+ * @param {string} description - Catalog row, plain or with the catalog's HTML links
+ * @param {string} category - 'solar' or 'lunar'
+ * @returns {Object|null} - Parsed row, or null when the text is not a catalog row:
+ *   {catalogNumber, year, month, day, date, greatestEclipseTD, greatestEclipse (UTC ISO),
+ *   deltaT (s), lunation, saros, typeCode, eclipseType, gamma, magnitude, latitude, longitude}
+ *   plus {sunAltitude, pathWidthKm, centralDurationSeconds} for solar rows and
+ *   {penumbralMagnitude, umbralMagnitude, durationMinutes: {penumbral, partial, total}} for lunar rows
+ */
+function parseEclipseRow(description, category) {
+  const fields = String(description || '').replace(/<[^>]*>/g, '').trim().split(/\s+/);
+  const minFields = category === 'solar' ? SOLAR_MIN_FIELDS : LUNAR_MIN_FIELDS;
+  if (fields.length < minFields || !/^\d+$/.test(fields[0])) return null;
+
+  const [catalogNumber, yearText, monthName, dayText, td, deltaT, lunation, saros, typeCode, , gamma] = fields;
+  const month = MONTH_NAMES.indexOf(monthName) + 1;
+  const timeMatch = /^(\d{2}):(\d{2}):(\d{2})$/.exec(td);
+  const eclipseType = ECLIPSE_TYPES[typeCode[0]];
+  if (!month || !timeMatch || !eclipseType) return null;
+
+  const year = parseInt(yearText, 10);
+  const day = parseInt(dayText, 10);
+  const pad = (value) => value.toString().padStart(2, '0');
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  const tdMillis = Date.UTC(year, month - 1, day, +timeMatch[1], +timeMatch[2], +timeMatch[3]);
+
+  const row = {
+    catalogNumber: parseInt(catalogNumber, 10),
+    year,
+    month,
+    day,
+    date,
+    greatestEclipseTD: `${date}T${td}`,
+    greatestEclipse: new Date(tdMillis - parseInt(deltaT, 10) * 1000).toISOString(),
+    deltaT: parseInt(deltaT, 10),
+    lunation: parseInt(lunation, 10),
+    saros: parseInt(saros, 10),
+    typeCode,
+    eclipseType,
+    gamma: parseFloat(gamma)
+  };
+
+  if (category === 'solar') {
+    const [magnitude, latitude, longitude, sunAltitude, pathWidth, duration] = fields.slice(11);
+    return {
+      ...row,
+      magnitude: parseFloat(magnitude),
+      latitude: parseCoordinate(latitude),
+      longitude: parseCoordinate(longitude),
+      sunAltitude: parseOptionalNumber(sunAltitude),
+      pathWidthKm: parseOptionalNumber(pathWidth),
+      centralDurationSeconds: parseCentralDuration(duration)
+    };
+  }
+
+  const [penumbralMagnitude, umbralMagnitude, penumbral, partial, total, latitude, longitude] = fields.slice(11);
+  const umbral = parseFloat(umbralMagnitude);
+  return {
+    ...row,
+    // Penumbral eclipses are measured by the penumbra, the others by the umbra
+    magnitude: eclipseType === 'Penumbral' ? parseFloat(penumbralMagnitude) : umbral,
+    penumbralMagnitude: parseFloat(penumbralMagnitude),
+    umbralMagnitude: umbral,
+    durationMinutes: {
+      penumbral: parseOptionalNumber(penumbral),
+      partial: parseOptionalNumber(partial),
+      total: parseOptionalNumber(total)
+    },
+    latitude: parseCoordinate(latitude),
+    longitude: parseCoordinate(longitude)
+  };
+}
+
+/**
+ * Read an eclipse database entry, parsing its row when it predates the structured fields
+ * @param {Object} eclipse - Entry from an eclipse database
+ * @param {string} category - 'solar' or 'lunar'
+ * @returns {Object|null} - Entry with the parseEclipseRow() fields, or null when it has none
+ */
+function readCatalogEntry(eclipse, category) {
+  if (!eclipse) return null;
+  if (eclipse.catalogNumber !== undefined) return eclipse;
+
+  const row = parseEclipseRow(eclipse.description, category);
+  return row && { ...eclipse, ...row };
+}
+
+module.exports = {
+  ECLIPSE_TYPES,
+  formatEclipseType,
+  parseEclipseRow,
+  readCatalogEntry
+};
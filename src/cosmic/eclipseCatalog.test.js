@@ -0,0 +1,54 @@
+import { parseEclipseRow, readCatalogEntry, formatEclipseType } from './eclipseCatalog';
+import eclipseData from '../data/eclipse-data-1960-2100.json';
+
+test('parses a solar catalog row', () => {
+  const row = parseEclipseRow(
+    '09561  2024 Apr 08  18:18:29     74    300  139   T   n-   0.3431  1.0566  25N 104W  70  198  04m28s',
+    'solar'
+  );
+
+  expect(row).toMatchObject({
+    catalogNumber: 9561,
+    date: '2024-04-08',
+    greatestEclipse: '2024-04-08T18:17:15.000Z',
+    saros: 139,
+    eclipseType: 'Total',
+    gamma: 0.3431,
+    magnitude: 1.0566,
+    latitude: 25,
+    longitude: -104,
+    pathWidthKm: 198,
+    centralDurationSeconds: 268
+  });
+  expect(formatEclipseType(row.eclipseType, 'solar')).toBe('Total Solar Eclipse');
+});
+
+test('parses a lunar catalog row and rejects other text', () => {
+  const row = parseEclipseRow(
+    '09701  2022 Nov 08  11:00:22     73    282  136   T+  p-   0.2570  2.4143  1.3589  353.9  219.8   85.0   17N  169W',
+    'lunar'
+  );
+
+  expect(row).toMatchObject({
+    saros: 136,
+    typeCode: 'T+',
+    eclipseType: 'Total',
+    magnitude: 1.3589,
+    penumbralMagnitude: 2.4143,
+    durationMinutes: { penumbral: 353.9, partial: 219.8, total: 85 },
+    latitude: 17,
+    longitude: -169
+  });
+  expect(parseEclipseRow('Total Solar Eclipse - Saros 139', 'solar')).toBeNull();
+  expect(readCatalogEntry({ description: 'Lunar Eclipse' }, 'lunar')).toBeNull();
+});
+
+test('bundles parsed fields for every catalog eclipse', () => {
+  expect(eclipseData.solarEclipses).toHaveLength(304);
+  expect(eclipseData.lunarEclipses).toHaveLength(303);
+  [...eclipseData.solarEclipses, ...eclipseData.lunarEclipses].forEach(eclipse => {
+    expect(eclipse.catalogNumber).toEqual(expect.any(Number));
+    expect(eclipse.saros).toEqual(expect.any(Number));
+    expect(readCatalogEntry(eclipse, eclipse.type)).toBe(eclipse);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * ECLIPSE MAPS
+ * World maps of where an eclipse birthday was seen, as SVG path data on an
+ * equirectangular projection: the bundled land outlines, the eclipse's zones from
+ * astro/eclipseZones.js, and markers for the point of greatest eclipse and the
+ * user's location. Everything is computed offline; the UI only draws the paths.
+ */
+
+const { worldLand } = require('./datasets');
+const { solarEclipseZones, lunarEclipseZones } = require('./astro/eclipseZones');
+
+const DEFAULT_MAP_WIDTH = 720;
+
+const MAP_ZONES = {
+  PARTIAL: 'partial',
+  CENTRAL: 'central',
+  ENTIRE: 'entire',
+  PART: 'part'
+};
+
+const CENTRAL_PATH_LABELS = {
+  Total: 'Path of totality',
+  Annular: 'Path of annularity',
+  Hybrid: 'Path of totality and annularity'
+};
+
+// Land outlines are the same for every eclipse, so each width is drawn once
+const landCache = new Map();
+
+/**
+ * Equirectangular projection onto a map twice as wide as it is high
+ * @param {number} width - Map width in pixels
+ * @returns {function(Array<number>): Array<number>} - [longitude, latitude] to [x, y]
+ */
+function createProjection(width) {
+  const height = width / 2;
+  const round = (value) => Math.round(value * 10) / 10;
+  return ([longitude, latitude]) => [round((longitude + 180) / 360 * width), round((90 - latitude) / 180 * height)];
+}
+
+/**
+ * SVG path data for a closed ring of points
+ * @param {Array<Array<number>>} ring - [longitude, latitude] points
+ * @param {function} project - From createProjection()
+ * @returns {string} - Path data
+ */
+function ringPath(ring, project) {
+  return `M${ring.map(point => project(point).join(',')).join('L')}Z`;
+}
+
+/**
+ * SVG path data for the world's land, repeating rings that run past the antimeridian
+ * @param {number} width - Map width in pixels
+ * @returns {string} - Path data (draw with fill-rule evenodd for lakes and inland seas)
+ */
+function landPath(width) {
+  if (!landCache.has(width)) {
+    const project = createProjection(width);
+    const paths = [];
+    worldLand.polygons.flat().forEach(ring => {
+      const longitudes = ring.map(([longitude]) => longitude);
+      [-360, 0, 360]
+        .filter(shift => Math.min(...longitudes) + shift < 180 && Math.max(...longitudes) + shift > -180)
+        .forEach(shift => paths.push(ringPath(ring.map(([longitude, latitude]) => [longitude + shift, latitude]), project)));
+    });
+    landCache.set(width, paths.join(''));
+  }
+  return landCache.get(width);
+}
+
+/**
+ * SVG path data for runs of grid cells
+ * @param {Array<{latitude: number, west: number, east: number}>} runs - From the zone functions
+ * @param {number} gridStep - Cell size in degrees
+ * @param {function} project - From createProjection()
+ * @returns {string} - Path data of one rectangle per run
+ */
+function runsPath(runs, gridStep, project) {
+  return runs.map(({ latitude, west, east }) => ringPath([
+    [west, latitude + gridStep / 2],
+    [east, latitude + gridStep / 2],
+    [east, latitude - gridStep / 2],
+    [west, latitude - gridStep / 2]
+  ], project)).join('');
+}
+
+/**
+ * Split a track of points wherever it wraps around the antimeridian
+ * @param {Array<Object>} points - Track points
+ * @param {function(Object): Array<number>} lonLat - Reads [longitude, latitude] from a point
+ * @returns {Array<Array<Object>>} - Unbroken pieces
+ */
+function splitAtAntimeridian(points, lonLat) {
+  const pieces = [[]];
+  points.forEach((point, i) => {
+    if (i > 0 && Math.abs(lonLat(point)[0] - lonLat(points[i - 1])[0]) > 180) pieces.push([]);
+    pieces[pieces.length - 1].push(point);
+  });
+  return pieces.filter(piece => piece.length > 1);
+}
+
+/**
+ * Zones and markers of a solar eclipse
+ * @param {Object} eclipse - Solar eclipse match
+ * @param {function} project - From createProjection()
+ * @param {number} gridStep - Grid cell size in degrees
+ * @returns {{zones: Array, centralLine: Array<string>, greatest: Array<number>}} - Map layers
+ */
+function solarLayers(eclipse, project, gridStep) {
+  const { partial, centralPath, greatestPoint } = solarEclipseZones(eclipse.utc, { gridStep });
+  const zones = [{ kind: MAP_ZONES.PARTIAL, label: 'Partial eclipse seen', d: runsPath(partial, gridStep, project) }];
+  const centralLine = [];
+
+  const limited = centralPath.flatMap(segment => splitAtAntimeridian(
+    segment.filter(point => point.north && point.south),
+    point => point.centre
+  ));
+  if (limited.length) {
+    zones.push({
+      kind: MAP_ZONES.CENTRAL,
+      label: CENTRAL_PATH_LABELS[eclipse.eclipseType] || 'Central path',
+      d: limited.map(piece => ringPath(
+        piece.map(point => point.north).concat(piece.map(point => point.south).reverse()),
+        project
+      )).join('')
+    });
+    limited.forEach(piece => {
+      centralLine.push(`M${piece.map(point => project(point.centre).join(',')).join('L')}`);
+    });
+  }
+
+  return { zones, centralLine, greatest: greatestPoint };
+}
+
+/**
+ * Zones and markers of a lunar eclipse
+ * @param {Object} eclipse - Lunar eclipse match carrying `durationMinutes`
+ * @param {function} project - From createProjection()
+ * @param {number} gridStep - Grid cell size in degrees
+ * @returns {{zones: Array, centralLine: Array<string>, greatest: Array<number>}} - Map layers
+ */
+function lunarLayers(eclipse, project, gridStep) {
+  const { entire, part, subLunarPoint } = lunarEclipseZones(eclipse.utc, eclipse.durationMinutes, { gridStep });
+  return {
+    zones: [
+      { kind: MAP_ZONES.ENTIRE, label: 'Whole eclipse seen', d: runsPath(entire, gridStep, project) },
+      { kind: MAP_ZONES.PART, label: 'Moon rises or sets during the eclipse', d: runsPath(part, gridStep, project) }
+    ],
+    centralLine: [],
+    greatest: subLunarPoint
+  };
+}
+
+/**
+ * Build a world map of where an eclipse was seen
+ * @param {Object} eclipse - Eclipse match with `category` ('Solar' | 'Lunar'), `utc`, `eclipseType`
+ *   and, for lunar eclipses, `durationMinutes`
+ * @param {Object} [options] - Map options
+ * @param {{latitude: number, longitude: number}|null} [options.location] - Observer to mark
+ * @param {number} [options.width=720] - Map width in pixels; the height is half of it
+ * @param {number} [options.gridStep=2] - Zone resolution in degrees
+ * @returns {Object} - {width, height, land, zones: [{kind, label, d}], centralLine: [d], markers:
+ *   [{kind, label, x, y}]}, where each d is SVG path data in map pixels
+ */
+function buildEclipseMap(eclipse, options = {}) {
+  const width = options.width || DEFAULT_MAP_WIDTH;
+  const gridStep = options.gridStep || 2;
+  const project = createProjection(width);
+  const layers = eclipse.category === 'Solar'
+    ? solarLayers(eclipse, project, gridStep)
+    : lunarLayers(eclipse, project, gridStep);
+
+  const markers = [];
+  if (layers.greatest) {
+    const [x, y] = project(layers.greatest);
+    markers.push({
+      kind: 'greatest',
+      label: eclipse.category === 'Solar' ? 'Greatest eclipse' : 'Moon overhead at greatest eclipse',
+      x,
+      y
+    });
+  }
+  if (options.location) {
+    const [x, y] = project([options.location.longitude, options.location.latitude]);
+    markers.push({ kind: 'location', label: 'Your location', x, y });
+  }
+
+  return {
+    width,
+    height: width / 2,
+    land: landPath(width),
+    zones: layers.zones.filter(zone => zone.d),
+    centralLine: layers.centralLine,
+    markers
+  };
+}
+
+module.exports = {
+  MAP_ZONES,
+  createProjection,
+  landPath,
+  buildEclipseMap
+};
@@ -0,0 +1,236 @@
+/**
+ * CALCULATED FALLBACK
+ * Client-side approximations used when the pre-fetched databases are unavailable
+ */
+
+const { parseBirthDate, parseOPALEDate, formatDateUSNO } = require('./dates');
+const { MATCH_EXACT, matchBirthday, describeLeapDayRule, formatMatchOffset } = require('./matching');
+const { computeMoonPhases } = require('./astro/lunarPhases');
+const { predictEclipses } = require('./astro/eclipses');
+const { formatEclipseType } = require('./eclipseCatalog');
+const { sarosNumber } = require('./astro/saros');
+
+// Years the computed events are checked for (Meeus series and the ΔT fit hold across them)
+const COMPUTED_START_YEAR = 1800;
+const COMPUTED_END_YEAR = 2300;
+
+// Marks events that were computed rather than read from a catalog
+const SOURCE_COMPUTED = 'computed';
+
+/**
+ * Calculate moon phases using astronomical formulas
+ * Meeus periodic-term solution, so results agree with the USNO tables to a minute or two
+ * @param {number} year - Year to calculate
+ * @returns {Array} - Phases as {date, phase, time, source} sorted by time
+ */
+function calculateMoonPhases(year) {
+  return computeMoonPhases(year).map(phase => ({
+    date: formatDateUSNO(phase.instant),
+    phase: phase.phase,
+    time: phase.instant.toISOString(),
+    source: SOURCE_COMPUTED
+  }));
+}
+
+/**
+ * Calculate eclipses using astronomical formulas
+ * Syzygies near a lunar node (Meeus chapter 54), so every run gives the same eclipses
+ * @param {number} year - Year to calculate
+ * @returns {Object} - {solar, lunar} arrays of {date, type, eclipseType, lunation, saros, gamma, magnitude, source}
+ *   sorted by time; lunar eclipses also carry durationMinutes {penumbral, partial, total}
+ */
+function calculateEclipses(year) {
+  const eclipses = { solar: [], lunar: [] };
+
+  // Phase lengths in whole tenths of a minute, as in the NASA catalog; null for phases not reached
+  const phaseLength = (semiduration) => (semiduration > 0 ? Math.round(semiduration * 20) / 10 : null);
+
+  predictEclipses(year).forEach(eclipse => {
+    eclipses[eclipse.category].push({
+      date: eclipse.instant.toISOString(),
+      type: formatEclipseType(eclipse.eclipseType, eclipse.category),
+      eclipseType: eclipse.eclipseType,
+      lunation: Math.floor(eclipse.k),
+      saros: sarosNumber(Math.floor(eclipse.k), eclipse.category),
+      gamma: eclipse.gamma,
+      magnitude: eclipse.magnitude,
+      durationMinutes: eclipse.semidurations ? {
+        penumbral: phaseLength(eclipse.semidurations.penumbral),
+        partial: phaseLength(eclipse.semidurations.partial),
+        total: phaseLength(eclipse.semidurations.total)
+      } : null,
+      source: SOURCE_COMPUTED
+    });
+  });
+
+  return eclipses;
+}
+
+/**
+ * Process moon phases to find matching birthdays
+ * @param {Array} phases - Array of moon phase data with ISO `time` values
+ * @param {string|Date} birthDate - User's birth date
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions()
+ * @returns {Object} - Object with fullMoon, newMoon, firstQuarter and lastQuarter arrays
+ */
+function processMoonPhases(phases, birthDate, timeZone, matchOptions = {}) {
+  const birth = parseBirthDate(birthDate);
+  const matches = {
+    'Full Moon': [],
+    'New Moon': [],
+    'First Quarter': [],
+    'Last Quarter': []
+  };
+
+  phases.forEach(phase => {
+    const local = matchBirthday(new Date(phase.time), birth, timeZone, matchOptions);
+    if (!local || local.year < birth.year) return;
+
+    const list = matches[phase.phase];
+    if (list && !list.some(match => match.year === local.year)) {
+      list.push({ phase: phase.phase, ...local, source: phase.source });
+    }
+  });
+
+  Object.values(matches).forEach(list => list.sort((a, b) => a.year - b.year));
+
+  return {
+    fullMoon: matches['Full Moon'],
+    newMoon: matches['New Moon'],
+    firstQuarter: matches['First Quarter'],
+    lastQuarter: matches['Last Quarter']
+  };
+}
+
+/**
+ * Process eclipses to find matching birthdays
+ * @param {Array} solarEclipses - Array of solar eclipse data
+ * @param {Array} lunarEclipses - Array of lunar eclipse data
+ * @param {string|Date} birthDate - User's birth date
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions()
+ * @returns {Array} - Array of eclipse events matching birthday
+ */
+function processEclipses(solarEclipses, lunarEclipses, birthDate, timeZone, matchOptions = {}) {
+  const birth = parseBirthDate(birthDate);
+  const eclipseEvents = [];
+
+  const matchEclipses = (eclipses, category) => {
+    eclipses.forEach(eclipse => {
+      const eclipseDate = parseOPALEDate(eclipse.date);
+      if (!eclipseDate || isNaN(eclipseDate.getTime())) return;
+
+      const local = matchBirthday(eclipseDate, birth, timeZone, matchOptions);
+      if (local) {
+        const type = eclipse.type || `${category} Eclipse`;
+        const when = local.match === MATCH_EXACT ? 'on' : formatMatchOffset(local.offsetMinutes);
+        eclipseEvents.push({
+          year: local.year,
+          type,
+          category,
+          description: eclipse.description || `${type} ${when} your birthday`,
+          date: local.date,
+          localTime: local.localTime,
+          utc: local.utc,
+          timeZone,
+          match: local.match,
+          offsetMinutes: local.offsetMinutes,
+          birthday: local.birthday,
+          eclipseType: eclipse.eclipseType,
+          lunation: eclipse.lunation ?? null,
+          saros: eclipse.saros ?? null,
+          gamma: eclipse.gamma == null ? null : Math.round(eclipse.gamma * 10000) / 10000,
+          magnitude: eclipse.magnitude == null ? null : Math.round(eclipse.magnitude * 10000) / 10000,
+          durationMinutes: eclipse.durationMinutes ?? null,
+          source: eclipse.source
+        });
+      }
+    });
+  };
+
+  matchEclipses(solarEclipses, 'Solar');
+  matchEclipses(lunarEclipses, 'Lunar');
+
+  // Remove duplicates and sort by year
+  const uniqueEvents = eclipseEvents.filter((event, index, self) =>
+    index === self.findIndex(e => e.year === event.year && e.type === event.type)
+  );
+
+  return uniqueEvents.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Compute the events of the given UTC years and match them to a birthday
+ * Matches are not limited to a search range; callers filter by local year.
+ * @param {string|Date} birthDate - User's birth date
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} years - Which UTC years to compute
+ * @param {Array<number>} years.phaseYears - Years to compute moon phases for
+ * @param {Array<number>} years.eclipseYears - Years to compute eclipses for
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions()
+ * @returns {Object} - {fullMoon, newMoon, firstQuarter, lastQuarter, eclipses}
+ */
+function matchComputedEvents(birthDate, timeZone, { phaseYears, eclipseYears }, matchOptions = {}) {
+  const allMoonPhases = phaseYears.flatMap(year => calculateMoonPhases(year));
+  const solarEclipses = [];
+  const lunarEclipses = [];
+
+  eclipseYears.forEach(year => {
+    const { solar, lunar } = calculateEclipses(year);
+    solarEclipses.push(...solar);
+    lunarEclipses.push(...lunar);
+  });
+
+  return {
+    ...processMoonPhases(allMoonPhases, birthDate, timeZone, matchOptions),
+    eclipses: processEclipses(solarEclipses, lunarEclipses, birthDate, timeZone, matchOptions)
+  };
+}
+
+/**
+ * Fetch real astronomical data efficiently (FALLBACK)
+ * Uses client-side calculations for instant results
+ * @param {string|Date} birthDate - User's birth date
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions()
+ * @returns {Object} - Results in the shape rendered by the UI
+ */
+function fetchRealAstronomicalData(birthDate, timeZone, matchOptions = {}) {
+  const birth = parseBirthDate(birthDate);
+  const birthYear = birth.year;
+
+  const startYear = birthYear;
+  const endYear = Math.max(birthYear, COMPUTED_END_YEAR);
+
+  // Calculate each year, plus one either side for phases that cross New Year locally
+  const years = [];
+  for (let year = startYear - 1; year <= endYear + 1; year++) years.push(year);
+  const results = matchComputedEvents(birthDate, timeZone, { phaseYears: years, eclipseYears: years }, matchOptions);
+
+  const inRange = (matches) => matches.filter(match => match.year >= startYear && match.year <= endYear);
+
+  return {
+    fullMoon: inRange(results.fullMoon),
+    newMoon: inRange(results.newMoon),
+    firstQuarter: inRange(results.firstQuarter),
+    lastQuarter: inRange(results.lastQuarter),
+    eclipses: inRange(results.eclipses),
+    searchRange: `${startYear} - ${endYear}`,
+    timeZone,
+    leapDayRule: describeLeapDayRule(birth, matchOptions.leapDayPolicy),
+    note: "Moon phases and eclipses calculated with Meeus lunar theory"
+  };
+}
+
+module.exports = {
+  COMPUTED_START_YEAR,
+  COMPUTED_END_YEAR,
+  SOURCE_COMPUTED,
+  calculateMoonPhases,
+  calculateEclipses,
+  processMoonPhases,
+  processEclipses,
+  matchComputedEvents,
+  fetchRealAstronomicalData
+};
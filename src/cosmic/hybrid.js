@@ -0,0 +1,170 @@
+/**
+ * HYBRID PROVIDER
+ * Uses the bundled USNO/NASA catalogs for the years they cover and computed
+ * phases and eclipses for every other year, so any birthday from 1800 to 2300
+ * gets a full search. Eclipses the catalog lacks inside its own years are filled
+ * in by computation too. Each event records its `source`: 'catalog' or 'computed'.
+ */
+
+const { parseBirthDate } = require('./dates');
+const { resolveTimeZone, matchCatalogPhases, processEclipseData } = require('./catalog');
+const { resolveMatchOptions, describeLeapDayRule } = require('./matching');
+const { readCatalogEntry } = require('./eclipseCatalog');
+const { COMPUTED_END_YEAR, calculateEclipses, processEclipses, matchComputedEvents } = require('./fallback');
+
+// A computed eclipse this close to a catalog one is the same eclipse (they agree to minutes)
+const SAME_ECLIPSE_MS = 12 * 60 * 60 * 1000;
+
+// Eclipses missing from each eclipse database, computed once
+const missingEclipseCache = new WeakMap();
+
+/**
+ * Years for which a moon phase database has phases
+ * @param {Object} moonPhaseData - Database in the moon-phases-1960-2100.json shape
+ * @returns {Set<number>} - Covered UTC years
+ */
+function getCatalogPhaseYears(moonPhaseData) {
+  const years = new Set();
+  Object.entries(moonPhaseData?.moonPhases || {}).forEach(([year, yearData]) => {
+    if (yearData.success && yearData.phases) years.add(parseInt(year));
+  });
+  return years;
+}
+
+/**
+ * Years covered by an eclipse database
+ * Uses the metadata range, since years without an eclipse have no entries.
+ * @param {Object} eclipseData - Database in the eclipse-data-1960-2100.json shape
+ * @returns {{startYear: number, endYear: number}|null} - Covered UTC years, or null without data
+ */
+function getCatalogEclipseYears(eclipseData) {
+  if (!eclipseData || (!eclipseData.solarEclipses && !eclipseData.lunarEclipses)) return null;
+
+  const years = [...(eclipseData.solarEclipses || []), ...(eclipseData.lunarEclipses || [])]
+    .map(eclipse => eclipse.year);
+  const startYear = eclipseData.metadata?.startYear ?? Math.min(...years);
+  const endYear = eclipseData.metadata?.endYear ?? Math.max(...years);
+  return Number.isFinite(startYear) && Number.isFinite(endYear) ? { startYear, endYear } : null;
+}
+
+/**
+ * Computed eclipses of the catalog's years that the catalog does not list
+ * @param {Object} eclipseData - Database in the eclipse-data-1960-2100.json shape
+ * @returns {{solar: Array, lunar: Array}} - calculateEclipses() entries missing from the catalog
+ */
+function findMissingEclipses(eclipseData) {
+  if (!missingEclipseCache.has(eclipseData)) {
+    const { startYear, endYear } = getCatalogEclipseYears(eclipseData);
+    const instants = [
+      ...(eclipseData.solarEclipses || []).map(eclipse => readCatalogEntry(eclipse, 'solar')),
+      ...(eclipseData.lunarEclipses || []).map(eclipse => readCatalogEntry(eclipse, 'lunar'))
+    ].filter(Boolean).map(eclipse => Date.parse(eclipse.greatestEclipse));
+    const listed = (eclipse) => instants.some(instant => Math.abs(instant - Date.parse(eclipse.date)) < SAME_ECLIPSE_MS);
+
+    const missing = { solar: [], lunar: [] };
+    for (let year = startYear; year <= endYear; year++) {
+      const { solar, lunar } = calculateEclipses(year);
+      missing.solar.push(...solar.filter(eclipse => !listed(eclipse)));
+      missing.lunar.push(...lunar.filter(eclipse => !listed(eclipse)));
+    }
+    missingEclipseCache.set(eclipseData, missing);
+  }
+  return missingEclipseCache.get(eclipseData);
+}
+
+/**
+ * Describe a set of years as compact ranges
+ * @param {Array<number>} years - Years in ascending order
+ * @returns {string} - e.g. "1800 - 1959, 2101 - 2300"
+ */
+function formatYearRanges(years) {
+  const ranges = [];
+  years.forEach(year => {
+    const last = ranges[ranges.length - 1];
+    if (last && year === last[1] + 1) last[1] = year;
+    else ranges.push([year, year]);
+  });
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start} - ${end}`)).join(', ');
+}
+
+/**
+ * Find birthday events from the catalogs where they exist and computations elsewhere
+ * @param {string|Date} birthDate - User's birth date
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.moonPhaseData] - Moon phase database (none: every phase is computed)
+ * @param {Object} [options.eclipseData] - Eclipse database (none: every eclipse is computed)
+ * @param {string} [options.timeZone] - IANA time zone (defaults to the runtime's own)
+ * @param {Object} [options.tolerance] - Near-miss window as {hours} or {days}
+ * @param {string} [options.leapDayPolicy] - How a 29 February birthday is observed in common years
+ * @returns {Object} - Results in the shape rendered by the UI, plus `coverage`
+ */
+function findHybridEvents(birthDate, options = {}) {
+  const timeZone = resolveTimeZone(options.timeZone);
+  const matchOptions = resolveMatchOptions(options);
+  const birth = parseBirthDate(birthDate);
+  const startYear = birth.year;
+  const endYear = Math.max(startYear, COMPUTED_END_YEAR);
+
+  const phaseYears = getCatalogPhaseYears(options.moonPhaseData);
+  const eclipseYears = getCatalogEclipseYears(options.eclipseData);
+  const inEclipseCatalog = (year) => Boolean(eclipseYears)
+    && year >= eclipseYears.startYear && year <= eclipseYears.endYear;
+
+  // Each UTC year comes from exactly one source; one year either side catches local New Year shifts
+  const searchYears = [];
+  for (let year = startYear - 1; year <= endYear + 1; year++) searchYears.push(year);
+  const computed = matchComputedEvents(birthDate, timeZone, {
+    phaseYears: searchYears.filter(year => !phaseYears.has(year)),
+    eclipseYears: searchYears.filter(year => !inEclipseCatalog(year))
+  }, matchOptions);
+
+  const catalogPhases = phaseYears.size
+    ? matchCatalogPhases(birthDate, options.moonPhaseData, timeZone, matchOptions)
+    : { fullMoon: [], newMoon: [], firstQuarter: [], lastQuarter: [] };
+  const missingEclipses = eclipseYears ? findMissingEclipses(options.eclipseData) : null;
+  const catalogEclipses = eclipseYears
+    ? [
+      ...processEclipseData(birthDate, startYear, options.eclipseData, timeZone, matchOptions),
+      ...processEclipses(missingEclipses.solar, missingEclipses.lunar, birthDate, timeZone, matchOptions)
+    ]
+    : [];
+
+  const inRange = (match) => match.year >= startYear && match.year <= endYear;
+  const byInstant = (a, b) => a.year - b.year || String(a.utc).localeCompare(String(b.utc));
+  const merge = (catalog, calculated) => [...catalog, ...calculated].filter(inRange).sort(byInstant);
+
+  const rangeYears = searchYears.slice(1, -1);
+  const coverage = {
+    catalogPhaseYears: formatYearRanges(rangeYears.filter(year => phaseYears.has(year))),
+    catalogEclipseYears: formatYearRanges(rangeYears.filter(inEclipseCatalog)),
+    computedPhaseYears: formatYearRanges(rangeYears.filter(year => !phaseYears.has(year))),
+    computedEclipseYears: formatYearRanges(rangeYears.filter(year => !inEclipseCatalog(year)))
+  };
+  const usesCatalog = Boolean(coverage.catalogPhaseYears || coverage.catalogEclipseYears);
+  const usesComputation = Boolean(coverage.computedPhaseYears || coverage.computedEclipseYears);
+
+  let note = 'Catalog events from the USNO/NASA databases';
+  if (!usesCatalog) note = 'Moon phases and eclipses calculated with Meeus lunar theory';
+  else if (usesComputation) note += '; other years calculated with Meeus lunar theory';
+
+  return {
+    fullMoon: merge(catalogPhases.fullMoon, computed.fullMoon),
+    newMoon: merge(catalogPhases.newMoon, computed.newMoon),
+    firstQuarter: merge(catalogPhases.firstQuarter, computed.firstQuarter),
+    lastQuarter: merge(catalogPhases.lastQuarter, computed.lastQuarter),
+    eclipses: merge(catalogEclipses, computed.eclipses),
+    searchRange: `${startYear} - ${endYear}`,
+    timeZone,
+    leapDayRule: describeLeapDayRule(birth, matchOptions.leapDayPolicy),
+    coverage,
+    note,
+    dataSource: usesCatalog ? 'USNO Naval Observatory (pre-fetched) with Meeus calculations' : undefined
+  };
+}
+
+module.exports = {
+  getCatalogPhaseYears,
+  getCatalogEclipseYears,
+  findMissingEclipses,
+  findHybridEvents
+};
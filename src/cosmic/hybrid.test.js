@@ -0,0 +1,80 @@
+import { findHybridEvents, getCatalogEclipseYears } from './hybrid';
+import { findCosmicEvents, moonPhaseData, eclipseData, predictEclipses, MAX_TOLERANCE_DAYS } from './index';
+
+const years = (matches) => matches.map(match => match.year);
+const bundled = { moonPhaseData, eclipseData, timeZone: 'UTC' };
+
+test('computes the years before and after the catalogs', () => {
+  const results = findHybridEvents('1900-01-13', bundled);
+  const sourceOf = (year) => results.fullMoon.find(match => match.year === year)?.source;
+
+  expect(results.searchRange).toBe('1900 - 2300');
+  expect(years(results.fullMoon)).toEqual(expect.arrayContaining([1903, 1922, 1941, 1960, 2074, 2131]));
+  expect(sourceOf(1903)).toBe('computed');
+  expect(sourceOf(1960)).toBe('catalog');
+  expect(sourceOf(2131)).toBe('computed');
+  expect(results.coverage).toEqual({
+    catalogPhaseYears: '1960 - 2100',
+    catalogEclipseYears: '1960 - 2100',
+    computedPhaseYears: '1900 - 1959, 2101 - 2300',
+    computedEclipseYears: '1900 - 1959, 2101 - 2300'
+  });
+});
+
+test('agrees with the catalog where both sources cover a year', () => {
+  const hybrid = findHybridEvents('1960-01-13', bundled);
+  const computed = findCosmicEvents('1960-01-13', { timeZone: 'UTC', useFallback: true });
+
+  ['fullMoon', 'newMoon', 'firstQuarter', 'lastQuarter'].forEach(phase => {
+    expect(years(computed[phase])).toEqual(years(hybrid[phase]));
+  });
+  expect(computed.fullMoon.every(match => match.source === 'computed')).toBe(true);
+});
+
+test('finds computed eclipses for birthdays before 1960', () => {
+  // Total solar eclipse of 29 May 1919
+  const results = findHybridEvents('1900-05-29', bundled);
+  const eclipse = results.eclipses.find(match => match.year === 1919);
+
+  expect(eclipse).toMatchObject({ category: 'Solar', type: 'Total Solar Eclipse', date: '1919-05-29', source: 'computed' });
+  expect(results.eclipses.filter(match => match.year === 1919)).toHaveLength(1);
+});
+
+test('fills eclipses the catalog lacks with computed ones', () => {
+  // Total solar eclipse of 22 July 2009, listed in the catalog only as a summary line
+  const results = findHybridEvents('1990-07-22', bundled);
+  expect(results.eclipses.find(match => match.year === 2009))
+    .toMatchObject({ type: 'Total Solar Eclipse', date: '2009-07-22', source: 'computed' });
+  expect(results.eclipses.filter(match => match.year === 1990)).toMatchObject([{ source: 'catalog' }]);
+});
+
+test('returns every predicted eclipse from 1960 to 2100', () => {
+  // Birthdays a fortnight apart whose widest near-miss windows cover the whole year; a phase
+  // database of empty years keeps the search to eclipses
+  const noPhases = { moonPhases: {} };
+  for (let year = 1959; year <= 2301; year++) noPhases.moonPhases[year] = { success: true, phases: [] };
+  const options = { ...bundled, moonPhaseData: noPhases, tolerance: { days: MAX_TOLERANCE_DAYS } };
+  const found = [];
+  for (let day = 0; day < 365; day += 2 * MAX_TOLERANCE_DAYS) {
+    const birthday = new Date(Date.UTC(1961, 0, 1 + day)).toISOString().slice(5, 10);
+    found.push(...findHybridEvents(`1960-${birthday}`, options).eclipses);
+  }
+
+  for (let year = 1960; year <= 2100; year++) {
+    predictEclipses(year).forEach(eclipse => {
+      const category = eclipse.category === 'solar' ? 'Solar' : 'Lunar';
+      const match = found.find(entry => entry.category === category
+        && Math.abs(new Date(entry.utc) - eclipse.instant) < 60 * 60 * 1000);
+      expect(match ? eclipse.instant : `missing ${eclipse.instant.toISOString()}`).toBe(eclipse.instant);
+    });
+  }
+}, 120000);
+
+test('treats a missing database as covering no years', () => {
+  const results = findHybridEvents('2000-04-08', { eclipseData: null, timeZone: 'America/Chicago' });
+
+  expect(getCatalogEclipseYears(null)).toBeNull();
+  expect(results.coverage.catalogPhaseYears).toBe('');
+  expect(results.eclipses.find(match => match.year === 2024)).toMatchObject({ localTime: '13:17', source: 'computed' });
+  expect(results.dataSource).toBeUndefined();
+});
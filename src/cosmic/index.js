@@ -0,0 +1,574 @@
+/**
+ * COSMIC ENGINE
+ * Framework-free birthday matching shared by the React UI and Node scripts.
+ *
+ * Usage (browser bundle):  import { findCosmicEvents } from './cosmic';
+ * Usage (plain Node):      const { findCosmicEvents } = require('./src/cosmic');
+ *
+ *   findCosmicEvents('2004-02-14', { timeZone: 'Asia/Kolkata' })
+ *   // => { fullMoon: [...], newMoon: [...], firstQuarter: [...], lastQuarter: [...],
+ *   //      eclipses: [...], seasonalMarkers: [...], meteorShowers: [...], planetEvents: [...],
+ *   //      moonApproaches: [...], searchRange, timeZone, coverage, note, dataSource }
+ *
+ * Every phase and eclipse entry carries its local `date` and `localTime` in the
+ * requested time zone alongside the `utc` instant it was matched from, and a
+ * `source` of 'catalog' (bundled USNO/NASA data) or 'computed' (Meeus).
+ * With a `tolerance` such as { hours: 12 }, near misses are returned too: their
+ * `match` is 'near' instead of 'exact', with a signed `offsetMinutes`. The
+ * `birthday` each event was credited to follows the `leapDayPolicy` for people
+ * born on 29 February, and `leapDayRule` in the results says which rule applied.
+ * Given a `birthTime` ("HH:MM" local), `birthMoon` describes the Moon's phase at
+ * the moment of birth; it is null otherwise. `lifetimeMoon` describes the Moon on
+ * every birthday in the search range, with principal-phase matches as `highlights`.
+ * Full and New Moon matches carry the Earth-Moon `distanceKm`, the apparent
+ * `sizeDifferencePercent` and a `moonSize` of 'supermoon', 'micromoon' or null.
+ * Full moons also carry their traditional `moonName` and a `blueMoon` of 'monthly',
+ * 'seasonal' or null, and new moons a `blackMoon` in the same terms.
+ * Eclipses carry their `saros` number and a `sarosSeries` giving their place in the
+ * series with the previous and next eclipses in it. Given a `location`, eclipses
+ * carry `localCircumstances`: for solar eclipses whether they were visible from
+ * there, the local type, magnitude and obscuration, and the local contact times;
+ * for lunar eclipses the P1/U1/U2/U3/U4/P4 contacts with the Moon's altitude at
+ * each, and which phases happened with the Moon above the horizon. Full and New Moons
+ * carry `localCircumstances` too: the local moonrise, moonset and transit on the
+ * birthday, the Moon's `maxAltitude`, and its `moonAltitude` at the exact phase.
+ * buildEclipseMap() draws any eclipse match as SVG paths on a world map: where it
+ * was seen, its central path or the sub-lunar point, and the user's location.
+ * `seasonalMarkers` lists the equinoxes, solstices and cross-quarter days that fell
+ * on the birthday, always computed, with their `kind` and cross-quarter `festival`.
+ * `meteorShowers` lists the major shower peaks within two days of the birthday, with
+ * a `viewing` rating of 'good', 'fair' or 'poor' from the Moon's phase at the peak.
+ * `planetEvents` lists oppositions of Mars, Jupiter and Saturn, greatest elongations
+ * of Mercury and Venus, and conjunctions of two bright planets within a degree, with
+ * their magnitudes, separation and a plain-language `description`.
+ * `moonApproaches` lists the Moon passing within two degrees of a bright planet or a
+ * first-magnitude star such as Regulus, Spica, Antares or Aldebaran, with the
+ * geocentric `separation` at closest approach and whether it was an occultation.
+ * Given a `location`, `birthdaySky` has a row for every birthday with the local
+ * sunrise, sunset, solar noon, civil/nautical/astronomical twilight and day length;
+ * summarizeBirthdaySky() picks out how they changed over the years. It is null otherwise.
+ * Given both a `birthTime` and a `location`, `birthSky` charts the sky above the
+ * birthplace at the moment of birth: the stars and constellation figures of the
+ * bundled sky catalog, the planets, the Moon and the Sun, as coordinates on a round
+ * zenith-centred chart. It is null otherwise.
+ * `birthConstellations` names the IAU constellations of the Sun and Moon at birth
+ * (at noon without a birth time), lists the dates the Sun spends in each of the
+ * thirteen constellations of the ecliptic that year, Ophiuchus included, and sets
+ * the Sun's constellation against the conventional dates of the tropical signs.
+ * `planetaryBirthdays` gives the age in Mercury, Venus, Mars, Jupiter and Saturn
+ * years, the dates of the next birthdays in each, and the Jupiter and Saturn returns
+ * to their places around the Sun at birth; it is null for a birth still to come.
+ * collectUpcomingEvents() gathers the Moon
+ * phases, eclipses, planetary birthdays and returns still to come, and
+ * buildICalendar() writes them as an iCalendar file.
+ */
+
+const {
+  moonPhaseData,
+  eclipseData,
+  worldLand,
+  meteorShowerData,
+  brightStarData,
+  skyCatalog,
+  constellationBoundaries,
+  vsop87
+} = require('./datasets');
+const {
+  MONTH_NAMES,
+  isLeapYear,
+  isValidCalendarDate,
+  parseBirthDate,
+  parseJSONPhaseDate,
+  parseUSNODate,
+  parseOPALEDate,
+  isSameDayMonth,
+  formatDateUSNO
+} = require('./dates');
+const {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  listTimeZones,
+  toZonedParts,
+  describeInstant,
+  getTimeZoneOffsetMinutes,
+  fromZonedTime,
+  localDayRange
+} = require('./timezones');
+const {
+  MATCH_EXACT,
+  MATCH_NEAR,
+  MAX_TOLERANCE_DAYS,
+  LEAP_DAY_POLICIES,
+  resolveTolerance,
+  resolveLeapDayPolicy,
+  resolveMatchOptions,
+  observedBirthday,
+  describeLeapDayRule,
+  matchBirthday,
+  groupMatches,
+  formatMatchOffset
+} = require('./matching');
+const {
+  SOURCE_CATALOG,
+  resolveTimeZone,
+  getPhaseInstant,
+  getEclipseInstant,
+  processEclipseData,
+  matchCatalogPhases,
+  processJSONAstronomicalData
+} = require('./catalog');
+const {
+  ECLIPSE_TYPES,
+  formatEclipseType,
+  parseEclipseRow,
+  readCatalogEntry
+} = require('./eclipseCatalog');
+const {
+  COMPUTED_START_YEAR,
+  COMPUTED_END_YEAR,
+  SOURCE_COMPUTED,
+  calculateMoonPhases,
+  calculateEclipses,
+  processMoonPhases,
+  processEclipses,
+  matchComputedEvents,
+  fetchRealAstronomicalData
+} = require('./fallback');
+const {
+  getCatalogPhaseYears,
+  getCatalogEclipseYears,
+  findMissingEclipses,
+  findHybridEvents
+} = require('./hybrid');
+const {
+  parseBirthTime,
+  formatPhaseLabel,
+  describeBirthMoon
+} = require('./birthMoon');
+const {
+  collectHighlights,
+  buildLifetimeMoonTable
+} = require('./lifetime');
+const {
+  SUPERMOON_MAX_KM,
+  MICROMOON_MIN_KM,
+  MOON_SIZES,
+  describeMoonDistance,
+  addMoonDistances
+} = require('./moonDistance');
+const {
+  HEMISPHERES,
+  BLUE_MOON_KINDS,
+  FULL_MOON_NAMES,
+  resolveHemisphere,
+  createPhaseLookup,
+  nameFullMoon,
+  labelMoonPhases
+} = require('./moonLabels');
+const {
+  truePhaseJDE,
+  computeMoonPhases,
+  crossCheckMoonPhases
+} = require('./astro/lunarPhases');
+const {
+  PHASE_NAMES,
+  phaseName,
+  previousNewMoonJDE,
+  moonPhaseAt
+} = require('./astro/moonPhase');
+const {
+  SEASON_NAMES,
+  MARKER_KINDS,
+  SEASONAL_MARKERS,
+  seasonJDE,
+  computeSeasons,
+  solarLongitudeJDE,
+  seasonalMarkerJDE,
+  computeSeasonalMarkers
+} = require('./astro/seasons');
+const {
+  predictEclipse,
+  predictEclipses,
+  toCatalogEntry
+} = require('./astro/eclipses');
+const {
+  SAROS_LUNATIONS,
+  sarosNumber,
+  describeSarosSeries,
+  addSarosSeries
+} = require('./astro/saros');
+const {
+  resolveLocation,
+  formatLocation
+} = require('./location');
+const {
+  describeSolarVisibility,
+  describeLunarVisibility,
+  addEclipseVisibility
+} = require('./localEclipses');
+const {
+  HORIZON_ALTITUDE,
+  LOCAL_ECLIPSE_TYPES,
+  LUNAR_CONTACTS,
+  solarEclipseCircumstances,
+  moonAltitude,
+  lunarEclipseCircumstances
+} = require('./astro/localEclipse');
+const {
+  besselianElements,
+  surfacePoint,
+  solarEclipseZones,
+  lunarEclipseZones
+} = require('./astro/eclipseZones');
+const {
+  MAP_ZONES,
+  createProjection,
+  landPath,
+  buildEclipseMap
+} = require('./eclipseMap');
+const { matchSeasonalMarkers } = require('./seasonalMarkers');
+const {
+  VIEWING_RATINGS,
+  NEAR_PEAK_DAYS,
+  showerPeak,
+  rateViewing,
+  matchMeteorShowers
+} = require('./meteorShowers');
+const {
+  PLANET_NAMES,
+  heliocentricPosition,
+  planetPosition
+} = require('./astro/planets');
+const {
+  PLANET_EVENT_KINDS,
+  CLOSE_CONJUNCTION_DEGREES,
+  findPlanetEventsBetween,
+  matchPlanetEvents
+} = require('./planetEvents');
+const {
+  APPROACH_KINDS,
+  TARGET_TYPES,
+  CLOSE_APPROACH_DEGREES,
+  starPlace,
+  findMoonApproachesBetween,
+  matchMoonApproaches
+} = require('./moonApproaches');
+const {
+  TWILIGHT_ALTITUDES,
+  sunAltitude,
+  scanAltitudes,
+  findCrossings,
+  findCulmination
+} = require('./astro/riseSet');
+const {
+  POLAR_DAYS,
+  describeSunDay,
+  buildBirthdaySkyTable,
+  summarizeBirthdaySky
+} = require('./birthdaySky');
+const {
+  MOONRISE_ALTITUDE,
+  describeMoonDay,
+  describeMoonVisibility,
+  addMoonVisibility
+} = require('./moonVisibility');
+const {
+  DEFAULT_CHART_SIZE,
+  SKY_STATES,
+  createSkyProjection,
+  skyStateOf,
+  buildSkyChart,
+  describeBirthSky
+} = require('./skyChart');
+const {
+  B1875_CENTURIES,
+  findConstellation,
+  findEclipticConstellation,
+  eclipticConstellations
+} = require('./astro/constellations');
+const {
+  TROPICAL_SIGNS,
+  tropicalSignOf,
+  sunReachesJDE,
+  sunConstellationDates,
+  describeBirthConstellations
+} = require('./birthConstellations');
+const {
+  ORBITAL_PERIODS_DAYS,
+  RETURN_PLANETS,
+  ordinal,
+  heliocentricLongitude,
+  planetaryAges,
+  findPlanetReturns,
+  describePlanetaryBirthdays
+} = require('./planetaryBirthdays');
+const {
+  collectUpcomingEvents,
+  formatICalendarTime,
+  escapeICalendarText,
+  buildICalendar
+} = require('./calendarExport');
+
+/**
+ * Find all cosmic events that fall on a birthday
+ * Searches from the birth year to 2300, using the bundled USNO/NASA databases for
+ * the years they cover and calculations for the rest, or the calculated fallback
+ * alone when no moon phase database is available.
+ * @param {string|Date} date - Birth date as "YYYY-MM-DD" or Date
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.moonPhaseData] - Moon phase database to search instead of the bundled one
+ * @param {Object} [options.eclipseData] - Eclipse database to search instead of the bundled one
+ * @param {string} [options.timeZone] - IANA time zone the birthday is observed in (defaults to the runtime's own)
+ * @param {Object} [options.tolerance] - Near-miss window either side of the birthday, as {hours} or {days}
+ * @param {string} [options.leapDayPolicy='leap-years-only'] - How a 29 February birthday is observed
+ *   in common years: 'feb-28', 'mar-1' or 'leap-years-only'
+ * @param {string} [options.hemisphere='north'] - 'north' or 'south', for full moon names
+ * @param {string} [options.birthTime] - Local birth time as "HH:MM", for the Moon, the sky and the
+ *   constellations at birth
+ * @param {{latitude: number, longitude: number}} [options.location] - Observer, degrees north and east,
+ *   for moonrise and moonset times, local eclipse circumstances, the birthday sky and the birth sky chart
+ * @param {Date} [options.now] - Instant planetary ages are counted to (defaults to the present)
+ * @param {boolean} [options.useFallback=false] - Force the calculated fallback
+ * @returns {Object} - Results in the shape rendered by the UI
+ */
+function findCosmicEvents(date, options = {}) {
+  const moonPhases = 'moonPhaseData' in options ? options.moonPhaseData : moonPhaseData;
+  const eclipses = 'eclipseData' in options ? options.eclipseData : eclipseData;
+
+  // Validates the date, time zone and match options before either path runs
+  parseBirthDate(date);
+  const timeZone = resolveTimeZone(options.timeZone);
+  const matchOptions = resolveMatchOptions(options);
+  const hemisphere = resolveHemisphere(options.hemisphere);
+  const location = resolveLocation(options.location);
+  const birthMoon = options.birthTime ? describeBirthMoon(date, options.birthTime, timeZone) : null;
+
+  const results = !options.useFallback && moonPhases
+    ? findHybridEvents(date, {
+      moonPhaseData: moonPhases,
+      eclipseData: eclipses,
+      timeZone,
+      tolerance: matchOptions.toleranceMinutes,
+      leapDayPolicy: matchOptions.leapDayPolicy
+    })
+    : fetchRealAstronomicalData(date, timeZone, matchOptions);
+
+  const labelled = labelMoonPhases(results, {
+    moonPhaseData: options.useFallback ? null : moonPhases,
+    timeZone,
+    hemisphere
+  });
+  results.fullMoon = addMoonVisibility(addMoonDistances(labelled.fullMoon), { location, timeZone });
+  results.newMoon = addMoonVisibility(addMoonDistances(labelled.newMoon), { location, timeZone });
+  results.eclipses = addEclipseVisibility(addSarosSeries(results.eclipses), { location, timeZone });
+  results.location = location;
+  results.seasonalMarkers = matchSeasonalMarkers(date, timeZone, matchOptions);
+  results.meteorShowers = matchMeteorShowers(date, timeZone, matchOptions, {
+    moonPhaseData: options.useFallback ? null : moonPhases
+  });
+  results.planetEvents = matchPlanetEvents(date, timeZone, matchOptions);
+  results.moonApproaches = matchMoonApproaches(date, timeZone, matchOptions);
+  results.birthMoon = birthMoon;
+  results.lifetimeMoon = buildLifetimeMoonTable(date, {
+    timeZone,
+    leapDayPolicy: matchOptions.leapDayPolicy,
+    birthTime: options.birthTime,
+    results
+  });
+  results.birthdaySky = location ? buildBirthdaySkyTable(date, {
+    location,
+    timeZone,
+    leapDayPolicy: matchOptions.leapDayPolicy
+  }) : null;
+  results.birthSky = options.birthTime && location
+    ? describeBirthSky(date, options.birthTime, timeZone, location)
+    : null;
+  results.birthConstellations = describeBirthConstellations(date, options.birthTime, timeZone);
+  results.planetaryBirthdays = describePlanetaryBirthdays(date, {
+    birthTime: options.birthTime,
+    timeZone,
+    now: options.now
+  });
+  return results;
+}
+
+module.exports = {
+  findCosmicEvents,
+  moonPhaseData,
+  eclipseData,
+  worldLand,
+  meteorShowerData,
+  brightStarData,
+  skyCatalog,
+  constellationBoundaries,
+  vsop87,
+  MONTH_NAMES,
+  isLeapYear,
+  isValidCalendarDate,
+  parseBirthDate,
+  parseJSONPhaseDate,
+  parseUSNODate,
+  parseOPALEDate,
+  isSameDayMonth,
+  formatDateUSNO,
+  getDefaultTimeZone,
+  isValidTimeZone,
+  listTimeZones,
+  toZonedParts,
+  describeInstant,
+  getTimeZoneOffsetMinutes,
+  fromZonedTime,
+  localDayRange,
+  MATCH_EXACT,
+  MATCH_NEAR,
+  MAX_TOLERANCE_DAYS,
+  LEAP_DAY_POLICIES,
+  resolveTolerance,
+  resolveLeapDayPolicy,
+  resolveMatchOptions,
+  observedBirthday,
+  describeLeapDayRule,
+  matchBirthday,
+  groupMatches,
+  formatMatchOffset,
+  SOURCE_CATALOG,
+  resolveTimeZone,
+  getPhaseInstant,
+  getEclipseInstant,
+  processEclipseData,
+  matchCatalogPhases,
+  processJSONAstronomicalData,
+  ECLIPSE_TYPES,
+  formatEclipseType,
+  parseEclipseRow,
+  readCatalogEntry,
+  COMPUTED_START_YEAR,
+  COMPUTED_END_YEAR,
+  SOURCE_COMPUTED,
+  calculateMoonPhases,
+  calculateEclipses,
+  processMoonPhases,
+  processEclipses,
+  matchComputedEvents,
+  fetchRealAstronomicalData,
+  getCatalogPhaseYears,
+  getCatalogEclipseYears,
+  findMissingEclipses,
+  findHybridEvents,
+  parseBirthTime,
+  formatPhaseLabel,
+  describeBirthMoon,
+  collectHighlights,
+  buildLifetimeMoonTable,
+  SUPERMOON_MAX_KM,
+  MICROMOON_MIN_KM,
+  MOON_SIZES,
+  describeMoonDistance,
+  addMoonDistances,
+  HEMISPHERES,
+  BLUE_MOON_KINDS,
+  FULL_MOON_NAMES,
+  resolveHemisphere,
+  createPhaseLookup,
+  nameFullMoon,
+  labelMoonPhases,
+  truePhaseJDE,
+  computeMoonPhases,
+  crossCheckMoonPhases,
+  SEASON_NAMES,
+  MARKER_KINDS,
+  SEASONAL_MARKERS,
+  seasonJDE,
+  computeSeasons,
+  solarLongitudeJDE,
+  seasonalMarkerJDE,
+  computeSeasonalMarkers,
+  PHASE_NAMES,
+  phaseName,
+  previousNewMoonJDE,
+  moonPhaseAt,
+  predictEclipse,
+  predictEclipses,
+  toCatalogEntry,
+  SAROS_LUNATIONS,
+  sarosNumber,
+  describeSarosSeries,
+  addSarosSeries,
+  resolveLocation,
+  formatLocation,
+  describeSolarVisibility,
+  describeLunarVisibility,
+  addEclipseVisibility,
+  HORIZON_ALTITUDE,
+  LOCAL_ECLIPSE_TYPES,
+  LUNAR_CONTACTS,
+  solarEclipseCircumstances,
+  moonAltitude,
+  lunarEclipseCircumstances,
+  besselianElements,
+  surfacePoint,
+  solarEclipseZones,
+  lunarEclipseZones,
+  MAP_ZONES,
+  createProjection,
+  landPath,
+  buildEclipseMap,
+  matchSeasonalMarkers,
+  VIEWING_RATINGS,
+  NEAR_PEAK_DAYS,
+  showerPeak,
+  rateViewing,
+  matchMeteorShowers,
+  PLANET_NAMES,
+  heliocentricPosition,
+  planetPosition,
+  PLANET_EVENT_KINDS,
+  CLOSE_CONJUNCTION_DEGREES,
+  findPlanetEventsBetween,
+  matchPlanetEvents,
+  APPROACH_KINDS,
+  TARGET_TYPES,
+  CLOSE_APPROACH_DEGREES,
+  starPlace,
+  findMoonApproachesBetween,
+  matchMoonApproaches,
+  TWILIGHT_ALTITUDES,
+  sunAltitude,
+  scanAltitudes,
+  findCrossings,
+  findCulmination,
+  POLAR_DAYS,
+  describeSunDay,
+  buildBirthdaySkyTable,
+  summarizeBirthdaySky,
+  MOONRISE_ALTITUDE,
+  describeMoonDay,
+  describeMoonVisibility,
+  addMoonVisibility,
+  DEFAULT_CHART_SIZE,
+  SKY_STATES,
+  createSkyProjection,
+  skyStateOf,
+  buildSkyChart,
+  describeBirthSky,
+  B1875_CENTURIES,
+  findConstellation,
+  findEclipticConstellation,
+  eclipticConstellations,
+  TROPICAL_SIGNS,
+  tropicalSignOf,
+  sunReachesJDE,
+  sunConstellationDates,
+  describeBirthConstellations,
+  ORBITAL_PERIODS_DAYS,
+  RETURN_PLANETS,
+  ordinal,
+  heliocentricLongitude,
+  planetaryAges,
+  findPlanetReturns,
+  describePlanetaryBirthdays,
+  collectUpcomingEvents,
+  formatICalendarTime,
+  escapeICalendarText,
+  buildICalendar
+};
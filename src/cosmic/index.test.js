@@ -0,0 +1,94 @@
+import { findCosmicEvents, processEclipseData, parseBirthDate, getEclipseInstant } from './index';
+
+const years = (matches) => matches.map(match => match.year);
+
+const fromCatalog = (matches) => matches.filter(match => match.source === 'catalog');
+
+test('finds full and new moon birthdays in the bundled database', () => {
+  const results = findCosmicEvents('1960-01-13', { timeZone: 'UTC' });
+
+  expect(years(fromCatalog(results.fullMoon))).toEqual([1960, 1979, 2025, 2036, 2055, 2074]);
+  expect(years(fromCatalog(results.newMoon))).toEqual([2002, 2021, 2097]);
+  expect(results.fullMoon[0]).toMatchObject({ phase: 'Full Moon', date: '1960-01-13', localTime: '23:51', source: 'catalog' });
+  expect(results.searchRange).toBe('1960 - 2300');
+  expect(results.dataSource).toMatch(/USNO/);
+});
+
+test('accepts Date objects and ignores years before the birth year', () => {
+  const results = findCosmicEvents(new Date(1980, 0, 13), { timeZone: 'UTC' });
+
+  expect(years(fromCatalog(results.fullMoon))).toEqual([2025, 2036, 2055, 2074]);
+  expect(results.fullMoon.every(match => match.year >= 1980)).toBe(true);
+});
+
+test('converts phases to the requested time zone before matching', () => {
+  const india = findCosmicEvents('1960-01-14', { timeZone: 'Asia/Kolkata' });
+  const utc = findCosmicEvents('1960-01-14', { timeZone: 'UTC' });
+
+  expect(india.fullMoon[0]).toMatchObject({
+    year: 1960,
+    date: '1960-01-14',
+    localTime: '05:21',
+    utc: '1960-01-13T23:51:00.000Z',
+    timeZone: 'Asia/Kolkata'
+  });
+  expect(years(utc.fullMoon)).not.toContain(1960);
+});
+
+test('matches eclipses by local date from the birth year onward', () => {
+  const eclipses = processEclipseData('2000-04-08', null, undefined, 'America/Chicago');
+  const total = eclipses.find(eclipse => eclipse.year === 2024);
+
+  expect(total).toMatchObject({ category: 'Solar', type: 'Total Solar Eclipse', date: '2024-04-08', localTime: '13:17' });
+  expect(eclipses.every(eclipse => eclipse.year >= 2000)).toBe(true);
+
+  const tokyo = processEclipseData('2000-04-09', null, undefined, 'Asia/Tokyo');
+  expect(years(tokyo)).toContain(2024);
+});
+
+test('reads greatest eclipse in UTC from the catalog TD time and ΔT', () => {
+  const instant = getEclipseInstant({
+    description: '09561  2024 Apr 08  18:18:29     74    300  139   T   n-   0.3431  1.0566'
+  });
+
+  expect(instant.toISOString()).toBe('2024-04-08T18:17:15.000Z');
+});
+
+test('falls back to calculations when no moon phase database is available', () => {
+  const results = findCosmicEvents('2004-02-14', { moonPhaseData: null, timeZone: 'UTC' });
+
+  expect(results.fullMoon).toEqual(expect.any(Array));
+  expect(results.newMoon).toEqual(expect.any(Array));
+  expect(results.dataSource).toBeUndefined();
+});
+
+test('predicts the same fallback eclipses on every search', () => {
+  const first = findCosmicEvents('2000-04-08', { moonPhaseData: null, timeZone: 'America/Chicago' });
+  const second = findCosmicEvents('2000-04-08', { moonPhaseData: null, timeZone: 'America/Chicago' });
+
+  expect(second.eclipses).toEqual(first.eclipses);
+  expect(first.eclipses.find(eclipse => eclipse.year === 2024)).toMatchObject({
+    category: 'Solar',
+    type: 'Total Solar Eclipse',
+    date: '2024-04-08',
+    localTime: '13:17'
+  });
+});
+
+test('rejects malformed dates and unknown time zones', () => {
+  expect(() => parseBirthDate('14/02/2004')).toThrow('Invalid birth date');
+  expect(() => parseBirthDate('2004-02-31')).toThrow('Invalid birth date');
+  expect(() => parseBirthDate('2001-02-29')).toThrow('Invalid birth date');
+  expect(parseBirthDate('2004-02-29')).toEqual({ year: 2004, month: 2, day: 29 });
+  expect(() => findCosmicEvents('')).toThrow('Invalid birth date');
+  expect(() => findCosmicEvents('2004-02-14', { timeZone: 'Mars/Olympus_Mons' })).toThrow('Unknown time zone');
+});
+
+test('describes the Moon at the birth moment in the birth time zone', () => {
+  const results = findCosmicEvents('1990-06-15', { timeZone: 'America/New_York', birthTime: '14:30' });
+
+  expect(results.birthMoon).toMatchObject({ utc: '1990-06-15T18:30:00.000Z', localTime: '14:30', waxing: false });
+  expect(results.birthMoon.label).toBe('Last Quarter, 55%');
+  expect(findCosmicEvents('1990-06-15').birthMoon).toBeNull();
+  expect(() => findCosmicEvents('1990-06-15', { birthTime: '25:00' })).toThrow('Invalid birth time');
+});
@@ -0,0 +1,88 @@
+/**
+ * LIFETIME MOON TABLE
+ * The Moon on every birthday from the birth year to the end of coverage, so years
+ * without a principal-phase match still say what the Moon looked like. Birthdays
+ * that landed on a Full Moon, New Moon or quarter are marked as highlights.
+ */
+
+const { parseBirthDate } = require('./dates');
+const { fromZonedTime, describeInstant } = require('./timezones');
+const { MATCH_EXACT, observedBirthday } = require('./matching');
+const { COMPUTED_END_YEAR } = require('./fallback');
+const { parseBirthTime, formatPhaseLabel } = require('./birthMoon');
+const { moonPhaseAt } = require('./astro/moonPhase');
+
+// Birthdays are read at local noon unless a birth time is given
+const DEFAULT_READING_TIME = { hour: 12, minute: 0 };
+
+// Result lists whose exact matches become highlights, with the phase they record
+const HIGHLIGHT_LISTS = {
+  fullMoon: 'Full Moon',
+  newMoon: 'New Moon',
+  firstQuarter: 'First Quarter',
+  lastQuarter: 'Last Quarter'
+};
+
+/**
+ * Index exact principal-phase matches by birthday year
+ * @param {Object} results - Results carrying fullMoon/newMoon/firstQuarter/lastQuarter lists
+ * @returns {Map<number, Array<string>>} - Phases matched on each year's birthday
+ */
+function collectHighlights(results = {}) {
+  const highlights = new Map();
+  Object.entries(HIGHLIGHT_LISTS).forEach(([key, phase]) => {
+    (results[key] || [])
+      .filter(match => (match.match || MATCH_EXACT) === MATCH_EXACT)
+      .forEach(match => {
+        const phases = highlights.get(match.year) || [];
+        if (!phases.includes(phase)) phases.push(phase);
+        highlights.set(match.year, phases);
+      });
+  });
+  return highlights;
+}
+
+/**
+ * Describe the Moon on each birthday of a lifetime
+ * @param {string|Date} birthDate - Birth date as "YYYY-MM-DD" or Date
+ * @param {Object} [options] - Table options
+ * @param {string} [options.timeZone='UTC'] - IANA time zone the birthday is observed in
+ * @param {string} [options.leapDayPolicy] - How 29 February is observed in common years
+ * @param {string} [options.birthTime] - Local "HH:MM" to read each birthday at (defaults to noon)
+ * @param {number} [options.endYear=COMPUTED_END_YEAR] - Last year of the table
+ * @param {Object} [options.results] - Birthday matches whose exact principal phases become highlights
+ * @returns {Array<Object>} - One row per observed birthday: describeInstant() fields,
+ *   {illumination, ageDays, phaseName, waxing, label, highlights}
+ */
+function buildLifetimeMoonTable(birthDate, options = {}) {
+  const birth = parseBirthDate(birthDate);
+  const timeZone = options.timeZone || 'UTC';
+  const endYear = options.endYear ?? COMPUTED_END_YEAR;
+  const readingTime = options.birthTime ? parseBirthTime(options.birthTime) : DEFAULT_READING_TIME;
+  const highlights = collectHighlights(options.results);
+
+  const rows = [];
+  for (let year = birth.year; year <= endYear; year++) {
+    const observed = observedBirthday(birth, year, options.leapDayPolicy);
+    if (!observed) continue;
+
+    const instant = fromZonedTime({ year, ...observed, ...readingTime }, timeZone);
+    const phase = moonPhaseAt(instant);
+    rows.push({
+      ...describeInstant(instant, timeZone),
+      year,
+      illumination: phase.illumination,
+      ageDays: phase.ageDays,
+      phaseName: phase.phaseName,
+      waxing: phase.waxing,
+      label: formatPhaseLabel(phase),
+      highlights: highlights.get(year) || []
+    });
+  }
+  return rows;
+}
+
+module.exports = {
+  collectHighlights,
+  buildLifetimeMoonTable
+};
@@ -0,0 +1,37 @@
+import { buildLifetimeMoonTable, findCosmicEvents } from './index';
+
+test('describes the Moon on every birthday through the end of coverage', () => {
+  const rows = buildLifetimeMoonTable('1990-06-15', { timeZone: 'UTC', endYear: 1999 });
+
+  expect(rows.map(row => row.year)).toEqual([1990, 1991, 1992, 1993, 1994, 1995, 1996, 1997, 1998, 1999]);
+  expect(rows[0]).toMatchObject({ date: '1990-06-15', localTime: '12:00', phaseName: 'Last Quarter', waxing: false });
+  rows.forEach(row => {
+    expect(row.illumination).toBeGreaterThanOrEqual(0);
+    expect(row.illumination).toBeLessThanOrEqual(1);
+    expect(row.ageDays).toBeLessThan(29.6);
+  });
+});
+
+test('marks principal-phase birthdays as highlights', () => {
+  const results = findCosmicEvents('1960-01-14', { timeZone: 'UTC' });
+  const row = (year) => results.lifetimeMoon.find(entry => entry.year === year);
+
+  expect(results.lifetimeMoon).toHaveLength(2300 - 1960 + 1);
+  expect(row(2006)).toMatchObject({ phaseName: 'Full Moon', highlights: ['Full Moon'] });
+  expect(row(1964).highlights).toEqual(['New Moon']);
+  expect(row(1961).highlights).toEqual([]);
+});
+
+test('follows the leap-day policy and reads the birthday at the birth time', () => {
+  const leapYearsOnly = buildLifetimeMoonTable('2000-02-29', { endYear: 2008 });
+  const mar1 = buildLifetimeMoonTable('2000-02-29', {
+    endYear: 2008,
+    leapDayPolicy: 'mar-1',
+    timeZone: 'Asia/Tokyo',
+    birthTime: '06:45'
+  });
+
+  expect(leapYearsOnly.map(row => row.year)).toEqual([2000, 2004, 2008]);
+  expect(mar1).toHaveLength(9);
+  expect(mar1[1]).toMatchObject({ date: '2001-03-01', localTime: '06:45', utc: '2001-02-28T21:45:00.000Z' });
+});
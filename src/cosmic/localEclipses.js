@@ -0,0 +1,90 @@
+/**
+ * ECLIPSES FROM THE USER'S LOCATION
+ * Eclipse birthdays are global events; this adds what each one looked like from
+ * a given place, so an eclipse seen only from Antarctica can be told apart from
+ * one overhead, and a lunar eclipse that happened below the horizon from one
+ * that could be watched.
+ */
+
+const { describeInstant } = require('./timezones');
+const { solarEclipseCircumstances, lunarEclipseCircumstances } = require('./astro/localEclipse');
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Local circumstances of a solar eclipse match, for display
+ * @param {Object} eclipse - Solar eclipse match carrying the `utc` instant of greatest eclipse
+ * @param {{latitude: number, longitude: number}} location - Observer
+ * @param {string} timeZone - IANA time zone for the contact times
+ * @returns {Object} - solarEclipseCircumstances() fields rounded for display, with start, maximum and
+ *   end as describeInstant() objects (null when the eclipse is not seen from the location)
+ */
+function describeSolarVisibility(eclipse, location, timeZone) {
+  const local = solarEclipseCircumstances(eclipse.utc, location);
+  const describe = (instant) => (instant ? describeInstant(instant, timeZone) : null);
+
+  return {
+    eclipsed: local.eclipsed,
+    visible: local.visible,
+    localType: local.localType,
+    magnitude: local.magnitude === null ? null : round(local.magnitude, 3),
+    obscuration: local.obscuration === null ? null : round(local.obscuration, 3),
+    sunAltitude: local.sunAltitude === null ? null : round(local.sunAltitude, 1),
+    start: describe(local.start),
+    maximum: describe(local.maximum),
+    end: describe(local.end)
+  };
+}
+
+/**
+ * Local circumstances of a lunar eclipse match, for display
+ * @param {Object} eclipse - Lunar eclipse match carrying the `utc` instant of greatest eclipse and
+ *   `durationMinutes` for its phases
+ * @param {{latitude: number, longitude: number}} location - Observer
+ * @param {string} timeZone - IANA time zone for the contact times
+ * @returns {Object} - {visible, moonAltitude, phases, contacts}, with each contact's instant
+ *   as describeInstant() fields and its moonAltitude and moonUp
+ */
+function describeLunarVisibility(eclipse, location, timeZone) {
+  const local = lunarEclipseCircumstances(eclipse.utc, eclipse.durationMinutes, location);
+
+  return {
+    visible: local.visible,
+    moonAltitude: round(local.moonAltitude, 1),
+    phases: local.phases,
+    contacts: local.contacts.map(contact => ({
+      contact: contact.contact,
+      label: contact.label,
+      ...describeInstant(contact.instant, timeZone),
+      moonAltitude: round(contact.moonAltitude, 1),
+      moonUp: contact.moonUp
+    }))
+  };
+}
+
+/**
+ * Add local visibility to eclipse matches
+ * @param {Array<Object>} eclipses - Eclipse matches carrying `category` and `utc`
+ * @param {Object} options - Visibility options
+ * @param {{latitude: number, longitude: number}|null} options.location - Observer, from resolveLocation()
+ * @param {string} options.timeZone - IANA time zone for the contact times
+ * @returns {Array<Object>} - Copies with `localCircumstances` from describeSolarVisibility() or
+ *   describeLunarVisibility(); null when no location is given
+ */
+function addEclipseVisibility(eclipses, { location, timeZone }) {
+  return eclipses.map(eclipse => {
+    let localCircumstances = null;
+    if (location) {
+      localCircumstances = eclipse.category === 'Solar'
+        ? describeSolarVisibility(eclipse, location, timeZone)
+        : describeLunarVisibility(eclipse, location, timeZone);
+    }
+    return { ...eclipse, localCircumstances };
+  });
+}
+
+module.exports = {
+  describeSolarVisibility,
+  describeLunarVisibility,
+  addEclipseVisibility
+};
@@ -0,0 +1,39 @@
+/**
+ * OBSERVER LOCATION
+ * Latitude and longitude of the place events are seen from, for the results that
+ * depend on where the user was born or lives rather than only on the calendar
+ */
+
+/**
+ * Validate a location option
+ * @param {{latitude: number|string, longitude: number|string}|null} [location] - Degrees north and east
+ * @returns {{latitude: number, longitude: number}|null} - Numeric location, or null when none is given
+ */
+function resolveLocation(location) {
+  if (!location) return null;
+
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  if (location.latitude === '' || location.longitude === ''
+    || !Number.isFinite(latitude) || !Number.isFinite(longitude)
+    || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new Error('Invalid location');
+  }
+
+  return { latitude, longitude };
+}
+
+/**
+ * Format a location for display
+ * @param {{latitude: number, longitude: number}} location - Degrees north and east
+ * @returns {string} - e.g. "41.88°N, 87.63°W"
+ */
+function formatLocation({ latitude, longitude }) {
+  return `${Math.abs(latitude).toFixed(2)}°${latitude < 0 ? 'S' : 'N'}, `
+    + `${Math.abs(longitude).toFixed(2)}°${longitude < 0 ? 'W' : 'E'}`;
+}
+
+module.exports = {
+  resolveLocation,
+  formatLocation
+};
@@ -0,0 +1,197 @@
+/**
+ * BIRTHDAY MATCHING
+ * Decides whether an event instant falls on a birthday in a time zone, or close
+ * enough to it to count as a near miss, and when a 29 February birthday is
+ * observed in common years
+ */
+
+const { isLeapYear } = require('./dates');
+const { describeInstant, toZonedParts } = require('./timezones');
+
+const MATCH_EXACT = 'exact';
+const MATCH_NEAR = 'near';
+
+// How a 29 February birthday is observed in common years
+const LEAP_DAY_POLICIES = {
+  LEAP_YEARS_ONLY: 'leap-years-only',
+  FEB_28: 'feb-28',
+  MAR_1: 'mar-1'
+};
+
+const LEAP_DAY_RULES = {
+  [LEAP_DAY_POLICIES.LEAP_YEARS_ONLY]: 'Leap-day birthday matched in leap years only',
+  [LEAP_DAY_POLICIES.FEB_28]: 'Leap-day birthday observed on 28 February in common years',
+  [LEAP_DAY_POLICIES.MAR_1]: 'Leap-day birthday observed on 1 March in common years'
+};
+
+// Wider windows would let one event match two birthdays' worth of phases
+const MAX_TOLERANCE_DAYS = 7;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert a tolerance option into minutes
+ * @param {Object|number} [tolerance] - {hours} or {days} either side of the birthday, or minutes
+ * @returns {number} - Tolerance in minutes (0 for exact matching only)
+ */
+function resolveTolerance(tolerance) {
+  if (!tolerance) return 0;
+
+  const minutes = typeof tolerance === 'number'
+    ? tolerance
+    : (tolerance.days || 0) * MINUTES_PER_DAY + (tolerance.hours || 0) * 60;
+
+  if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_TOLERANCE_DAYS * MINUTES_PER_DAY) {
+    throw new Error(`Invalid tolerance: use up to ${MAX_TOLERANCE_DAYS} days either side of the birthday`);
+  }
+  return minutes;
+}
+
+/**
+ * Validate a leap-day policy
+ * @param {string} [policy] - One of LEAP_DAY_POLICIES (defaults to leap years only)
+ * @returns {string} - Usable policy
+ */
+function resolveLeapDayPolicy(policy) {
+  if (!policy) return LEAP_DAY_POLICIES.LEAP_YEARS_ONLY;
+  if (!LEAP_DAY_RULES[policy]) {
+    throw new Error(`Unknown leap-day policy: ${policy}`);
+  }
+  return policy;
+}
+
+/**
+ * Convert the public search options into the options the matchers take
+ * @param {Object} [options] - {tolerance, leapDayPolicy} as given to findCosmicEvents()
+ * @returns {{toleranceMinutes: number, leapDayPolicy: string}} - Validated match options
+ */
+function resolveMatchOptions(options = {}) {
+  return {
+    toleranceMinutes: resolveTolerance(options.tolerance),
+    leapDayPolicy: resolveLeapDayPolicy(options.leapDayPolicy)
+  };
+}
+
+/**
+ * The day a birthday is celebrated in a given year
+ * @param {{month: number, day: number}} birth - Birthday from parseBirthDate()
+ * @param {number} year - Calendar year
+ * @param {string} [leapDayPolicy] - How 29 February is observed in common years
+ * @returns {{month: number, day: number}|null} - Observed day, or null when there is none that year
+ */
+function observedBirthday(birth, year, leapDayPolicy = LEAP_DAY_POLICIES.LEAP_YEARS_ONLY) {
+  if (birth.month !== 2 || birth.day !== 29 || isLeapYear(year)) {
+    return { month: birth.month, day: birth.day };
+  }
+
+  if (leapDayPolicy === LEAP_DAY_POLICIES.FEB_28) return { month: 2, day: 28 };
+  if (leapDayPolicy === LEAP_DAY_POLICIES.MAR_1) return { month: 3, day: 1 };
+  return null;
+}
+
+/**
+ * Describe the leap-day rule applied to a birthday
+ * @param {{month: number, day: number}} birth - Birthday from parseBirthDate()
+ * @param {string} [leapDayPolicy] - How 29 February is observed in common years
+ * @returns {string|null} - Rule text for 29 February birthdays, otherwise null
+ */
+function describeLeapDayRule(birth, leapDayPolicy) {
+  if (birth.month !== 2 || birth.day !== 29) return null;
+  return LEAP_DAY_RULES[resolveLeapDayPolicy(leapDayPolicy)];
+}
+
+/**
+ * Match an event instant against a birthday in a time zone
+ * Exact matches fall on the birthday's local calendar day. Near misses fall within
+ * the tolerance of that day and carry a signed offset from its nearest edge, negative
+ * before the birthday starts and positive after it ends. A near miss is credited to
+ * the year of the birthday it is close to, which can differ from the event's own year.
+ * @param {Date} instant - Event instant (UTC)
+ * @param {{month: number, day: number}} birth - Birthday from parseBirthDate()
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} [matchOptions] - From resolveMatchOptions()
+ * @param {number} [matchOptions.toleranceMinutes=0] - Window either side of the birthday
+ * @param {string} [matchOptions.leapDayPolicy] - How 29 February is observed in common years
+ * @returns {Object|null} - describeInstant() fields plus {match, offsetMinutes, birthday}, or null
+ */
+function matchBirthday(instant, birth, timeZone, matchOptions = {}) {
+  const { toleranceMinutes = 0, leapDayPolicy } = matchOptions;
+  const local = describeInstant(instant, timeZone);
+
+  const onDay = observedBirthday(birth, local.year, leapDayPolicy);
+  if (onDay && local.month === onDay.month && local.day === onDay.day) {
+    return { ...local, match: MATCH_EXACT, offsetMinutes: 0, birthday: local.date };
+  }
+  if (!toleranceMinutes) return null;
+
+  // Offsets are measured on the local wall clock, as the birthday is
+  const parts = toZonedParts(instant, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  let nearest = null;
+  [parts.year - 1, parts.year, parts.year + 1].forEach(year => {
+    const observed = observedBirthday(birth, year, leapDayPolicy);
+    if (!observed) return;
+
+    const dayStart = Date.UTC(year, observed.month - 1, observed.day);
+    const dayEnd = dayStart + MINUTES_PER_DAY * 60000;
+    const offset = wallClock < dayStart ? wallClock - dayStart : wallClock - dayEnd;
+    if (!nearest || Math.abs(offset) < Math.abs(nearest.offset)) nearest = { year, offset, dayStart };
+  });
+
+  if (!nearest) return null;
+  // Rounded away from zero, so a near miss is never reported as on the day
+  const offsetMinutes = (nearest.offset < 0 ? -1 : 1) * Math.max(1, Math.ceil(Math.abs(nearest.offset) / 60000));
+  if (Math.abs(offsetMinutes) > toleranceMinutes) return null;
+
+  const birthday = new Date(nearest.dayStart).toISOString().slice(0, 10);
+  return { ...local, year: nearest.year, match: MATCH_NEAR, offsetMinutes, birthday };
+}
+
+/**
+ * Split matches into exact birthday matches and near misses
+ * @param {Array} matches - Matches carrying a `match` field
+ * @returns {{exact: Array, near: Array}} - Each group keeps the input order
+ */
+function groupMatches(matches) {
+  return {
+    exact: matches.filter(match => match.match !== MATCH_NEAR),
+    near: matches.filter(match => match.match === MATCH_NEAR)
+  };
+}
+
+/**
+ * Describe a near-miss offset for display
+ * @param {number} offsetMinutes - Signed offset from the birthday
+ * @returns {string} - e.g. "10m after", "1d 3h before", "on the day"
+ */
+function formatMatchOffset(offsetMinutes) {
+  if (!offsetMinutes) return 'on the day';
+
+  const total = Math.abs(offsetMinutes);
+  const days = Math.floor(total / MINUTES_PER_DAY);
+  const hours = Math.floor((total % MINUTES_PER_DAY) / 60);
+  const minutes = total % 60;
+
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (minutes && !days) parts.push(`${minutes}m`);
+
+  return `${parts.join(' ') || '0m'} ${offsetMinutes < 0 ? 'before' : 'after'}`;
+}
+
+module.exports = {
+  MATCH_EXACT,
+  MATCH_NEAR,
+  MAX_TOLERANCE_DAYS,
+  LEAP_DAY_POLICIES,
+  resolveTolerance,
+  resolveLeapDayPolicy,
+  resolveMatchOptions,
+  observedBirthday,
+  describeLeapDayRule,
+  matchBirthday,
+  groupMatches,
+  formatMatchOffset
+};
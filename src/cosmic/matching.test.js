@@ -0,0 +1,101 @@
+import {
+  resolveTolerance,
+  resolveMatchOptions,
+  observedBirthday,
+  matchBirthday,
+  groupMatches,
+  formatMatchOffset
+} from './matching';
+import { findCosmicEvents } from './index';
+
+const birthday = { year: 1960, month: 1, day: 14 };
+
+test('matches the local calendar day exactly without a tolerance', () => {
+  expect(matchBirthday(new Date('1960-01-14T23:59:00Z'), birthday, 'UTC')).toMatchObject({
+    year: 1960,
+    match: 'exact',
+    offsetMinutes: 0
+  });
+  expect(matchBirthday(new Date('1960-01-15T00:10:00Z'), birthday, 'UTC')).toBeNull();
+});
+
+test('returns near misses with a signed offset from the birthday', () => {
+  const tolerance = resolveMatchOptions({ tolerance: { hours: 12 } });
+
+  expect(matchBirthday(new Date('1960-01-15T00:10:00Z'), birthday, 'UTC', tolerance))
+    .toMatchObject({ date: '1960-01-15', match: 'near', offsetMinutes: 10 });
+  expect(matchBirthday(new Date('1960-01-13T23:51:00Z'), birthday, 'UTC', tolerance))
+    .toMatchObject({ match: 'near', offsetMinutes: -9 });
+  expect(matchBirthday(new Date('1960-01-15T12:01:00Z'), birthday, 'UTC', tolerance)).toBeNull();
+});
+
+test('credits a near miss across New Year to the birthday it is close to', () => {
+  const newYear = { month: 1, day: 1 };
+  const match = matchBirthday(new Date('1999-12-31T22:00:00Z'), newYear, 'UTC', { toleranceMinutes: 24 * 60 });
+
+  expect(match).toMatchObject({ year: 2000, date: '1999-12-31', offsetMinutes: -120, birthday: '2000-01-01' });
+});
+
+test('never reports a near miss at the midnight edge as on the day', () => {
+  const juneFirst = { month: 6, day: 1 };
+  const hour = { toleranceMinutes: 60 };
+  const after = matchBirthday(new Date('2024-06-02T00:00:20Z'), juneFirst, 'UTC', hour);
+  expect(after).toMatchObject({ match: 'near', offsetMinutes: 1, birthday: '2024-06-01' });
+  expect(formatMatchOffset(after.offsetMinutes)).toBe('1m after');
+
+  expect(matchBirthday(new Date('2024-06-02T00:00:00Z'), juneFirst, 'UTC', hour)).toMatchObject({ match: 'near', offsetMinutes: 1 });
+  expect(matchBirthday(new Date('2024-05-31T23:59:40Z'), juneFirst, 'UTC', hour)).toMatchObject({ match: 'near', offsetMinutes: -1 });
+  expect(matchBirthday(new Date('2024-06-02T00:59:30Z'), juneFirst, 'UTC', hour)).toMatchObject({ offsetMinutes: 60 });
+  expect(matchBirthday(new Date('2024-06-02T01:00:30Z'), juneFirst, 'UTC', hour)).toBeNull();
+});
+
+test('validates tolerances and formats offsets', () => {
+  expect(resolveTolerance()).toBe(0);
+  expect(resolveTolerance({ days: 1, hours: 6 })).toBe(30 * 60);
+  expect(() => resolveTolerance({ days: 30 })).toThrow('Invalid tolerance');
+  expect(() => resolveTolerance({ hours: -1 })).toThrow('Invalid tolerance');
+
+  expect(formatMatchOffset(10)).toBe('10m after');
+  expect(formatMatchOffset(-93)).toBe('1h 33m before');
+  expect(formatMatchOffset(1500)).toBe('1d 1h after');
+});
+
+test('splits search results into exact and near groups', () => {
+  const results = findCosmicEvents('1960-01-14', { timeZone: 'UTC', tolerance: { hours: 12 } });
+  const { exact, near } = groupMatches(results.fullMoon);
+
+  // The 1960 full moon came nine minutes before the birthday in UTC
+  expect(near.find(match => match.year === 1960)).toMatchObject({ utc: '1960-01-13T23:51:00.000Z', offsetMinutes: -9 });
+  expect(exact.map(match => match.year)).toEqual(
+    findCosmicEvents('1960-01-14', { timeZone: 'UTC' }).fullMoon.map(match => match.year)
+  );
+});
+
+test('observes a leap-day birthday in common years by the chosen policy', () => {
+  const leapDay = { month: 2, day: 29 };
+
+  expect(observedBirthday(leapDay, 2024)).toEqual({ month: 2, day: 29 });
+  expect(observedBirthday(leapDay, 2025)).toBeNull();
+  expect(observedBirthday(leapDay, 2025, 'feb-28')).toEqual({ month: 2, day: 28 });
+  expect(observedBirthday(leapDay, 2100, 'mar-1')).toEqual({ month: 3, day: 1 });
+  expect(() => resolveMatchOptions({ leapDayPolicy: 'feb-30' })).toThrow('Unknown leap-day policy');
+
+  const instant = new Date('2025-02-28T12:00:00Z');
+  expect(matchBirthday(instant, leapDay, 'UTC')).toBeNull();
+  expect(matchBirthday(instant, leapDay, 'UTC', { leapDayPolicy: 'feb-28' })).toMatchObject({
+    year: 2025,
+    match: 'exact',
+    birthday: '2025-02-28'
+  });
+});
+
+test('reports the leap-day rule applied to a search', () => {
+  const leapYearsOnly = findCosmicEvents('1960-02-29', { timeZone: 'UTC' });
+  const march = findCosmicEvents('1960-02-29', { timeZone: 'UTC', leapDayPolicy: 'mar-1' });
+
+  expect(leapYearsOnly.leapDayRule).toMatch(/leap years only/);
+  expect(leapYearsOnly.fullMoon.every(match => match.date.endsWith('-02-29'))).toBe(true);
+  expect(march.leapDayRule).toMatch(/1 March/);
+  expect(march.fullMoon.find(match => match.year === 2067)).toMatchObject({ date: '2067-03-01', birthday: '2067-03-01' });
+  expect(findCosmicEvents('1960-03-01', { timeZone: 'UTC' }).leapDayRule).toBeNull();
+});
@@ -0,0 +1,176 @@
+/**
+ * METEOR SHOWER BIRTHDAYS
+ * Years in which a birthday falls on or near the peak of a major annual meteor
+ * shower. Peaks are listed by solar longitude, so they are converted to instants
+ * for each year from the Sun's position; the Moon's phase around the peak (from
+ * the moon phase database where it has the year) rates how well it could be seen.
+ */
+
+const datasets = require('./datasets');
+const { parseBirthDate } = require('./dates');
+const { MATCH_EXACT, matchBirthday, formatMatchOffset } = require('./matching');
+const { COMPUTED_END_YEAR, SOURCE_COMPUTED } = require('./fallback');
+const { createPhaseLookup } = require('./moonLabels');
+const { solarLongitudeJDE } = require('./astro/seasons');
+const { precessLongitude } = require('./astro/coordinates');
+const { julianCenturies, dateFromJDE } = require('./astro/time');
+const { moonPhaseAt } = require('./astro/moonPhase');
+
+const VIEWING_RATINGS = {
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor'
+};
+
+// A birthday this close to a peak still sees the shower near its best
+const NEAR_PEAK_DAYS = 2;
+
+// A principal phase this close to the peak decides the rating
+const MOON_WINDOW_DAYS = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A J2000 solar longitude comes round once a sidereal year
+const SIDEREAL_YEAR_MS = 365.25636 * DAY_MS;
+
+/**
+ * Instant of a shower's peak in a calendar year
+ * @param {Object} shower - Entry from meteor-showers.json with a J2000 `peakSolarLongitude`
+ * @param {number} year - Calendar year
+ * @returns {Date} - UTC instant of the peak
+ */
+function showerPeak(shower, year) {
+  // Precession moves the J2000 longitude by about a day every 70 years; one pass is enough
+  const approximate = solarLongitudeJDE(year, shower.peakSolarLongitude);
+  const longitude = precessLongitude(shower.peakSolarLongitude, julianCenturies(approximate));
+  const peak = dateFromJDE(solarLongitudeJDE(year, longitude));
+
+  // Longitudes past the December solstice (the Quadrantids) peak in the January after `year`
+  return peak.getUTCFullYear() > year ? dateFromJDE(solarLongitudeJDE(year - 1, longitude)) : peak;
+}
+
+/**
+ * Days from an instant to the nearest of a phase
+ * @param {Date} instant - UTC instant
+ * @param {function(number): Array<Date>} lookup - From createPhaseLookup()
+ * @returns {number} - Signed days, negative when the phase came before the instant
+ */
+function daysToNearestPhase(instant, lookup) {
+  const year = instant.getUTCFullYear();
+  const phases = [...lookup(year - 1), ...lookup(year), ...lookup(year + 1)];
+  const nearest = phases.reduce((best, phase) =>
+    (Math.abs(phase - instant) < Math.abs(best - instant) ? phase : best));
+  return (nearest - instant) / DAY_MS;
+}
+
+/**
+ * Rate the viewing conditions at a shower's peak by the Moon
+ * @param {Date} peak - UTC instant of the peak
+ * @param {{newMoons: function, fullMoons: function}} lookups - createPhaseLookup() for each phase
+ * @returns {Object} - {rating, moonIllumination, moonPhase, daysFromNewMoon, daysFromFullMoon}:
+ *   'good' within MOON_WINDOW_DAYS of a New Moon, 'poor' within it of a Full Moon, 'fair' otherwise
+ */
+function rateViewing(peak, lookups) {
+  const daysFromNewMoon = daysToNearestPhase(peak, lookups.newMoons);
+  const daysFromFullMoon = daysToNearestPhase(peak, lookups.fullMoons);
+  const moon = moonPhaseAt(peak);
+
+  let rating = VIEWING_RATINGS.FAIR;
+  if (Math.abs(daysFromNewMoon) <= MOON_WINDOW_DAYS) rating = VIEWING_RATINGS.GOOD;
+  else if (Math.abs(daysFromFullMoon) <= MOON_WINDOW_DAYS) rating = VIEWING_RATINGS.POOR;
+
+  return {
+    rating,
+    moonIllumination: Math.round(moon.illumination * 100) / 100,
+    moonPhase: moon.phaseName,
+    daysFromNewMoon: Math.round(daysFromNewMoon * 10) / 10,
+    daysFromFullMoon: Math.round(daysFromFullMoon * 10) / 10
+  };
+}
+
+/**
+ * Whether a peak is within reach of the birthday, before the exact time-zone match
+ * @param {Date} peak - UTC instant of the peak
+ * @param {{month: number, day: number}} birth - Birthday from parseBirthDate()
+ * @param {number} windowDays - Match window either side of the birthday
+ * @returns {boolean} - False when the peak is too far from the birthday in any time zone
+ */
+function nearBirthday(peak, birth, windowDays) {
+  const year = peak.getUTCFullYear();
+  return [year - 1, year, year + 1].some(y =>
+    Math.abs(peak - Date.UTC(y, birth.month - 1, birth.day)) <= (windowDays + 2) * DAY_MS);
+}
+
+/**
+ * Find meteor shower peaks on or near a birthday
+ * @param {string|Date} birthDate - User's birth date
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions(); the
+ *   tolerance is at least NEAR_PEAK_DAYS
+ * @param {Object} [options] - Catalogs
+ * @param {Object|null} [options.moonPhaseData] - Moon phase database for the viewing ratings
+ *   (none: every phase is computed)
+ * @param {Object} [options.meteorShowerData] - Shower list in the meteor-showers.json shape
+ * @returns {Array<Object>} - Matches by year, each with the shower's `type` (its name), `code`,
+ *   `zhr`, `radiant`, `velocityKmS`, `parentBody` and `activity`, the peak's local `date`,
+ *   `localTime` and `utc`, and `viewing` from rateViewing()
+ */
+function matchMeteorShowers(birthDate, timeZone, matchOptions = {}, options = {}) {
+  const birth = parseBirthDate(birthDate);
+  const startYear = birth.year;
+  const endYear = Math.max(startYear, COMPUTED_END_YEAR);
+  const showers = (options.meteorShowerData || datasets.meteorShowerData).showers;
+  const toleranceMinutes = Math.max(matchOptions.toleranceMinutes || 0, NEAR_PEAK_DAYS * 24 * 60);
+  const lookups = {
+    newMoons: createPhaseLookup('New Moon', options.moonPhaseData),
+    fullMoons: createPhaseLookup('Full Moon', options.moonPhaseData)
+  };
+  const matches = [];
+
+  // One year either side catches local New Year shifts and near misses across it
+  showers.forEach(shower => {
+    const first = showerPeak(shower, startYear - 1).getTime();
+    for (let year = startYear - 1; year <= endYear + 1; year++) {
+      // Only peaks that could be near the birthday are worked out exactly
+      const estimate = new Date(first + (year - startYear + 1) * SIDEREAL_YEAR_MS);
+      if (!nearBirthday(estimate, birth, toleranceMinutes / (24 * 60))) continue;
+
+      const peak = showerPeak(shower, year);
+
+      const local = matchBirthday(peak, birth, timeZone, { ...matchOptions, toleranceMinutes });
+      if (!local || local.year < startYear || local.year > endYear) continue;
+
+      const when = local.match === MATCH_EXACT ? 'on' : formatMatchOffset(local.offsetMinutes);
+      matches.push({
+        year: local.year,
+        type: shower.name,
+        code: shower.code,
+        description: `${shower.name} peak ${when} your birthday`,
+        date: local.date,
+        localTime: local.localTime,
+        utc: local.utc,
+        timeZone,
+        match: local.match,
+        offsetMinutes: local.offsetMinutes,
+        birthday: local.birthday,
+        zhr: shower.zhr,
+        radiant: shower.radiant,
+        velocityKmS: shower.velocityKmS,
+        parentBody: shower.parentBody,
+        activity: shower.activity,
+        viewing: rateViewing(peak, lookups),
+        source: SOURCE_COMPUTED
+      });
+    }
+  });
+
+  return matches.sort((a, b) => a.year - b.year || a.utc.localeCompare(b.utc));
+}
+
+module.exports = {
+  VIEWING_RATINGS,
+  NEAR_PEAK_DAYS,
+  showerPeak,
+  rateViewing,
+  matchMeteorShowers
+};
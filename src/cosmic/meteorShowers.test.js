@@ -0,0 +1,38 @@
+import { showerPeak, matchMeteorShowers } from './meteorShowers';
+import { meteorShowerData, moonPhaseData } from './datasets';
+import { findCosmicEvents } from './index';
+
+const shower = (code) => meteorShowerData.showers.find(entry => entry.code === code);
+const hoursFrom = (instant, iso) => Math.abs(instant - new Date(iso)) / 3600000;
+
+test('converts solar-longitude peaks to instants', () => {
+  // IMO calendars: Perseids 2024 Aug 12 ~14h UT, Geminids 2024 Dec 14 ~01h UT, Quadrantids 2025 Jan 3 ~15h UT
+  expect(hoursFrom(showerPeak(shower('PER'), 2024), '2024-08-12T14:00Z')).toBeLessThan(2);
+  expect(hoursFrom(showerPeak(shower('GEM'), 2024), '2024-12-14T01:00Z')).toBeLessThan(2);
+  expect(hoursFrom(showerPeak(shower('QUA'), 2025), '2025-01-03T15:00Z')).toBeLessThan(2);
+
+  // Precession carries the Perseids from 10 August in 1850 to 17 August in 2300
+  expect(showerPeak(shower('PER'), 1850).toISOString().slice(0, 10)).toBe('1850-08-10');
+  expect(showerPeak(shower('PER'), 2300).toISOString().slice(0, 10)).toBe('2300-08-17');
+});
+
+test('matches peaks on or near a birthday and rates the moonlight', () => {
+  const matches = matchMeteorShowers('1990-08-12', 'America/New_York', {}, { moonPhaseData });
+  const [y1990, y1991, y1992] = matches;
+
+  expect(y1990).toMatchObject({ year: 1990, type: 'Perseids', code: 'PER', match: 'exact', zhr: 100 });
+  // 1991: New Moon three days before the peak; 1992: Full Moon a day after it
+  expect(y1991.viewing).toMatchObject({ rating: 'good', daysFromNewMoon: -3 });
+  expect(y1992.viewing).toMatchObject({ rating: 'poor', moonPhase: 'Full Moon' });
+
+  // Peaks up to two days away are near misses, even without a tolerance
+  const near = matches.filter(match => match.match === 'near');
+  expect(near.length).toBeGreaterThan(0);
+  expect(near.every(match => Math.abs(match.offsetMinutes) <= 2 * 24 * 60)).toBe(true);
+  expect(matchMeteorShowers('1990-02-01', 'UTC')).toEqual([]);
+});
+
+test('adds meteor showers to the search results', () => {
+  const results = findCosmicEvents('1990-12-14', { timeZone: 'UTC' });
+  expect(results.meteorShowers[0]).toMatchObject({ year: 1990, type: 'Geminids', viewing: { rating: 'good' } });
+});
@@ -0,0 +1,235 @@
+/**
+ * MOON CLOSE APPROACH BIRTHDAYS
+ * Years in which the Moon passes close to a bright planet or a first-magnitude star
+ * on or near a birthday, or occults it. The Moon comes from the lunar theory in
+ * astro/moon.js, the planets from astro/planets.js and the stars from the bundled
+ * bright-star catalog; only the days around each birthday are searched.
+ */
+
+const datasets = require('./datasets');
+const { parseBirthDate } = require('./dates');
+const { MATCH_EXACT, matchBirthday, observedBirthday, formatMatchOffset } = require('./matching');
+const { COMPUTED_END_YEAR, SOURCE_COMPUTED } = require('./fallback');
+const { skyPhrase } = require('./planetEvents');
+const { moonPosition } = require('./astro/moon');
+const { moonPhaseAt } = require('./astro/moonPhase');
+const { PLANET_NAMES, planetPosition } = require('./astro/planets');
+const {
+  nutation,
+  precessLongitude,
+  precessEquatorial,
+  meanObliquity,
+  equatorialToEcliptic,
+  angularSeparation
+} = require('./astro/coordinates');
+const { cosDeg, signedDegrees } = require('./astro/angles');
+const { maximize } = require('./astro/search');
+const { J2000, julianCenturies, jdeFromDate, dateFromJDE } = require('./astro/time');
+
+const APPROACH_KINDS = {
+  CLOSE_APPROACH: 'close-approach',
+  OCCULTATION: 'occultation'
+};
+
+const TARGET_TYPES = {
+  PLANET: 'planet',
+  STAR: 'star'
+};
+
+// Geocentric separations up to this count as close
+const CLOSE_APPROACH_DEGREES = 2;
+
+// The Moon's latitude never exceeds this, so stars further from the ecliptic are out of reach
+const MAX_MOON_LATITUDE = 5.35;
+
+// Search step: the Moon moves about a degree in two hours
+const STEP_DAYS = 1 / 12;
+
+// A Moon further than this from the Sun is up for most of the night
+const ALL_NIGHT_DEGREES = 135;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAS_PER_DEGREE = 3600 * 1000;
+
+/**
+ * Apparent place of a catalog star, with its proper motion, precession and nutation in longitude
+ * Aberration (at most 20") is left out, as it is for the planets.
+ * @param {Object} star - Entry from bright-stars.json
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {{longitude: number, latitude: number}} - Ecliptic coordinates of date in degrees
+ */
+function starPlace(star, jde) {
+  const T = julianCenturies(jde);
+  const years = (jde - J2000) / 365.25;
+  const ra = star.ra + star.properMotion.ra / cosDeg(star.dec) / MAS_PER_DEGREE * years;
+  const dec = star.dec + star.properMotion.dec / MAS_PER_DEGREE * years;
+  const ofDate = precessEquatorial(ra, dec, T);
+  const { lambda, beta } = equatorialToEcliptic(ofDate.ra, ofDate.dec, meanObliquity(T));
+  return { longitude: lambda + nutation(T).deltaPsi, latitude: beta };
+}
+
+/**
+ * Apparent place of a planet, moved from the J2000.0 ecliptic to the equinox of date
+ * @param {string} name - One of PLANET_NAMES
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {Object} - planetPosition() with the longitude of date
+ */
+function planetPlace(name, jde) {
+  const T = julianCenturies(jde);
+  const place = planetPosition(name, jde);
+  return { ...place, longitude: precessLongitude(place.longitude, T) + nutation(T).deltaPsi };
+}
+
+/**
+ * Close approaches and occultations by the Moon between two instants
+ * Separations are geocentric; an occultation is one the Moon's parallax brings within its
+ * limb for some observers on Earth.
+ * @param {number} startJde - Start of the search, Julian Ephemeris Day
+ * @param {number} endJde - End of the search, Julian Ephemeris Day
+ * @param {Array<Object>} [stars] - Star list in the bright-stars.json shape
+ * @returns {Array<Object>} - {kind, type, target, targetType, jde, magnitude, separation,
+ *   moonIllumination, moonPhase, elongation, description} in time order; the Moon's elongation
+ *   from the Sun is signed, positive east
+ */
+function findMoonApproachesBetween(startJde, endJde, stars = datasets.brightStarData.stars) {
+  const middle = (startJde + endJde) / 2;
+  const targets = [
+    ...PLANET_NAMES.map(name => ({
+      name,
+      type: TARGET_TYPES.PLANET,
+      placeAt: (jde) => planetPlace(name, jde)
+    })),
+    ...stars
+      .map(star => ({ star, place: starPlace(star, middle) }))
+      .filter(({ place }) => Math.abs(place.latitude) <= MAX_MOON_LATITUDE + CLOSE_APPROACH_DEGREES)
+      .map(({ star, place }) => ({
+        name: star.name,
+        type: TARGET_TYPES.STAR,
+        magnitude: star.magnitude,
+        placeAt: () => place
+      }))
+  ];
+
+  const moons = [];
+  for (let jde = startJde; jde <= endJde; jde += STEP_DAYS) {
+    moons.push({ jde, moon: moonPosition(jde) });
+  }
+  const events = [];
+
+  targets.forEach(target => {
+    const separationAt = (jde, moon = moonPosition(jde)) => {
+      const place = target.placeAt(jde);
+      return angularSeparation(moon.lambda, moon.beta, place.longitude, place.latitude);
+    };
+    const separations = moons.map(({ jde, moon }) => separationAt(jde, moon));
+
+    for (let i = 1; i < moons.length - 1; i++) {
+      const here = separations[i];
+      // A sample can miss the closest point by half a step of the Moon's motion
+      if (here > separations[i - 1] || here >= separations[i + 1] || here > CLOSE_APPROACH_DEGREES + 1) continue;
+
+      const jde = maximize(t => -separationAt(t), moons[i - 1].jde, moons[i + 1].jde);
+      const moon = moonPosition(jde);
+      const separation = separationAt(jde, moon);
+      if (separation > CLOSE_APPROACH_DEGREES) continue;
+
+      const occultation = separation < moon.semiDiameter + moon.parallax;
+      const magnitude = target.type === TARGET_TYPES.PLANET ? planetPosition(target.name, jde).magnitude : target.magnitude;
+      const phase = moonPhaseAt(dateFromJDE(jde));
+      const elongation = signedDegrees(phase.elongation);
+      const lit = `${Math.round(phase.illumination * 100)}% lit Moon`;
+      const sky = Math.abs(elongation) > ALL_NIGHT_DEGREES ? 'for most of the night' : skyPhrase(elongation);
+
+      events.push({
+        kind: occultation ? APPROACH_KINDS.OCCULTATION : APPROACH_KINDS.CLOSE_APPROACH,
+        type: occultation ? `Occultation of ${target.name}` : `Moon–${target.name} Close Approach`,
+        target: target.name,
+        targetType: target.type,
+        jde,
+        magnitude,
+        separation,
+        moonIllumination: phase.illumination,
+        moonPhase: phase.phaseName,
+        elongation,
+        description: occultation
+          ? `The ${lit} passes in front of ${target.name}, seen from parts of the Earth, ${sky}`
+          : `The ${lit} ${separation.toFixed(1)}° from ${target.name} ${sky}`
+      });
+    }
+  });
+
+  return events.sort((a, b) => a.jde - b.jde);
+}
+
+/**
+ * Find the Moon's close approaches to bright planets and stars on or near a birthday
+ * @param {string|Date} birthDate - User's birth date
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions()
+ * @param {Object} [options] - Catalogs
+ * @param {Object} [options.brightStarData] - Star list in the bright-stars.json shape
+ * @returns {Array<Object>} - Matches by year, each with its `kind` ('close-approach' or 'occultation'),
+ *   `type`, `target` and `targetType` ('planet' or 'star'), the target's `magnitude`, the geocentric
+ *   `separation` in degrees at closest approach, the Moon's `moonIllumination`, `moonPhase` and signed
+ *   `elongation`, a plain-language `description`, and the usual local `date`, `localTime` and `utc` fields
+ */
+function matchMoonApproaches(birthDate, timeZone, matchOptions = {}, options = {}) {
+  const birth = parseBirthDate(birthDate);
+  const startYear = birth.year;
+  const endYear = Math.max(startYear, COMPUTED_END_YEAR);
+  const stars = (options.brightStarData || datasets.brightStarData).stars;
+  // A day either side of the tolerance covers every time zone's view of the birthday
+  const marginMs = ((matchOptions.toleranceMinutes || 0) / (24 * 60) + 1) * DAY_MS;
+  const matches = [];
+
+  for (let year = startYear; year <= endYear; year++) {
+    const observed = observedBirthday(birth, year, matchOptions.leapDayPolicy);
+    if (!observed) continue;
+
+    const dayStart = Date.UTC(year, observed.month - 1, observed.day);
+    const events = findMoonApproachesBetween(
+      jdeFromDate(new Date(dayStart - marginMs)),
+      jdeFromDate(new Date(dayStart + DAY_MS + marginMs)),
+      stars
+    );
+
+    events.forEach(event => {
+      const local = matchBirthday(dateFromJDE(event.jde), birth, timeZone, matchOptions);
+      if (!local || local.year !== year) return;
+
+      const when = local.match === MATCH_EXACT ? 'on' : formatMatchOffset(local.offsetMinutes);
+      matches.push({
+        year: local.year,
+        type: event.type,
+        kind: event.kind,
+        target: event.target,
+        targetType: event.targetType,
+        description: `${event.description} (${when} your birthday)`,
+        date: local.date,
+        localTime: local.localTime,
+        utc: local.utc,
+        timeZone,
+        match: local.match,
+        offsetMinutes: local.offsetMinutes,
+        birthday: local.birthday,
+        magnitude: Math.round(event.magnitude * 10) / 10,
+        separation: Math.round(event.separation * 100) / 100,
+        moonIllumination: Math.round(event.moonIllumination * 100) / 100,
+        moonPhase: event.moonPhase,
+        elongation: Math.round(event.elongation * 10) / 10,
+        source: SOURCE_COMPUTED
+      });
+    });
+  }
+
+  return matches;
+}
+
+module.exports = {
+  APPROACH_KINDS,
+  TARGET_TYPES,
+  CLOSE_APPROACH_DEGREES,
+  starPlace,
+  findMoonApproachesBetween,
+  matchMoonApproaches
+};
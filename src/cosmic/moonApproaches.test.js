@@ -0,0 +1,46 @@
+import { starPlace, findMoonApproachesBetween, matchMoonApproaches } from './moonApproaches';
+import { brightStarData } from './datasets';
+import { jdeFromDate, dateFromJDE } from './astro/time';
+import { findCosmicEvents } from './index';
+
+const star = (name) => brightStarData.stars.find(entry => entry.name === name);
+const occultationsBetween = (start, end) => findMoonApproachesBetween(jdeFromDate(new Date(start)), jdeFromDate(new Date(end)))
+  .filter(event => event.kind === 'occultation')
+  .map(event => `${dateFromJDE(event.jde).toISOString().slice(0, 10)} ${event.target}`);
+
+test('carries catalog stars to the ecliptic of date', () => {
+  // Regulus sits half a degree north of the ecliptic, at 150° in 2000 and drifting 1.4° a century
+  const regulus2000 = starPlace(star('Regulus'), jdeFromDate(new Date('2000-01-01')));
+  const regulus2100 = starPlace(star('Regulus'), jdeFromDate(new Date('2100-01-01')));
+  expect(regulus2000.longitude).toBeCloseTo(149.83, 1);
+  expect(regulus2000.latitude).toBeCloseTo(0.46, 1);
+  expect(regulus2100.longitude - regulus2000.longitude).toBeCloseTo(1.40, 1);
+});
+
+test('finds published lunar occultations', () => {
+  // Aldebaran 5 Feb 2017, Mars 8 Dec 2022, Antares 25 Aug 2023, Venus 9 Nov 2023
+  expect(occultationsBetween('2017-02-01', '2017-02-10')).toEqual(['2017-02-05 Aldebaran']);
+  expect(occultationsBetween('2022-12-05', '2022-12-10')).toEqual(['2022-12-08 Mars']);
+  expect(occultationsBetween('2023-08-22', '2023-08-27')).toEqual(['2023-08-25 Antares']);
+  expect(occultationsBetween('2023-11-07', '2023-11-12')).toEqual(['2023-11-09 Venus']);
+});
+
+test('matches close approaches to a birthday', () => {
+  const matches = matchMoonApproaches('1990-05-05', 'America/New_York');
+  expect(matches[0]).toMatchObject({
+    year: 1997,
+    type: 'Occultation of Mercury',
+    kind: 'occultation',
+    targetType: 'planet',
+    match: 'exact',
+    moonPhase: 'New Moon'
+  });
+  expect(matches.every(match => match.separation <= 2)).toBe(true);
+  expect(matches.find(match => match.target === 'Aldebaran').description)
+    .toBe('The 4% lit Moon 1.7° from Aldebaran in the evening sky (on your birthday)');
+});
+
+test('adds Moon approaches to the search results', () => {
+  const results = findCosmicEvents('2023-08-25', { timeZone: 'UTC' });
+  expect(results.moonApproaches[0]).toMatchObject({ year: 2023, type: 'Occultation of Antares' });
+});
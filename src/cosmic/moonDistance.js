@@ -0,0 +1,58 @@
+/**
+ * SUPERMOONS AND MICROMOONS
+ * Earth-Moon distance at Full and New Moon birthdays, flagging the phases that
+ * fall near perigee (supermoon) or apogee (micromoon)
+ */
+
+const { jdeFromDate } = require('./astro/time');
+const { moonPosition } = require('./astro/moon');
+
+// Distance thresholds in the sense popularised by Espenak's supermoon tables
+const SUPERMOON_MAX_KM = 360000;
+const MICROMOON_MIN_KM = 405000;
+
+// Mean Earth-Moon distance, the baseline for apparent size
+const MEAN_DISTANCE_KM = 384400;
+
+const MOON_SIZES = {
+  SUPERMOON: 'supermoon',
+  MICROMOON: 'micromoon'
+};
+
+/**
+ * Describe the Moon's distance at an instant
+ * @param {Date|string} instant - UTC instant or ISO string
+ * @returns {{distanceKm: number, sizeDifferencePercent: number, moonSize: string|null}} -
+ *   sizeDifferencePercent is the apparent diameter against the mean distance (positive when larger);
+ *   moonSize is 'supermoon', 'micromoon' or null
+ */
+function describeMoonDistance(instant) {
+  const distanceKm = moonPosition(jdeFromDate(new Date(instant))).distanceKm;
+
+  let moonSize = null;
+  if (distanceKm <= SUPERMOON_MAX_KM) moonSize = MOON_SIZES.SUPERMOON;
+  else if (distanceKm >= MICROMOON_MIN_KM) moonSize = MOON_SIZES.MICROMOON;
+
+  return {
+    distanceKm: Math.round(distanceKm),
+    sizeDifferencePercent: Math.round((MEAN_DISTANCE_KM / distanceKm - 1) * 1000) / 10,
+    moonSize
+  };
+}
+
+/**
+ * Add the Moon's distance and supermoon/micromoon flag to phase matches
+ * @param {Array<Object>} matches - Phase matches carrying a `utc` instant
+ * @returns {Array<Object>} - Copies with describeMoonDistance() fields
+ */
+function addMoonDistances(matches) {
+  return matches.map(match => ({ ...match, ...describeMoonDistance(match.utc) }));
+}
+
+module.exports = {
+  SUPERMOON_MAX_KM,
+  MICROMOON_MIN_KM,
+  MOON_SIZES,
+  describeMoonDistance,
+  addMoonDistances
+};
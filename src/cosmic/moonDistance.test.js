@@ -0,0 +1,17 @@
+import { describeMoonDistance, findCosmicEvents } from './index';
+
+test('flags the closest and farthest full moons', () => {
+  // 14 November 2016: the closest full moon since 1948, about 356,500 km away
+  expect(describeMoonDistance('2016-11-14T13:52:00Z')).toMatchObject({ moonSize: 'supermoon', sizeDifferencePercent: 7.8 });
+  expect(describeMoonDistance('2016-11-14T13:52:00Z').distanceKm).toBeCloseTo(356510, -2);
+  expect(describeMoonDistance('2024-02-24T12:30:00Z').moonSize).toBe('micromoon');
+  expect(describeMoonDistance('2024-06-22T01:08:00Z').moonSize).toBeNull();
+});
+
+test('adds distances to full and new moon birthdays', () => {
+  const results = findCosmicEvents('2016-11-14', { timeZone: 'UTC' });
+  const fullMoon = results.fullMoon.find(match => match.year === 2016);
+
+  expect(fullMoon).toMatchObject({ moonSize: 'supermoon', sizeDifferencePercent: 7.8 });
+  results.newMoon.forEach(match => expect(match.distanceKm).toBeGreaterThan(350000));
+});
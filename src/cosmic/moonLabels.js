@@ -0,0 +1,180 @@
+/**
+ * FULL AND NEW MOON LABELS
+ * Classifies Full and New Moon birthday matches against the phases around them:
+ * blue moons (the second full moon in a calendar month, or the third of four in an
+ * astronomical season), black moons (the same for new moons) and the traditional
+ * full moon names, with the Harvest and Hunter's Moons placed by hemisphere.
+ */
+
+const { toZonedParts } = require('./timezones');
+const { getPhaseInstant } = require('./catalog');
+const { getCatalogPhaseYears } = require('./hybrid');
+const { computeMoonPhases } = require('./astro/lunarPhases');
+const { computeSeasons } = require('./astro/seasons');
+
+const HEMISPHERES = {
+  NORTH: 'north',
+  SOUTH: 'south'
+};
+
+const BLUE_MOON_KINDS = {
+  MONTHLY: 'monthly',
+  SEASONAL: 'seasonal'
+};
+
+// Northern names by calendar month; the southern hemisphere uses them six months later
+const FULL_MOON_NAMES = [
+  'Wolf Moon', 'Snow Moon', 'Worm Moon', 'Pink Moon', 'Flower Moon', 'Strawberry Moon',
+  'Buck Moon', 'Sturgeon Moon', 'Corn Moon', "Hunter's Moon", 'Beaver Moon', 'Cold Moon'
+];
+
+// A phase list entry and a match are the same phase if within this window
+const SAME_PHASE_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Validate a hemisphere option
+ * @param {string} [hemisphere] - One of HEMISPHERES (defaults to north)
+ * @returns {string} - Usable hemisphere
+ */
+function resolveHemisphere(hemisphere) {
+  if (!hemisphere) return HEMISPHERES.NORTH;
+  if (!Object.values(HEMISPHERES).includes(hemisphere)) {
+    throw new Error(`Unknown hemisphere: ${hemisphere}`);
+  }
+  return hemisphere;
+}
+
+/**
+ * Build a lookup of one phase's instants by UTC year
+ * Years in the moon phase database come from it; every other year is computed.
+ * @param {string} phaseName - 'Full Moon' or 'New Moon'
+ * @param {Object|null} moonPhaseData - Database in the moon-phases-1960-2100.json shape
+ * @returns {function(number): Array<Date>} - Sorted instants for a year
+ */
+function createPhaseLookup(phaseName, moonPhaseData) {
+  const catalogYears = getCatalogPhaseYears(moonPhaseData);
+  const cache = new Map();
+
+  return (year) => {
+    if (!cache.has(year)) {
+      const phases = catalogYears.has(year)
+        ? moonPhaseData.moonPhases[year].phases
+        : computeMoonPhases(year);
+      cache.set(year, phases
+        .filter(phase => phase.phase === phaseName)
+        .map(getPhaseInstant)
+        .filter(Boolean)
+        .sort((a, b) => a - b));
+    }
+    return cache.get(year);
+  };
+}
+
+/**
+ * Phases around an instant, with the position of the one at that instant
+ * @param {Date} instant - Phase instant
+ * @param {function(number): Array<Date>} lookup - From createPhaseLookup()
+ * @returns {{phases: Array<Date>, index: number}} - index is -1 when no phase is at the instant
+ */
+function phasesAround(instant, lookup) {
+  const year = instant.getUTCFullYear();
+  const phases = [...lookup(year - 1), ...lookup(year), ...lookup(year + 1)];
+  const index = phases.findIndex(phase => Math.abs(phase - instant) < SAME_PHASE_MS);
+  return { phases, index };
+}
+
+/**
+ * Check for a second phase in a calendar month or the third of four in a season
+ * @param {Array<Date>} phases - Sorted instants of one phase
+ * @param {number} index - Position of the phase to classify
+ * @param {string} timeZone - IANA time zone whose calendar months count
+ * @returns {string|null} - 'monthly', 'seasonal' or null
+ */
+function classifyExtraPhase(phases, index, timeZone) {
+  const instant = phases[index];
+  const previous = phases[index - 1];
+  if (previous) {
+    const here = toZonedParts(instant, timeZone);
+    const before = toZonedParts(previous, timeZone);
+    if (here.year === before.year && here.month === before.month) return BLUE_MOON_KINDS.MONTHLY;
+  }
+
+  // Seasons run between equinoxes and solstices, which are the same instants worldwide
+  const year = instant.getUTCFullYear();
+  const boundaries = [year - 1, year, year + 1].flatMap(y => computeSeasons(y).map(season => season.date));
+  const end = boundaries.findIndex(boundary => boundary > instant);
+  const inSeason = phases.filter(phase => phase >= boundaries[end - 1] && phase < boundaries[end]);
+  if (inSeason.length === 4 && inSeason[2].getTime() === instant.getTime()) return BLUE_MOON_KINDS.SEASONAL;
+
+  return null;
+}
+
+/**
+ * Traditional name of a full moon
+ * The Harvest Moon is the full moon nearest the autumn equinox (September in the
+ * north, March in the south) and the Hunter's Moon the one after it; the others are
+ * named by their local calendar month.
+ * @param {Array<Date>} phases - Sorted full moon instants
+ * @param {number} index - Position of the full moon to name
+ * @param {string} timeZone - IANA time zone whose calendar months count
+ * @param {string} hemisphere - One of HEMISPHERES
+ * @returns {string} - e.g. "Harvest Moon", "Wolf Moon"
+ */
+function nameFullMoon(phases, index, timeZone, hemisphere) {
+  const instant = phases[index];
+  const equinox = computeSeasons(instant.getUTCFullYear())[hemisphere === HEMISPHERES.SOUTH ? 0 : 2].date;
+
+  let harvest = 0;
+  phases.forEach((phase, i) => {
+    if (Math.abs(phase - equinox) < Math.abs(phases[harvest] - equinox)) harvest = i;
+  });
+  if (index === harvest) return 'Harvest Moon';
+  if (index === harvest + 1) return "Hunter's Moon";
+
+  const month = toZonedParts(instant, timeZone).month - 1;
+  return FULL_MOON_NAMES[hemisphere === HEMISPHERES.SOUTH ? (month + 6) % 12 : month];
+}
+
+/**
+ * Label Full and New Moon matches
+ * @param {{fullMoon: Array, newMoon: Array}} results - Matches carrying a `utc` instant
+ * @param {Object} [options] - Labelling options
+ * @param {Object|null} [options.moonPhaseData] - Database the matches were drawn from
+ * @param {string} [options.timeZone='UTC'] - IANA time zone whose calendar months count
+ * @param {string} [options.hemisphere='north'] - Hemisphere for the Harvest Moon and month names
+ * @returns {{fullMoon: Array, newMoon: Array}} - Copies; full moons gain {moonName, blueMoon},
+ *   new moons gain {blackMoon}, where blueMoon and blackMoon are 'monthly', 'seasonal' or null
+ */
+function labelMoonPhases(results, options = {}) {
+  const timeZone = options.timeZone || 'UTC';
+  const hemisphere = resolveHemisphere(options.hemisphere);
+  const fullMoons = createPhaseLookup('Full Moon', options.moonPhaseData);
+  const newMoons = createPhaseLookup('New Moon', options.moonPhaseData);
+
+  const fullMoon = (results.fullMoon || []).map(match => {
+    const { phases, index } = phasesAround(new Date(match.utc), fullMoons);
+    if (index === -1) return { ...match, moonName: null, blueMoon: null };
+    return {
+      ...match,
+      moonName: nameFullMoon(phases, index, timeZone, hemisphere),
+      blueMoon: classifyExtraPhase(phases, index, timeZone)
+    };
+  });
+
+  const newMoon = (results.newMoon || []).map(match => {
+    const { phases, index } = phasesAround(new Date(match.utc), newMoons);
+    return { ...match, blackMoon: index === -1 ? null : classifyExtraPhase(phases, index, timeZone) };
+  });
+
+  return { fullMoon, newMoon };
+}
+
+module.exports = {
+  HEMISPHERES,
+  BLUE_MOON_KINDS,
+  FULL_MOON_NAMES,
+  resolveHemisphere,
+  createPhaseLookup,
+  nameFullMoon,
+  labelMoonPhases
+};
@@ -0,0 +1,32 @@
+import { labelMoonPhases, findCosmicEvents, moonPhaseData } from './index';
+
+const label = (fullMoon, newMoon = [], options = {}) =>
+  labelMoonPhases({ fullMoon: fullMoon.map(utc => ({ utc })), newMoon: newMoon.map(utc => ({ utc })) },
+    { moonPhaseData, timeZone: 'UTC', ...options });
+
+test('finds monthly and seasonal blue moons and black moons', () => {
+  const { fullMoon, newMoon } = label(
+    ['2023-08-31T01:36:00Z', '2024-08-19T18:26:00Z', '2024-01-25T17:54:00Z'],
+    ['2024-12-30T22:27:00Z', '2024-03-10T09:00:00Z']
+  );
+
+  expect(fullMoon.map(moon => moon.blueMoon)).toEqual(['monthly', 'seasonal', null]);
+  expect(newMoon.map(moon => moon.blackMoon)).toEqual(['monthly', null]);
+});
+
+test('names full moons by month with the Harvest Moon nearest the autumn equinox', () => {
+  const north = label(['2024-01-25T17:54:00Z', '2024-09-18T02:34:00Z', '2024-10-17T11:26:00Z', '2020-10-01T21:05:00Z']);
+  const south = label(['2024-03-25T07:00:00Z', '2024-04-23T23:49:00Z', '2024-01-25T17:54:00Z'], [],
+    { hemisphere: 'south' });
+
+  expect(north.fullMoon.map(moon => moon.moonName)).toEqual(['Wolf Moon', 'Harvest Moon', "Hunter's Moon", 'Harvest Moon']);
+  expect(south.fullMoon.map(moon => moon.moonName)).toEqual(['Harvest Moon', "Hunter's Moon", 'Buck Moon']);
+});
+
+test('labels full moon birthdays found by the search', () => {
+  const results = findCosmicEvents('1960-08-31', { timeZone: 'UTC' });
+  const blueMoon = results.fullMoon.find(moon => moon.year === 2012);
+
+  expect(blueMoon).toMatchObject({ moonName: 'Sturgeon Moon', blueMoon: 'monthly' });
+  expect(() => findCosmicEvents('1960-08-31', { hemisphere: 'east' })).toThrow('Unknown hemisphere');
+});
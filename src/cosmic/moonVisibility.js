@@ -0,0 +1,100 @@
+/**
+ * THE BIRTHDAY MOON FROM THE USER'S LOCATION
+ * When a Full or New Moon birthday's Moon rose, crossed the meridian and set at a
+ * given place on the local birthday, how high it climbed, and whether it was up at
+ * the moment of the phase. Moonrise and moonset follow the almanac convention, the
+ * events during the calendar day, so a day can have no moonrise or no moonset; the
+ * transit is that of the Moon's pass across the sky after it rises, so a Full Moon
+ * rising on the birthday evening is followed to its highest point after midnight.
+ */
+
+const { describeInstant, localDayRange } = require('./timezones');
+const { moonAltitude } = require('./astro/localEclipse');
+const { scanAltitudes, findCrossings, findCulmination } = require('./astro/riseSet');
+
+// Altitude of the Moon's centre as its upper limb crosses the horizon: refraction
+// plus its mean semi-diameter, which varies by under a minute of rising time
+const MOONRISE_ALTITUDE = -0.826;
+
+// A pass that begins late in the day is followed this far into the next one
+const FOLLOW_ON_MS = 14 * 60 * 60 * 1000;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * The Moon over one local day at a place
+ * @param {{year: number, month: number, day: number}} day - Local calendar date, month 1-12
+ * @param {{latitude: number, longitude: number}} location - Observer, degrees north and east
+ * @param {string} timeZone - IANA time zone the day is counted in
+ * @returns {Object} - {moonrise, moonset, transit, maxAltitude}: times as describeInstant() objects,
+ *   null when the Moon does not rise or set during the day or culminate during its pass; maxAltitude
+ *   is the topocentric altitude of its centre at the transit (or the highest of the day without one),
+ *   in degrees
+ */
+function describeMoonDay(day, location, timeZone) {
+  const range = localDayRange(day, timeZone);
+  const [start, end] = [range.start.getTime(), range.end.getTime()];
+  const altitudeAt = (millis) => moonAltitude(millis, location).altitude;
+  const samples = scanAltitudes(altitudeAt, start, end + FOLLOW_ON_MS);
+  const daySamples = samples.filter(sample => sample.millis <= end);
+  const { rise, set } = findCrossings(daySamples, altitudeAt, MOONRISE_ALTITUDE);
+
+  // A pass begun by the day's moonrise runs until the Moon next sets; without one, the day is the pass
+  let pass = daySamples;
+  if (rise) {
+    const first = samples.findIndex(sample => sample.millis >= rise.getTime());
+    const setting = samples.findIndex((sample, i) => i > first && sample.altitude <= MOONRISE_ALTITUDE);
+    pass = samples.slice(first - 1, setting === -1 ? samples.length : setting + 1);
+  }
+  const { transit, altitude } = findCulmination(pass, altitudeAt);
+  const describe = (instant) => (instant ? describeInstant(instant, timeZone) : null);
+
+  return {
+    moonrise: describe(rise),
+    moonset: describe(set),
+    transit: describe(transit),
+    maxAltitude: round(altitude, 1)
+  };
+}
+
+/**
+ * The Moon on a Full or New Moon birthday from a location
+ * @param {Object} phase - Phase match carrying its local `date` and the `utc` instant of the phase
+ * @param {{latitude: number, longitude: number}} location - Observer
+ * @param {string} timeZone - IANA time zone for the times
+ * @returns {Object} - describeMoonDay() fields for the local date, with the Moon's `moonAltitude`
+ *   at the instant of the phase and `moonUp`, whether its upper limb was above the horizon then
+ */
+function describeMoonVisibility(phase, location, timeZone) {
+  const [year, month, day] = phase.date.split('-').map(Number);
+  const atPhase = moonAltitude(new Date(phase.utc).getTime(), location);
+
+  return {
+    ...describeMoonDay({ year, month, day }, location, timeZone),
+    moonAltitude: round(atPhase.altitude, 1),
+    moonUp: atPhase.up
+  };
+}
+
+/**
+ * Add moonrise, moonset and transit times to Full and New Moon matches
+ * @param {Array<Object>} phases - Phase matches carrying `date` and `utc`
+ * @param {Object} options - Visibility options
+ * @param {{latitude: number, longitude: number}|null} options.location - Observer, from resolveLocation()
+ * @param {string} options.timeZone - IANA time zone for the times
+ * @returns {Array<Object>} - Copies with `localCircumstances` from describeMoonVisibility(); null
+ *   when no location is given
+ */
+function addMoonVisibility(phases, { location, timeZone }) {
+  return phases.map(phase => ({
+    ...phase,
+    localCircumstances: location ? describeMoonVisibility(phase, location, timeZone) : null
+  }));
+}
+
+module.exports = {
+  MOONRISE_ALTITUDE,
+  describeMoonDay,
+  describeMoonVisibility,
+  addMoonVisibility
+};
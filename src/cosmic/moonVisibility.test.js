@@ -0,0 +1,42 @@
+import { describeMoonDay, addMoonVisibility } from './moonVisibility';
+import { findCosmicEvents } from './index';
+
+const newYork = { latitude: 40.7128, longitude: -74.006 };
+
+test('follows a Full Moon from the birthday evening to its transit after midnight', () => {
+  // Full Moon of 22 June 2024, 01:08 UT: it rises after sunset on the 21st and culminates low in the south
+  const day = describeMoonDay({ year: 2024, month: 6, day: 21 }, newYork, 'America/New_York');
+  expect(day.moonrise).toMatchObject({ date: '2024-06-21', localTime: '20:49' });
+  expect(day.moonset).toMatchObject({ date: '2024-06-21', localTime: '04:29' });
+  expect(day.transit).toMatchObject({ date: '2024-06-22', localTime: '01:07' });
+  expect(day.maxAltitude).toBeCloseTo(20, 0);
+});
+
+test('finds a New Moon crossing the sky by day', () => {
+  const day = describeMoonDay({ year: 2024, month: 12, day: 1 }, newYork, 'America/New_York');
+  expect(day.moonrise.localTime < day.transit.localTime).toBe(true);
+  expect(day.transit.localTime < day.moonset.localTime).toBe(true);
+  expect(day.transit.date).toBe('2024-12-01');
+});
+
+test('leaves out times the Moon does not reach', () => {
+  // Svalbard at midsummer: the New Moon beside the midnight sun never sets, and the Full Moon never rises
+  const svalbard = { latitude: 78.22, longitude: 15.65 };
+  const newMoon = describeMoonDay({ year: 2024, month: 6, day: 6 }, svalbard, 'Arctic/Longyearbyen');
+  expect(newMoon).toMatchObject({ moonrise: null, moonset: null });
+  expect(newMoon.transit).not.toBeNull();
+  const fullMoon = describeMoonDay({ year: 2024, month: 6, day: 22 }, svalbard, 'Arctic/Longyearbyen');
+  expect(fullMoon).toMatchObject({ moonrise: null, moonset: null });
+  expect(fullMoon.maxAltitude).toBeLessThan(0);
+
+  const phase = { date: '2024-06-22', utc: '2024-06-22T01:08:00.000Z' };
+  expect(addMoonVisibility([phase], { location: null, timeZone: 'UTC' })[0].localCircumstances).toBeNull();
+  expect(addMoonVisibility([phase], { location: newYork, timeZone: 'America/New_York' })[0].localCircumstances)
+    .toMatchObject({ moonUp: true });
+});
+
+test('adds moon times to Full and New Moon birthdays given a location', () => {
+  const results = findCosmicEvents('2000-06-21', { timeZone: 'America/New_York', location: newYork });
+  expect(results.fullMoon[0].localCircumstances.moonrise).not.toBeNull();
+  expect(results.newMoon.every(match => match.localCircumstances)).toBe(true);
+});
@@ -0,0 +1,214 @@
+/**
+ * PLANETARY EVENT BIRTHDAYS
+ * Years in which a birthday brings Mars, Jupiter or Saturn to opposition, Mercury
+ * or Venus to greatest elongation, or two bright planets into close conjunction.
+ * Only the days around each birthday are searched, from the planetary theory in
+ * astro/planets.js, so every year of the range is covered without a catalog.
+ */
+
+const { parseBirthDate } = require('./dates');
+const { MATCH_EXACT, matchBirthday, observedBirthday, formatMatchOffset } = require('./matching');
+const { COMPUTED_END_YEAR, SOURCE_COMPUTED } = require('./fallback');
+const { PLANET_NAMES, planetPosition, aberrationInLongitude } = require('./astro/planets');
+const { angularSeparation } = require('./astro/coordinates');
+const { signedDegrees } = require('./astro/angles');
+const { bisect, maximize } = require('./astro/search');
+const { jdeFromDate, dateFromJDE, julianCenturies } = require('./astro/time');
+
+const PLANET_EVENT_KINDS = {
+  OPPOSITION: 'opposition',
+  GREATEST_ELONGATION: 'greatest-elongation',
+  CONJUNCTION: 'conjunction'
+};
+
+const SUPERIOR_PLANETS = ['Mars', 'Jupiter', 'Saturn'];
+const INFERIOR_PLANETS = ['Mercury', 'Venus'];
+
+// Conjunctions closer than this count as close
+const CLOSE_CONJUNCTION_DEGREES = 1;
+
+// Planets nearer the Sun than this are lost in its glare
+const GLARE_DEGREES = 12;
+
+// Search step: short enough that no elongation turns or conjunction passes twice within it
+const STEP_DAYS = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Where a planet or pair appears: in the evening or morning sky, or too near the Sun
+ * @param {number} signedElongation - Degrees from the Sun, positive east
+ * @returns {string} - Phrase for descriptions
+ */
+function skyPhrase(signedElongation) {
+  if (Math.abs(signedElongation) < GLARE_DEGREES) return "in the Sun's glare";
+  return signedElongation > 0 ? 'in the evening sky' : 'in the morning sky';
+}
+
+const formatMagnitude = (magnitude) => magnitude.toFixed(1);
+
+/**
+ * Planetary events between two instants
+ * @param {number} startJde - Start of the search, Julian Ephemeris Day
+ * @param {number} endJde - End of the search, Julian Ephemeris Day
+ * @returns {Array<Object>} - {kind, type, planets, jde, magnitudes, elongation, separation, description}
+ *   in time order; elongation is signed, positive east of the Sun
+ */
+function findPlanetEventsBetween(startJde, endJde) {
+  const samples = [];
+  for (let jde = startJde; jde <= endJde; jde += STEP_DAYS) {
+    const positions = {};
+    PLANET_NAMES.forEach(name => { positions[name] = planetPosition(name, jde); });
+    samples.push({ jde, positions });
+  }
+  const events = [];
+
+  SUPERIOR_PLANETS.forEach(name => {
+    // Oppositions are timed in apparent longitude, as published: aberration moves the Sun
+    // and the planet opposite it some 40" apart, a quarter of an hour of their motion
+    const fromOpposition = (place, jde) => {
+      const T = julianCenturies(jde);
+      const planet = place.longitude + aberrationInLongitude(place.longitude, place.latitude, place.sunLongitude, T);
+      const sun = place.sunLongitude + aberrationInLongitude(place.sunLongitude, 0, place.sunLongitude, T);
+      return signedDegrees(planet - sun - 180);
+    };
+    for (let i = 1; i < samples.length; i++) {
+      const before = fromOpposition(samples[i - 1].positions[name], samples[i - 1].jde);
+      const after = fromOpposition(samples[i].positions[name], samples[i].jde);
+      // Planets move west of the opposition point as the Sun overtakes them
+      if (before >= 0 && after < 0 && before < 90) {
+        const jde = bisect(t => -fromOpposition(planetPosition(name, t), t), samples[i - 1].jde, samples[i].jde);
+        const place = planetPosition(name, jde);
+        events.push({
+          kind: PLANET_EVENT_KINDS.OPPOSITION,
+          type: `${name} at Opposition`,
+          planets: [name],
+          jde,
+          magnitudes: [place.magnitude],
+          elongation: place.signedElongation,
+          separation: null,
+          description: `${name} opposite the Sun and up all night, at magnitude ${formatMagnitude(place.magnitude)}`
+        });
+      }
+    }
+  });
+
+  INFERIOR_PLANETS.forEach(name => {
+    for (let i = 1; i < samples.length - 1; i++) {
+      const [previous, here, next] = [i - 1, i, i + 1].map(j => samples[j].positions[name].elongation);
+      if (here > previous && here >= next) {
+        const jde = maximize(t => planetPosition(name, t).elongation, samples[i - 1].jde, samples[i + 1].jde);
+        const place = planetPosition(name, jde);
+        const side = place.signedElongation > 0 ? 'Eastern' : 'Western';
+        events.push({
+          kind: PLANET_EVENT_KINDS.GREATEST_ELONGATION,
+          type: `${name} at Greatest ${side} Elongation`,
+          planets: [name],
+          jde,
+          magnitudes: [place.magnitude],
+          elongation: place.signedElongation,
+          separation: null,
+          description: `${name} ${place.elongation.toFixed(1)}° from the Sun ${skyPhrase(place.signedElongation)}, `
+            + `at magnitude ${formatMagnitude(place.magnitude)}`
+        });
+      }
+    }
+  });
+
+  PLANET_NAMES.forEach((first, index) => {
+    PLANET_NAMES.slice(index + 1).forEach(second => {
+      const apart = (jde) => signedDegrees(planetPosition(first, jde).longitude - planetPosition(second, jde).longitude);
+      for (let i = 1; i < samples.length; i++) {
+        const before = signedDegrees(samples[i - 1].positions[first].longitude - samples[i - 1].positions[second].longitude);
+        const after = signedDegrees(samples[i].positions[first].longitude - samples[i].positions[second].longitude);
+        if (Math.sign(before) === Math.sign(after) || Math.abs(before - after) > 90) continue;
+
+        const jde = before < after ? bisect(apart, samples[i - 1].jde, samples[i].jde)
+          : bisect(t => -apart(t), samples[i - 1].jde, samples[i].jde);
+        const a = planetPosition(first, jde);
+        const b = planetPosition(second, jde);
+        const separation = angularSeparation(a.longitude, a.latitude, b.longitude, b.latitude);
+        if (separation > CLOSE_CONJUNCTION_DEGREES) continue;
+
+        events.push({
+          kind: PLANET_EVENT_KINDS.CONJUNCTION,
+          type: `${first}–${second} Conjunction`,
+          planets: [first, second],
+          jde,
+          magnitudes: [a.magnitude, b.magnitude],
+          elongation: a.signedElongation,
+          separation,
+          description: `${first} and ${second} ${separation.toFixed(1)}° apart ${skyPhrase(a.signedElongation)}, `
+            + `at magnitudes ${formatMagnitude(a.magnitude)} and ${formatMagnitude(b.magnitude)}`
+        });
+      }
+    });
+  });
+
+  return events.sort((a, b) => a.jde - b.jde);
+}
+
+/**
+ * Find planetary events on or near a birthday
+ * @param {string|Date} birthDate - User's birth date
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions()
+ * @returns {Array<Object>} - Matches by year, each with its `kind` ('opposition', 'greatest-elongation'
+ *   or 'conjunction'), `type`, `planets`, `magnitudes` (one per planet), signed `elongation` from the
+ *   Sun, conjunction `separation` in degrees (null otherwise), a plain-language `description`, and
+ *   the usual local `date`, `localTime` and `utc` fields
+ */
+function matchPlanetEvents(birthDate, timeZone, matchOptions = {}) {
+  const birth = parseBirthDate(birthDate);
+  const startYear = birth.year;
+  const endYear = Math.max(startYear, COMPUTED_END_YEAR);
+  // A day either side of the tolerance covers every time zone's view of the birthday
+  const marginMs = ((matchOptions.toleranceMinutes || 0) / (24 * 60) + 1) * DAY_MS;
+  const matches = [];
+
+  for (let year = startYear; year <= endYear; year++) {
+    const observed = observedBirthday(birth, year, matchOptions.leapDayPolicy);
+    if (!observed) continue;
+
+    const dayStart = Date.UTC(year, observed.month - 1, observed.day);
+    const events = findPlanetEventsBetween(
+      jdeFromDate(new Date(dayStart - marginMs)),
+      jdeFromDate(new Date(dayStart + DAY_MS + marginMs))
+    );
+
+    events.forEach(event => {
+      const local = matchBirthday(dateFromJDE(event.jde), birth, timeZone, matchOptions);
+      if (!local || local.year !== year) return;
+
+      const when = local.match === MATCH_EXACT ? 'on' : formatMatchOffset(local.offsetMinutes);
+      matches.push({
+        year: local.year,
+        type: event.type,
+        kind: event.kind,
+        planets: event.planets,
+        description: `${event.description} (${when} your birthday)`,
+        date: local.date,
+        localTime: local.localTime,
+        utc: local.utc,
+        timeZone,
+        match: local.match,
+        offsetMinutes: local.offsetMinutes,
+        birthday: local.birthday,
+        magnitudes: event.magnitudes.map(magnitude => Math.round(magnitude * 10) / 10),
+        elongation: Math.round(event.elongation * 10) / 10,
+        separation: event.separation === null ? null : Math.round(event.separation * 100) / 100,
+        source: SOURCE_COMPUTED
+      });
+    });
+  }
+
+  return matches;
+}
+
+module.exports = {
+  PLANET_EVENT_KINDS,
+  CLOSE_CONJUNCTION_DEGREES,
+  skyPhrase,
+  findPlanetEventsBetween,
+  matchPlanetEvents
+};
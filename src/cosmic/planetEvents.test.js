@@ -0,0 +1,64 @@
+import { findPlanetEventsBetween, matchPlanetEvents } from './planetEvents';
+import { jdeFromDate, dateFromJDE } from './astro/time';
+import { findCosmicEvents } from './index';
+
+const dayOf = (event) => dateFromJDE(event.jde).toISOString().slice(0, 10);
+
+test('finds the planetary events of 2020', () => {
+  const events = findPlanetEventsBetween(jdeFromDate(new Date('2020-01-01')), jdeFromDate(new Date('2021-01-01')));
+  const on = (type) => events.filter(event => event.type === type).map(dayOf);
+
+  // Published dates: oppositions 14 Jul (Jupiter), 20 Jul (Saturn), 13 Oct (Mars);
+  // Venus at greatest elongation 24 Mar and 13 Aug
+  expect(on('Jupiter at Opposition')).toEqual(['2020-07-14']);
+  expect(on('Saturn at Opposition')).toEqual(['2020-07-20']);
+  expect(on('Mars at Opposition')).toEqual(['2020-10-13']);
+  expect(on('Venus at Greatest Eastern Elongation')).toEqual(['2020-03-24']);
+  expect(on('Venus at Greatest Western Elongation')).toEqual(['2020-08-13']);
+  expect(events.filter(event => event.planets[0] === 'Mercury' && event.kind === 'greatest-elongation')).toHaveLength(6);
+
+  // The great conjunction in ecliptic longitude, 21 Dec 18:20 UTC, 0.1° apart in the evening twilight
+  const great = events.find(event => event.type === 'Jupiter–Saturn Conjunction');
+  expect(dayOf(great)).toBe('2020-12-21');
+  expect(Math.abs(dateFromJDE(great.jde) - new Date('2020-12-21T18:20:00Z'))).toBeLessThan(30 * 60 * 1000);
+  expect(great.separation).toBeLessThan(0.15);
+  expect(great.description).toMatch(/^Jupiter and Saturn 0\.1° apart in the evening sky/);
+});
+
+test('times oppositions of Jupiter and Saturn in apparent longitude', () => {
+  const events = findPlanetEventsBetween(jdeFromDate(new Date('2023-08-01')), jdeFromDate(new Date('2023-12-01')));
+  const at = (type) => dateFromJDE(events.find(event => event.type === type).jde);
+
+  // Published: Saturn 27 Aug 2023 08:28 UTC, Jupiter 3 Nov 2023 05:03 UTC
+  expect(Math.abs(at('Saturn at Opposition') - new Date('2023-08-27T08:28:00Z'))).toBeLessThan(6 * 60 * 1000);
+  expect(Math.abs(at('Jupiter at Opposition') - new Date('2023-11-03T05:03:00Z'))).toBeLessThan(6 * 60 * 1000);
+});
+
+test('matches planetary events to a birthday', () => {
+  const matches = matchPlanetEvents('1990-07-14', 'UTC');
+  expect(matches[0]).toMatchObject({
+    year: 1990,
+    type: 'Saturn at Opposition',
+    kind: 'opposition',
+    planets: ['Saturn'],
+    separation: null,
+    match: 'exact',
+    source: 'computed'
+  });
+  expect(matches.find(match => match.year === 2020)).toMatchObject({ type: 'Jupiter at Opposition' });
+  expect(matches.every(match => match.date.slice(5) === '07-14')).toBe(true);
+});
+
+test('adds planetary events to the search results', () => {
+  const results = findCosmicEvents('2000-12-21', { timeZone: 'America/Chicago' });
+  expect(results.planetEvents.find(event => event.year === 2020)).toMatchObject({
+    type: 'Jupiter–Saturn Conjunction',
+    magnitudes: [-2, 0.6]
+  });
+
+  // The conjunction falls on 21 December in UTC and zones east of it too
+  ['UTC', 'Europe/London', 'Asia/Kolkata'].forEach(timeZone => {
+    expect(matchPlanetEvents('2000-12-21', timeZone).find(event => event.year === 2020))
+      .toMatchObject({ type: 'Jupiter–Saturn Conjunction', date: '2020-12-21' });
+  });
+});
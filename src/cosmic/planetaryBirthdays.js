@@ -0,0 +1,173 @@
+/**
+ * PLANETARY BIRTHDAYS
+ * Age counted in the years of the other bright planets, one for each orbit of the
+ * Sun since birth, with the calendar dates of the next planetary birthdays; and the
+ * Jupiter and Saturn returns, when those planets come back to the heliocentric
+ * longitude they had at birth. Planet years are mean sidereal periods; returns
+ * follow the planets along their actual orbits from astro/planets.js.
+ */
+
+const { parseBirthDate } = require('./dates');
+const { fromZonedTime, describeInstant } = require('./timezones');
+const { parseBirthTime } = require('./birthMoon');
+const { heliocentricPosition } = require('./astro/planets');
+const { normalizeDegrees, signedDegrees, atan2Deg } = require('./astro/angles');
+const { bisect } = require('./astro/search');
+const { jdeFromDate, dateFromJDE } = require('./astro/time');
+
+// Mean sidereal orbital periods in days (Seidelmann, Explanatory Supplement, table 15.6)
+const ORBITAL_PERIODS_DAYS = {
+  Mercury: 87.9691,
+  Venus: 224.701,
+  Mars: 686.980,
+  Jupiter: 4332.589,
+  Saturn: 10759.22
+};
+
+const RETURN_PLANETS = ['Jupiter', 'Saturn'];
+
+// Planetary birthdays listed ahead for each planet
+const UPCOMING_BIRTHDAYS = 3;
+
+// Returns are followed for a long lifetime
+const RETURN_SEARCH_YEARS = 100;
+
+// Search step for returns: Jupiter moves under three degrees a month
+const RETURN_STEP_DAYS = 30;
+
+// Birth moments are read at local noon unless a birth time is given
+const DEFAULT_READING_TIME = { hour: 12, minute: 0 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60000;
+const EARTH_YEAR_DAYS = 365.25;
+
+/**
+ * English ordinal of a count
+ * @param {number} count - Positive integer
+ * @returns {string} - e.g. "1st", "22nd", "113th"
+ */
+function ordinal(count) {
+  const teen = Math.floor(count / 10) % 10 === 1;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[count % 10] || 'th');
+  return `${count}${suffix}`;
+}
+
+/**
+ * Heliocentric longitude of a planet on the J2000.0 ecliptic
+ * @param {string} name - One of PLANET_NAMES
+ * @param {number} jde - Julian Ephemeris Day
+ * @returns {number} - Degrees
+ */
+function heliocentricLongitude(name, jde) {
+  const { x, y } = heliocentricPosition(name, jde);
+  return normalizeDegrees(atan2Deg(y, x));
+}
+
+/**
+ * Age in the years of each planet, with the next planetary birthdays
+ * @param {Date} birth - Birth instant
+ * @param {Date} now - Instant the age is counted to
+ * @param {string} timeZone - IANA time zone for the birthday dates
+ * @returns {Array<Object>} - One entry per planet: {planet, periodDays, age (planet years, to two
+ *   places), completed (whole planet years), upcoming}, upcoming being the next birthdays as
+ *   describeInstant() objects, to the minute, with their `number`
+ */
+function planetaryAges(birth, now, timeZone) {
+  const days = (now - birth) / DAY_MS;
+
+  return Object.entries(ORBITAL_PERIODS_DAYS).map(([planet, periodDays]) => {
+    const completed = Math.floor(days / periodDays);
+    const upcoming = [];
+    for (let number = completed + 1; number <= completed + UPCOMING_BIRTHDAYS; number++) {
+      const millis = birth.getTime() + number * periodDays * DAY_MS;
+      upcoming.push({ number, ...describeInstant(new Date(Math.round(millis / MINUTE_MS) * MINUTE_MS), timeZone) });
+    }
+    return { planet, periodDays, age: Math.floor(days / periodDays * 100) / 100, completed, upcoming };
+  });
+}
+
+/**
+ * Times a planet returns to the heliocentric longitude it had at birth
+ * @param {string} name - One of PLANET_NAMES
+ * @param {Date} birth - Birth instant
+ * @param {number} [years=100] - Earth years after birth to search
+ * @returns {Array<{number: number, jde: number}>} - Returns in order, to about a minute
+ */
+function findPlanetReturns(name, birth, years = RETURN_SEARCH_YEARS) {
+  const birthJde = jdeFromDate(birth);
+  const birthLongitude = heliocentricLongitude(name, birthJde);
+  const fromBirth = (jde) => signedDegrees(heliocentricLongitude(name, jde) - birthLongitude);
+  const endJde = birthJde + years * EARTH_YEAR_DAYS;
+  const returns = [];
+
+  // Planets only move forward around the Sun, so each return is a rising zero of the offset
+  let before = fromBirth(birthJde + RETURN_STEP_DAYS);
+  for (let jde = birthJde + 2 * RETURN_STEP_DAYS; jde <= endJde; jde += RETURN_STEP_DAYS) {
+    const after = fromBirth(jde);
+    if (before <= 0 && after > 0) {
+      returns.push({ number: returns.length + 1, jde: bisect(fromBirth, jde - RETURN_STEP_DAYS, jde) });
+    }
+    before = after;
+  }
+  return returns;
+}
+
+/**
+ * Planetary ages, upcoming planetary birthdays, and Jupiter and Saturn returns
+ * @param {string|Date} birthDate - Birth date as "YYYY-MM-DD" or Date
+ * @param {Object} [options] - Options
+ * @param {string} [options.birthTime] - Local birth time as "HH:MM"; local noon when not given
+ * @param {string} [options.timeZone='UTC'] - IANA time zone of the birth time and the dates
+ * @param {Date} [options.now] - Instant the age is counted to (defaults to the present)
+ * @returns {Object|null} - {ages, returns, upcoming}: ages from planetaryAges(); returns as describeInstant()
+ *   objects with `planet`, `number`, `age` in Earth years and `upcoming`; and upcoming, the future
+ *   planetary birthdays and returns in date order, each with a `type` and a plain-language `description`.
+ *   Null for a birth after `now`, which has no age yet
+ */
+function describePlanetaryBirthdays(birthDate, options = {}) {
+  const birth = parseBirthDate(birthDate);
+  const timeZone = options.timeZone || 'UTC';
+  const now = options.now || new Date();
+  const time = options.birthTime ? parseBirthTime(options.birthTime) : DEFAULT_READING_TIME;
+  const instant = fromZonedTime({ ...birth, ...time }, timeZone);
+  if (instant > now) return null;
+
+  const ages = planetaryAges(instant, now, timeZone);
+  const returns = RETURN_PLANETS.flatMap(planet => findPlanetReturns(planet, instant).map(({ number, jde }) => {
+    const date = dateFromJDE(jde);
+    return {
+      planet,
+      number,
+      ...describeInstant(date, timeZone),
+      age: Math.round((date - instant) / DAY_MS / EARTH_YEAR_DAYS * 10) / 10,
+      upcoming: date >= now
+    };
+  })).sort((a, b) => a.utc.localeCompare(b.utc));
+
+  const upcoming = [
+    ...ages.flatMap(({ planet, upcoming: birthdays }) => birthdays.map(birthday => ({
+      ...birthday,
+      type: `${planet} Birthday`,
+      description: `Your ${ordinal(birthday.number)} birthday in ${planet} years`
+    }))),
+    ...returns.filter(entry => entry.upcoming).map(entry => ({
+      ...entry,
+      type: `${entry.planet} Return`,
+      description: `${entry.planet} back where it was around the Sun when you were born, `
+        + `its ${ordinal(entry.number)} return, at age ${entry.age}`
+    }))
+  ].sort((a, b) => a.utc.localeCompare(b.utc));
+
+  return { ages, returns, upcoming };
+}
+
+module.exports = {
+  ORBITAL_PERIODS_DAYS,
+  RETURN_PLANETS,
+  ordinal,
+  heliocentricLongitude,
+  planetaryAges,
+  findPlanetReturns,
+  describePlanetaryBirthdays
+};
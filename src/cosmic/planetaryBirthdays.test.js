@@ -0,0 +1,53 @@
+import { ORBITAL_PERIODS_DAYS, ordinal, findPlanetReturns, describePlanetaryBirthdays } from './planetaryBirthdays';
+import { findCosmicEvents } from './index';
+
+const now = new Date('2024-01-01T00:00:00Z');
+
+test('counts the age in planet years with the next birthdays', () => {
+  const { ages } = describePlanetaryBirthdays('2000-01-01', { timeZone: 'UTC', now });
+  const age = (planet) => ages.find(entry => entry.planet === planet);
+
+  expect(ages.map(entry => entry.planet)).toEqual(Object.keys(ORBITAL_PERIODS_DAYS));
+  expect(age('Mercury')).toMatchObject({ age: 99.64, completed: 99 });
+  expect(age('Mercury').upcoming.map(birthday => birthday.date)).toEqual(['2024-02-01', '2024-04-29', '2024-07-26']);
+  expect(age('Mars')).toMatchObject({ age: 12.75, completed: 12 });
+  expect(age('Saturn')).toMatchObject({ completed: 0, upcoming: [{ number: 1, date: '2029-06-16' }, {}, {}] });
+});
+
+test('finds the Jupiter and Saturn returns', () => {
+  const { returns, upcoming } = describePlanetaryBirthdays('2000-01-01', { timeZone: 'UTC', now });
+  const dates = (planet) => returns.filter(entry => entry.planet === planet).map(entry => entry.date);
+
+  expect(dates('Jupiter').slice(0, 3)).toEqual(['2011-11-11', '2023-09-21', '2035-08-02']);
+  expect(dates('Saturn')).toEqual(['2029-06-18', '2058-11-20', '2088-05-09']);
+  expect(returns.find(entry => entry.planet === 'Saturn')).toMatchObject({ age: 29.5, upcoming: true });
+
+  // Past returns stay out of the upcoming dates, which run in order
+  expect(upcoming.find(entry => entry.type === 'Jupiter Return').number).toBe(3);
+  expect(upcoming.map(entry => entry.utc)).toEqual(upcoming.map(entry => entry.utc).sort());
+  expect(upcoming[0].description).toBe('Your 100th birthday in Mercury years');
+});
+
+test('spaces returns by the orbital period', () => {
+  const returns = findPlanetReturns('Jupiter', new Date('1990-05-01T12:00:00Z'), 50);
+  expect(returns).toHaveLength(4);
+  returns.slice(1).forEach((entry, i) => {
+    expect(Math.abs(entry.jde - returns[i].jde - ORBITAL_PERIODS_DAYS.Jupiter)).toBeLessThan(60);
+  });
+});
+
+test('writes English ordinals', () => {
+  expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 101, 112].map(ordinal))
+    .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '101st', '112th']);
+});
+
+test('adds planetary birthdays to the results', () => {
+  const results = findCosmicEvents('2000-01-01', { timeZone: 'UTC', now });
+  expect(results.planetaryBirthdays.ages).toHaveLength(5);
+});
+
+test('has no planetary ages for a birth still to come', () => {
+  expect(describePlanetaryBirthdays('2300-12-31', { timeZone: 'UTC', now })).toBeNull();
+  expect(describePlanetaryBirthdays('2024-01-01', { birthTime: '00:30', timeZone: 'UTC', now })).toBeNull();
+  expect(describePlanetaryBirthdays('2023-12-31', { timeZone: 'UTC', now }).ages[0]).toMatchObject({ completed: 0 });
+});
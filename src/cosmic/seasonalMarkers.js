@@ -0,0 +1,59 @@
+/**
+ * SEASONAL MARKER BIRTHDAYS
+ * Years in which a birthday falls on an equinox, a solstice or one of the
+ * cross-quarter days between them. The instants are computed for every year of
+ * the search range, so no catalog is needed.
+ */
+
+const { parseBirthDate } = require('./dates');
+const { MATCH_EXACT, matchBirthday, formatMatchOffset } = require('./matching');
+const { COMPUTED_END_YEAR, SOURCE_COMPUTED } = require('./fallback');
+const { computeSeasonalMarkers } = require('./astro/seasons');
+
+/**
+ * Find the equinoxes, solstices and cross-quarter days that fall on a birthday
+ * @param {string|Date} birthDate - User's birth date
+ * @param {string} timeZone - IANA time zone the birthday is observed in
+ * @param {Object} [matchOptions] - Tolerance and leap-day policy from resolveMatchOptions()
+ * @returns {Array<Object>} - Matches by year, each with the marker's `type` (e.g. 'June Solstice'),
+ *   `kind` ('equinox', 'solstice' or 'cross-quarter'), `festival` for cross-quarter days,
+ *   `solarLongitude`, and the usual local `date`, `localTime` and `utc` fields
+ */
+function matchSeasonalMarkers(birthDate, timeZone, matchOptions = {}) {
+  const birth = parseBirthDate(birthDate);
+  const startYear = birth.year;
+  const endYear = Math.max(startYear, COMPUTED_END_YEAR);
+  const matches = [];
+
+  // One year either side catches local New Year shifts and near misses across it
+  for (let year = startYear - 1; year <= endYear + 1; year++) {
+    computeSeasonalMarkers(year).forEach(marker => {
+      const local = matchBirthday(marker.date, birth, timeZone, matchOptions);
+      if (!local || local.year < startYear || local.year > endYear) return;
+
+      const when = local.match === MATCH_EXACT ? 'on' : formatMatchOffset(local.offsetMinutes);
+      matches.push({
+        year: local.year,
+        type: marker.name,
+        kind: marker.kind,
+        festival: marker.festival,
+        solarLongitude: marker.longitude,
+        description: `${marker.name} ${when} your birthday`,
+        date: local.date,
+        localTime: local.localTime,
+        utc: local.utc,
+        timeZone,
+        match: local.match,
+        offsetMinutes: local.offsetMinutes,
+        birthday: local.birthday,
+        source: SOURCE_COMPUTED
+      });
+    });
+  }
+
+  return matches.sort((a, b) => a.year - b.year || a.utc.localeCompare(b.utc));
+}
+
+module.exports = {
+  matchSeasonalMarkers
+};
@@ -0,0 +1,35 @@
+import { matchSeasonalMarkers } from './seasonalMarkers';
+import { findCosmicEvents } from './index';
+
+test('finds solstice birthdays with their local and UTC times', () => {
+  const matches = matchSeasonalMarkers('1990-06-21', 'Europe/London');
+
+  expect(matches[0]).toMatchObject({
+    year: 1990,
+    type: 'June Solstice',
+    kind: 'solstice',
+    festival: null,
+    date: '1990-06-21',
+    localTime: '16:32',
+    match: 'exact',
+    source: 'computed'
+  });
+  expect(matches[0].utc.slice(0, 16)).toBe('1990-06-21T15:32');
+  expect(matches.every(match => match.type === 'June Solstice')).toBe(true);
+  expect(matches[matches.length - 1].year).toBeLessThanOrEqual(2300);
+});
+
+test('matches cross-quarter days in the local time zone, with near misses', () => {
+  const exact = matchSeasonalMarkers('1990-11-07', 'America/New_York');
+  expect(exact[0]).toMatchObject({ year: 1990, type: 'November Cross-Quarter', festival: 'Samhain' });
+  expect(exact.some(match => match.year === 1992)).toBe(false);
+
+  // The 1992 cross-quarter fell an hour before midnight on 6 November in New York
+  const near = matchSeasonalMarkers('1990-11-07', 'America/New_York', { toleranceMinutes: 12 * 60 });
+  expect(near.find(match => match.year === 1992)).toMatchObject({ match: 'near', offsetMinutes: -59 });
+});
+
+test('adds seasonal markers to the search results', () => {
+  const results = findCosmicEvents('2000-03-20', { timeZone: 'UTC' });
+  expect(results.seasonalMarkers[0]).toMatchObject({ year: 2000, type: 'March Equinox', kind: 'equinox' });
+});
@@ -0,0 +1,203 @@
+/**
+ * NIGHT-SKY CHART
+ * The sky above a place at one instant, as drawing coordinates for a round chart:
+ * the stars and constellation figures of the bundled sky catalog, the five bright
+ * planets, the Moon and the Sun. The chart is a stereographic projection centred
+ * on the zenith with north at the top and east on the left, as the sky looks when
+ * lying on your back with your head to the north; the horizon is its rim.
+ */
+
+const datasets = require('./datasets');
+const { parseBirthDate } = require('./dates');
+const { fromZonedTime, describeInstant } = require('./timezones');
+const { parseBirthTime } = require('./birthMoon');
+const { HORIZON_ALTITUDE } = require('./astro/localEclipse');
+const { TWILIGHT_ALTITUDES } = require('./astro/riseSet');
+const { moonPosition } = require('./astro/moon');
+const { moonPhaseAt } = require('./astro/moonPhase');
+const { sunPosition } = require('./astro/sun');
+const { PLANET_NAMES, planetPosition } = require('./astro/planets');
+const {
+  nutation,
+  precessLongitude,
+  precessEquatorial,
+  trueObliquity,
+  eclipticToEquatorial,
+  greenwichSiderealTime,
+  equatorialToHorizontal,
+  topocentricEquatorial
+} = require('./astro/coordinates');
+const { sinDeg, cosDeg } = require('./astro/angles');
+const { julianDay, julianCenturies, jdeFromDate } = require('./astro/time');
+
+const DEFAULT_CHART_SIZE = 500;
+
+const SKY_STATES = {
+  DAY: 'day',
+  TWILIGHT: 'twilight',
+  NIGHT: 'night'
+};
+
+// Constellation lines are drawn this far below the horizon so they leave the chart at its rim
+const LINE_MARGIN_DEGREES = 15;
+
+const CARDINAL_POINTS = [
+  { label: 'N', azimuth: 0 },
+  { label: 'E', azimuth: 90 },
+  { label: 'S', azimuth: 180 },
+  { label: 'W', azimuth: 270 }
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Stereographic projection of the sky onto a chart with the zenith at its centre
+ * @param {number} size - Chart width and height in pixels; the horizon touches its edges
+ * @returns {function({altitude: number, azimuth: number}): Array<number>} - Horizontal place to [x, y]
+ */
+function createSkyProjection(size) {
+  const radius = size / 2;
+  return ({ altitude, azimuth }) => {
+    const distance = radius * Math.tan((90 - altitude) * Math.PI / 360);
+    return [round(radius - distance * sinDeg(azimuth)), round(radius - distance * cosDeg(azimuth))];
+  };
+}
+
+/**
+ * The Sun's altitude as a state of the sky
+ * @param {number} altitude - Altitude of the Sun's centre in degrees
+ * @returns {string} - One of SKY_STATES
+ */
+function skyStateOf(altitude) {
+  if (altitude > HORIZON_ALTITUDE) return SKY_STATES.DAY;
+  return altitude > TWILIGHT_ALTITUDES.astronomical ? SKY_STATES.TWILIGHT : SKY_STATES.NIGHT;
+}
+
+/**
+ * Draw the sky above a place at an instant
+ * Stars are precessed from J2000.0 to the equinox of date; proper motion, nutation,
+ * aberration and refraction, all far smaller than a chart pixel, are left out.
+ * @param {Date} instant - UTC instant
+ * @param {{latitude: number, longitude: number}} location - Observer, degrees north and east
+ * @param {Object} [options] - Chart options
+ * @param {number} [options.size=500] - Chart width and height in pixels
+ * @param {Object} [options.skyCatalog] - Catalog in the sky-catalog.json shape
+ * @returns {Object} - {size, skyState, stars, constellations, planets, moon, sun, cardinals}: stars above
+ *   the horizon as {x, y, altitude, azimuth, magnitude, bv, name}, brightest first; constellations as
+ *   {id, name, d (SVG path data), label ({x, y}, null when its centre is below the horizon)}; planets,
+ *   the Moon and the Sun with {x, y, altitude, azimuth, up}, the planets' `magnitude` and the Moon's
+ *   `illumination` and `phaseName`; the Moon is topocentric
+ */
+function buildSkyChart(instant, { latitude, longitude }, options = {}) {
+  const size = options.size || DEFAULT_CHART_SIZE;
+  const catalog = options.skyCatalog || datasets.skyCatalog;
+  const project = createSkyProjection(size);
+
+  const jde = jdeFromDate(instant);
+  const T = julianCenturies(jde);
+  const localSiderealTime = greenwichSiderealTime(julianDay(instant), jde) + longitude;
+  const horizontal = (ra, dec) => equatorialToHorizontal(ra, dec, latitude, localSiderealTime);
+  const catalogPlace = ([ra, dec]) => {
+    const ofDate = precessEquatorial(ra, dec, T);
+    return horizontal(ofDate.ra, ofDate.dec);
+  };
+  const placed = (place, up = place.altitude > 0) => {
+    const [x, y] = project(place);
+    return { x, y, altitude: round(place.altitude), azimuth: round(place.azimuth), up };
+  };
+
+  const stars = [];
+  catalog.stars.forEach(star => {
+    const place = catalogPlace(star);
+    if (place.altitude <= 0) return;
+    const { x, y, altitude, azimuth } = placed(place);
+    stars.push({ x, y, altitude, azimuth, magnitude: star[2], bv: star[3], name: star[4] });
+  });
+
+  const constellations = catalog.constellations.map(constellation => {
+    // A line is broken wherever it dips too far below the horizon to project cleanly
+    const pieces = [];
+    constellation.lines.forEach(line => {
+      let piece = [];
+      line.forEach(point => {
+        const place = catalogPlace(point);
+        if (place.altitude < -LINE_MARGIN_DEGREES) {
+          piece = [];
+          return;
+        }
+        if (!piece.length) pieces.push(piece);
+        piece.push(project(place).join(','));
+      });
+    });
+    const label = catalogPlace(constellation.label);
+
+    return {
+      id: constellation.id,
+      name: constellation.name,
+      d: pieces.filter(piece => piece.length > 1).map(piece => `M${piece.join('L')}`).join(''),
+      label: label.altitude > 0 ? { x: project(label)[0], y: project(label)[1] } : null
+    };
+  }).filter(constellation => constellation.d || constellation.label);
+
+  const { deltaPsi } = nutation(T);
+  const obliquity = trueObliquity(T);
+  const planets = PLANET_NAMES.map(name => {
+    const position = planetPosition(name, jde);
+    const { ra, dec } = eclipticToEquatorial(precessLongitude(position.longitude, T) + deltaPsi, position.latitude, obliquity);
+    return { name, ...placed(horizontal(ra, dec)), magnitude: Math.round(position.magnitude * 10) / 10 };
+  });
+
+  const moon = moonPosition(jde);
+  const topocentric = topocentricEquatorial(moon.ra, moon.dec, moon.parallax, latitude, localSiderealTime);
+  const moonPlace = horizontal(topocentric.ra, topocentric.dec);
+  const phase = moonPhaseAt(instant);
+
+  const sun = sunPosition(jde);
+  const sunPlace = horizontal(sun.ra, sun.dec);
+
+  return {
+    size,
+    skyState: skyStateOf(sunPlace.altitude),
+    stars,
+    constellations,
+    planets,
+    moon: {
+      ...placed(moonPlace, moonPlace.altitude > -moon.semiDiameter),
+      illumination: Math.round(phase.illumination * 100) / 100,
+      phaseName: phase.phaseName
+    },
+    sun: placed(sunPlace, sunPlace.altitude > HORIZON_ALTITUDE),
+    cardinals: CARDINAL_POINTS.map(point => {
+      const [x, y] = project({ altitude: 0, azimuth: point.azimuth });
+      return { label: point.label, x, y };
+    })
+  };
+}
+
+/**
+ * Draw the sky above the birthplace at the moment of birth
+ * @param {string|Date} birthDate - Birth date as "YYYY-MM-DD" or Date
+ * @param {string} birthTime - Local birth time as "HH:MM"
+ * @param {string} timeZone - IANA time zone the birth time was read in
+ * @param {{latitude: number, longitude: number}} location - Birthplace, degrees north and east
+ * @param {Object} [options] - buildSkyChart() options
+ * @returns {Object} - describeInstant() fields of the birth moment plus buildSkyChart() fields
+ */
+function describeBirthSky(birthDate, birthTime, timeZone, location, options = {}) {
+  const birth = parseBirthDate(birthDate);
+  const instant = fromZonedTime({ ...birth, ...parseBirthTime(birthTime) }, timeZone);
+
+  return {
+    ...describeInstant(instant, timeZone),
+    ...buildSkyChart(instant, location, options)
+  };
+}
+
+module.exports = {
+  DEFAULT_CHART_SIZE,
+  SKY_STATES,
+  createSkyProjection,
+  skyStateOf,
+  buildSkyChart,
+  describeBirthSky
+};
@@ -0,0 +1,50 @@
+import { SKY_STATES, createSkyProjection, buildSkyChart, describeBirthSky } from './skyChart';
+import { findCosmicEvents } from './index';
+
+const newYork = { latitude: 40.7128, longitude: -74.006 };
+
+test('projects the zenith to the centre and the horizon to the rim, north up and east left', () => {
+  const project = createSkyProjection(500);
+  expect(project({ altitude: 90, azimuth: 0 })).toEqual([250, 250]);
+  expect(project({ altitude: 0, azimuth: 0 })).toEqual([250, 0]);
+  expect(project({ altitude: 0, azimuth: 90 })).toEqual([0, 250]);
+  expect(project({ altitude: 0, azimuth: 180 })).toEqual([250, 500]);
+});
+
+test('draws a January night over New York', () => {
+  const sky = describeBirthSky('2024-01-15', '22:00', 'America/New_York', newYork);
+  expect(sky).toMatchObject({ date: '2024-01-15', localTime: '22:00', skyState: SKY_STATES.NIGHT });
+
+  // Polaris stands due north at the observer's latitude; Sirius is low in the south
+  const polaris = sky.stars.find(star => star.name === 'Polaris');
+  expect(Math.abs(polaris.altitude - newYork.latitude)).toBeLessThan(1);
+  expect(Math.abs(polaris.x - 250)).toBeLessThan(3);
+  const sirius = sky.stars.find(star => star.name === 'Sirius');
+  expect(sirius.altitude).toBeLessThan(90 - newYork.latitude - 16.7);
+  expect(sirius.azimuth).toBeGreaterThan(135);
+  expect(sirius.azimuth).toBeLessThan(225);
+
+  expect(sky.stars.every(star => star.altitude > 0)).toBe(true);
+  expect(sky.constellations.find(constellation => constellation.id === 'Ori').label).not.toBeNull();
+  expect(sky.planets.find(planet => planet.name === 'Jupiter').up).toBe(true);
+  expect(sky.sun.up).toBe(false);
+});
+
+test('puts the Moon beside Venus on the morning of their 2023 occultation', () => {
+  const sky = buildSkyChart(new Date('2023-11-09T16:00:00Z'), newYork);
+  const venus = sky.planets.find(planet => planet.name === 'Venus');
+  expect(sky.skyState).toBe(SKY_STATES.DAY);
+  expect(Math.hypot(venus.x - sky.moon.x, venus.y - sky.moon.y)).toBeLessThan(10);
+  expect(sky.moon).toMatchObject({ up: true, phaseName: 'Waning Crescent' });
+});
+
+test('charts the birth sky only given a birth time and location', () => {
+  expect(findCosmicEvents('2000-06-21', { timeZone: 'America/New_York', location: newYork }).birthSky).toBeNull();
+  const results = findCosmicEvents('2000-06-21', {
+    timeZone: 'America/New_York',
+    birthTime: '23:30',
+    location: newYork
+  });
+  expect(results.birthSky).toMatchObject({ date: '2000-06-21', localTime: '23:30' });
+  expect(results.birthSky.stars.length).toBeGreaterThan(100);
+});
@@ -0,0 +1,190 @@
+/**
+ * TIME ZONE HELPERS
+ * Converts UTC event instants into calendar dates and clock times for an IANA time zone,
+ * and local wall-clock times back into UTC instants
+ */
+
+// Used when the runtime cannot enumerate its own zones
+const COMMON_TIME_ZONES = [
+  'UTC',
+  'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+  'America/Sao_Paulo', 'Europe/London', 'Europe/Paris', 'Europe/Berlin',
+  'Africa/Cairo', 'Africa/Johannesburg', 'Europe/Moscow', 'Asia/Dubai',
+  'Asia/Kolkata', 'Asia/Bangkok', 'Asia/Shanghai', 'Asia/Tokyo',
+  'Australia/Sydney', 'Pacific/Auckland'
+];
+
+const formatterCache = {};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a cached 24-hour formatter for a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} - Formatter producing numeric parts
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache[timeZone]) {
+    formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      era: 'short'
+    });
+  }
+  return formatterCache[timeZone];
+}
+
+/**
+ * Get the runtime's own time zone (the browser's in the UI)
+ * @returns {string} - IANA time zone name, "UTC" if unknown
+ */
+function getDefaultTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (err) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Check whether a time zone name is understood by the runtime
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} - True if usable with Intl
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * List selectable time zones
+ * @returns {Array<string>} - IANA time zone names, always including UTC
+ */
+function listTimeZones() {
+  let zones = COMMON_TIME_ZONES;
+  if (typeof Intl.supportedValuesOf === 'function') {
+    try {
+      zones = Intl.supportedValuesOf('timeZone');
+    } catch (err) {
+      // Keep the built-in list
+    }
+  }
+  return zones.includes('UTC') ? zones : ['UTC', ...zones];
+}
+
+/**
+ * Split a UTC instant into wall-clock parts in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function toZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const year = parseInt(parts.year, 10);
+  return {
+    year: parts.era === 'BC' ? 1 - year : year,
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10)
+  };
+}
+
+/**
+ * Describe an event instant in a time zone
+ * @param {Date} date - Event instant (UTC)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - {year, month, day, date: "YYYY-MM-DD", localTime: "HH:MM", utc, timeZone}
+ */
+function describeInstant(date, timeZone) {
+  const local = toZonedParts(date, timeZone);
+  const pad = (value) => value.toString().padStart(2, '0');
+
+  return {
+    year: local.year,
+    month: local.month,
+    day: local.day,
+    date: `${local.year}-${pad(local.month)}-${pad(local.day)}`,
+    localTime: `${pad(local.hour)}:${pad(local.minute)}`,
+    utc: date.toISOString(),
+    timeZone
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Minutes ahead of UTC (negative west of Greenwich)
+ */
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  const local = toZonedParts(date, timeZone);
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a local wall-clock time in a time zone into a UTC instant
+ * Times skipped by a daylight-saving jump resolve with the offset in force before it,
+ * and repeated times resolve to the first of the two.
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} parts - Month is 1-12
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - UTC instant
+ */
+function fromZonedTime(parts, timeZone) {
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0);
+  const offsetAt = (ms) => getTimeZoneOffsetMinutes(new Date(ms), timeZone);
+
+  // Offsets either side of any transition near this wall-clock time
+  const before = offsetAt(wallClock - DAY_MS);
+  const after = offsetAt(wallClock + DAY_MS);
+
+  const matches = [before, after]
+    .map(offset => wallClock - offset * 60000)
+    .filter(candidate => wallClock - offsetAt(candidate) * 60000 === candidate);
+  if (matches.length) return new Date(Math.min(...matches));
+
+  // Inside a gap: read the time on the clock that was in force before the jump
+  return new Date(wallClock - before * 60000);
+}
+
+/**
+ * The span of a local calendar day, which daylight-saving changes can make 23 or 25 hours long
+ * @param {{year: number, month: number, day: number}} day - Local calendar date, month 1-12
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{start: Date, end: Date}} - UTC instants of local midnight at the start and end of the day
+ */
+function localDayRange(day, timeZone) {
+  const next = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+  return {
+    start: fromZonedTime({ year: day.year, month: day.month, day: day.day }, timeZone),
+    end: fromZonedTime({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timeZone)
+  };
+}
+
+module.exports = {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  listTimeZones,
+  toZonedParts,
+  describeInstant,
+  getTimeZoneOffsetMinutes,
+  fromZonedTime,
+  localDayRange
+};